@@ -0,0 +1,52 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Volo.Abp.Application.Services;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Application service for managing alert rules over the Serilog entries and reading their history
+/// </summary>
+public interface IAlertRuleAppService : IApplicationService
+{
+    /// <summary>
+    /// Gets the alert rules of the current tenant with their current state
+    /// </summary>
+    /// <returns>Alert rules ordered by name</returns>
+    Task<List<AlertRuleDto>> GetListAsync();
+
+    /// <summary>
+    /// Gets an alert rule
+    /// </summary>
+    /// <param name="id">Alert rule id</param>
+    Task<AlertRuleDto> GetAsync(Guid id);
+
+    /// <summary>
+    /// Creates an alert rule; it is evaluated from the next worker run
+    /// </summary>
+    /// <param name="input">Query, condition, window and severity</param>
+    /// <returns>The created rule</returns>
+    Task<AlertRuleDto> CreateAsync(CreateUpdateAlertRuleDto input);
+
+    /// <summary>
+    /// Updates an alert rule; disabling a firing rule clears its state without a resolved event
+    /// </summary>
+    /// <param name="id">Alert rule id</param>
+    /// <param name="input">New query, condition, window and severity</param>
+    /// <returns>The updated rule</returns>
+    Task<AlertRuleDto> UpdateAsync(Guid id, CreateUpdateAlertRuleDto input);
+
+    /// <summary>
+    /// Deletes an alert rule; its history is kept
+    /// </summary>
+    /// <param name="id">Alert rule id</param>
+    Task DeleteAsync(Guid id);
+
+    /// <summary>
+    /// Gets fired and resolved events, newest first
+    /// </summary>
+    /// <param name="request">Optional rule and maximum number of events</param>
+    /// <returns>Alert events</returns>
+    Task<List<AlertEventDto>> GetHistoryAsync(GetAlertHistoryRequestDto request);
+}
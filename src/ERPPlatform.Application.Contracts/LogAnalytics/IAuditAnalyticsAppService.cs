@@ -24,6 +24,13 @@ public interface IAuditAnalyticsAppService : IApplicationService
     /// <returns>Complete dashboard data for the specified range</returns>
     Task<LogAnalyticsDashboardDto> GetDashboardDataByRangeAsync(DashboardRangeRequestDto request);
     
+    /// <summary>
+    /// Compares the summary metrics and hourly trends of a range with the previous period or the same time last week
+    /// </summary>
+    /// <param name="request">Current range and comparison mode</param>
+    /// <returns>Metrics and hourly counts of both windows</returns>
+    Task<DashboardComparisonDto> GetDashboardComparisonAsync(DashboardComparisonRequestDto request);
+    
     /// <summary>
     /// Gets system health status and metrics
     /// </summary>
@@ -54,6 +61,13 @@ public interface IAuditAnalyticsAppService : IApplicationService
     /// <returns>Exported data as byte array</returns>
     Task<byte[]> ExportLogsAsync(ExportLogsRequestDto request);
     
+    /// <summary>
+    /// Counts the rows a log export would contain without producing the file
+    /// </summary>
+    /// <param name="request">Export request with filters and format</param>
+    /// <returns>Matching and exported row counts</returns>
+    Task<ExportPreviewDto> GetExportPreviewAsync(ExportLogsRequestDto request);
+    
     /// <summary>
     /// Gets recent log entries with pagination
     /// </summary>
@@ -93,6 +107,13 @@ public interface IAuditAnalyticsAppService : IApplicationService
     /// <returns>Exported audit log data as byte array</returns>
     Task<byte[]> ExportAuditLogsAsync(ExportAuditLogsRequestDto request);
     
+    /// <summary>
+    /// Counts the rows an audit log export would contain without producing the file
+    /// </summary>
+    /// <param name="request">Export audit logs request with filters and format</param>
+    /// <returns>Matching and exported row counts</returns>
+    Task<ExportPreviewDto> GetAuditLogExportPreviewAsync(ExportAuditLogsRequestDto request);
+    
     #endregion
     
     #region Analytics and Insights
@@ -111,5 +132,12 @@ public interface IAuditAnalyticsAppService : IApplicationService
     /// <returns>List of top audit methods with performance data</returns>
     Task<PaginatedResponse<AuditLogMethodCountDto>> GetTopAuditMethodsAsync(TopAuditMethodsRequestDto request);
     
+    /// <summary>
+    /// Gets per-route API statistics aggregated from audit logs
+    /// </summary>
+    /// <param name="request">API endpoint statistics request</param>
+    /// <returns>Busiest routes with call counts, durations, success rate and status code breakdown</returns>
+    Task<List<ApiEndpointStatsDto>> GetApiEndpointStatsAsync(ApiEndpointStatsRequestDto request);
+    
     #endregion
 }
\ No newline at end of file
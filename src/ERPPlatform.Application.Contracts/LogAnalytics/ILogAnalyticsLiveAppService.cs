@@ -0,0 +1,17 @@
+using System.Threading.Tasks;
+using Volo.Abp.Application.Services;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Application service supporting the real-time log stream of the analytics dashboard
+/// </summary>
+public interface ILogAnalyticsLiveAppService : IApplicationService
+{
+    /// <summary>
+    /// Gets Serilog and audit log entries written after the given timestamp, so a reconnecting client can fill the gap
+    /// </summary>
+    /// <param name="request">Last seen timestamp and the client's live filter</param>
+    /// <returns>Matching entries ordered oldest first; HasMore is set when the gap exceeds the maximum count</returns>
+    Task<PaginatedResponse<RecentLogEntryDto>> GetBackfillAsync(LiveLogBackfillRequestDto request);
+}
@@ -0,0 +1,48 @@
+using System.Threading.Tasks;
+using Volo.Abp.Application.Services;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Application service for the response time levels and health thresholds used by the server and both dashboards,
+/// and for the dashboard layout of the current user
+/// </summary>
+public interface ILogAnalyticsSettingsAppService : IApplicationService
+{
+    /// <summary>
+    /// Gets the thresholds of the current tenant, falling back to the global values and the defaults
+    /// </summary>
+    /// <returns>Response time levels and health thresholds</returns>
+    Task<LogAnalyticsThresholdsDto> GetThresholdsAsync();
+
+    /// <summary>
+    /// Stores thresholds for the current tenant, or globally on the host
+    /// </summary>
+    /// <param name="input">Ascending response time levels and warning/critical pairs</param>
+    /// <returns>The thresholds now in effect</returns>
+    Task<LogAnalyticsThresholdsDto> UpdateThresholdsAsync(LogAnalyticsThresholdsDto input);
+
+    /// <summary>
+    /// Removes the thresholds stored for the current tenant, or globally on the host
+    /// </summary>
+    /// <returns>The thresholds now in effect</returns>
+    Task<LogAnalyticsThresholdsDto> ResetThresholdsAsync();
+
+    /// <summary>
+    /// Gets the dashboard layout saved by the current user
+    /// </summary>
+    /// <returns>Widgets in display order; empty when the user has not arranged the dashboard</returns>
+    Task<DashboardLayoutDto> GetDashboardLayoutAsync();
+
+    /// <summary>
+    /// Saves the dashboard layout of the current user
+    /// </summary>
+    /// <param name="input">Widgets in display order, each at most once</param>
+    /// <returns>The saved layout</returns>
+    Task<DashboardLayoutDto> UpdateDashboardLayoutAsync(DashboardLayoutDto input);
+
+    /// <summary>
+    /// Removes the dashboard layout of the current user so the default layout applies again
+    /// </summary>
+    Task ResetDashboardLayoutAsync();
+}
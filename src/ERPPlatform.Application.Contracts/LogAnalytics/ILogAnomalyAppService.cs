@@ -0,0 +1,18 @@
+using System.Threading.Tasks;
+using Volo.Abp.Application.Services;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Application service for hours in which log or error volume deviated from its weekly baseline
+/// </summary>
+public interface ILogAnomalyAppService : IApplicationService
+{
+    /// <summary>
+    /// Gets the anomalous hours per application and level within the date range,
+    /// with the message templates and endpoints that logged most in each
+    /// </summary>
+    /// <param name="request">Date range; at most LogAnalyticsDashboardConstants.Anomalies.MaxRangeDays days</param>
+    /// <returns>Anomalies with the highest scores first</returns>
+    Task<LogAnomaliesDto> GetAnomaliesAsync(LogAnomalyRequestDto request);
+}
@@ -0,0 +1,17 @@
+using System.Threading.Tasks;
+using Volo.Abp.Application.Services;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Application service that reconstructs a single request from Serilog entries and audit log actions
+/// </summary>
+public interface ILogTraceAppService : IApplicationService
+{
+    /// <summary>
+    /// Gets every Serilog entry and audit log action sharing the correlation ID or request ID
+    /// </summary>
+    /// <param name="request">Correlation ID and/or request ID to trace</param>
+    /// <returns>Entries ordered oldest first with offsets from the start of the trace</returns>
+    Task<LogTraceDto> GetTraceAsync(LogTraceRequestDto request);
+}
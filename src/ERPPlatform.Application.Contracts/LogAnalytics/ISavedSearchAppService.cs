@@ -0,0 +1,40 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Volo.Abp.Application.Services;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Application service for searches saved from the log analytics dashboards
+/// </summary>
+public interface ISavedSearchAppService : IApplicationService
+{
+    /// <summary>
+    /// Gets the current user's saved searches and the searches shared within the tenant
+    /// </summary>
+    /// <param name="request">Search form to list saved searches for</param>
+    /// <returns>Saved searches ordered by name</returns>
+    Task<List<SavedSearchDto>> GetListAsync(GetSavedSearchesRequestDto request);
+
+    /// <summary>
+    /// Saves a search for the current user
+    /// </summary>
+    /// <param name="input">Name, search form, criteria and sharing option</param>
+    /// <returns>The saved search</returns>
+    Task<SavedSearchDto> CreateAsync(CreateUpdateSavedSearchDto input);
+
+    /// <summary>
+    /// Updates a saved search owned by the current user
+    /// </summary>
+    /// <param name="id">Saved search id</param>
+    /// <param name="input">New name, criteria and sharing option</param>
+    /// <returns>The updated saved search</returns>
+    Task<SavedSearchDto> UpdateAsync(Guid id, CreateUpdateSavedSearchDto input);
+
+    /// <summary>
+    /// Deletes a saved search owned by the current user
+    /// </summary>
+    /// <param name="id">Saved search id</param>
+    Task DeleteAsync(Guid id);
+}
@@ -70,11 +70,18 @@ public interface ISerilogAnalyticsAppService : IApplicationService
     Task<List<SerilogEndpointStatsDto>> GetEndpointStatisticsAsync(SerilogDashboardRequestDto request);
     
     /// <summary>
-    /// Gets hourly trends for performance monitoring
+    /// Gets trends for performance monitoring, in the requested time bucket or one chosen from the range length
     /// </summary>
-    /// <param name="request">Dashboard request with date range</param>
-    /// <returns>Hourly trend data</returns>
+    /// <param name="request">Dashboard request with date range and optional bucket</param>
+    /// <returns>Trend data per bucket, including empty buckets</returns>
     Task<List<SerilogHourlyTrendDto>> GetHourlyTrendsAsync(SerilogDashboardRequestDto request);
+
+    /// <summary>
+    /// Gets request counts per time bucket and latency bucket
+    /// </summary>
+    /// <param name="request">Dashboard request with date range and optional bucket</param>
+    /// <returns>Latency heatmap data</returns>
+    Task<SerilogLatencyHeatmapDto> GetLatencyHeatmapAsync(SerilogDashboardRequestDto request);
     
     /// <summary>
     /// Gets log level distribution for the specified period
@@ -28,10 +28,21 @@ public class ERPPlatformApplicationAutoMapperProfile : Profile
             .ForMember(dest => dest.Url, opt => opt.MapFrom(src => src.Url))
             .ForMember(dest => dest.HttpStatusCode, opt => opt.MapFrom(src => src.HttpStatusCode))
             .ForMember(dest => dest.HasException, opt => opt.MapFrom(src => !string.IsNullOrEmpty(src.Exceptions)))
-            .ForMember(dest => dest.Exception, opt => opt.MapFrom(src => src.Exceptions));
+            .ForMember(dest => dest.Exception, opt => opt.MapFrom(src => src.Exceptions))
+            // Depends on the tenant's slow operation threshold and is set by the app service
+            .ForMember(dest => dest.IsSlowOperation, opt => opt.Ignore());
 
         // Serilog Entry mappings - Basic mapping for existing properties
         CreateMap<SerilogEntry, SerilogEntryDto>();
+
+        // Saved searches; IsOwner depends on the current user and is set by the app service
+        CreateMap<SavedSearch, SavedSearchDto>()
+            .ForMember(dest => dest.IsOwner, opt => opt.Ignore());
+
+        // Alert rules and their history
+        CreateMap<AlertRule, AlertRuleDto>();
+        CreateMap<AlertHistoryEntry, AlertEventDto>()
+            .ForMember(dest => dest.Time, opt => opt.MapFrom(src => src.CreationTime));
         
         // Additional mappings can be added here as needed
         // CreateMap<SourceClass, DestinationDto>();
@@ -1,5 +1,10 @@
-﻿using Volo.Abp.Account;
+﻿using System.Threading.Tasks;
+using ERPPlatform.LogAnalytics.Alerts;
+using ERPPlatform.LogAnalytics.Live;
+using Volo.Abp;
+using Volo.Abp.Account;
 using Volo.Abp.AutoMapper;
+using Volo.Abp.BackgroundWorkers;
 using Volo.Abp.FeatureManagement;
 using Volo.Abp.Identity;
 using Volo.Abp.Modularity;
@@ -28,4 +33,10 @@ public class ERPPlatformApplicationModule : AbpModule
             options.AddMaps<ERPPlatformApplicationModule>();
         });
     }
+
+    public override async Task OnApplicationInitializationAsync(ApplicationInitializationContext context)
+    {
+        await context.AddBackgroundWorkerAsync<LogAnalyticsLiveFeedWorker>();
+        await context.AddBackgroundWorkerAsync<AlertRuleEvaluationWorker>();
+    }
 }
@@ -0,0 +1,224 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Volo.Abp;
+using Volo.Abp.Application.Services;
+using Volo.Abp.Domain.Repositories;
+using ERPPlatform.LogAnalytics.Alerts;
+using ERPPlatform.Permissions;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Manages alert rules evaluated by AlertRuleEvaluationWorker and exposes their fired/resolved history
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.ManageConfiguration)]
+public class AlertRuleAppService : ApplicationService, IAlertRuleAppService
+{
+    private readonly IRepository<AlertRule, Guid> _alertRuleRepository;
+    private readonly IRepository<AlertHistoryEntry, Guid> _alertHistoryRepository;
+
+    public AlertRuleAppService(
+        IRepository<AlertRule, Guid> alertRuleRepository,
+        IRepository<AlertHistoryEntry, Guid> alertHistoryRepository)
+    {
+        _alertRuleRepository = alertRuleRepository;
+        _alertHistoryRepository = alertHistoryRepository;
+    }
+
+    public virtual async Task<List<AlertRuleDto>> GetListAsync()
+    {
+        try
+        {
+            var queryable = await _alertRuleRepository.GetQueryableAsync();
+            var rules = await AsyncExecuter.ToListAsync(queryable.OrderBy(x => x.Name));
+
+            return ObjectMapper.Map<List<AlertRule>, List<AlertRuleDto>>(rules);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error getting alert rules");
+            throw new UserFriendlyException("Failed to load alert rules. Please try again.");
+        }
+    }
+
+    public virtual async Task<AlertRuleDto> GetAsync(Guid id)
+    {
+        var rule = await _alertRuleRepository.GetAsync(id);
+        return ObjectMapper.Map<AlertRule, AlertRuleDto>(rule);
+    }
+
+    public virtual async Task<AlertRuleDto> CreateAsync(CreateUpdateAlertRuleDto input)
+    {
+        Check.NotNull(input, nameof(input));
+
+        CheckIsHost();
+        ValidateInput(input);
+        await CheckNameIsAvailableAsync(input.Name);
+
+        var rule = new AlertRule(
+            GuidGenerator.Create(),
+            CurrentTenant.Id,
+            input.Name,
+            input.Query,
+            input.Criteria);
+        ApplyInput(rule, input);
+
+        await _alertRuleRepository.InsertAsync(rule, autoSave: true);
+
+        Logger.LogInformation("Alert rule {Name} created: {Condition}", rule.Name, rule.DescribeCondition());
+
+        return ObjectMapper.Map<AlertRule, AlertRuleDto>(rule);
+    }
+
+    public virtual async Task<AlertRuleDto> UpdateAsync(Guid id, CreateUpdateAlertRuleDto input)
+    {
+        Check.NotNull(input, nameof(input));
+
+        CheckIsHost();
+
+        var rule = await _alertRuleRepository.GetAsync(id);
+        ValidateInput(input);
+
+        if (!string.Equals(rule.Name, input.Name.Trim(), StringComparison.OrdinalIgnoreCase))
+        {
+            await CheckNameIsAvailableAsync(input.Name);
+        }
+
+        rule.SetName(input.Name);
+        rule.SetQuery(input.Query, input.Criteria);
+        ApplyInput(rule, input);
+
+        await _alertRuleRepository.UpdateAsync(rule, autoSave: true);
+
+        return ObjectMapper.Map<AlertRule, AlertRuleDto>(rule);
+    }
+
+    public virtual async Task DeleteAsync(Guid id)
+    {
+        CheckIsHost();
+
+        var rule = await _alertRuleRepository.GetAsync(id);
+        await _alertRuleRepository.DeleteAsync(rule);
+
+        Logger.LogInformation("Alert rule {Name} deleted", rule.Name);
+    }
+
+    public virtual async Task<List<AlertEventDto>> GetHistoryAsync(GetAlertHistoryRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+        request.ValidateAndSetDefaults();
+
+        try
+        {
+            var queryable = await _alertHistoryRepository.GetQueryableAsync();
+            var entries = await AsyncExecuter.ToListAsync(queryable
+                .WhereIf(request.AlertRuleId.HasValue, x => x.AlertRuleId == request.AlertRuleId)
+                .OrderByDescending(x => x.CreationTime)
+                .Take(request.MaxCount));
+
+            return ObjectMapper.Map<List<AlertHistoryEntry>, List<AlertEventDto>>(entries);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error getting alert history for rule {AlertRuleId}", request.AlertRuleId);
+            throw new UserFriendlyException("Failed to load alert history. Please try again.");
+        }
+    }
+
+    #region Private Helper Methods
+
+    private static void ApplyInput(AlertRule rule, CreateUpdateAlertRuleDto input)
+    {
+        rule.SetBaseQuery(
+            input.Metric == AlertRuleConstants.Metrics.Rate ? input.BaseQuery : null,
+            input.BaseCriteria);
+        rule.SetCondition(input.Metric, input.Operator, input.Threshold, input.WindowMinutes);
+        rule.SetSeverity(input.Severity);
+
+        if (rule.IsEnabled && !input.IsEnabled)
+        {
+            rule.ResetState();
+        }
+
+        rule.IsEnabled = input.IsEnabled;
+    }
+
+    /// <summary>
+    /// Alert rules are host only, see <see cref="AlertRuleEvaluator"/>
+    /// </summary>
+    private void CheckIsHost()
+    {
+        if (CurrentTenant.IsAvailable)
+        {
+            throw new UserFriendlyException("Alert rules can only be managed by the host, because Serilog entries are not tenant specific.");
+        }
+    }
+
+    private async Task CheckNameIsAvailableAsync(string name)
+    {
+        var trimmedName = name.Trim();
+        var queryable = await _alertRuleRepository.GetQueryableAsync();
+
+        var exists = await AsyncExecuter.AnyAsync(queryable
+            .Where(x => x.Name.ToLower() == trimmedName.ToLower()));
+
+        if (exists)
+        {
+            throw new UserFriendlyException($"An alert rule named \"{trimmedName}\" already exists.");
+        }
+    }
+
+    private static void ValidateInput(CreateUpdateAlertRuleDto input)
+    {
+        if (!AlertRuleConstants.Metrics.All.Contains(input.Metric))
+            throw new UserFriendlyException($"Unknown alert metric \"{input.Metric}\".");
+
+        if (!AlertRuleConstants.Operators.All.Contains(input.Operator))
+            throw new UserFriendlyException($"Unknown alert operator \"{input.Operator}\".");
+
+        if (!AlertRuleConstants.Severities.All.Contains(input.Severity))
+            throw new UserFriendlyException($"Unknown alert severity \"{input.Severity}\".");
+
+        if (input.Threshold < 0 || (input.Metric == AlertRuleConstants.Metrics.Rate && input.Threshold > 100))
+            throw new UserFriendlyException("The threshold must be a count of 0 or more, or a rate between 0 and 100%.");
+
+        ValidateCriteria(input.Criteria, requireFilter: input.Metric == AlertRuleConstants.Metrics.Count);
+        if (input.Metric == AlertRuleConstants.Metrics.Rate && !string.IsNullOrWhiteSpace(input.BaseQuery))
+        {
+            ValidateCriteria(input.BaseCriteria);
+        }
+    }
+
+    /// <summary>
+    /// Criteria are produced by the dashboard query parser; the evaluator runs them as Serilog search requests.
+    /// A count rule without filters would count every entry, so it needs at least one.
+    /// </summary>
+    private static void ValidateCriteria(string? criteria, bool requireFilter = false)
+    {
+        SerilogSearchRequestDto? request = null;
+        try
+        {
+            using var document = JsonDocument.Parse(criteria ?? string.Empty);
+            if (document.RootElement.ValueKind == JsonValueKind.Object)
+            {
+                request = AlertRuleEvaluator.ParseCriteria(criteria);
+            }
+        }
+        catch (JsonException)
+        {
+        }
+
+        if (request == null)
+            throw new UserFriendlyException("Alert rule criteria must be a JSON object of known search filters.");
+
+        if (requireFilter && !AlertRuleEvaluator.HasFilters(request))
+            throw new UserFriendlyException("A count alert rule needs a query with at least one filter.");
+    }
+
+    #endregion
+}
@@ -0,0 +1,57 @@
+using System.Linq;
+using System.Threading.Tasks;
+using ERPPlatform.LogAnalytics.Live;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Volo.Abp.BackgroundWorkers;
+using Volo.Abp.DistributedLocking;
+using Volo.Abp.Threading;
+
+namespace ERPPlatform.LogAnalytics.Alerts;
+
+/// <summary>
+/// Evaluates the alert rules periodically and publishes fired/resolved events with the live log batches,
+/// so LogAnalyticsHub pushes them to the dashboard clients
+/// </summary>
+public class AlertRuleEvaluationWorker : AsyncPeriodicBackgroundWorkerBase
+{
+    private const string EvaluationLockName = "ERPPlatform:LogAnalytics:Alerts:Evaluation";
+
+    private readonly IAbpDistributedLock _distributedLock;
+
+    public AlertRuleEvaluationWorker(
+        AbpAsyncTimer timer,
+        IServiceScopeFactory serviceScopeFactory,
+        IAbpDistributedLock distributedLock)
+        : base(timer, serviceScopeFactory)
+    {
+        _distributedLock = distributedLock;
+        Timer.Period = AlertRuleConstants.DefaultValues.EvaluationIntervalSeconds * 1000;
+    }
+
+    protected override async Task DoWorkAsync(PeriodicBackgroundWorkerContext workerContext)
+    {
+        // Only the instance holding the lock evaluates, so each fired or resolved event is published once
+        await using var handle = await _distributedLock.TryAcquireAsync(EvaluationLockName);
+        if (handle == null)
+        {
+            return;
+        }
+
+        var evaluator = workerContext.ServiceProvider.GetRequiredService<AlertRuleEvaluator>();
+        var alertEvents = await evaluator.EvaluateAllAsync();
+
+        if (!alertEvents.Any())
+        {
+            return;
+        }
+
+        var publisher = workerContext.ServiceProvider.GetRequiredService<ILogAnalyticsLivePublisher>();
+        await publisher.PublishAsync(new LogAnalyticsLiveBatchEto
+        {
+            AlertEvents = alertEvents
+        });
+
+        Logger.LogDebug("Published {AlertEventCount} alert events", alertEvents.Count);
+    }
+}
@@ -0,0 +1,201 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Volo.Abp.DependencyInjection;
+using Volo.Abp.Domain.Repositories;
+using Volo.Abp.Guids;
+using Volo.Abp.ObjectMapping;
+using Volo.Abp.Timing;
+using Volo.Abp.Uow;
+
+namespace ERPPlatform.LogAnalytics.Alerts;
+
+/// <summary>
+/// Evaluates the enabled alert rules against the Serilog entries in their windows and records a history entry
+/// whenever a rule starts or stops firing. Only host rules are evaluated: Serilog entries have no tenant,
+/// so a tenant's rule would count and alert on every tenant's entries
+/// </summary>
+public class AlertRuleEvaluator : ITransientDependency
+{
+    // Unknown properties are rejected, so a misspelled filter cannot silently widen a rule to every entry
+    private static readonly JsonSerializerOptions CriteriaSerializerOptions = new(JsonSerializerDefaults.Web)
+    {
+        UnmappedMemberHandling = JsonUnmappedMemberHandling.Disallow
+    };
+
+    private readonly IRepository<AlertRule, Guid> _alertRuleRepository;
+    private readonly IRepository<AlertHistoryEntry, Guid> _alertHistoryRepository;
+    private readonly ISerilogEntryRepository _serilogRepository;
+    private readonly IUnitOfWorkManager _unitOfWorkManager;
+    private readonly IGuidGenerator _guidGenerator;
+    private readonly IObjectMapper _objectMapper;
+    private readonly IClock _clock;
+    private readonly ILogger<AlertRuleEvaluator> _logger;
+
+    public AlertRuleEvaluator(
+        IRepository<AlertRule, Guid> alertRuleRepository,
+        IRepository<AlertHistoryEntry, Guid> alertHistoryRepository,
+        ISerilogEntryRepository serilogRepository,
+        IUnitOfWorkManager unitOfWorkManager,
+        IGuidGenerator guidGenerator,
+        IObjectMapper objectMapper,
+        IClock clock,
+        ILogger<AlertRuleEvaluator> logger)
+    {
+        _alertRuleRepository = alertRuleRepository;
+        _alertHistoryRepository = alertHistoryRepository;
+        _serilogRepository = serilogRepository;
+        _unitOfWorkManager = unitOfWorkManager;
+        _guidGenerator = guidGenerator;
+        _objectMapper = objectMapper;
+        _clock = clock;
+        _logger = logger;
+    }
+
+    #region Evaluation
+
+    /// <summary>
+    /// Evaluates every enabled rule; each rule is saved in its own unit of work so one failing rule
+    /// or a concurrent edit does not hold back the others
+    /// </summary>
+    /// <returns>Fired and resolved events of this evaluation, oldest rule first</returns>
+    public virtual async Task<List<AlertEventDto>> EvaluateAllAsync()
+    {
+        var evaluationTime = _clock.Now;
+        var events = new List<AlertEventDto>();
+
+        foreach (var ruleId in await GetEnabledRuleIdsAsync())
+        {
+            try
+            {
+                var alertEvent = await EvaluateRuleAsync(ruleId, evaluationTime);
+                if (alertEvent != null)
+                {
+                    events.Add(alertEvent);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to evaluate alert rule {AlertRuleId}", ruleId);
+            }
+        }
+
+        return events;
+    }
+
+    /// <summary>
+    /// Parses rule criteria JSON into a Serilog search request; an empty criteria matches every entry
+    /// </summary>
+    /// <exception cref="JsonException">The criteria is not a JSON object of search request properties</exception>
+    public static SerilogSearchRequestDto ParseCriteria(string? criteria)
+    {
+        if (string.IsNullOrWhiteSpace(criteria))
+        {
+            return new SerilogSearchRequestDto();
+        }
+
+        return JsonSerializer.Deserialize<SerilogSearchRequestDto>(criteria, CriteriaSerializerOptions)
+               ?? new SerilogSearchRequestDto();
+    }
+
+    /// <summary>
+    /// Determines whether parsed criteria narrow down the entries; dates and paging are not filters,
+    /// since the rule's window replaces them
+    /// </summary>
+    public static bool HasFilters(SerilogSearchRequestDto request)
+    {
+        return request.LogLevels.Any() ||
+               !string.IsNullOrWhiteSpace(request.SearchText) ||
+               !string.IsNullOrWhiteSpace(request.UserId) ||
+               !string.IsNullOrWhiteSpace(request.RequestPath) ||
+               !string.IsNullOrWhiteSpace(request.PathPrefix) ||
+               !string.IsNullOrWhiteSpace(request.HttpMethod) ||
+               !string.IsNullOrWhiteSpace(request.Application) ||
+               request.MinStatusCode.HasValue ||
+               request.MaxStatusCode.HasValue ||
+               request.MinDuration.HasValue ||
+               request.MaxDuration.HasValue ||
+               request.HasException.HasValue;
+    }
+
+    #endregion
+
+    #region Private Helper Methods
+
+    private async Task<List<Guid>> GetEnabledRuleIdsAsync()
+    {
+        using var uow = _unitOfWorkManager.Begin(requiresNew: true, isTransactional: false);
+
+        var rules = await _alertRuleRepository.GetListAsync(x => x.IsEnabled && x.TenantId == null);
+
+        await uow.CompleteAsync();
+        return rules
+            .OrderBy(x => x.CreationTime)
+            .Select(x => x.Id)
+            .ToList();
+    }
+
+    private async Task<AlertEventDto?> EvaluateRuleAsync(Guid ruleId, DateTime evaluationTime)
+    {
+        using var uow = _unitOfWorkManager.Begin(requiresNew: true, isTransactional: true);
+
+        // Reloaded, so a rule disabled or deleted since the listing is skipped
+        var rule = await _alertRuleRepository.FindAsync(ruleId);
+        if (rule == null || !rule.IsEnabled)
+        {
+            return null;
+        }
+
+        var value = await CalculateValueAsync(rule, evaluationTime);
+        var eventType = rule.ApplyEvaluation(value, evaluationTime);
+        await _alertRuleRepository.UpdateAsync(rule);
+
+        AlertEventDto? alertEvent = null;
+        if (eventType != null)
+        {
+            var historyEntry = new AlertHistoryEntry(_guidGenerator.Create(), rule, eventType, value, evaluationTime);
+            await _alertHistoryRepository.InsertAsync(historyEntry);
+            alertEvent = _objectMapper.Map<AlertHistoryEntry, AlertEventDto>(historyEntry);
+
+            _logger.LogInformation("Alert rule {RuleName} {EventType}: {Condition} (value {Value})",
+                rule.Name, eventType, historyEntry.Condition, value);
+        }
+
+        await uow.CompleteAsync();
+        return alertEvent;
+    }
+
+    /// <summary>
+    /// Count rules use the number of matching entries; Rate rules the matching entries as a percentage
+    /// of the entries matching the base query, which is 0 when the base query matches nothing
+    /// </summary>
+    private async Task<double> CalculateValueAsync(AlertRule rule, DateTime evaluationTime)
+    {
+        var fromDate = evaluationTime.AddMinutes(-rule.WindowMinutes);
+        var matchCount = await CountAsync(rule.Criteria, fromDate, evaluationTime);
+
+        if (rule.Metric != AlertRuleConstants.Metrics.Rate)
+        {
+            return matchCount;
+        }
+
+        var baseCount = await CountAsync(rule.BaseCriteria, fromDate, evaluationTime);
+        return baseCount == 0 ? 0 : Math.Round(matchCount * 100.0 / baseCount, 2);
+    }
+
+    private async Task<long> CountAsync(string? criteria, DateTime fromDate, DateTime toDate)
+    {
+        var request = ParseCriteria(criteria);
+        request.FromDate = fromDate;
+        request.ToDate = toDate;
+        request.ValidateAndSetDefaults();
+
+        return await _serilogRepository.CountAsync(request);
+    }
+
+    #endregion
+}
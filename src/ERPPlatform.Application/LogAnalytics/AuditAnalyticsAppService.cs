@@ -1,8 +1,6 @@
 using System;
 using System.Collections.Generic;
 using System.Linq;
-using System.Text;
-using System.Text.Json;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.Extensions.Logging;
@@ -27,17 +25,29 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
     private readonly LogAnalyticsDashboardHelper _dashboardHelper;
     private readonly IDistributedCache<LogAnalyticsDashboardDto> _dashboardCache;
     private readonly IDistributedCache<SystemHealthDto> _healthCache;
+    private readonly LogExportFileWriter _exportFileWriter;
+    private readonly ErrorFingerprintHelper _fingerprintHelper;
+    private readonly TrendBucketHelper _trendBucketHelper;
+    private readonly LogAnalyticsThresholdProvider _thresholdProvider;
 
     public AuditAnalyticsAppService(
         IRepository<AuditLog, Guid> auditLogRepository,
         LogAnalyticsDashboardHelper dashboardHelper,
         IDistributedCache<LogAnalyticsDashboardDto> dashboardCache,
-        IDistributedCache<SystemHealthDto> healthCache)
+        IDistributedCache<SystemHealthDto> healthCache,
+        LogExportFileWriter exportFileWriter,
+        ErrorFingerprintHelper fingerprintHelper,
+        TrendBucketHelper trendBucketHelper,
+        LogAnalyticsThresholdProvider thresholdProvider)
     {
         _auditLogRepository = auditLogRepository;
         _dashboardHelper = dashboardHelper;
         _dashboardCache = dashboardCache;
         _healthCache = healthCache;
+        _exportFileWriter = exportFileWriter;
+        _fingerprintHelper = fingerprintHelper;
+        _trendBucketHelper = trendBucketHelper;
+        _thresholdProvider = thresholdProvider;
     }
 
     #region Dashboard Operations
@@ -47,8 +57,8 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
     {
         var request = new DashboardRangeRequestDto
         {
-            FromDate = DateTime.UtcNow.AddDays(-LogAnalyticsDashboardConstants.DefaultValues.DefaultDashboardDays),
-            ToDate = DateTime.UtcNow,
+            FromDate = Clock.Now.AddDays(-LogAnalyticsDashboardConstants.DefaultValues.DefaultDashboardDays),
+            ToDate = Clock.Now,
             TopCount = LogAnalyticsDashboardConstants.DefaultValues.DefaultTopCount
         };
         
@@ -65,9 +75,14 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             request.ToDate, 
             LogAnalyticsDashboardConstants.DefaultValues.DefaultDashboardDays);
 
-        Logger.LogInformation("Getting dashboard data for range {FromDate} to {ToDate}", fromDate, toDate);
+        var bucket = _trendBucketHelper.Resolve(request.Bucket, fromDate, toDate);
 
-        var cacheKey = $"dashboard_{fromDate:yyyyMMdd}_{toDate:yyyyMMdd}_{request.TopCount}_{request.IncludeHourlyTrends}_{request.IncludePerformanceMetrics}";
+        // Dashboard reads log at Debug: Information entries land in seriloglogs, which the live feed turns into
+        // DashboardUpdated notices, and each notice makes the open dashboards read again
+        Logger.LogDebug("Getting dashboard data for range {FromDate} to {ToDate} in {Bucket} buckets", fromDate, toDate, bucket.Name);
+
+        // Ranges are keyed to the minute because zoomed-in dashboards can cover less than a day
+        var cacheKey = $"dashboard_{fromDate:yyyyMMddHHmm}_{toDate:yyyyMMddHHmm}_{bucket.Name}_{request.TopCount}_{request.IncludeHourlyTrends}_{request.IncludePerformanceMetrics}";
         
         var cachedDashboard = await _dashboardCache.GetAsync(cacheKey);
         if (cachedDashboard != null)
@@ -89,14 +104,15 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             dashboard.LogLevelCounts = await GetLogLevelCountsAsync(fromDate, toDate);
             dashboard.ApplicationCounts = await GetApplicationCountsAsync(fromDate, toDate);
             dashboard.RecentLogs = await GetRecentLogsForDashboardAsync(20);
-            dashboard.TopErrors = await GetTopErrorsAsync(request.TopCount);
+            dashboard.TopErrors = await GetTopErrorsAsync(fromDate, toDate, request.TopCount);
             dashboard.RecentAuditLogs = await GetRecentAuditLogsForDashboardAsync(20);
             dashboard.TopUserActivities = await GetTopUserActivitiesForDashboardAsync(request.TopCount);
             dashboard.TopAuditMethods = await GetTopAuditMethodsForDashboardAsync(request.TopCount);
 
             if (request.IncludeHourlyTrends)
             {
-                dashboard.HourlyCounts = await GetHourlyTrendsAsync(fromDate, toDate);
+                dashboard.HourlyCounts = await GetHourlyTrendsAsync(fromDate, toDate, bucket);
+                dashboard.TrendBucket = bucket.Name;
             }
 
             if (request.IncludePerformanceMetrics)
@@ -104,7 +120,7 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
                 dashboard.PerformanceMetrics = await GetPerformanceMetricsAsync(request.TopCount);
             }
 
-            Logger.LogInformation("Dashboard data generated successfully with {TotalLogs} total audit logs", 
+            Logger.LogDebug("Dashboard data generated successfully with {TotalLogs} total audit logs", 
                 dashboard.AuditStatistics.TotalAuditLogs);
 
             await _dashboardCache.SetAsync(cacheKey, dashboard, new Microsoft.Extensions.Caching.Distributed.DistributedCacheEntryOptions 
@@ -120,6 +136,65 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         }
     }
 
+    [Authorize(ERPPlatformPermissions.LogAnalytics.Dashboard)]
+    public virtual async Task<DashboardComparisonDto> GetDashboardComparisonAsync(DashboardComparisonRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+
+        request.ValidateAndSetDefaults();
+
+        var (fromDate, toDate) = _dashboardHelper.ValidateDateRange(
+            request.FromDate,
+            request.ToDate,
+            LogAnalyticsDashboardConstants.DefaultValues.DefaultDashboardDays);
+
+        var bucket = _trendBucketHelper.Resolve(request.Bucket, fromDate, toDate);
+
+        // Shifting by whole buckets keeps the trend buckets of both windows lined up
+        var offset = request.Mode == LogAnalyticsDashboardConstants.ComparisonModes.PreviousWeek
+            ? TimeSpan.FromDays(7)
+            : bucket.Size * Math.Max(1, Math.Ceiling((toDate - fromDate) / bucket.Size));
+        var previousFromDate = fromDate - offset;
+        var previousToDate = toDate - offset;
+
+        Logger.LogDebug("Comparing dashboard range {FromDate} to {ToDate} with {PreviousFromDate} to {PreviousToDate}",
+            fromDate, toDate, previousFromDate, previousToDate);
+
+        try
+        {
+            // Sequential to avoid DbContext concurrency issues
+            var current = await GetLogStatisticsAsync(fromDate, toDate);
+            var previous = await GetLogStatisticsAsync(previousFromDate, previousToDate);
+            var currentHourly = await GetHourlyTrendsAsync(fromDate, toDate, bucket);
+            var previousHourly = await GetHourlyTrendsAsync(previousFromDate, previousToDate, bucket);
+
+            return new DashboardComparisonDto
+            {
+                Mode = request.Mode,
+                TrendBucket = bucket.Name,
+                FromDate = fromDate,
+                ToDate = toDate,
+                PreviousFromDate = previousFromDate,
+                PreviousToDate = previousToDate,
+                Metrics = new List<MetricComparisonDto>
+                {
+                    CreateMetricComparison(LogAnalyticsDashboardConstants.ComparisonMetrics.TotalLogs, current.TotalLogs, previous.TotalLogs),
+                    CreateMetricComparison(LogAnalyticsDashboardConstants.ComparisonMetrics.ErrorCount, current.ErrorCount, previous.ErrorCount),
+                    CreateMetricComparison(LogAnalyticsDashboardConstants.ComparisonMetrics.AvgResponseTime, current.AvgResponseTime, previous.AvgResponseTime),
+                    CreateMetricComparison(LogAnalyticsDashboardConstants.ComparisonMetrics.SecurityEvents, current.SecurityEvents, previous.SecurityEvents),
+                    CreateMetricComparison(LogAnalyticsDashboardConstants.ComparisonMetrics.TotalAuditLogs, current.TotalAuditLogs, previous.TotalAuditLogs),
+                    CreateMetricComparison(LogAnalyticsDashboardConstants.ComparisonMetrics.FailedOperations, current.FailedOperations, previous.FailedOperations)
+                },
+                HourlyCounts = AlignHourlyCounts(currentHourly, previousHourly, offset)
+            };
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error comparing dashboard range {FromDate} to {ToDate} ({Mode})", fromDate, toDate, request.Mode);
+            throw new UserFriendlyException("Failed to compare dashboard periods. Please try again.");
+        }
+    }
+
     [Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
     public virtual async Task<SystemHealthDto> GetSystemHealthAsync()
     {
@@ -133,7 +208,7 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
 
         try
         {
-            var oneHourAgo = DateTime.UtcNow.AddHours(-1);
+            var oneHourAgo = Clock.Now.AddHours(-1);
             var oneHourAgoUnspecified = DateTime.SpecifyKind(oneHourAgo, DateTimeKind.Unspecified);
             
             var recentLogs = await _auditLogRepository.GetListAsync(
@@ -144,7 +219,9 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             var recentCritical = recentLogs.Count(x => !string.IsNullOrEmpty(x.Exceptions) && x.HttpStatusCode >= 500);
             var avgResponseTime = recentLogs.Any() ? recentLogs.Average(x => (double)x.ExecutionDuration) : 0;
 
-            var status = _dashboardHelper.GetHealthStatus(recentErrors, recentCritical, avgResponseTime);
+            var thresholds = await _thresholdProvider.GetAsync();
+            var slowOperations = recentLogs.Count(x => _dashboardHelper.IsSlowOperation(x.ExecutionDuration, thresholds));
+            var status = _dashboardHelper.GetHealthStatus(recentLogs.Count, recentErrors, slowOperations, avgResponseTime, thresholds);
 
             var healthDto = new SystemHealthDto
             {
@@ -156,6 +233,7 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
                 {
                     ["TotalRecentLogs"] = recentLogs.Count,
                     ["SuccessfulOperations"] = recentLogs.Count - recentErrors,
+                    ["SlowOperations"] = slowOperations,
                     ["CheckPeriod"] = "Last 1 hour"
                 }
             };
@@ -227,48 +305,17 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         
         request.ValidateAndSetDefaults();
 
-        Logger.LogInformation("Searching logs with filters: FromDate={FromDate}, ToDate={ToDate}, Page={Page}, PageSize={PageSize}",
+        Logger.LogDebug("Searching logs with filters: FromDate={FromDate}, ToDate={ToDate}, Page={Page}, PageSize={PageSize}",
             request.FromDate, request.ToDate, request.Page, request.PageSize);
 
         try
         {
-            var auditLogs = await _auditLogRepository.GetListAsync(includeDetails: true);
+            var rows = await GetFilteredLogEntryRowsAsync(ToRecentLogsRequest(request));
 
-            // Convert audit logs to log entries
-            var allLogs = auditLogs
-                .SelectMany(auditLog => auditLog.Actions?.Select(action => new RecentLogEntryDto
-                {
-                    Timestamp = auditLog.ExecutionTime,
-                    Level = _dashboardHelper.GetLogLevelFromAuditLog(!string.IsNullOrEmpty(auditLog.Exceptions), auditLog.HttpStatusCode),
-                    Application = _dashboardHelper.GetApplicationNameFromService(action.ServiceName),
-                    Message = $"{action.ServiceName}.{action.MethodName}",
-                    UserId = auditLog.UserId?.ToString(),
-                    Exception = auditLog.Exceptions,
-                    HasException = !string.IsNullOrEmpty(auditLog.Exceptions),
-                    HttpStatusCode = auditLog.HttpStatusCode,
-                    ExecutionDuration = auditLog.ExecutionDuration,
-                    ServiceName = action.ServiceName,
-                    MethodName = action.MethodName,
-                    Properties = new Dictionary<string, object>
-                    {
-                        ["Duration"] = auditLog.ExecutionDuration,
-                        ["HttpStatusCode"] = auditLog.HttpStatusCode ?? 0,
-                        ["ClientIp"] = auditLog.ClientIpAddress ?? "Unknown"
-                    }
-                }) ?? new List<RecentLogEntryDto>())
-                .AsQueryable();
-
-            // Apply filters
-            allLogs = ApplyLogSearchFilters(allLogs, request);
-
-            var totalCount = allLogs.Count();
-            var pagedLogs = allLogs
-                .OrderByDescending(l => l.Timestamp)
-                .Skip((request.Page - 1) * request.PageSize)
-                .Take(request.PageSize)
-                .ToList();
+            var totalCount = await AsyncExecuter.CountAsync(rows);
+            var pagedLogs = await GetLogEntriesAsync(rows, (request.Page - 1) * request.PageSize, request.PageSize);
 
-            Logger.LogInformation("Log search completed: {TotalCount} total, {PageCount} in current page", 
+            Logger.LogDebug("Log search completed: {TotalCount} total, {PageCount} in current page", 
                 totalCount, pagedLogs.Count);
 
             return new LogSearchResponseDto(totalCount, pagedLogs, request.Page, request.PageSize);
@@ -292,32 +339,42 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
 
         try
         {
-            var searchRequest = new LogSearchRequestDto
-            {
-                FromDate = request.FromDate,
-                ToDate = request.ToDate,
-                LogLevels = request.LogLevels,
-                Applications = request.Applications,
-                SearchText = request.SearchText,
-                UserId = request.UserId,
-                Category = request.Category,
-                Page = 1,
-                PageSize = request.MaxRecords
-            };
+            var rows = await GetFilteredLogEntryRowsAsync(ToRecentLogsRequest(request));
+            var logs = await GetLogEntriesAsync(rows, 0, request.MaxRecords);
+
+            return _exportFileWriter.Write(logs, request.Columns, GetLogExportValue, request.Format, "Logs");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error exporting logs in {Format} format", request.Format);
+            throw new UserFriendlyException($"Failed to export logs in {request.Format} format. Please try again.");
+        }
+    }
+
+    [Authorize(ERPPlatformPermissions.LogAnalytics.ExportLogs)]
+    public virtual async Task<ExportPreviewDto> GetExportPreviewAsync(ExportLogsRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+        
+        request = _dashboardHelper.ValidateExportRequest(request);
 
-            var searchResult = await SearchLogsAsync(searchRequest);
+        try
+        {
+            var totalCount = await AsyncExecuter.CountAsync(await GetFilteredLogEntryRowsAsync(ToRecentLogsRequest(request)));
 
-            return request.Format.ToLower() switch
+            return new ExportPreviewDto
             {
-                LogAnalyticsDashboardConstants.ExportFormats.Json => await ExportLogsAsJsonAsync(searchResult.Items),
-                LogAnalyticsDashboardConstants.ExportFormats.Csv => await ExportLogsAsCsvAsync(searchResult.Items),
-                _ => await ExportLogsAsCsvAsync(searchResult.Items)
+                TotalCount = totalCount,
+                ExportCount = Math.Min(totalCount, request.MaxRecords),
+                MaxRecords = request.MaxRecords,
+                Format = request.Format,
+                Columns = request.Columns
             };
         }
         catch (Exception ex)
         {
-            Logger.LogError(ex, "Error exporting logs in {Format} format", request.Format);
-            throw new UserFriendlyException($"Failed to export logs in {request.Format} format. Please try again.");
+            Logger.LogError(ex, "Error previewing log export");
+            throw new UserFriendlyException("Failed to preview log export. Please try again.");
         }
     }
 
@@ -332,38 +389,11 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         {
             var (skip, take) = _dashboardHelper.ValidatePagination(request.Skip, request.Take);
 
-            var auditLogs = await _auditLogRepository.GetListAsync(includeDetails: true);
+            // Filtered, counted and paged in the database, so a page far down the list loads only its own rows
+            var rows = await GetFilteredLogEntryRowsAsync(request);
 
-            var allLogEntries = auditLogs
-                .SelectMany(auditLog => auditLog.Actions?.Select(action => new RecentLogEntryDto
-                {
-                    Timestamp = auditLog.ExecutionTime,
-                    Level = _dashboardHelper.GetLogLevelFromAuditLog(!string.IsNullOrEmpty(auditLog.Exceptions), auditLog.HttpStatusCode),
-                    Application = _dashboardHelper.GetApplicationNameFromService(action.ServiceName),
-                    Message = $"{action.ServiceName}.{action.MethodName}",
-                    UserId = auditLog.UserId?.ToString(),
-                    Exception = auditLog.Exceptions,
-                    HasException = !string.IsNullOrEmpty(auditLog.Exceptions),
-                    HttpStatusCode = auditLog.HttpStatusCode,
-                    ExecutionDuration = auditLog.ExecutionDuration,
-                    ServiceName = action.ServiceName,
-                    MethodName = action.MethodName,
-                    Properties = new Dictionary<string, object>
-                    {
-                        ["Duration"] = auditLog.ExecutionDuration,
-                        ["HttpStatusCode"] = auditLog.HttpStatusCode ?? 0
-                    }
-                }) ?? new List<RecentLogEntryDto>())
-                .OrderByDescending(x => x.Timestamp);
-
-            // Apply filters
-            var filteredLogs = ApplyRecentLogsFilters(allLogEntries.AsQueryable(), request);
-
-            var totalCount = filteredLogs.Count();
-            var paginatedItems = filteredLogs
-                .Skip(skip)
-                .Take(take)
-                .ToList();
+            var totalCount = await AsyncExecuter.CountAsync(rows);
+            var paginatedItems = await GetLogEntriesAsync(rows, skip, take);
 
             return new PaginatedResponse<RecentLogEntryDto>
             {
@@ -394,33 +424,40 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
 
         try
         {
-            var allAuditLogs = await _auditLogRepository.GetListAsync(includeDetails: true);
-            var filteredLogs = allAuditLogs.Where(x => x.ExecutionTime >= fromDate && x.ExecutionTime <= toDate).ToList();
-            var todayLogs = await _auditLogRepository.CountAsync(x => x.ExecutionTime.Date == DateTime.Today);
+            // Convert UTC DateTime to unspecified kind to avoid PostgreSQL issues
+            var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+            var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+
+            // Aggregated in the database so that only the requested range is read
+            var queryable = await _auditLogRepository.GetQueryableAsync();
+            var rangeLogs = queryable.Where(x => x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified);
+
+            var today = Clock.Now.Date;
+            var todayLogs = await _auditLogRepository.CountAsync(x => x.ExecutionTime.Date == today);
 
-            var failedOperations = filteredLogs.Count(x => !string.IsNullOrEmpty(x.Exceptions));
-            var successfulOperations = filteredLogs.Count - failedOperations;
+            var totalAuditLogs = await AsyncExecuter.CountAsync(rangeLogs);
+            var failedOperations = await AsyncExecuter.CountAsync(rangeLogs
+                .Where(x => x.Exceptions != null && x.Exceptions != string.Empty));
+            var successfulOperations = totalAuditLogs - failedOperations;
 
-            var avgExecutionDuration = filteredLogs.Any() 
-                ? filteredLogs.Average(x => (double)x.ExecutionDuration) 
+            var avgExecutionDuration = totalAuditLogs > 0
+                ? await AsyncExecuter.AverageAsync(rangeLogs.Select(x => (double)x.ExecutionDuration))
                 : 0;
 
-            var uniqueUsers = filteredLogs
+            var uniqueUsers = await AsyncExecuter.CountAsync(rangeLogs
                 .Where(x => x.UserId != null)
                 .Select(x => x.UserId)
-                .Distinct()
-                .Count();
+                .Distinct());
 
-            var uniqueServices = filteredLogs
-                .SelectMany(x => x.Actions ?? new List<AuditLogAction>())
+            var uniqueServices = await AsyncExecuter.CountAsync(rangeLogs
+                .SelectMany(x => x.Actions)
                 .Select(x => x.ServiceName)
-                .Where(x => !string.IsNullOrEmpty(x))
-                .Distinct()
-                .Count();
+                .Where(x => x != null && x != string.Empty)
+                .Distinct());
 
             return new AuditLogStatisticsDto
             {
-                TotalAuditLogs = allAuditLogs.Count,
+                TotalAuditLogs = totalAuditLogs,
                 TodayAuditLogs = todayLogs,
                 SuccessfulOperations = successfulOperations,
                 FailedOperations = failedOperations,
@@ -445,16 +482,16 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
 
         try
         {
-            var auditLogs = await _auditLogRepository.GetListAsync(includeDetails: true);
-
-            var filteredLogs = ApplyAuditLogSearchFilters(auditLogs.AsQueryable(), request);
+            var filteredLogs = await GetFilteredAuditLogsAsync(request);
+            var thresholds = await _thresholdProvider.GetAsync();
 
-            var totalCount = filteredLogs.Count();
-            var pagedLogs = filteredLogs
+            var totalCount = await AsyncExecuter.CountAsync(filteredLogs);
+            var pageLogs = await AsyncExecuter.ToListAsync(filteredLogs
                 .OrderByDescending(x => x.ExecutionTime)
                 .Skip((request.Page - 1) * request.PageSize)
-                .Take(request.PageSize)
-                .Select(x => MapToRecentAuditLogDto(x))
+                .Take(request.PageSize));
+            var pagedLogs = pageLogs
+                .Select(x => MapToRecentAuditLogDto(x, thresholds))
                 .ToList();
 
             return new AuditLogSearchResponseDto(totalCount, pagedLogs, request.Page, request.PageSize);
@@ -488,17 +525,18 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
                 filteredLogs = filteredLogs.Where(x => x.ExecutionTime <= request.ToDate.Value);
 
             if (!string.IsNullOrWhiteSpace(request.UserId))
-                filteredLogs = filteredLogs.Where(x => x.UserId != null && x.UserId.ToString() == request.UserId);
+                filteredLogs = ApplyUserFilter(filteredLogs, request.UserId);
 
             if (request.HasException.HasValue)
                 filteredLogs = filteredLogs.Where(x => request.HasException.Value ? !string.IsNullOrEmpty(x.Exceptions) : string.IsNullOrEmpty(x.Exceptions));
 
+            var thresholds = await _thresholdProvider.GetAsync();
             var totalCount = filteredLogs.Count();
             var result = filteredLogs
                 .OrderByDescending(x => x.ExecutionTime)
                 .Skip(skip)
                 .Take(take)
-                .Select(x => MapToRecentAuditLogDto(x))
+                .Select(x => MapToRecentAuditLogDto(x, thresholds))
                 .ToList();
 
             return new PaginatedResponse<RecentAuditLogDto>
@@ -526,35 +564,47 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
 
         try
         {
-            var searchRequest = new AuditLogSearchRequestDto
-            {
-                FromDate = request.FromDate,
-                ToDate = request.ToDate,
-                UserId = request.UserId,
-                ServiceName = request.ServiceName,
-                MethodName = request.MethodName,
-                HttpMethod = request.HttpMethod,
-                MinDuration = request.MinDuration,
-                MaxDuration = request.MaxDuration,
-                HasException = request.HasException,
-                ClientIp = request.ClientIp,
-                Page = 1,
-                PageSize = request.MaxRecords
-            };
+            var thresholds = await _thresholdProvider.GetAsync();
+            var filteredLogs = await GetFilteredAuditLogsAsync(ToAuditLogSearchRequest(request));
+            var auditLogs = (await AsyncExecuter.ToListAsync(filteredLogs
+                    .OrderByDescending(x => x.ExecutionTime)
+                    .Take(request.MaxRecords)))
+                .Select(x => MapToRecentAuditLogDto(x, thresholds))
+                .ToList();
+
+            return _exportFileWriter.Write(auditLogs, request.Columns, GetAuditLogExportValue, request.Format, "Audit Logs");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error exporting audit logs");
+            throw new UserFriendlyException("Failed to export audit logs. Please try again.");
+        }
+    }
 
-            var searchResult = await SearchAuditLogsAsync(searchRequest);
+    [Authorize(ERPPlatformPermissions.AuditLogs.Export)]
+    public virtual async Task<ExportPreviewDto> GetAuditLogExportPreviewAsync(ExportAuditLogsRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+        
+        request.ValidateAndSetDefaults();
 
-            return request.Format.ToLower() switch
+        try
+        {
+            var totalCount = await AsyncExecuter.CountAsync(await GetFilteredAuditLogsAsync(ToAuditLogSearchRequest(request)));
+
+            return new ExportPreviewDto
             {
-                LogAnalyticsDashboardConstants.ExportFormats.Json => await ExportAuditLogsAsJsonAsync(searchResult.Items),
-                LogAnalyticsDashboardConstants.ExportFormats.Csv => await ExportAuditLogsAsCsvAsync(searchResult.Items),
-                _ => await ExportAuditLogsAsCsvAsync(searchResult.Items)
+                TotalCount = totalCount,
+                ExportCount = Math.Min(totalCount, request.MaxRecords),
+                MaxRecords = request.MaxRecords,
+                Format = request.Format,
+                Columns = request.Columns
             };
         }
         catch (Exception ex)
         {
-            Logger.LogError(ex, "Error exporting audit logs");
-            throw new UserFriendlyException("Failed to export audit logs. Please try again.");
+            Logger.LogError(ex, "Error previewing audit log export");
+            throw new UserFriendlyException("Failed to preview audit log export. Please try again.");
         }
     }
 
@@ -630,6 +680,7 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             var auditLogs = await _auditLogRepository.GetListAsync(
                 x => x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified,
                 includeDetails: true);
+            var thresholds = await _thresholdProvider.GetAsync();
 
             var methodCounts = auditLogs
                 .Where(x => x.Actions != null && x.Actions.Any())
@@ -648,6 +699,8 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
                 .OrderByDescending(x => x.CallCount)
                 .Take(request.Count)
                 .ToList();
+            methodCounts.ForEach(x => x.HasPerformanceIssues =
+                thresholds.IsSlowOperation(x.AvgDuration) || x.FailureRate > thresholds.ErrorRateWarning);
 
             return new PaginatedResponse<AuditLogMethodCountDto>
             {
@@ -665,51 +718,350 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         }
     }
 
+    [Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
+    public virtual async Task<List<ApiEndpointStatsDto>> GetApiEndpointStatsAsync(ApiEndpointStatsRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+        
+        request.ValidateAndSetDefaults();
+
+        try
+        {
+            var (fromDate, toDate) = _dashboardHelper.ValidateDateRange(request.FromDate, request.ToDate);
+            
+            // Convert DateTime to unspecified kind to avoid PostgreSQL issues
+            var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+            var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+
+            var queryable = await _auditLogRepository.GetQueryableAsync();
+            queryable = queryable.Where(x => x.Url != null && x.HttpMethod != null &&
+                                             x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified);
+
+            if (!string.IsNullOrWhiteSpace(request.HttpMethod))
+            {
+                var httpMethod = request.HttpMethod.Trim().ToUpperInvariant();
+                queryable = queryable.Where(x => x.HttpMethod == httpMethod);
+            }
+
+            // Aggregate per exact URL and status in the database, then merge URLs that share a route in memory
+            var urlStats = await AsyncExecuter.ToListAsync(queryable
+                .GroupBy(x => new { x.HttpMethod, x.Url, x.HttpStatusCode })
+                .Select(g => new
+                {
+                    g.Key.HttpMethod,
+                    g.Key.Url,
+                    g.Key.HttpStatusCode,
+                    CallCount = g.Count(),
+                    ExceptionCount = g.Count(x => x.Exceptions != null && x.Exceptions != ""),
+                    TotalDuration = g.Sum(x => (long)x.ExecutionDuration),
+                    MaxDuration = g.Max(x => x.ExecutionDuration),
+                    LastCalled = g.Max(x => x.ExecutionTime)
+                }));
+            var thresholds = await _thresholdProvider.GetAsync();
+
+            var endpointStats = urlStats
+                .GroupBy(x => new
+                {
+                    HttpMethod = x.HttpMethod!.ToUpperInvariant(),
+                    Route = _dashboardHelper.NormalizeEndpointRoute(x.Url)
+                })
+                .Select(g =>
+                {
+                    var callCount = g.Sum(x => x.CallCount);
+                    
+                    // A call fails when it threw or returned an error status
+                    var failureCount = g.Sum(x => x.HttpStatusCode >= 400 ? x.CallCount : x.ExceptionCount);
+                    var avgDuration = callCount > 0 ? Math.Round((double)g.Sum(x => x.TotalDuration) / callCount, 2) : 0;
+
+                    return new ApiEndpointStatsDto
+                    {
+                        HttpMethod = g.Key.HttpMethod,
+                        Route = g.Key.Route,
+                        CallCount = callCount,
+                        FailureCount = failureCount,
+                        AvgDuration = avgDuration,
+                        HealthStatus = callCount > 0
+                            ? thresholds.GetHealthStatus(null, _dashboardHelper.CalculatePercentage(failureCount, callCount), null, avgDuration)
+                            : LogAnalyticsDashboardConstants.HealthStatus.Unknown,
+                        MaxDuration = g.Max(x => x.MaxDuration),
+                        LastCalled = g.Max(x => x.LastCalled),
+                        StatusCodes = g
+                            .Where(x => x.HttpStatusCode.HasValue)
+                            .GroupBy(x => x.HttpStatusCode!.Value)
+                            .OrderBy(x => x.Key)
+                            .ToDictionary(x => x.Key, x => x.Sum(y => y.CallCount))
+                    };
+                })
+                .OrderByDescending(x => x.CallCount)
+                .Take(request.Count)
+                .ToList();
+
+            return endpointStats;
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error getting API endpoint statistics");
+            throw new UserFriendlyException("Failed to get API endpoint statistics. Please try again.");
+        }
+    }
+
     #endregion
 
     #region Private Helper Methods
 
-    protected virtual IQueryable<RecentLogEntryDto> ApplyLogSearchFilters(IQueryable<RecentLogEntryDto> logs, LogSearchRequestDto request)
+    /// <summary>
+    /// Builds the query of audit log actions matching the filters; counting and paging are left to the caller
+    /// </summary>
+    protected virtual async Task<IQueryable<AuditLogActionRow>> GetFilteredLogEntryRowsAsync(RecentLogsRequestDto request)
     {
-        if (request.FromDate.HasValue)
-            logs = logs.Where(l => l.Timestamp >= request.FromDate.Value);
+        var queryable = await _auditLogRepository.GetQueryableAsync();
+        return ApplyRecentLogsFilters(
+            queryable.SelectMany(auditLog => auditLog.Actions, (auditLog, action) => new AuditLogActionRow { AuditLog = auditLog, Action = action }),
+            request);
+    }
 
-        if (request.ToDate.HasValue)
-            logs = logs.Where(l => l.Timestamp <= request.ToDate.Value);
+    /// <summary>
+    /// Loads one page of the rows, newest first, as log entries
+    /// </summary>
+    protected virtual async Task<List<RecentLogEntryDto>> GetLogEntriesAsync(IQueryable<AuditLogActionRow> rows, int skip, int take)
+    {
+        var pageRows = await AsyncExecuter.ToListAsync(rows
+            .OrderByDescending(x => x.AuditLog.ExecutionTime)
+            .ThenByDescending(x => x.Action.Id)
+            .Skip(skip)
+            .Take(take));
+
+        return pageRows
+            .Select(x => _dashboardHelper.MapToRecentLogEntryDto(x.AuditLog, x.Action))
+            .ToList();
+    }
 
-        if (request.LogLevels.Any())
-            logs = logs.Where(l => request.LogLevels.Contains(l.Level));
+    /// <summary>
+    /// Builds the query of audit logs, with their actions, matching the search filters; counting and paging are left to the caller
+    /// </summary>
+    protected virtual async Task<IQueryable<AuditLog>> GetFilteredAuditLogsAsync(AuditLogSearchRequestDto request)
+    {
+        var queryable = await _auditLogRepository.WithDetailsAsync(x => x.Actions);
+        return ApplyAuditLogSearchFilters(queryable, request);
+    }
 
-        if (request.Applications.Any())
-            logs = logs.Where(l => request.Applications.Contains(l.Application));
+    private static MetricComparisonDto CreateMetricComparison(string metric, double current, double previous)
+    {
+        return new MetricComparisonDto
+        {
+            Metric = metric,
+            Current = current,
+            Previous = previous,
+            ChangePercent = previous == 0
+                ? (current == 0 ? 0 : null)
+                : Math.Round((current - previous) / previous * 100, 1)
+        };
+    }
 
-        if (!string.IsNullOrWhiteSpace(request.SearchText))
+    /// <summary>
+    /// Pairs each bucket of the current window with the bucket one offset earlier; buckets without logs in either window count as zero
+    /// </summary>
+    private static List<HourlyComparisonDto> AlignHourlyCounts(
+        List<HourlyLogCountDto> current,
+        List<HourlyLogCountDto> previous,
+        TimeSpan offset)
+    {
+        var currentByHour = current.ToDictionary(x => x.Hour);
+        var previousByHour = previous.ToDictionary(x => x.Hour);
+
+        return current.Select(x => x.Hour)
+            .Union(previous.Select(x => x.Hour + offset))
+            .OrderBy(x => x)
+            .Select(hour =>
+            {
+                currentByHour.TryGetValue(hour, out var currentCount);
+                previousByHour.TryGetValue(hour - offset, out var previousCount);
+
+                return new HourlyComparisonDto
+                {
+                    Hour = hour,
+                    PreviousHour = hour - offset,
+                    TotalCount = currentCount?.TotalCount ?? 0,
+                    ErrorCount = currentCount?.ErrorCount ?? 0,
+                    PreviousTotalCount = previousCount?.TotalCount ?? 0,
+                    PreviousErrorCount = previousCount?.ErrorCount ?? 0
+                };
+            })
+            .ToList();
+    }
+
+    private static RecentLogsRequestDto ToRecentLogsRequest(LogSearchRequestDto request)
+    {
+        return new RecentLogsRequestDto
         {
-            var searchText = request.SearchText.ToLower();
-            logs = logs.Where(l => l.Message.ToLower().Contains(searchText));
-        }
+            FromDate = request.FromDate,
+            ToDate = request.ToDate,
+            LogLevels = request.LogLevels,
+            Applications = request.Applications,
+            SearchText = request.SearchText,
+            UserId = request.UserId,
+            PathPrefix = request.PathPrefix,
+            MinDuration = request.MinDuration,
+            MaxDuration = request.MaxDuration
+        };
+    }
 
-        if (!string.IsNullOrWhiteSpace(request.UserId))
-            logs = logs.Where(l => l.UserId == request.UserId);
+    private static RecentLogsRequestDto ToRecentLogsRequest(ExportLogsRequestDto request)
+    {
+        return new RecentLogsRequestDto
+        {
+            FromDate = request.FromDate,
+            ToDate = request.ToDate,
+            LogLevels = request.LogLevels,
+            Applications = request.Applications,
+            SearchText = request.SearchText,
+            UserId = request.UserId,
+            PathPrefix = request.PathPrefix,
+            MinDuration = request.MinDuration,
+            MaxDuration = request.MaxDuration
+        };
+    }
 
-        return logs;
+    private static AuditLogSearchRequestDto ToAuditLogSearchRequest(ExportAuditLogsRequestDto request)
+    {
+        return new AuditLogSearchRequestDto
+        {
+            FromDate = request.FromDate,
+            ToDate = request.ToDate,
+            UserId = request.UserId,
+            ServiceName = request.ServiceName,
+            MethodName = request.MethodName,
+            HttpMethod = request.HttpMethod,
+            MinDuration = request.MinDuration,
+            MaxDuration = request.MaxDuration,
+            HasException = request.HasException,
+            ClientIp = request.ClientIp
+        };
+    }
+
+    private static object? GetLogExportValue(RecentLogEntryDto log, string column)
+    {
+        return column switch
+        {
+            LogAnalyticsDashboardConstants.ExportColumns.Timestamp => log.Timestamp,
+            LogAnalyticsDashboardConstants.ExportColumns.Level => log.Level,
+            LogAnalyticsDashboardConstants.ExportColumns.Application => log.Application,
+            LogAnalyticsDashboardConstants.ExportColumns.Message => log.Message,
+            LogAnalyticsDashboardConstants.ExportColumns.UserId => log.UserId,
+            LogAnalyticsDashboardConstants.ExportColumns.RequestPath => log.Properties.TryGetValue("RequestPath", out var path) ? path?.ToString() : null,
+            LogAnalyticsDashboardConstants.ExportColumns.HttpStatusCode => log.HttpStatusCode,
+            LogAnalyticsDashboardConstants.ExportColumns.Duration => log.ExecutionDuration,
+            LogAnalyticsDashboardConstants.ExportColumns.ServiceName => log.ServiceName,
+            LogAnalyticsDashboardConstants.ExportColumns.MethodName => log.MethodName,
+            LogAnalyticsDashboardConstants.ExportColumns.Exception => log.Exception,
+            _ => null
+        };
     }
 
-    protected virtual IQueryable<RecentLogEntryDto> ApplyRecentLogsFilters(IQueryable<RecentLogEntryDto> logs, RecentLogsRequestDto request)
+    private static object? GetAuditLogExportValue(RecentAuditLogDto log, string column)
+    {
+        return column switch
+        {
+            AuditLogConstants.ExportColumns.ExecutionTime => log.ExecutionTime,
+            AuditLogConstants.ExportColumns.UserId => log.UserId,
+            AuditLogConstants.ExportColumns.UserName => log.UserName,
+            AuditLogConstants.ExportColumns.ServiceName => log.ServiceName,
+            AuditLogConstants.ExportColumns.MethodName => log.MethodName,
+            AuditLogConstants.ExportColumns.ExecutionDuration => log.ExecutionDuration,
+            AuditLogConstants.ExportColumns.ClientIpAddress => log.ClientIpAddress,
+            AuditLogConstants.ExportColumns.HttpMethod => log.HttpMethod,
+            AuditLogConstants.ExportColumns.Url => log.Url,
+            AuditLogConstants.ExportColumns.HttpStatusCode => log.HttpStatusCode,
+            AuditLogConstants.ExportColumns.HasException => log.HasException,
+            AuditLogConstants.ExportColumns.Exception => log.Exception,
+            _ => null
+        };
+    }
+
+    /// <summary>
+    /// Applies the recent logs and search filters in the database; the level and application conditions mirror
+    /// GetLogLevelFromAuditLog and GetApplicationNameFromService of the dashboard helper
+    /// </summary>
+    protected virtual IQueryable<AuditLogActionRow> ApplyRecentLogsFilters(IQueryable<AuditLogActionRow> rows, RecentLogsRequestDto request)
     {
         if (request.FromDate.HasValue)
-            logs = logs.Where(l => l.Timestamp >= request.FromDate.Value);
+        {
+            var fromDateUnspecified = DateTime.SpecifyKind(request.FromDate.Value, DateTimeKind.Unspecified);
+            rows = rows.Where(x => x.AuditLog.ExecutionTime >= fromDateUnspecified);
+        }
 
         if (request.ToDate.HasValue)
-            logs = logs.Where(l => l.Timestamp <= request.ToDate.Value);
+        {
+            var toDateUnspecified = DateTime.SpecifyKind(request.ToDate.Value, DateTimeKind.Unspecified);
+            rows = rows.Where(x => x.AuditLog.ExecutionTime <= toDateUnspecified);
+        }
 
         if (request.LogLevels.Any())
-            logs = logs.Where(l => request.LogLevels.Contains(l.Level));
+        {
+            var errors = request.LogLevels.Contains(LogAnalyticsDashboardConstants.LogLevels.Error);
+            var warnings = request.LogLevels.Contains(LogAnalyticsDashboardConstants.LogLevels.Warning);
+            var information = request.LogLevels.Contains(LogAnalyticsDashboardConstants.LogLevels.Information);
+
+            rows = rows.Where(x =>
+                (errors && ((x.AuditLog.Exceptions != null && x.AuditLog.Exceptions != "") || x.AuditLog.HttpStatusCode >= 500)) ||
+                (warnings && (x.AuditLog.Exceptions == null || x.AuditLog.Exceptions == "") &&
+                    x.AuditLog.HttpStatusCode >= 400 && x.AuditLog.HttpStatusCode < 500) ||
+                (information && (x.AuditLog.Exceptions == null || x.AuditLog.Exceptions == "") &&
+                    (x.AuditLog.HttpStatusCode == null || x.AuditLog.HttpStatusCode < 400)));
+        }
 
         if (request.Applications.Any())
-            logs = logs.Where(l => request.Applications.Contains(l.Application));
+        {
+            var httpApiHost = request.Applications.Contains(LogAnalyticsDashboardConstants.Applications.HttpApiHost);
+            var application = request.Applications.Contains(LogAnalyticsDashboardConstants.Applications.Application);
+            var web = request.Applications.Contains(LogAnalyticsDashboardConstants.Applications.Web);
+            var authServer = request.Applications.Contains(LogAnalyticsDashboardConstants.Applications.AuthServer);
+
+            rows = rows.Where(x =>
+                (httpApiHost && x.Action.ServiceName != null && x.Action.ServiceName.Contains("Controller")) ||
+                (application && (x.Action.ServiceName == null ||
+                    (!x.Action.ServiceName.Contains("Controller") &&
+                        (x.Action.ServiceName.Contains("AppService") || x.Action.ServiceName.Contains("Application") ||
+                            (!x.Action.ServiceName.Contains("Web") && !x.Action.ServiceName.Contains("Pages") && !x.Action.ServiceName.Contains("AuthServer")))))) ||
+                (web && x.Action.ServiceName != null && !x.Action.ServiceName.Contains("Controller") &&
+                    !x.Action.ServiceName.Contains("AppService") && !x.Action.ServiceName.Contains("Application") &&
+                    (x.Action.ServiceName.Contains("Web") || x.Action.ServiceName.Contains("Pages"))) ||
+                (authServer && x.Action.ServiceName != null && !x.Action.ServiceName.Contains("Controller") &&
+                    !x.Action.ServiceName.Contains("AppService") && !x.Action.ServiceName.Contains("Application") &&
+                    !x.Action.ServiceName.Contains("Web") && !x.Action.ServiceName.Contains("Pages") &&
+                    x.Action.ServiceName.Contains("AuthServer")));
+        }
 
-        return logs;
+        // The message of an audit entry is "ServiceName.MethodName"
+        if (!string.IsNullOrWhiteSpace(request.SearchText))
+        {
+            var searchText = request.SearchText.ToLower();
+            rows = rows.Where(x => (x.Action.ServiceName + "." + x.Action.MethodName).ToLower().Contains(searchText));
+        }
+
+        if (!string.IsNullOrWhiteSpace(request.UserId))
+        {
+            // A Guid is matched against the user id and anything else against the user name
+            var userId = Guid.TryParse(request.UserId, out var parsedUserId) ? parsedUserId : (Guid?)null;
+            var userName = request.UserId.Trim().ToLower();
+            rows = userId.HasValue
+                ? rows.Where(x => x.AuditLog.UserId == userId)
+                : rows.Where(x => x.AuditLog.UserName != null && x.AuditLog.UserName.ToLower() == userName);
+        }
+
+        if (!string.IsNullOrWhiteSpace(request.PathPrefix))
+        {
+            var pathPrefix = request.PathPrefix.ToLower();
+            rows = rows.Where(x => x.AuditLog.Url != null && x.AuditLog.Url.ToLower().StartsWith(pathPrefix));
+        }
+
+        if (request.MinDuration.HasValue)
+            rows = rows.Where(x => x.AuditLog.ExecutionDuration >= request.MinDuration.Value);
+
+        if (request.MaxDuration.HasValue)
+            rows = rows.Where(x => x.AuditLog.ExecutionDuration <= request.MaxDuration.Value);
+
+        return rows;
     }
 
     protected virtual IQueryable<AuditLog> ApplyAuditLogSearchFilters(IQueryable<AuditLog> logs, AuditLogSearchRequestDto request)
@@ -727,13 +1079,13 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         }
 
         if (!string.IsNullOrWhiteSpace(request.UserId))
-            logs = logs.Where(x => x.UserId != null && x.UserId.ToString() == request.UserId);
+            logs = ApplyUserFilter(logs, request.UserId);
 
         if (!string.IsNullOrWhiteSpace(request.ServiceName))
-            logs = logs.Where(x => x.Actions != null && x.Actions.Any(a => a.ServiceName != null && a.ServiceName.Contains(request.ServiceName)));
+            logs = logs.Where(x => x.Actions.Any(a => a.ServiceName != null && a.ServiceName.Contains(request.ServiceName)));
 
         if (!string.IsNullOrWhiteSpace(request.MethodName))
-            logs = logs.Where(x => x.Actions != null && x.Actions.Any(a => a.MethodName != null && a.MethodName.Contains(request.MethodName)));
+            logs = logs.Where(x => x.Actions.Any(a => a.MethodName != null && a.MethodName.Contains(request.MethodName)));
 
         if (!string.IsNullOrWhiteSpace(request.HttpMethod))
             logs = logs.Where(x => x.HttpMethod == request.HttpMethod);
@@ -745,7 +1097,11 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             logs = logs.Where(x => x.ExecutionDuration <= request.MaxDuration.Value);
 
         if (request.HasException.HasValue)
-            logs = logs.Where(x => request.HasException.Value ? !string.IsNullOrEmpty(x.Exceptions) : string.IsNullOrEmpty(x.Exceptions));
+        {
+            logs = request.HasException.Value
+                ? logs.Where(x => x.Exceptions != null && x.Exceptions != "")
+                : logs.Where(x => x.Exceptions == null || x.Exceptions == "");
+        }
 
         if (!string.IsNullOrWhiteSpace(request.ClientIp))
             logs = logs.Where(x => x.ClientIpAddress != null && x.ClientIpAddress.Contains(request.ClientIp));
@@ -753,7 +1109,19 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         return logs;
     }
 
-    protected virtual RecentAuditLogDto MapToRecentAuditLogDto(AuditLog auditLog)
+    /// <summary>
+    /// Matches a Guid against the user id and anything else against the user name, ignoring case
+    /// </summary>
+    protected virtual IQueryable<AuditLog> ApplyUserFilter(IQueryable<AuditLog> logs, string user)
+    {
+        if (Guid.TryParse(user, out var userId))
+            return logs.Where(x => x.UserId == userId);
+
+        var userName = user.Trim().ToLower();
+        return logs.Where(x => x.UserName != null && x.UserName.ToLower() == userName);
+    }
+
+    protected virtual RecentAuditLogDto MapToRecentAuditLogDto(AuditLog auditLog, LogAnalyticsThresholdsDto thresholds)
     {
         return new RecentAuditLogDto
         {
@@ -769,7 +1137,9 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             Url = auditLog.Url,
             HttpStatusCode = auditLog.HttpStatusCode,
             HasException = !string.IsNullOrEmpty(auditLog.Exceptions),
-            Exception = auditLog.Exceptions
+            Exception = auditLog.Exceptions,
+            CorrelationId = auditLog.CorrelationId,
+            IsSlowOperation = _dashboardHelper.IsSlowOperation(auditLog.ExecutionDuration, thresholds)
         };
     }
 
@@ -781,11 +1151,15 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
         var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
         
-        var auditLogsForStats = await _auditLogRepository.GetListAsync(
-            x => x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified);
+        var thresholds = await _thresholdProvider.GetAsync();
+        var slowOperationThreshold = thresholds.SlowOperationThreshold;
 
-        var errorCount = auditLogsForStats.Count(x => x.HttpStatusCode.HasValue &&
-            x.HttpStatusCode >= 400 && x.HttpStatusCode < 600);
+        var errorCount = await _auditLogRepository.CountAsync(x =>
+            x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified &&
+            x.HttpStatusCode.HasValue && x.HttpStatusCode >= 400 && x.HttpStatusCode < 600);
+        var slowOperations = await _auditLogRepository.CountAsync(x =>
+            x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified &&
+            x.ExecutionDuration > slowOperationThreshold);
 
         return new LogStatisticsDto
         {
@@ -795,7 +1169,7 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
             WarningCount = Math.Max(0, auditStats.TotalAuditLogs - auditStats.FailedOperations - auditStats.SuccessfulOperations),
             InfoCount = auditStats.SuccessfulOperations,
             AvgResponseTime = auditStats.AvgExecutionDuration,
-            SlowOperations = auditLogsForStats.Count(x => _dashboardHelper.IsSlowOperation(x.ExecutionDuration)),
+            SlowOperations = slowOperations,
             SecurityEvents = auditStats.UniqueUsers,
             TotalAuditLogs = auditStats.TotalAuditLogs,
             TodayAuditLogs = auditStats.TodayAuditLogs,
@@ -861,23 +1235,30 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         };
     }
 
-    protected virtual async Task<List<HourlyLogCountDto>> GetHourlyTrendsAsync(DateTime fromDate, DateTime toDate)
+    protected virtual async Task<List<HourlyLogCountDto>> GetHourlyTrendsAsync(DateTime fromDate, DateTime toDate, TrendBucket bucket)
     {
-        var last24Hours = DateTime.UtcNow.AddHours(-24);
         // Convert DateTime to unspecified kind to avoid PostgreSQL issues
-        var last24HoursUnspecified = DateTime.SpecifyKind(last24Hours, DateTimeKind.Unspecified);
-        var auditLogs = await _auditLogRepository.GetListAsync(x => x.ExecutionTime >= last24HoursUnspecified);
+        var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+        var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
 
-        if (!auditLogs.Any())
+        // Only the columns the trend needs are loaded, since the whole range is covered
+        var queryable = await _auditLogRepository.GetQueryableAsync();
+        var executions = await AsyncExecuter.ToListAsync(queryable
+            .Where(x => x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified)
+            .Select(x => new { x.ExecutionTime, HasError = x.Exceptions != null && x.Exceptions != "" }));
+
+        if (!executions.Any())
         {
             return new List<HourlyLogCountDto>();
         }
 
-        return _dashboardHelper.GroupByHour(
-            auditLogs,
+        return _dashboardHelper.GroupByBucket(
+            executions,
             x => x.ExecutionTime,
-            x => !string.IsNullOrEmpty(x.Exceptions),
-            24);
+            x => x.HasError,
+            bucket,
+            fromDate,
+            toDate);
     }
 
     protected virtual async Task<List<RecentLogEntryDto>> GetRecentLogsForDashboardAsync(int count)
@@ -887,28 +1268,65 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         return result.Items;
     }
 
-    protected virtual async Task<List<TopErrorDto>> GetTopErrorsAsync(int count)
+    protected virtual async Task<List<TopErrorDto>> GetTopErrorsAsync(DateTime fromDate, DateTime toDate, int count)
     {
-        var auditLogs = await _auditLogRepository.GetListAsync(
-            x => !string.IsNullOrEmpty(x.Exceptions),
-            includeDetails: true);
+        var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+        var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+
+        // Only the most recent failures of the range are fingerprinted; older ones rarely change the top groups,
+        // and the groups are flagged when the range had more
+        var queryable = await _auditLogRepository.WithDetailsAsync(x => x.Actions);
+        var auditLogs = await AsyncExecuter.ToListAsync(queryable
+            .Where(x => x.Exceptions != null && x.Exceptions != "" &&
+                        x.ExecutionTime >= fromDateUnspecified && x.ExecutionTime <= toDateUnspecified)
+            .OrderByDescending(x => x.ExecutionTime)
+            .Take(LogAnalyticsDashboardConstants.ErrorGrouping.MaxSampleSize + 1));
 
         if (!auditLogs.Any())
         {
             return new List<TopErrorDto>();
         }
 
+        var isSampled = auditLogs.Count > LogAnalyticsDashboardConstants.ErrorGrouping.MaxSampleSize;
         var errorGroups = auditLogs
-            .GroupBy(x => _dashboardHelper.ExtractExceptionMessage(x.Exceptions))
-            .Select(g => new TopErrorDto
+            .Take(LogAnalyticsDashboardConstants.ErrorGrouping.MaxSampleSize)
+            .Select(x => new
             {
-                ErrorMessage = g.Key ?? "Unknown Error",
-                ExceptionType = _dashboardHelper.ExtractExceptionType(g.First().Exceptions),
-                Count = g.Count(),
-                LastOccurrence = g.Max(x => x.ExecutionTime),
-                AffectedApplications = new List<string> { LogAnalyticsDashboardConstants.Applications.Application }
+                AuditLog = x,
+                Fingerprint = _fingerprintHelper.CreateFingerprint(x.Exceptions)
+            })
+            .GroupBy(x => x.Fingerprint.Key)
+            .Select(g =>
+            {
+                var latest = g.First().Fingerprint;
+                return new TopErrorDto
+                {
+                    Fingerprint = g.Key,
+                    ErrorMessage = latest.Message,
+                    ExceptionType = latest.ExceptionType,
+                    TopFrame = latest.TopFrame,
+                    Count = g.Count(),
+                    FirstOccurrence = g.Min(x => x.AuditLog.ExecutionTime),
+                    LastOccurrence = g.Max(x => x.AuditLog.ExecutionTime),
+                    AffectedApplications = g
+                        .Select(x => !string.IsNullOrEmpty(x.AuditLog.ApplicationName)
+                            ? x.AuditLog.ApplicationName!
+                            : _dashboardHelper.GetApplicationNameFromService(x.AuditLog.Actions?.FirstOrDefault()?.ServiceName))
+                        .Distinct()
+                        .ToList(),
+                    AffectedEndpoints = g
+                        .Where(x => !string.IsNullOrEmpty(x.AuditLog.Url))
+                        .Select(x => _fingerprintHelper.FormatEndpoint(x.AuditLog.HttpMethod, x.AuditLog.Url))
+                        .Distinct()
+                        .Take(LogAnalyticsDashboardConstants.ErrorGrouping.MaxAffectedEndpoints)
+                        .ToList(),
+                    HourlyCounts = _fingerprintHelper.BuildHourlyTrend(
+                        g.Select(x => x.AuditLog.ExecutionTime), toDate, LogAnalyticsDashboardConstants.ErrorGrouping.TrendHours),
+                    IsSampled = isSampled
+                };
             })
             .OrderByDescending(x => x.Count)
+            .ThenByDescending(x => x.LastOccurrence)
             .Take(count)
             .ToList();
 
@@ -952,61 +1370,15 @@ public class AuditAnalyticsAppService : ApplicationService, IAuditAnalyticsAppSe
         return result.Items;
     }
 
-    protected virtual async Task<byte[]> ExportLogsAsJsonAsync(IReadOnlyList<RecentLogEntryDto> logs)
-    {
-        return await Task.FromResult(Encoding.UTF8.GetBytes(JsonSerializer.Serialize(logs, new JsonSerializerOptions
-        {
-            WriteIndented = true
-        })));
-    }
-
-    protected virtual async Task<byte[]> ExportLogsAsCsvAsync(IReadOnlyList<RecentLogEntryDto> logs)
-    {
-        var csv = new StringBuilder();
-        csv.AppendLine("Timestamp,Level,Application,Message,UserId,Exception");
-
-        foreach (var log in logs)
-        {
-            csv.AppendLine($"\"{_dashboardHelper.FormatDateForExport(log.Timestamp)}\"," +
-                          $"\"{log.Level}\"," +
-                          $"\"{log.Application}\"," +
-                          $"\"{_dashboardHelper.EscapeCsvValue(log.Message)}\"," +
-                          $"\"{log.UserId}\"," +
-                          $"\"{_dashboardHelper.EscapeCsvValue(log.Exception)}\"");
-        }
-
-        return await Task.FromResult(Encoding.UTF8.GetBytes(csv.ToString()));
-    }
-
-    protected virtual async Task<byte[]> ExportAuditLogsAsJsonAsync(IReadOnlyList<RecentAuditLogDto> logs)
-    {
-        return await Task.FromResult(Encoding.UTF8.GetBytes(JsonSerializer.Serialize(logs, new JsonSerializerOptions
-        {
-            WriteIndented = true
-        })));
-    }
+    #endregion
 
-    protected virtual async Task<byte[]> ExportAuditLogsAsCsvAsync(IReadOnlyList<RecentAuditLogDto> logs)
+    /// <summary>
+    /// An audit log action together with its audit log, so both can be filtered and paged in one query
+    /// </summary>
+    protected class AuditLogActionRow
     {
-        var csv = new StringBuilder();
-        csv.AppendLine("ExecutionTime,UserId,UserName,ServiceName,MethodName,ExecutionDuration,ClientIpAddress,HttpMethod,HttpStatusCode,HasException");
+        public AuditLog AuditLog { get; set; } = null!;
 
-        foreach (var log in logs)
-        {
-            csv.AppendLine($"\"{_dashboardHelper.FormatDateForExport(log.ExecutionTime)}\"," +
-                          $"\"{log.UserId}\"," +
-                          $"\"{_dashboardHelper.EscapeCsvValue(log.UserName)}\"," +
-                          $"\"{log.ServiceName}\"," +
-                          $"\"{log.MethodName}\"," +
-                          $"\"{log.ExecutionDuration}\"," +
-                          $"\"{log.ClientIpAddress}\"," +
-                          $"\"{log.HttpMethod}\"," +
-                          $"\"{log.HttpStatusCode}\"," +
-                          $"\"{log.HasException}\"");
-        }
-
-        return await Task.FromResult(Encoding.UTF8.GetBytes(csv.ToString()));
+        public AuditLogAction Action { get; set; } = null!;
     }
-
-    #endregion
 }
\ No newline at end of file
@@ -0,0 +1,195 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Logging;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.LogAnalytics.Helpers;
+
+/// <summary>
+/// Identity of an error group: errors with the same exception type, top application stack frame
+/// and message pattern share a fingerprint even when ids, timestamps or numbers in the message differ
+/// </summary>
+public class ErrorFingerprint
+{
+    public string Key { get; init; } = string.Empty;
+    public string? ExceptionType { get; init; }
+    public string? TopFrame { get; init; }
+    public string? MessageTemplate { get; init; }
+
+    /// <summary>
+    /// Exception (or log) message with volatile tokens replaced by placeholders
+    /// </summary>
+    public string Message { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Helper service for fingerprinting errors so that Top Errors groups recurring failures together
+/// </summary>
+public class ErrorFingerprintHelper : ITransientDependency
+{
+    private const string ApplicationNamespacePrefix = "ERPPlatform.";
+    private const int MaxMessageLength = 500;
+
+    private static readonly Regex GuidRegex = new(
+        @"\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\b", RegexOptions.Compiled);
+    private static readonly Regex TimestampRegex = new(
+        @"\b\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?\b", RegexOptions.Compiled);
+    private static readonly Regex IpAddressRegex = new(
+        @"\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b", RegexOptions.Compiled);
+    private static readonly Regex HexRegex = new(
+        @"\b(0x[0-9a-fA-F]+|(?=[0-9a-fA-F]*\d)[0-9a-fA-F]{8,})\b", RegexOptions.Compiled);
+    private static readonly Regex NumberRegex = new(
+        @"\b\d+(\.\d+)?\b", RegexOptions.Compiled);
+    private static readonly Regex WhitespaceRegex = new(
+        @"\s+", RegexOptions.Compiled);
+    private static readonly Regex FrameLocationRegex = new(
+        @"\s+in\s+.*$", RegexOptions.Compiled);
+    private static readonly Regex CompilerGeneratedRegex = new(
+        @"(DisplayClass|b__|d__)\d+(_\d+)?", RegexOptions.Compiled);
+
+    private readonly ILogger<ErrorFingerprintHelper> _logger;
+    private readonly LogAnalyticsDashboardHelper _dashboardHelper;
+
+    public ErrorFingerprintHelper(
+        ILogger<ErrorFingerprintHelper> logger,
+        LogAnalyticsDashboardHelper dashboardHelper)
+    {
+        _logger = logger;
+        _dashboardHelper = dashboardHelper;
+    }
+
+    #region Fingerprinting
+
+    /// <summary>
+    /// Creates the fingerprint of an error from its exception text and, for Serilog entries, its message template
+    /// </summary>
+    public ErrorFingerprint CreateFingerprint(string? exception, string? messageTemplate = null, string? message = null)
+    {
+        var exceptionType = _dashboardHelper.ExtractExceptionType(exception);
+        if (exceptionType != null && exceptionType.Contains(' '))
+        {
+            // The first line is not "Type: message", so there is no type to group by
+            exceptionType = null;
+        }
+
+        var exceptionMessage = exceptionType != null
+            ? _dashboardHelper.ExtractExceptionMessage(exception)
+            : exception?.Split('\n', StringSplitOptions.RemoveEmptyEntries).FirstOrDefault()?.Trim();
+
+        var normalizedMessage = NormalizeMessage(!string.IsNullOrWhiteSpace(exceptionMessage) ? exceptionMessage : message);
+        var template = string.IsNullOrWhiteSpace(messageTemplate) ? null : messageTemplate.Trim();
+        var topFrame = GetTopApplicationFrame(exception);
+
+        return new ErrorFingerprint
+        {
+            Key = ComputeKey(exceptionType, topFrame, template ?? normalizedMessage),
+            ExceptionType = exceptionType,
+            TopFrame = topFrame,
+            MessageTemplate = template,
+            Message = string.IsNullOrEmpty(normalizedMessage) ? "Unknown Error" : normalizedMessage
+        };
+    }
+
+    /// <summary>
+    /// Replaces GUIDs, timestamps, IP addresses, hex values and numbers with placeholders
+    /// </summary>
+    public string NormalizeMessage(string? message)
+    {
+        if (string.IsNullOrWhiteSpace(message))
+            return string.Empty;
+
+        var normalized = GuidRegex.Replace(message, "{guid}");
+        normalized = TimestampRegex.Replace(normalized, "{timestamp}");
+        normalized = IpAddressRegex.Replace(normalized, "{ip}");
+        normalized = HexRegex.Replace(normalized, "{hex}");
+        normalized = NumberRegex.Replace(normalized, "{n}");
+        normalized = WhitespaceRegex.Replace(normalized, " ").Trim();
+
+        return normalized.Length > MaxMessageLength ? normalized.Substring(0, MaxMessageLength) : normalized;
+    }
+
+    /// <summary>
+    /// Gets the first stack frame in ERPPlatform code, falling back to the first frame of the trace.
+    /// File names and line numbers are dropped so that the frame survives rebuilds.
+    /// </summary>
+    public string? GetTopApplicationFrame(string? exception)
+    {
+        if (string.IsNullOrWhiteSpace(exception))
+            return null;
+
+        try
+        {
+            var frames = exception
+                .Split('\n', StringSplitOptions.RemoveEmptyEntries)
+                .Select(line => line.Trim())
+                .Where(line => line.StartsWith("at ", StringComparison.Ordinal))
+                .Select(line => line.Substring(3))
+                .ToList();
+
+            var frame = frames.FirstOrDefault(x => x.StartsWith(ApplicationNamespacePrefix, StringComparison.Ordinal))
+                        ?? frames.FirstOrDefault();
+
+            if (frame == null)
+                return null;
+
+            frame = FrameLocationRegex.Replace(frame, string.Empty);
+            return CompilerGeneratedRegex.Replace(frame, "$1");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to extract stack frame from: {Exception}", exception);
+            return null;
+        }
+    }
+
+    #endregion
+
+    #region Grouping
+
+    /// <summary>
+    /// Counts occurrences per hour for the hours ending with the current one, oldest first
+    /// </summary>
+    public List<int> BuildHourlyTrend(IEnumerable<DateTime> timestamps, DateTime now, int hours)
+    {
+        var currentHour = new DateTime(now.Year, now.Month, now.Day, now.Hour, 0, 0, now.Kind);
+        var firstHour = currentHour.AddHours(-(hours - 1));
+        var counts = new int[hours];
+
+        foreach (var timestamp in timestamps)
+        {
+            var index = (int)Math.Floor((timestamp - firstHour).TotalHours);
+            if (index >= 0 && index < hours)
+            {
+                counts[index]++;
+            }
+        }
+
+        return counts.ToList();
+    }
+
+    /// <summary>
+    /// Formats a request as "METHOD /route/{id}" for the affected endpoints of a group
+    /// </summary>
+    public string FormatEndpoint(string? httpMethod, string? url)
+    {
+        var route = _dashboardHelper.NormalizeEndpointRoute(url);
+        return string.IsNullOrWhiteSpace(httpMethod) ? route : $"{httpMethod.ToUpperInvariant()} {route}";
+    }
+
+    #endregion
+
+    #region Private Helper Methods
+
+    private static string ComputeKey(string? exceptionType, string? topFrame, string pattern)
+    {
+        var source = $"{exceptionType}|{topFrame}|{pattern}";
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(source));
+        return Convert.ToHexString(hash, 0, 8).ToLowerInvariant();
+    }
+
+    #endregion
+}
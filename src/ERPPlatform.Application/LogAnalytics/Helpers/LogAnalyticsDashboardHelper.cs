@@ -4,6 +4,7 @@ using System.Linq;
 using System.Text.Json;
 using Microsoft.Extensions.Logging;
 using Volo.Abp;
+using Volo.Abp.AuditLogging;
 using Volo.Abp.DependencyInjection;
 
 namespace ERPPlatform.LogAnalytics.Helpers;
@@ -111,6 +112,66 @@ public class LogAnalyticsDashboardHelper : ITransientDependency
             return LogAnalyticsDashboardConstants.Applications.Application;
     }
 
+    /// <summary>
+    /// Maps an audit log action to the RecentLogEntryDto shape used by the dashboard
+    /// </summary>
+    public RecentLogEntryDto MapToRecentLogEntryDto(AuditLog auditLog, AuditLogAction action)
+    {
+        Check.NotNull(auditLog, nameof(auditLog));
+        Check.NotNull(action, nameof(action));
+
+        var hasException = !string.IsNullOrEmpty(auditLog.Exceptions);
+
+        return new RecentLogEntryDto
+        {
+            Id = action.Id.ToString(),
+            Timestamp = auditLog.ExecutionTime,
+            Level = GetLogLevelFromAuditLog(hasException, auditLog.HttpStatusCode),
+            Application = GetApplicationNameFromService(action.ServiceName),
+            Message = $"{action.ServiceName}.{action.MethodName}",
+            UserId = auditLog.UserId?.ToString(),
+            UserName = auditLog.UserName,
+            Exception = auditLog.Exceptions,
+            HasException = hasException,
+            HttpStatusCode = auditLog.HttpStatusCode,
+            ExecutionDuration = auditLog.ExecutionDuration,
+            ServiceName = action.ServiceName,
+            MethodName = action.MethodName,
+            CorrelationId = auditLog.CorrelationId,
+            TenantId = auditLog.TenantId,
+            Properties = new Dictionary<string, object>
+            {
+                ["Source"] = LogAnalyticsLiveConstants.Sources.AuditLog,
+                ["Duration"] = auditLog.ExecutionDuration,
+                ["HttpStatusCode"] = auditLog.HttpStatusCode ?? 0,
+                ["HttpMethod"] = auditLog.HttpMethod ?? string.Empty,
+                ["RequestPath"] = auditLog.Url ?? string.Empty
+            }
+        };
+    }
+
+    /// <summary>
+    /// Reduces a request URL to its route, dropping the query string and replacing ids with placeholders
+    /// so that calls like /api/users/5 and /api/users/7 are counted together
+    /// </summary>
+    public string NormalizeEndpointRoute(string? url)
+    {
+        if (string.IsNullOrWhiteSpace(url))
+            return "/";
+
+        var path = url.Split('?', '#')[0];
+        if (Uri.TryCreate(path, UriKind.Absolute, out var absoluteUri))
+        {
+            path = absoluteUri.AbsolutePath;
+        }
+
+        var segments = path
+            .Split('/', StringSplitOptions.RemoveEmptyEntries)
+            .Select(segment => Guid.TryParse(segment, out _) || segment.All(char.IsDigit) ? "{id}" : segment);
+
+        return "/" + string.Join("/", segments);
+    }
+
     /// <summary>
     /// Determines log level from audit log data
     /// </summary>
@@ -131,26 +192,19 @@ public class LogAnalyticsDashboardHelper : ITransientDependency
     }
 
     /// <summary>
-    /// Determines if operation is slow based on duration
+    /// Determines if operation is slow based on the tenant's slow operation threshold
     /// </summary>
-    public bool IsSlowOperation(int executionDuration, int threshold = 5000)
+    public bool IsSlowOperation(int executionDuration, LogAnalyticsThresholdsDto thresholds)
     {
-        return executionDuration > threshold;
+        return thresholds.IsSlowOperation(executionDuration);
     }
 
     /// <summary>
     /// Gets performance level description
     /// </summary>
-    public string GetPerformanceLevel(int executionDuration)
+    public string GetPerformanceLevel(int executionDuration, LogAnalyticsThresholdsDto thresholds)
     {
-        return executionDuration switch
-        {
-            <= 100 => "Excellent",
-            <= 500 => "Good",
-            <= 1000 => "Fair",
-            <= 5000 => "Slow",
-            _ => "Critical"
-        };
+        return thresholds.GetPerformanceLevel(executionDuration);
     }
 
     #endregion
@@ -323,17 +377,15 @@ public class LogAnalyticsDashboardHelper : ITransientDependency
     }
 
     /// <summary>
-    /// Gets system health status based on metrics
+    /// Gets system health status based on audit log metrics
     /// </summary>
-    public string GetHealthStatus(int recentErrors, int recentCritical, double avgResponseTime)
+    public string GetHealthStatus(int totalLogs, int recentErrors, int slowOperations, double avgResponseTime, LogAnalyticsThresholdsDto thresholds)
     {
-        if (recentCritical > 0 || avgResponseTime > 10000) // 10 seconds
-            return LogAnalyticsDashboardConstants.HealthStatus.Critical;
-            
-        if (recentErrors > 10 || avgResponseTime > 5000) // 5 seconds
-            return LogAnalyticsDashboardConstants.HealthStatus.Warning;
-            
-        return LogAnalyticsDashboardConstants.HealthStatus.Healthy;
+        return thresholds.GetHealthStatus(
+            recentErrors,
+            CalculatePercentage(recentErrors, totalLogs),
+            slowOperations,
+            avgResponseTime);
     }
 
     #endregion
@@ -360,35 +412,34 @@ public class LogAnalyticsDashboardHelper : ITransientDependency
     }
 
     /// <summary>
-    /// Groups data by time intervals (hourly)
+    /// Groups data by trend bucket over the whole range; buckets without data are included with zero counts
     /// </summary>
-    public List<HourlyLogCountDto> GroupByHour<T>(
+    public List<HourlyLogCountDto> GroupByBucket<T>(
         IEnumerable<T> data, 
         Func<T, DateTime> dateSelector,
         Func<T, bool> errorSelector,
-        int maxHours = 24)
+        TrendBucket bucket,
+        DateTime fromDate,
+        DateTime toDate)
     {
-        var hourlyGroups = data
-            .GroupBy(x => new DateTime(
-                dateSelector(x).Year,
-                dateSelector(x).Month,
-                dateSelector(x).Day,
-                dateSelector(x).Hour,
-                0, 0))
-            .Select(g => new HourlyLogCountDto
+        var groups = data
+            .GroupBy(x => bucket.GetStart(dateSelector(x)))
+            .ToDictionary(g => g.Key, g => g.ToList());
+
+        return bucket.GetStarts(fromDate, toDate)
+            .Select(start =>
             {
-                Hour = g.Key,
-                TotalCount = g.Count(),
-                ErrorCount = g.Count(errorSelector),
-                WarningCount = 0, // No warning concept in audit logs
-                InfoCount = g.Count(x => !errorSelector(x))
+                var items = groups.GetValueOrDefault(start) ?? new List<T>();
+                return new HourlyLogCountDto
+                {
+                    Hour = start,
+                    TotalCount = items.Count,
+                    ErrorCount = items.Count(errorSelector),
+                    WarningCount = 0, // No warning concept in audit logs
+                    InfoCount = items.Count(x => !errorSelector(x))
+                };
             })
-            .OrderByDescending(x => x.Hour)
-            .Take(maxHours)
-            .OrderBy(x => x.Hour)
             .ToList();
-
-        return hourlyGroups;
     }
 
     #endregion
@@ -0,0 +1,53 @@
+using System.Globalization;
+using System.Threading.Tasks;
+using Volo.Abp.DependencyInjection;
+using Volo.Abp.Settings;
+using ERPPlatform.Settings;
+
+namespace ERPPlatform.LogAnalytics.Helpers;
+
+/// <summary>
+/// Reads the response time levels and health thresholds of the current tenant from the ERPPlatform.LogAnalytics.* settings
+/// </summary>
+public class LogAnalyticsThresholdProvider : ITransientDependency
+{
+    private readonly ISettingProvider _settingProvider;
+
+    public LogAnalyticsThresholdProvider(ISettingProvider settingProvider)
+    {
+        _settingProvider = settingProvider;
+    }
+
+    public virtual async Task<LogAnalyticsThresholdsDto> GetAsync()
+    {
+        var defaults = new LogAnalyticsThresholdsDto();
+
+        return new LogAnalyticsThresholdsDto
+        {
+            ExcellentResponseTime = await GetIntAsync(ERPPlatformSettings.LogAnalytics.ExcellentResponseTime, defaults.ExcellentResponseTime),
+            GoodResponseTime = await GetIntAsync(ERPPlatformSettings.LogAnalytics.GoodResponseTime, defaults.GoodResponseTime),
+            FairResponseTime = await GetIntAsync(ERPPlatformSettings.LogAnalytics.FairResponseTime, defaults.FairResponseTime),
+            SlowOperationThreshold = await GetIntAsync(ERPPlatformSettings.LogAnalytics.SlowOperationThreshold, defaults.SlowOperationThreshold),
+            ErrorRateWarning = await GetDoubleAsync(ERPPlatformSettings.LogAnalytics.ErrorRateWarning, defaults.ErrorRateWarning),
+            ErrorRateCritical = await GetDoubleAsync(ERPPlatformSettings.LogAnalytics.ErrorRateCritical, defaults.ErrorRateCritical),
+            ErrorCountWarning = await GetIntAsync(ERPPlatformSettings.LogAnalytics.ErrorCountWarning, defaults.ErrorCountWarning),
+            ErrorCountCritical = await GetIntAsync(ERPPlatformSettings.LogAnalytics.ErrorCountCritical, defaults.ErrorCountCritical),
+            SlowOperationsWarning = await GetIntAsync(ERPPlatformSettings.LogAnalytics.SlowOperationsWarning, defaults.SlowOperationsWarning),
+            SlowOperationsCritical = await GetIntAsync(ERPPlatformSettings.LogAnalytics.SlowOperationsCritical, defaults.SlowOperationsCritical),
+            AvgResponseTimeWarning = await GetIntAsync(ERPPlatformSettings.LogAnalytics.AvgResponseTimeWarning, defaults.AvgResponseTimeWarning),
+            AvgResponseTimeCritical = await GetIntAsync(ERPPlatformSettings.LogAnalytics.AvgResponseTimeCritical, defaults.AvgResponseTimeCritical)
+        };
+    }
+
+    private async Task<int> GetIntAsync(string name, int defaultValue)
+    {
+        var value = await _settingProvider.GetOrNullAsync(name);
+        return int.TryParse(value, NumberStyles.Integer, CultureInfo.InvariantCulture, out var result) ? result : defaultValue;
+    }
+
+    private async Task<double> GetDoubleAsync(string name, double defaultValue)
+    {
+        var value = await _settingProvider.GetOrNullAsync(name);
+        return double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out var result) ? result : defaultValue;
+    }
+}
@@ -0,0 +1,136 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.LogAnalytics.Helpers;
+
+/// <summary>
+/// Helper service for finding hours whose log volume deviates from the same hour of day and day of week in previous weeks
+/// </summary>
+public class LogAnomalyHelper : ITransientDependency
+{
+    /// <summary>
+    /// Start of the volume needed to rate the hours from the given time
+    /// </summary>
+    public DateTime GetBaselineStart(DateTime fromDate)
+    {
+        return TruncateToHour(fromDate).AddDays(-7 * LogAnalyticsDashboardConstants.Anomalies.BaselineWeeks);
+    }
+
+    /// <summary>
+    /// Rates every hour from fromDate up to toDate for each application and level group in the volume.
+    /// Weeks before an application's first entry are left out of its baseline, so new applications are not flagged;
+    /// drops are only reported for complete hours.
+    /// </summary>
+    /// <param name="volume">Hourly counts from GetBaselineStart(fromDate) up to toDate</param>
+    public List<LogAnomalyDto> FindAnomalies(IReadOnlyCollection<LogVolumeCount> volume, DateTime fromDate, DateTime toDate)
+    {
+        var counts = volume.ToDictionary(x => (x.Hour, x.Application, x.Level), x => x.Count);
+        var firstSeen = volume
+            .GroupBy(x => x.Application)
+            .ToDictionary(g => g.Key, g => g.Min(x => x.Hour));
+        var series = volume
+            .Select(x => (x.Application, x.Level))
+            .Distinct()
+            .ToList();
+
+        var anomalies = new List<LogAnomalyDto>();
+        for (var hour = TruncateToHour(fromDate); hour < toDate; hour = hour.AddHours(1))
+        {
+            foreach (var (application, level) in series)
+            {
+                var baseline = Enumerable.Range(1, LogAnalyticsDashboardConstants.Anomalies.BaselineWeeks)
+                    .Select(week => hour.AddDays(-7 * week))
+                    .Where(x => x >= firstSeen[application])
+                    .Select(x => (double)counts.GetValueOrDefault((x, application, level)))
+                    .ToList();
+                if (baseline.Count < LogAnalyticsDashboardConstants.Anomalies.MinBaselineWeeks)
+                {
+                    continue;
+                }
+
+                var count = counts.GetValueOrDefault((hour, application, level));
+                var anomaly = Rate(count, baseline, isComplete: hour.AddHours(1) <= toDate);
+                if (anomaly == null)
+                {
+                    continue;
+                }
+
+                anomaly.Hour = hour;
+                anomaly.Application = application;
+                anomaly.Level = GetLevelName(level);
+                anomalies.Add(anomaly);
+            }
+        }
+
+        return anomalies
+            .OrderByDescending(x => Math.Abs(x.Score))
+            .ThenByDescending(x => x.Hour)
+            .Take(LogAnalyticsDashboardConstants.Anomalies.MaxAnomalies)
+            .ToList();
+    }
+
+    private static LogAnomalyDto? Rate(int count, List<double> baseline, bool isComplete)
+    {
+        var mean = baseline.Average();
+        var deviation = count - mean;
+        if (Math.Abs(deviation) < LogAnalyticsDashboardConstants.Anomalies.MinDeviation)
+        {
+            return null;
+        }
+
+        // A running hour has not logged everything yet, so it can only be rated as a spike
+        if (deviation < 0 && !isComplete)
+        {
+            return null;
+        }
+
+        // Counts are at least Poisson-noisy, so quiet baselines are not treated as exact
+        var stdDev = Math.Sqrt(baseline.Sum(x => (x - mean) * (x - mean)) / baseline.Count);
+        var score = deviation / Math.Max(stdDev, Math.Max(Math.Sqrt(mean), 1));
+        if (Math.Abs(score) < LogAnalyticsDashboardConstants.Anomalies.MinScore)
+        {
+            return null;
+        }
+
+        return new LogAnomalyDto
+        {
+            Direction = deviation > 0
+                ? LogAnalyticsDashboardConstants.Anomalies.Spike
+                : LogAnalyticsDashboardConstants.Anomalies.Drop,
+            Count = count,
+            ExpectedCount = Math.Round(mean, 1),
+            Score = Math.Round(score, 1),
+            BaselineWeeks = baseline.Count
+        };
+    }
+
+    /// <summary>
+    /// Level group of LogVolumeCount to the name shown on the dashboards
+    /// </summary>
+    public string GetLevelName(int levelGroup)
+    {
+        return levelGroup switch
+        {
+            >= 4 => SerilogAnalyticsConstants.LogLevels.Error,
+            3 => SerilogAnalyticsConstants.LogLevels.Warning,
+            _ => SerilogAnalyticsConstants.LogLevels.Information
+        };
+    }
+
+    public int GetLevelGroup(string levelName)
+    {
+        return levelName switch
+        {
+            SerilogAnalyticsConstants.LogLevels.Error => 4,
+            SerilogAnalyticsConstants.LogLevels.Warning => 3,
+            _ => 2
+        };
+    }
+
+    private static DateTime TruncateToHour(DateTime value)
+    {
+        return new DateTime(value.Year, value.Month, value.Day, value.Hour, 0, 0, value.Kind);
+    }
+}
@@ -0,0 +1,292 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.IO.Compression;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+using System.Xml;
+using Volo.Abp;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.LogAnalytics.Helpers;
+
+/// <summary>
+/// Writes export rows as CSV, JSON or XLSX files
+/// Rows are supplied as a value selector per column so every format shares the same column selection
+/// </summary>
+public class LogExportFileWriter : ITransientDependency
+{
+    private const int MaxExcelCellLength = 32767;
+
+    private readonly LogAnalyticsDashboardHelper _dashboardHelper;
+
+    public LogExportFileWriter(LogAnalyticsDashboardHelper dashboardHelper)
+    {
+        _dashboardHelper = dashboardHelper;
+    }
+
+    /// <summary>
+    /// Writes the rows in the requested format
+    /// </summary>
+    public byte[] Write<T>(
+        IReadOnlyList<T> rows,
+        IReadOnlyList<string> columns,
+        Func<T, string, object?> valueSelector,
+        string format,
+        string sheetName = "Export")
+    {
+        Check.NotNull(rows, nameof(rows));
+        Check.NotNullOrEmpty(columns, nameof(columns));
+        Check.NotNull(valueSelector, nameof(valueSelector));
+
+        return format switch
+        {
+            LogAnalyticsDashboardConstants.ExportFormats.Json => WriteJson(rows, columns, valueSelector),
+            LogAnalyticsDashboardConstants.ExportFormats.Excel => WriteXlsx(rows, columns, valueSelector, sheetName),
+            _ => WriteCsv(rows, columns, valueSelector)
+        };
+    }
+
+    #region CSV and JSON
+
+    private byte[] WriteCsv<T>(IReadOnlyList<T> rows, IReadOnlyList<string> columns, Func<T, string, object?> valueSelector)
+    {
+        var csv = new StringBuilder();
+        csv.AppendLine(string.Join(",", columns));
+
+        foreach (var row in rows)
+        {
+            csv.AppendLine(string.Join(",", columns.Select(column =>
+                $"\"{_dashboardHelper.EscapeCsvValue(FormatText(valueSelector(row, column)))}\"")));
+        }
+
+        return Encoding.UTF8.GetBytes(csv.ToString());
+    }
+
+    private static byte[] WriteJson<T>(IReadOnlyList<T> rows, IReadOnlyList<string> columns, Func<T, string, object?> valueSelector)
+    {
+        var items = rows
+            .Select(row => columns.ToDictionary(column => column, column => valueSelector(row, column)))
+            .ToList();
+
+        return JsonSerializer.SerializeToUtf8Bytes(items, new JsonSerializerOptions
+        {
+            WriteIndented = true
+        });
+    }
+
+    private string FormatText(object? value)
+    {
+        return value switch
+        {
+            null => string.Empty,
+            DateTime dateTime => _dashboardHelper.FormatDateForExport(dateTime),
+            IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+            _ => value.ToString() ?? string.Empty
+        };
+    }
+
+    #endregion
+
+    #region XLSX
+
+    /// <summary>
+    /// Writes a single-sheet SpreadsheetML workbook with a bold, frozen header row
+    /// </summary>
+    private static byte[] WriteXlsx<T>(IReadOnlyList<T> rows, IReadOnlyList<string> columns, Func<T, string, object?> valueSelector, string sheetName)
+    {
+        using var stream = new MemoryStream();
+        using (var archive = new ZipArchive(stream, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            WriteZipEntry(archive, "[Content_Types].xml",
+                "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+                "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+                "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+                "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+                "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>" +
+                "<Override PartName=\"/xl/worksheets/sheet1.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>" +
+                "<Override PartName=\"/xl/styles.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml\"/>" +
+                "</Types>");
+
+            WriteZipEntry(archive, "_rels/.rels",
+                "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+                "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">" +
+                "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument\" Target=\"xl/workbook.xml\"/>" +
+                "</Relationships>");
+
+            WriteZipEntry(archive, "xl/workbook.xml",
+                "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+                "<workbook xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\" " +
+                "xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\">" +
+                $"<sheets><sheet name=\"{EscapeXmlAttribute(ToSheetName(sheetName))}\" sheetId=\"1\" r:id=\"rId1\"/></sheets>" +
+                "</workbook>");
+
+            WriteZipEntry(archive, "xl/_rels/workbook.xml.rels",
+                "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+                "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">" +
+                "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet\" Target=\"worksheets/sheet1.xml\"/>" +
+                "<Relationship Id=\"rId2\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles\" Target=\"styles.xml\"/>" +
+                "</Relationships>");
+
+            // Style 1: bold header, style 2: date and time
+            WriteZipEntry(archive, "xl/styles.xml",
+                "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+                "<styleSheet xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\">" +
+                "<numFmts count=\"1\"><numFmt numFmtId=\"164\" formatCode=\"yyyy-mm-dd hh:mm:ss\"/></numFmts>" +
+                "<fonts count=\"2\"><font><sz val=\"11\"/><name val=\"Calibri\"/></font><font><b/><sz val=\"11\"/><name val=\"Calibri\"/></font></fonts>" +
+                "<fills count=\"2\"><fill><patternFill patternType=\"none\"/></fill><fill><patternFill patternType=\"gray125\"/></fill></fills>" +
+                "<borders count=\"1\"><border><left/><right/><top/><bottom/><diagonal/></border></borders>" +
+                "<cellStyleXfs count=\"1\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\"/></cellStyleXfs>" +
+                "<cellXfs count=\"3\">" +
+                "<xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/>" +
+                "<xf numFmtId=\"0\" fontId=\"1\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyFont=\"1\"/>" +
+                "<xf numFmtId=\"164\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyNumberFormat=\"1\"/>" +
+                "</cellXfs>" +
+                "</styleSheet>");
+
+            var sheetEntry = archive.CreateEntry("xl/worksheets/sheet1.xml", CompressionLevel.Optimal);
+            using var sheetStream = sheetEntry.Open();
+            using var writer = XmlWriter.Create(sheetStream, new XmlWriterSettings { Encoding = new UTF8Encoding(false) });
+
+            writer.WriteStartDocument(true);
+            writer.WriteStartElement("worksheet", "http://schemas.openxmlformats.org/spreadsheetml/2006/main");
+
+            writer.WriteStartElement("sheetViews");
+            writer.WriteStartElement("sheetView");
+            writer.WriteAttributeString("workbookViewId", "0");
+            writer.WriteStartElement("pane");
+            writer.WriteAttributeString("ySplit", "1");
+            writer.WriteAttributeString("topLeftCell", "A2");
+            writer.WriteAttributeString("activePane", "bottomLeft");
+            writer.WriteAttributeString("state", "frozen");
+            writer.WriteEndElement();
+            writer.WriteEndElement();
+            writer.WriteEndElement();
+
+            writer.WriteStartElement("sheetData");
+
+            WriteRow(writer, 1, columns.Cast<object?>().ToList(), styleIndex: 1);
+            for (var i = 0; i < rows.Count; i++)
+            {
+                var row = rows[i];
+                WriteRow(writer, i + 2, columns.Select(column => valueSelector(row, column)).ToList(), styleIndex: 0);
+            }
+
+            writer.WriteEndElement(); // sheetData
+
+            writer.WriteStartElement("autoFilter");
+            writer.WriteAttributeString("ref", $"A1:{GetColumnName(columns.Count - 1)}{rows.Count + 1}");
+            writer.WriteEndElement();
+
+            writer.WriteEndElement(); // worksheet
+            writer.WriteEndDocument();
+        }
+
+        return stream.ToArray();
+    }
+
+    private static void WriteRow(XmlWriter writer, int rowNumber, IReadOnlyList<object?> values, int styleIndex)
+    {
+        writer.WriteStartElement("row");
+        writer.WriteAttributeString("r", rowNumber.ToString(CultureInfo.InvariantCulture));
+
+        for (var i = 0; i < values.Count; i++)
+        {
+            var value = values[i];
+            if (value == null)
+            {
+                continue;
+            }
+
+            writer.WriteStartElement("c");
+            writer.WriteAttributeString("r", $"{GetColumnName(i)}{rowNumber}");
+
+            switch (value)
+            {
+                case DateTime dateTime:
+                    writer.WriteAttributeString("s", "2");
+                    writer.WriteElementString("v", dateTime.ToOADate().ToString(CultureInfo.InvariantCulture));
+                    break;
+                case bool boolean:
+                    writer.WriteAttributeString("t", "b");
+                    writer.WriteElementString("v", boolean ? "1" : "0");
+                    break;
+                case int or long or short or double or float or decimal:
+                    writer.WriteElementString("v", Convert.ToString(value, CultureInfo.InvariantCulture));
+                    break;
+                default:
+                    if (styleIndex > 0)
+                    {
+                        writer.WriteAttributeString("s", styleIndex.ToString(CultureInfo.InvariantCulture));
+                    }
+                    writer.WriteAttributeString("t", "inlineStr");
+                    writer.WriteStartElement("is");
+                    writer.WriteStartElement("t");
+                    writer.WriteAttributeString("xml", "space", null, "preserve");
+                    writer.WriteString(ToCellText(value.ToString()));
+                    writer.WriteEndElement();
+                    writer.WriteEndElement();
+                    break;
+            }
+
+            writer.WriteEndElement();
+        }
+
+        writer.WriteEndElement();
+    }
+
+    private static void WriteZipEntry(ZipArchive archive, string name, string content)
+    {
+        var entry = archive.CreateEntry(name, CompressionLevel.Optimal);
+        using var entryStream = entry.Open();
+        var bytes = new UTF8Encoding(false).GetBytes(content);
+        entryStream.Write(bytes, 0, bytes.Length);
+    }
+
+    /// <summary>
+    /// Converts a zero-based column index to its spreadsheet letter (0 = A, 26 = AA)
+    /// </summary>
+    private static string GetColumnName(int index)
+    {
+        var name = string.Empty;
+        for (var i = index + 1; i > 0; i = (i - 1) / 26)
+        {
+            name = (char)('A' + (i - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /// <summary>
+    /// Removes characters that are not allowed in XML and truncates to the Excel cell limit
+    /// </summary>
+    private static string ToCellText(string? value)
+    {
+        if (string.IsNullOrEmpty(value))
+            return string.Empty;
+
+        var text = new string(value.Where(XmlConvert.IsXmlChar).ToArray());
+        return text.Length > MaxExcelCellLength ? text[..MaxExcelCellLength] : text;
+    }
+
+    private static string ToSheetName(string sheetName)
+    {
+        var invalidChars = new[] { ':', '\\', '/', '?', '*', '[', ']' };
+        var name = new string(sheetName.Where(c => !invalidChars.Contains(c)).ToArray()).Trim();
+        if (string.IsNullOrEmpty(name))
+            name = "Export";
+        return name.Length > 31 ? name[..31] : name;
+    }
+
+    private static string EscapeXmlAttribute(string value)
+    {
+        return value
+            .Replace("&", "&amp;")
+            .Replace("\"", "&quot;")
+            .Replace("<", "&lt;")
+            .Replace(">", "&gt;");
+    }
+
+    #endregion
+}
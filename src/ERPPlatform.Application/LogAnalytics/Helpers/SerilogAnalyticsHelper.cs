@@ -1,6 +1,8 @@
 using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
 using System.Text.Json;
 using Microsoft.Extensions.Logging;
 using Volo.Abp;
@@ -146,6 +148,51 @@ public class SerilogAnalyticsHelper : ITransientDependency
         };
     }
 
+    /// <summary>
+    /// Maps SerilogEntry to the RecentLogEntryDto shape used by the live dashboard feed
+    /// </summary>
+    public RecentLogEntryDto MapToRecentLogEntryDto(SerilogEntry entry)
+    {
+        Check.NotNull(entry, nameof(entry));
+
+        var properties = new Dictionary<string, object>
+        {
+            ["Source"] = LogAnalyticsLiveConstants.Sources.Serilog
+        };
+
+        if (!string.IsNullOrEmpty(entry.RequestPath))
+            properties["RequestPath"] = entry.RequestPath;
+
+        if (!string.IsNullOrEmpty(entry.HttpMethod))
+            properties["HttpMethod"] = entry.HttpMethod;
+
+        return new RecentLogEntryDto
+        {
+            Id = GetEntryId(entry),
+            Timestamp = entry.Timestamp ?? DateTime.MinValue,
+            Level = entry.LevelName,
+            Application = entry.Application,
+            Message = entry.Message ?? "No message",
+            UserId = entry.UserId,
+            UserName = entry.UserName,
+            Exception = entry.Exception,
+            HasException = entry.HasException,
+            CorrelationId = entry.CorrelationId,
+            RequestId = entry.RequestId,
+            Properties = properties
+        };
+    }
+
+    /// <summary>
+    /// Builds a stable id for a seriloglogs row, which has no key; rows with the same timestamp, level and message share it
+    /// </summary>
+    public static string GetEntryId(SerilogEntry entry)
+    {
+        var source = $"{entry.Timestamp:O}|{entry.Level}|{entry.Message}";
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(source));
+        return Convert.ToHexString(hash, 0, 8).ToLowerInvariant();
+    }
+
     /// <summary>
     /// Extracts error message from exception string
     /// </summary>
@@ -203,26 +250,19 @@ public class SerilogAnalyticsHelper : ITransientDependency
     /// <summary>
     /// Gets performance level description
     /// </summary>
-    public string GetPerformanceLevel(long? durationMs)
+    public string GetPerformanceLevel(long? durationMs, LogAnalyticsThresholdsDto thresholds)
     {
         if (!durationMs.HasValue) return "Unknown";
-        
-        return durationMs.Value switch
-        {
-            <= 100 => "Excellent",
-            <= 500 => "Good",
-            <= 1000 => "Fair",
-            <= 5000 => "Slow",
-            _ => "Critical"
-        };
+
+        return thresholds.GetPerformanceLevel(durationMs.Value);
     }
 
     /// <summary>
-    /// Determines if request is slow based on duration
+    /// Determines if request is slow based on the tenant's slow operation threshold
     /// </summary>
-    public bool IsSlowRequest(long? durationMs, int threshold = 5000)
+    public bool IsSlowRequest(long? durationMs, LogAnalyticsThresholdsDto thresholds)
     {
-        return durationMs.HasValue && durationMs.Value > threshold;
+        return durationMs.HasValue && thresholds.IsSlowOperation(durationMs.Value);
     }
 
     /// <summary>
@@ -245,43 +285,18 @@ public class SerilogAnalyticsHelper : ITransientDependency
     /// <summary>
     /// Gets system health status based on metrics
     /// </summary>
-    public string GetSystemHealthStatus(double errorRate, double avgResponseTime, int totalRequests)
+    public string GetSystemHealthStatus(double errorRate, double avgResponseTime, int totalRequests, LogAnalyticsThresholdsDto thresholds)
     {
-        if (totalRequests == 0) return "Unknown";
-        
-        if (errorRate > 10 || avgResponseTime > 10000) // 10% error rate or 10s avg response
-            return "Critical";
-            
-        if (errorRate > 5 || avgResponseTime > 5000) // 5% error rate or 5s avg response
-            return "Warning";
-            
-        if (errorRate > 1 || avgResponseTime > 2000) // 1% error rate or 2s avg response
-            return "Fair";
-            
-        return "Healthy";
+        if (totalRequests == 0) return LogAnalyticsDashboardConstants.HealthStatus.Unknown;
+
+        // Error counts grow with the 24 hour window, so only the rate and the average response time are rated
+        return thresholds.GetHealthStatus(null, errorRate, null, avgResponseTime);
     }
 
     #endregion
 
     #region Statistics Calculations
 
-    /// <summary>
-    /// Calculates percentile values from duration data
-    /// </summary>
-    public (double p95, double p99) CalculatePercentiles(IEnumerable<long> durations)
-    {
-        var sortedDurations = durations.OrderBy(x => x).ToArray();
-        if (sortedDurations.Length == 0) return (0, 0);
-
-        var p95Index = (int)Math.Ceiling(sortedDurations.Length * 0.95) - 1;
-        var p99Index = (int)Math.Ceiling(sortedDurations.Length * 0.99) - 1;
-
-        p95Index = Math.Max(0, Math.Min(p95Index, sortedDurations.Length - 1));
-        p99Index = Math.Max(0, Math.Min(p99Index, sortedDurations.Length - 1));
-
-        return (sortedDurations[p95Index], sortedDurations[p99Index]);
-    }
-
     /// <summary>
     /// Calculates rate per minute
     /// </summary>
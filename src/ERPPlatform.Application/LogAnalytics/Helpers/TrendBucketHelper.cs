@@ -0,0 +1,90 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Microsoft.Extensions.Logging;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.LogAnalytics.Helpers;
+
+/// <summary>
+/// Time bucket of a trend series, e.g. "5m"; buckets start at multiples of their size since midnight
+/// </summary>
+public class TrendBucket
+{
+    public string Name { get; init; } = LogAnalyticsDashboardConstants.TrendBuckets.OneHour;
+    public TimeSpan Size { get; init; } = TimeSpan.FromHours(1);
+
+    public DateTime GetStart(DateTime timestamp)
+    {
+        return new DateTime(timestamp.Ticks - timestamp.Ticks % Size.Ticks, timestamp.Kind);
+    }
+
+    /// <summary>
+    /// Starts of all buckets overlapping the range, oldest first
+    /// </summary>
+    public List<DateTime> GetStarts(DateTime fromDate, DateTime toDate)
+    {
+        var starts = new List<DateTime>();
+        for (var start = GetStart(fromDate); start <= toDate; start = start.Add(Size))
+        {
+            starts.Add(start);
+        }
+
+        return starts;
+    }
+
+    public int CountBuckets(DateTime fromDate, DateTime toDate)
+    {
+        return (int)((GetStart(toDate).Ticks - GetStart(fromDate).Ticks) / Size.Ticks) + 1;
+    }
+}
+
+/// <summary>
+/// Helper service for choosing the time bucket of trend charts from the requested bucket and range length
+/// </summary>
+public class TrendBucketHelper : ITransientDependency
+{
+    // Finest first, so automatic selection can take the first bucket that fits
+    private static readonly TrendBucket[] Buckets =
+    {
+        new() { Name = LogAnalyticsDashboardConstants.TrendBuckets.OneMinute, Size = TimeSpan.FromMinutes(1) },
+        new() { Name = LogAnalyticsDashboardConstants.TrendBuckets.FiveMinutes, Size = TimeSpan.FromMinutes(5) },
+        new() { Name = LogAnalyticsDashboardConstants.TrendBuckets.FifteenMinutes, Size = TimeSpan.FromMinutes(15) },
+        new() { Name = LogAnalyticsDashboardConstants.TrendBuckets.OneHour, Size = TimeSpan.FromHours(1) },
+        new() { Name = LogAnalyticsDashboardConstants.TrendBuckets.OneDay, Size = TimeSpan.FromDays(1) }
+    };
+
+    private readonly ILogger<TrendBucketHelper> _logger;
+
+    public TrendBucketHelper(ILogger<TrendBucketHelper> logger)
+    {
+        _logger = logger;
+    }
+
+    #region Bucket Selection
+
+    /// <summary>
+    /// Uses the requested bucket unless it is empty, unknown or would split the range into more than
+    /// MaxBuckets points; otherwise picks the finest bucket that keeps the series under AutoMaxPoints
+    /// </summary>
+    public TrendBucket Resolve(string? bucket, DateTime fromDate, DateTime toDate)
+    {
+        var requested = bucket?.Trim().ToLowerInvariant();
+        var requestedBucket = Buckets.FirstOrDefault(x => x.Name == requested);
+        if (requestedBucket != null)
+        {
+            if (requestedBucket.CountBuckets(fromDate, toDate) <= LogAnalyticsDashboardConstants.TrendBuckets.MaxBuckets)
+            {
+                return requestedBucket;
+            }
+
+            _logger.LogDebug("Trend bucket {Bucket} is too fine for range {FromDate} to {ToDate}, choosing automatically",
+                requested, fromDate, toDate);
+        }
+
+        return Buckets.FirstOrDefault(x => x.CountBuckets(fromDate, toDate) <= LogAnalyticsDashboardConstants.TrendBuckets.AutoMaxPoints)
+               ?? Buckets[^1];
+    }
+
+    #endregion
+}
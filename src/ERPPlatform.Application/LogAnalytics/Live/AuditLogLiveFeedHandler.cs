@@ -0,0 +1,40 @@
+using System.Linq;
+using System.Threading.Tasks;
+using ERPPlatform.LogAnalytics.Helpers;
+using Volo.Abp.AuditLogging;
+using Volo.Abp.DependencyInjection;
+using Volo.Abp.Domain.Entities.Events;
+using Volo.Abp.EventBus;
+
+namespace ERPPlatform.LogAnalytics.Live;
+
+/// <summary>
+/// Captures newly saved audit logs so they can be pushed to dashboard clients
+/// </summary>
+public class AuditLogLiveFeedHandler : ILocalEventHandler<EntityCreatedEventData<AuditLog>>, ITransientDependency
+{
+    private readonly LogAnalyticsLiveFeed _liveFeed;
+    private readonly LogAnalyticsDashboardHelper _dashboardHelper;
+
+    public AuditLogLiveFeedHandler(
+        LogAnalyticsLiveFeed liveFeed,
+        LogAnalyticsDashboardHelper dashboardHelper)
+    {
+        _liveFeed = liveFeed;
+        _dashboardHelper = dashboardHelper;
+    }
+
+    public Task HandleEventAsync(EntityCreatedEventData<AuditLog> eventData)
+    {
+        var auditLog = eventData.Entity;
+        if (auditLog.Actions == null || !auditLog.Actions.Any())
+        {
+            return Task.CompletedTask;
+        }
+
+        _liveFeed.EnqueueAuditEntries(
+            auditLog.Actions.Select(action => _dashboardHelper.MapToRecentLogEntryDto(auditLog, action)));
+
+        return Task.CompletedTask;
+    }
+}
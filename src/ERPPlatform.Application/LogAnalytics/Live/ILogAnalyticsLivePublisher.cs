@@ -0,0 +1,15 @@
+using System.Threading.Tasks;
+
+namespace ERPPlatform.LogAnalytics.Live;
+
+/// <summary>
+/// Publishes live log batches to the process hosting LogAnalyticsHub
+/// </summary>
+public interface ILogAnalyticsLivePublisher
+{
+    /// <summary>
+    /// Publishes a batch of new entries and/or a dashboard update notice
+    /// </summary>
+    /// <param name="batch">Batch to publish</param>
+    Task PublishAsync(LogAnalyticsLiveBatchEto batch);
+}
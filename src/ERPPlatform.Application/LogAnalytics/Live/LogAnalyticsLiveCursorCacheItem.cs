@@ -0,0 +1,26 @@
+using System;
+using System.Collections.Generic;
+
+namespace ERPPlatform.LogAnalytics.Live;
+
+/// <summary>
+/// Position of the Serilog poll, shared by all API host instances. Each poll re-reads the late entry window
+/// before LastSeenTimestamp and skips the ids it already published there.
+/// </summary>
+public class LogAnalyticsLiveCursorCacheItem
+{
+    /// <summary>
+    /// Timestamp of the newest Serilog entry already published
+    /// </summary>
+    public DateTime LastSeenTimestamp { get; set; }
+
+    /// <summary>
+    /// Entries before this timestamp are never read, so history written before the cursor started is not replayed
+    /// </summary>
+    public DateTime StartTimestamp { get; set; }
+
+    /// <summary>
+    /// Timestamps of the entries already published within the late entry window, by entry id
+    /// </summary>
+    public Dictionary<string, DateTime> SeenIds { get; set; } = new();
+}
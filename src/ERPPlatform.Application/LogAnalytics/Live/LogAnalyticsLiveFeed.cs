@@ -0,0 +1,43 @@
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.LogAnalytics.Live;
+
+/// <summary>
+/// In-process buffer for live dashboard entries captured between worker runs
+/// </summary>
+public class LogAnalyticsLiveFeed : ISingletonDependency
+{
+    private readonly ConcurrentQueue<RecentLogEntryDto> _pendingAuditEntries = new();
+
+    /// <summary>
+    /// Queues audit log entries for the next live batch, dropping the oldest when the buffer is full
+    /// </summary>
+    public void EnqueueAuditEntries(IEnumerable<RecentLogEntryDto> entries)
+    {
+        foreach (var entry in entries)
+        {
+            _pendingAuditEntries.Enqueue(entry);
+        }
+
+        while (_pendingAuditEntries.Count > LogAnalyticsLiveConstants.DefaultValues.MaxPendingAuditEntries)
+        {
+            _pendingAuditEntries.TryDequeue(out _);
+        }
+    }
+
+    /// <summary>
+    /// Removes up to the specified number of queued audit log entries
+    /// </summary>
+    public List<RecentLogEntryDto> DrainAuditEntries(int maxCount)
+    {
+        var entries = new List<RecentLogEntryDto>();
+        while (entries.Count < maxCount && _pendingAuditEntries.TryDequeue(out var entry))
+        {
+            entries.Add(entry);
+        }
+
+        return entries;
+    }
+}
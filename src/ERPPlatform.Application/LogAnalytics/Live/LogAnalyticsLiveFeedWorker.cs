@@ -0,0 +1,208 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using ERPPlatform.LogAnalytics.Helpers;
+using Microsoft.Extensions.Caching.Distributed;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Volo.Abp.BackgroundWorkers;
+using Volo.Abp.Caching;
+using Volo.Abp.DistributedLocking;
+using Volo.Abp.Threading;
+using Volo.Abp.Timing;
+using Volo.Abp.Uow;
+
+namespace ERPPlatform.LogAnalytics.Live;
+
+/// <summary>
+/// Polls the seriloglogs table and the audit log buffer, then publishes batched live updates
+/// New entries are flushed every poll; DashboardUpdated notices are throttled to one per tenant and interval
+/// </summary>
+public class LogAnalyticsLiveFeedWorker : AsyncPeriodicBackgroundWorkerBase
+{
+    private const string SerilogPollLockName = "ERPPlatform:LogAnalytics:LiveFeed:SerilogPoll";
+    private const string SerilogCursorCacheKey = "LiveFeed:SerilogCursor";
+
+    private readonly LogAnalyticsLiveFeed _liveFeed;
+    private readonly IAbpDistributedLock _distributedLock;
+    private readonly IDistributedCache<LogAnalyticsLiveCursorCacheItem> _cursorCache;
+    private readonly IClock _clock;
+
+    private readonly List<DashboardUpdateNoticeDto> _pendingDashboardUpdates = new();
+    // Last notice time per tenant; the host is keyed by Guid.Empty
+    private readonly Dictionary<Guid, DateTime> _lastDashboardUpdates = new();
+
+    public LogAnalyticsLiveFeedWorker(
+        AbpAsyncTimer timer,
+        IServiceScopeFactory serviceScopeFactory,
+        LogAnalyticsLiveFeed liveFeed,
+        IAbpDistributedLock distributedLock,
+        IDistributedCache<LogAnalyticsLiveCursorCacheItem> cursorCache,
+        IClock clock)
+        : base(timer, serviceScopeFactory)
+    {
+        _liveFeed = liveFeed;
+        _distributedLock = distributedLock;
+        _cursorCache = cursorCache;
+        _clock = clock;
+        Timer.Period = LogAnalyticsLiveConstants.DefaultValues.PollIntervalMilliseconds;
+    }
+
+    protected override async Task DoWorkAsync(PeriodicBackgroundWorkerContext workerContext)
+    {
+        // Audit entries are buffered by the instance that saved them, so every instance publishes its own buffer
+        var entries = await GetNewSerilogEntriesAsync(workerContext.ServiceProvider);
+        entries.AddRange(_liveFeed.DrainAuditEntries(LogAnalyticsLiveConstants.DefaultValues.MaxBatchSize));
+        entries = entries.OrderBy(x => x.Timestamp).ToList();
+
+        TrackPendingDashboardChanges(entries);
+        var dashboardUpdates = TryCreateDashboardUpdates();
+
+        if (!entries.Any() && !dashboardUpdates.Any())
+        {
+            return;
+        }
+
+        var publisher = workerContext.ServiceProvider.GetRequiredService<ILogAnalyticsLivePublisher>();
+        await publisher.PublishAsync(new LogAnalyticsLiveBatchEto
+        {
+            Entries = entries,
+            DashboardUpdates = dashboardUpdates
+        });
+
+        // Debug level only: anything written here lands in seriloglogs and would feed the next poll
+        Logger.LogDebug("Published live log batch with {EntryCount} entries and {DashboardUpdateCount} dashboard updates",
+            entries.Count, dashboardUpdates.Count);
+    }
+
+    /// <summary>
+    /// Reads the Serilog entries written since the shared cursor; only the instance holding the poll lock reads them,
+    /// so each entry is published once however many API host instances run
+    /// </summary>
+    protected virtual async Task<List<RecentLogEntryDto>> GetNewSerilogEntriesAsync(IServiceProvider serviceProvider)
+    {
+        await using var handle = await _distributedLock.TryAcquireAsync(SerilogPollLockName);
+        if (handle == null)
+        {
+            return new List<RecentLogEntryDto>();
+        }
+
+        var unitOfWorkManager = serviceProvider.GetRequiredService<IUnitOfWorkManager>();
+        var serilogRepository = serviceProvider.GetRequiredService<ISerilogEntryRepository>();
+        var analyticsHelper = serviceProvider.GetRequiredService<SerilogAnalyticsHelper>();
+
+        using var uow = unitOfWorkManager.Begin(requiresNew: true, isTransactional: false);
+
+        var cursor = await _cursorCache.GetAsync(SerilogCursorCacheKey);
+        if (cursor == null)
+        {
+            // Start from the newest entry so existing history is not replayed on startup
+            var recent = await serilogRepository.GetRecentAsync(LogAnalyticsLiveConstants.DefaultValues.MaxBatchSize);
+            await uow.CompleteAsync();
+
+            var latestTimestamp = recent.FirstOrDefault()?.Timestamp ?? _clock.Now;
+            await SetCursorAsync(new LogAnalyticsLiveCursorCacheItem
+            {
+                LastSeenTimestamp = latestTimestamp,
+                StartTimestamp = latestTimestamp,
+                SeenIds = recent
+                    .Where(x => x.Timestamp == latestTimestamp)
+                    .GroupBy(SerilogAnalyticsHelper.GetEntryId)
+                    .ToDictionary(x => x.Key, _ => latestTimestamp)
+            });
+            return new List<RecentLogEntryDto>();
+        }
+
+        // Entries sharing the last timestamp or written late by the sink are read again and the ones already
+        // published are skipped by id; one extra row is read per seen id so they cannot crowd out new entries
+        var lateEntryWindow = TimeSpan.FromSeconds(LogAnalyticsLiveConstants.DefaultValues.LateEntryWindowSeconds);
+        var readFrom = cursor.LastSeenTimestamp - lateEntryWindow > cursor.StartTimestamp
+            ? cursor.LastSeenTimestamp - lateEntryWindow
+            : cursor.StartTimestamp;
+
+        var candidates = await serilogRepository.GetSinceAsync(
+            readFrom,
+            LogAnalyticsLiveConstants.DefaultValues.MaxBatchSize + cursor.SeenIds.Count);
+        await uow.CompleteAsync();
+
+        var newEntries = candidates
+            .Select(x => new { Id = SerilogAnalyticsHelper.GetEntryId(x), Entry = x })
+            .Where(x => !cursor.SeenIds.ContainsKey(x.Id))
+            .Take(LogAnalyticsLiveConstants.DefaultValues.MaxBatchSize)
+            .ToList();
+
+        if (newEntries.Any())
+        {
+            foreach (var entry in newEntries)
+            {
+                cursor.SeenIds[entry.Id] = entry.Entry.Timestamp ?? cursor.LastSeenTimestamp;
+            }
+
+            var newestTimestamp = newEntries.Max(x => x.Entry.Timestamp) ?? cursor.LastSeenTimestamp;
+            if (newestTimestamp > cursor.LastSeenTimestamp)
+            {
+                cursor.LastSeenTimestamp = newestTimestamp;
+            }
+
+            cursor.SeenIds = cursor.SeenIds
+                .Where(x => x.Value >= cursor.LastSeenTimestamp - lateEntryWindow)
+                .ToDictionary(x => x.Key, x => x.Value);
+
+            await SetCursorAsync(cursor);
+        }
+
+        return newEntries.Select(x => analyticsHelper.MapToRecentLogEntryDto(x.Entry)).ToList();
+    }
+
+    private async Task SetCursorAsync(LogAnalyticsLiveCursorCacheItem cursor)
+    {
+        await _cursorCache.SetAsync(
+            SerilogCursorCacheKey,
+            cursor,
+            new DistributedCacheEntryOptions
+            {
+                AbsoluteExpirationRelativeToNow = TimeSpan.FromHours(1)
+            });
+    }
+
+    private void TrackPendingDashboardChanges(List<RecentLogEntryDto> entries)
+    {
+        foreach (var tenantEntries in entries.GroupBy(x => x.TenantId))
+        {
+            var notice = _pendingDashboardUpdates.FirstOrDefault(x => x.TenantId == tenantEntries.Key);
+            if (notice == null)
+            {
+                notice = new DashboardUpdateNoticeDto { TenantId = tenantEntries.Key };
+                _pendingDashboardUpdates.Add(notice);
+            }
+
+            notice.NewEntryCount += tenantEntries.Count();
+            notice.NewErrorCount += tenantEntries.Count(x => x.HasException ||
+                x.Level == LogAnalyticsDashboardConstants.LogLevels.Error ||
+                x.Level == LogAnalyticsDashboardConstants.LogLevels.Critical ||
+                x.Level == SerilogAnalyticsConstants.LogLevels.Fatal);
+            notice.LastEntryTimestamp = tenantEntries.Max(x => x.Timestamp);
+        }
+    }
+
+    private List<DashboardUpdateNoticeDto> TryCreateDashboardUpdates()
+    {
+        var now = _clock.Now;
+        var interval = TimeSpan.FromSeconds(LogAnalyticsLiveConstants.DefaultValues.DashboardUpdateIntervalSeconds);
+
+        var notices = _pendingDashboardUpdates
+            .Where(x => !_lastDashboardUpdates.TryGetValue(x.TenantId ?? Guid.Empty, out var lastUpdate) ||
+                        now - lastUpdate >= interval)
+            .ToList();
+
+        foreach (var notice in notices)
+        {
+            notice.GeneratedAt = now;
+            _lastDashboardUpdates[notice.TenantId ?? Guid.Empty] = now;
+            _pendingDashboardUpdates.Remove(notice);
+        }
+
+        return notices;
+    }
+}
@@ -0,0 +1,16 @@
+using System.Threading.Tasks;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.LogAnalytics.Live;
+
+/// <summary>
+/// Default publisher used when no transport to the dashboard hub is configured
+/// </summary>
+[Dependency(TryRegister = true)]
+public class NullLogAnalyticsLivePublisher : ILogAnalyticsLivePublisher, ISingletonDependency
+{
+    public Task PublishAsync(LogAnalyticsLiveBatchEto batch)
+    {
+        return Task.CompletedTask;
+    }
+}
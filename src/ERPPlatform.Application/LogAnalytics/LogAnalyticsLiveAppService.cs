@@ -0,0 +1,147 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Volo.Abp;
+using Volo.Abp.Application.Services;
+using Volo.Abp.AuditLogging;
+using Volo.Abp.Domain.Repositories;
+using ERPPlatform.LogAnalytics.Helpers;
+using ERPPlatform.Permissions;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Serves the data the real-time dashboard stream needs outside of SignalR pushes
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
+public class LogAnalyticsLiveAppService : ApplicationService, ILogAnalyticsLiveAppService
+{
+    private readonly ISerilogEntryRepository _serilogRepository;
+    private readonly IRepository<AuditLog, Guid> _auditLogRepository;
+    private readonly SerilogAnalyticsHelper _analyticsHelper;
+    private readonly LogAnalyticsDashboardHelper _dashboardHelper;
+
+    public LogAnalyticsLiveAppService(
+        ISerilogEntryRepository serilogRepository,
+        IRepository<AuditLog, Guid> auditLogRepository,
+        SerilogAnalyticsHelper analyticsHelper,
+        LogAnalyticsDashboardHelper dashboardHelper)
+    {
+        _serilogRepository = serilogRepository;
+        _auditLogRepository = auditLogRepository;
+        _analyticsHelper = analyticsHelper;
+        _dashboardHelper = dashboardHelper;
+    }
+
+    public virtual async Task<PaginatedResponse<RecentLogEntryDto>> GetBackfillAsync(LiveLogBackfillRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+
+        request.ValidateAndSetDefaults();
+        request.TenantId = CurrentTenant.Id;
+
+        try
+        {
+            var since = DateTime.SpecifyKind(request.Since, DateTimeKind.Unspecified);
+
+            var serilogResult = await ReadMatchingEntriesAsync(request, async count =>
+                (await _serilogRepository.GetSinceAsync(since, count))
+                    .Select(_analyticsHelper.MapToRecentLogEntryDto)
+                    .ToList());
+
+            // Audit logs are expanded into their actions before the limit, since every action is an entry of its own
+            var auditQueryable = await _auditLogRepository.GetQueryableAsync();
+            var auditResult = await ReadMatchingEntriesAsync(request, async count =>
+            {
+                var auditRows = await AsyncExecuter.ToListAsync(auditQueryable
+                    .SelectMany(auditLog => auditLog.Actions, (auditLog, action) => new { AuditLog = auditLog, Action = action })
+                    .Where(x => x.AuditLog.ExecutionTime >= since)
+                    .OrderBy(x => x.AuditLog.ExecutionTime)
+                    .ThenBy(x => x.Action.Id)
+                    .Take(count));
+
+                return auditRows.Select(x => _dashboardHelper.MapToRecentLogEntryDto(x.AuditLog, x.Action)).ToList();
+            });
+
+            var response = CreateBackfillResponse(
+                request,
+                serilogResult.IsTruncated || auditResult.IsTruncated,
+                serilogResult.Entries,
+                auditResult.Entries);
+
+            Logger.LogDebug("Live backfill since {Since} returned {Count} entries", since, response.Items.Count);
+
+            return response;
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error getting live backfill since {Since}", request.Since);
+            throw new UserFriendlyException("Failed to load missed log entries. Please try again.");
+        }
+    }
+
+    /// <summary>
+    /// Reads a source from Since in growing batches until it has more unseen entries matching the filter than
+    /// MaxCount or runs out of rows. At most MaxBackfillScanCount rows are read; IsTruncated tells whether
+    /// the source may have rows after the last one read
+    /// </summary>
+    public static async Task<(List<RecentLogEntryDto> Entries, bool IsTruncated)> ReadMatchingEntriesAsync(
+        LiveLogBackfillRequestDto request,
+        Func<int, Task<List<RecentLogEntryDto>>> readAsync)
+    {
+        // Entries sharing the Since timestamp are read again, so the first batch reads past the ones the client has
+        // plus one extra row to detect gaps larger than the maximum count
+        var fetchCount = request.MaxCount + request.SeenIds.Count + 1;
+
+        while (true)
+        {
+            var entries = await readAsync(fetchCount);
+            var matchingEntries = GetMatchingEntries(request, entries);
+            var isTruncated = entries.Count >= fetchCount;
+
+            if (!isTruncated ||
+                matchingEntries.Count > request.MaxCount ||
+                fetchCount >= LogAnalyticsLiveConstants.DefaultValues.MaxBackfillScanCount)
+            {
+                return (matchingEntries, isTruncated);
+            }
+
+            fetchCount = Math.Min(fetchCount * 4, LogAnalyticsLiveConstants.DefaultValues.MaxBackfillScanCount);
+        }
+    }
+
+    /// <summary>
+    /// Merges the entries read from each source into the backfill response. HasMore is set when a source
+    /// was not read to its end or more entries match than MaxCount
+    /// </summary>
+    public static PaginatedResponse<RecentLogEntryDto> CreateBackfillResponse(
+        LiveLogBackfillRequestDto request,
+        bool isTruncated,
+        params List<RecentLogEntryDto>[] sources)
+    {
+        var matchingEntries = GetMatchingEntries(request, sources.SelectMany(x => x))
+            .OrderBy(x => x.Timestamp)
+            .ToList();
+
+        return new PaginatedResponse<RecentLogEntryDto>
+        {
+            Items = matchingEntries.Take(request.MaxCount).ToList(),
+            TotalCount = matchingEntries.Count,
+            Skip = 0,
+            Take = request.MaxCount,
+            HasMore = isTruncated || matchingEntries.Count > request.MaxCount
+        };
+    }
+
+    private static List<RecentLogEntryDto> GetMatchingEntries(LiveLogBackfillRequestDto request, IEnumerable<RecentLogEntryDto> entries)
+    {
+        var seenIds = request.SeenIds.ToHashSet();
+        return entries
+            .Where(x => x.Id == null || !seenIds.Contains(x.Id))
+            .Where(request.IsMatch)
+            .ToList();
+    }
+}
@@ -0,0 +1,199 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Volo.Abp;
+using Volo.Abp.Application.Services;
+using Volo.Abp.Caching;
+using Volo.Abp.SettingManagement;
+using ERPPlatform.LogAnalytics.Helpers;
+using ERPPlatform.Permissions;
+using ERPPlatform.Settings;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Manages the ERPPlatform.LogAnalytics.* threshold settings per tenant and the dashboard layout setting per user
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.Default)]
+public class LogAnalyticsSettingsAppService : ApplicationService, ILogAnalyticsSettingsAppService
+{
+    private static readonly JsonSerializerOptions LayoutSerializerOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly ISettingManager _settingManager;
+    private readonly LogAnalyticsThresholdProvider _thresholdProvider;
+    private readonly IDistributedCache<SystemHealthDto> _healthCache;
+
+    public LogAnalyticsSettingsAppService(
+        ISettingManager settingManager,
+        LogAnalyticsThresholdProvider thresholdProvider,
+        IDistributedCache<SystemHealthDto> healthCache)
+    {
+        _settingManager = settingManager;
+        _thresholdProvider = thresholdProvider;
+        _healthCache = healthCache;
+    }
+
+    public virtual async Task<LogAnalyticsThresholdsDto> GetThresholdsAsync()
+    {
+        return await _thresholdProvider.GetAsync();
+    }
+
+    [Authorize(ERPPlatformPermissions.LogAnalytics.ManageConfiguration)]
+    public virtual async Task<LogAnalyticsThresholdsDto> UpdateThresholdsAsync(LogAnalyticsThresholdsDto input)
+    {
+        Check.NotNull(input, nameof(input));
+
+        ValidateInput(input);
+
+        try
+        {
+            foreach (var (name, value) in GetSettingValues(input))
+            {
+                await _settingManager.SetForTenantOrGlobalAsync(CurrentTenant.Id, name, value);
+            }
+
+            await _healthCache.RemoveAsync("system_health");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error updating log analytics thresholds for tenant {TenantId}", CurrentTenant.Id);
+            throw new UserFriendlyException("Failed to save the thresholds. Please try again.");
+        }
+
+        Logger.LogInformation("Log analytics thresholds updated for tenant {TenantId}", CurrentTenant.Id);
+
+        return await _thresholdProvider.GetAsync();
+    }
+
+    [Authorize(ERPPlatformPermissions.LogAnalytics.ManageConfiguration)]
+    public virtual async Task<LogAnalyticsThresholdsDto> ResetThresholdsAsync()
+    {
+        try
+        {
+            foreach (var (name, _) in GetSettingValues(new LogAnalyticsThresholdsDto()))
+            {
+                await _settingManager.SetForTenantOrGlobalAsync(CurrentTenant.Id, name, null);
+            }
+
+            await _healthCache.RemoveAsync("system_health");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error resetting log analytics thresholds for tenant {TenantId}", CurrentTenant.Id);
+            throw new UserFriendlyException("Failed to reset the thresholds. Please try again.");
+        }
+
+        Logger.LogInformation("Log analytics thresholds reset for tenant {TenantId}", CurrentTenant.Id);
+
+        return await _thresholdProvider.GetAsync();
+    }
+
+    [Authorize(ERPPlatformPermissions.LogAnalytics.Dashboard)]
+    public virtual async Task<DashboardLayoutDto> GetDashboardLayoutAsync()
+    {
+        var value = await _settingManager.GetOrNullForCurrentUserAsync(ERPPlatformSettings.LogAnalytics.DashboardLayout);
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return new DashboardLayoutDto();
+        }
+
+        try
+        {
+            return JsonSerializer.Deserialize<DashboardLayoutDto>(value, LayoutSerializerOptions) ?? new DashboardLayoutDto();
+        }
+        catch (JsonException ex)
+        {
+            // A layout that cannot be read falls back to the default rather than breaking the dashboard
+            Logger.LogWarning(ex, "Ignoring unreadable dashboard layout of user {UserId}", CurrentUser.Id);
+            return new DashboardLayoutDto();
+        }
+    }
+
+    [Authorize(ERPPlatformPermissions.LogAnalytics.Dashboard)]
+    public virtual async Task<DashboardLayoutDto> UpdateDashboardLayoutAsync(DashboardLayoutDto input)
+    {
+        Check.NotNull(input, nameof(input));
+
+        var value = JsonSerializer.Serialize(input, LayoutSerializerOptions);
+        ValidateLayout(input, value);
+
+        try
+        {
+            await _settingManager.SetForCurrentUserAsync(ERPPlatformSettings.LogAnalytics.DashboardLayout, value);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error saving the dashboard layout of user {UserId}", CurrentUser.Id);
+            throw new UserFriendlyException("Failed to save the dashboard layout. Please try again.");
+        }
+
+        return input;
+    }
+
+    [Authorize(ERPPlatformPermissions.LogAnalytics.Dashboard)]
+    public virtual async Task ResetDashboardLayoutAsync()
+    {
+        try
+        {
+            await _settingManager.SetForCurrentUserAsync(ERPPlatformSettings.LogAnalytics.DashboardLayout, null);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error resetting the dashboard layout of user {UserId}", CurrentUser.Id);
+            throw new UserFriendlyException("Failed to reset the dashboard layout. Please try again.");
+        }
+    }
+
+    #region Private Helper Methods
+
+    private static IEnumerable<(string Name, string Value)> GetSettingValues(LogAnalyticsThresholdsDto input)
+    {
+        yield return (ERPPlatformSettings.LogAnalytics.ExcellentResponseTime, Format(input.ExcellentResponseTime));
+        yield return (ERPPlatformSettings.LogAnalytics.GoodResponseTime, Format(input.GoodResponseTime));
+        yield return (ERPPlatformSettings.LogAnalytics.FairResponseTime, Format(input.FairResponseTime));
+        yield return (ERPPlatformSettings.LogAnalytics.SlowOperationThreshold, Format(input.SlowOperationThreshold));
+        yield return (ERPPlatformSettings.LogAnalytics.ErrorRateWarning, Format(input.ErrorRateWarning));
+        yield return (ERPPlatformSettings.LogAnalytics.ErrorRateCritical, Format(input.ErrorRateCritical));
+        yield return (ERPPlatformSettings.LogAnalytics.ErrorCountWarning, Format(input.ErrorCountWarning));
+        yield return (ERPPlatformSettings.LogAnalytics.ErrorCountCritical, Format(input.ErrorCountCritical));
+        yield return (ERPPlatformSettings.LogAnalytics.SlowOperationsWarning, Format(input.SlowOperationsWarning));
+        yield return (ERPPlatformSettings.LogAnalytics.SlowOperationsCritical, Format(input.SlowOperationsCritical));
+        yield return (ERPPlatformSettings.LogAnalytics.AvgResponseTimeWarning, Format(input.AvgResponseTimeWarning));
+        yield return (ERPPlatformSettings.LogAnalytics.AvgResponseTimeCritical, Format(input.AvgResponseTimeCritical));
+    }
+
+    private static string Format(double value)
+    {
+        return value.ToString(CultureInfo.InvariantCulture);
+    }
+
+    private static void ValidateInput(LogAnalyticsThresholdsDto input)
+    {
+        if (!(input.ExcellentResponseTime < input.GoodResponseTime &&
+              input.GoodResponseTime < input.FairResponseTime &&
+              input.FairResponseTime < input.SlowOperationThreshold))
+            throw new UserFriendlyException("Response time levels must increase from Excellent to Good, Fair and the slow operation threshold.");
+
+        if (input.ErrorRateWarning > input.ErrorRateCritical ||
+            input.ErrorCountWarning > input.ErrorCountCritical ||
+            input.SlowOperationsWarning > input.SlowOperationsCritical ||
+            input.AvgResponseTimeWarning > input.AvgResponseTimeCritical)
+            throw new UserFriendlyException("Each warning threshold must not be above its critical threshold.");
+    }
+
+    private static void ValidateLayout(DashboardLayoutDto input, string value)
+    {
+        if (input.Widgets.Select(x => x.Id).Distinct().Count() != input.Widgets.Count)
+            throw new UserFriendlyException("Each widget can only appear once in the dashboard layout.");
+
+        if (value.Length > LogAnalyticsDashboardConstants.Layout.MaxSerializedLength)
+            throw new UserFriendlyException("The dashboard layout is too large to be saved.");
+    }
+
+    #endregion
+}
@@ -0,0 +1,75 @@
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Volo.Abp;
+using Volo.Abp.Application.Services;
+using ERPPlatform.LogAnalytics.Helpers;
+using ERPPlatform.Permissions;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Flags hours whose Serilog volume per application and level deviates from the same hour of day
+/// and day of week in the previous weeks, for the anomaly markers and panels of both dashboards
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
+public class LogAnomalyAppService : ApplicationService, ILogAnomalyAppService
+{
+    private readonly ISerilogEntryRepository _serilogRepository;
+    private readonly LogAnomalyHelper _anomalyHelper;
+
+    public LogAnomalyAppService(
+        ISerilogEntryRepository serilogRepository,
+        LogAnomalyHelper anomalyHelper)
+    {
+        _serilogRepository = serilogRepository;
+        _anomalyHelper = anomalyHelper;
+    }
+
+    public virtual async Task<LogAnomaliesDto> GetAnomaliesAsync(LogAnomalyRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+        request.ValidateAndSetDefaults();
+
+        var fromDate = request.FromDate!.Value;
+        var toDate = request.ToDate!.Value;
+
+        try
+        {
+            var volume = await _serilogRepository.GetHourlyVolumeAsync(_anomalyHelper.GetBaselineStart(fromDate), toDate);
+            var anomalies = _anomalyHelper.FindAnomalies(volume, fromDate, toDate);
+
+            // Sequential to avoid DbContext concurrency issues
+            foreach (var anomaly in anomalies)
+            {
+                var hourEnd = anomaly.Hour.AddHours(1);
+                var levelGroup = _anomalyHelper.GetLevelGroup(anomaly.Level);
+
+                anomaly.TopMessageTemplates = (await _serilogRepository.GetTopMessageTemplatesAsync(
+                        anomaly.Hour, hourEnd, anomaly.Application, levelGroup, LogAnalyticsDashboardConstants.Anomalies.TopContributors))
+                    .Select(x => new LogAnomalyContributorDto { Value = x.Value, Count = x.Count })
+                    .ToList();
+                anomaly.TopEndpoints = (await _serilogRepository.GetTopRequestPathsAsync(
+                        anomaly.Hour, hourEnd, anomaly.Application, levelGroup, LogAnalyticsDashboardConstants.Anomalies.TopContributors))
+                    .Select(x => new LogAnomalyContributorDto { Value = x.Value, Count = x.Count })
+                    .ToList();
+            }
+
+            Logger.LogDebug("Found {Count} log volume anomalies between {FromDate} and {ToDate}", anomalies.Count, fromDate, toDate);
+
+            return new LogAnomaliesDto
+            {
+                FromDate = fromDate,
+                ToDate = toDate,
+                Anomalies = anomalies
+            };
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error detecting log volume anomalies for range {FromDate} to {ToDate}", fromDate, toDate);
+            throw new UserFriendlyException("Failed to detect log volume anomalies. Please try again.");
+        }
+    }
+}
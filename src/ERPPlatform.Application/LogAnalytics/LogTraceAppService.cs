@@ -0,0 +1,183 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Volo.Abp;
+using Volo.Abp.Application.Services;
+using Volo.Abp.AuditLogging;
+using Volo.Abp.Domain.Repositories;
+using ERPPlatform.LogAnalytics.Helpers;
+using ERPPlatform.Permissions;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Reconstructs a single request from the Serilog entries and audit log actions that share its correlation or request ID
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
+public class LogTraceAppService : ApplicationService, ILogTraceAppService
+{
+    private readonly ISerilogEntryRepository _serilogRepository;
+    private readonly IRepository<AuditLog, Guid> _auditLogRepository;
+    private readonly LogAnalyticsDashboardHelper _dashboardHelper;
+
+    public LogTraceAppService(
+        ISerilogEntryRepository serilogRepository,
+        IRepository<AuditLog, Guid> auditLogRepository,
+        LogAnalyticsDashboardHelper dashboardHelper)
+    {
+        _serilogRepository = serilogRepository;
+        _auditLogRepository = auditLogRepository;
+        _dashboardHelper = dashboardHelper;
+    }
+
+    public virtual async Task<LogTraceDto> GetTraceAsync(LogTraceRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+
+        request.ValidateAndSetDefaults();
+
+        if (request.CorrelationId == null && request.RequestId == null)
+        {
+            throw new UserFriendlyException("A correlation ID or request ID is required to show a trace.");
+        }
+
+        try
+        {
+            var correlationIds = new List<string>();
+            if (request.CorrelationId != null)
+            {
+                correlationIds.Add(request.CorrelationId);
+            }
+
+            // Fetch one extra entry to detect traces larger than the maximum
+            var serilogEntries = await _serilogRepository.GetByTraceIdsAsync(correlationIds, request.RequestId, request.MaxEntries + 1);
+
+            // Audit logs only record the correlation ID, so a request ID is resolved through the Serilog entries first
+            correlationIds = correlationIds
+                .Concat(serilogEntries.Select(x => x.CorrelationId).Where(x => !string.IsNullOrEmpty(x)).Select(x => x!))
+                .Distinct()
+                .ToList();
+
+            if (request.RequestId != null && serilogEntries.Any())
+            {
+                serilogEntries = await _serilogRepository.GetByTraceIdsAsync(correlationIds, request.RequestId, request.MaxEntries + 1);
+            }
+
+            var entries = serilogEntries.Select(MapToTraceEntry).ToList();
+
+            if (correlationIds.Any())
+            {
+                var auditQueryable = await _auditLogRepository.WithDetailsAsync(x => x.Actions);
+                var auditLogs = await AsyncExecuter.ToListAsync(auditQueryable
+                    .Where(x => x.CorrelationId != null && correlationIds.Contains(x.CorrelationId))
+                    .OrderBy(x => x.ExecutionTime)
+                    .Take(request.MaxEntries + 1));
+
+                entries.AddRange(auditLogs.SelectMany(MapToTraceEntries));
+            }
+
+            entries = entries
+                .OrderBy(x => x.Timestamp)
+                .ThenBy(x => x.Source == LogAnalyticsLiveConstants.Sources.AuditLog ? 1 : 0)
+                .ToList();
+
+            var trace = new LogTraceDto
+            {
+                CorrelationIds = correlationIds,
+                RequestIds = entries.Select(x => x.RequestId).Where(x => !string.IsNullOrEmpty(x)).Select(x => x!).Distinct().ToList(),
+                IsTruncated = entries.Count > request.MaxEntries,
+                Entries = entries.Take(request.MaxEntries).ToList()
+            };
+
+            if (trace.Entries.Any())
+            {
+                trace.StartTime = trace.Entries.First().Timestamp;
+                trace.EndTime = trace.Entries.Max(x => x.Duration.HasValue ? x.Timestamp.AddMilliseconds(x.Duration.Value) : x.Timestamp);
+                trace.TotalDurationMs = (trace.EndTime.Value - trace.StartTime.Value).TotalMilliseconds;
+                trace.Applications = trace.Entries.Select(x => x.Application).Distinct().ToList();
+                trace.ErrorCount = trace.Entries.Count(x => !string.IsNullOrEmpty(x.Exception) ||
+                    x.Level is SerilogAnalyticsConstants.LogLevels.Error or SerilogAnalyticsConstants.LogLevels.Fatal or LogAnalyticsDashboardConstants.LogLevels.Critical);
+
+                foreach (var entry in trace.Entries)
+                {
+                    entry.OffsetMs = (entry.Timestamp - trace.StartTime.Value).TotalMilliseconds;
+                }
+            }
+
+            Logger.LogDebug("Trace for correlation {CorrelationId} / request {RequestId} has {Count} entries",
+                request.CorrelationId, request.RequestId, trace.Entries.Count);
+
+            return trace;
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error building trace for correlation {CorrelationId} / request {RequestId}",
+                request.CorrelationId, request.RequestId);
+            throw new UserFriendlyException("Failed to load the request trace. Please try again.");
+        }
+    }
+
+    #region Private Helper Methods
+
+    private static LogTraceEntryDto MapToTraceEntry(SerilogEntry entry)
+    {
+        return new LogTraceEntryDto
+        {
+            Source = LogAnalyticsLiveConstants.Sources.Serilog,
+            Timestamp = entry.Timestamp ?? DateTime.MinValue,
+            Level = entry.LevelName,
+            Application = entry.Application,
+            Message = entry.Message ?? "No message",
+            CorrelationId = entry.CorrelationId,
+            RequestId = entry.RequestId,
+            HttpMethod = entry.HttpMethod,
+            RequestPath = entry.RequestPath,
+            UserId = entry.UserId,
+            Exception = entry.Exception
+        };
+    }
+
+    /// <summary>
+    /// Maps each action of an audit log to a trace entry; a request without actions becomes a single entry
+    /// </summary>
+    private IEnumerable<LogTraceEntryDto> MapToTraceEntries(AuditLog auditLog)
+    {
+        var level = _dashboardHelper.GetLogLevelFromAuditLog(!string.IsNullOrEmpty(auditLog.Exceptions), auditLog.HttpStatusCode);
+
+        LogTraceEntryDto CreateEntry(DateTime timestamp, int duration, string? serviceName, string? methodName) => new()
+        {
+            Source = LogAnalyticsLiveConstants.Sources.AuditLog,
+            Timestamp = timestamp,
+            Level = level,
+            Application = !string.IsNullOrEmpty(auditLog.ApplicationName)
+                ? auditLog.ApplicationName
+                : _dashboardHelper.GetApplicationNameFromService(serviceName),
+            Message = serviceName != null
+                ? $"{serviceName}.{methodName}"
+                : $"{auditLog.HttpMethod} {auditLog.Url}".Trim(),
+            CorrelationId = auditLog.CorrelationId,
+            HttpMethod = auditLog.HttpMethod,
+            RequestPath = auditLog.Url,
+            HttpStatusCode = auditLog.HttpStatusCode,
+            Duration = duration,
+            UserId = auditLog.UserId?.ToString(),
+            ServiceName = serviceName,
+            MethodName = methodName,
+            Exception = auditLog.Exceptions
+        };
+
+        if (auditLog.Actions == null || !auditLog.Actions.Any())
+        {
+            return new[] { CreateEntry(auditLog.ExecutionTime, auditLog.ExecutionDuration, null, null) };
+        }
+
+        return auditLog.Actions
+            .OrderBy(x => x.ExecutionTime)
+            .Select(action => CreateEntry(action.ExecutionTime, action.ExecutionDuration, action.ServiceName, action.MethodName));
+    }
+
+    #endregion
+}
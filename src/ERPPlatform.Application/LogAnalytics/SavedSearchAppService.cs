@@ -0,0 +1,169 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.Extensions.Logging;
+using Volo.Abp;
+using Volo.Abp.Application.Services;
+using Volo.Abp.Authorization;
+using Volo.Abp.Domain.Repositories;
+using ERPPlatform.Permissions;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Stores named searches for the log, audit log and Serilog search forms
+/// Users see their own searches plus the ones shared within their tenant; only the owner can change a search
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.SearchLogs)]
+public class SavedSearchAppService : ApplicationService, ISavedSearchAppService
+{
+    private readonly IRepository<SavedSearch, Guid> _savedSearchRepository;
+
+    public SavedSearchAppService(IRepository<SavedSearch, Guid> savedSearchRepository)
+    {
+        _savedSearchRepository = savedSearchRepository;
+    }
+
+    public virtual async Task<List<SavedSearchDto>> GetListAsync(GetSavedSearchesRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+
+        var searchType = NormalizeSearchType(request.SearchType);
+
+        try
+        {
+            var queryable = await _savedSearchRepository.GetQueryableAsync();
+            var savedSearches = await AsyncExecuter.ToListAsync(queryable
+                .Where(x => x.SearchType == searchType)
+                .Where(x => x.CreatorId == CurrentUser.Id || x.IsShared)
+                .OrderBy(x => x.Name));
+
+            return savedSearches.Select(MapToDto).ToList();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error getting saved searches of type {SearchType}", searchType);
+            throw new UserFriendlyException("Failed to load saved searches. Please try again.");
+        }
+    }
+
+    public virtual async Task<SavedSearchDto> CreateAsync(CreateUpdateSavedSearchDto input)
+    {
+        Check.NotNull(input, nameof(input));
+
+        var searchType = NormalizeSearchType(input.SearchType);
+        ValidateCriteria(input.Criteria);
+        await CheckNameIsAvailableAsync(input.Name, searchType);
+
+        var savedSearch = new SavedSearch(
+            GuidGenerator.Create(),
+            CurrentTenant.Id,
+            input.Name,
+            searchType,
+            input.Criteria,
+            input.IsShared);
+
+        await _savedSearchRepository.InsertAsync(savedSearch, autoSave: true);
+
+        Logger.LogInformation("Saved search {Name} of type {SearchType} created", savedSearch.Name, searchType);
+
+        return MapToDto(savedSearch);
+    }
+
+    public virtual async Task<SavedSearchDto> UpdateAsync(Guid id, CreateUpdateSavedSearchDto input)
+    {
+        Check.NotNull(input, nameof(input));
+
+        var savedSearch = await _savedSearchRepository.GetAsync(id);
+        CheckOwner(savedSearch);
+        ValidateCriteria(input.Criteria);
+
+        if (!string.Equals(savedSearch.Name, input.Name.Trim(), StringComparison.OrdinalIgnoreCase))
+        {
+            await CheckNameIsAvailableAsync(input.Name, savedSearch.SearchType);
+        }
+
+        savedSearch.SetName(input.Name);
+        savedSearch.SetCriteria(input.Criteria);
+        savedSearch.IsShared = input.IsShared;
+
+        await _savedSearchRepository.UpdateAsync(savedSearch, autoSave: true);
+
+        return MapToDto(savedSearch);
+    }
+
+    public virtual async Task DeleteAsync(Guid id)
+    {
+        var savedSearch = await _savedSearchRepository.GetAsync(id);
+        CheckOwner(savedSearch);
+
+        await _savedSearchRepository.DeleteAsync(savedSearch);
+
+        Logger.LogInformation("Saved search {Name} of type {SearchType} deleted", savedSearch.Name, savedSearch.SearchType);
+    }
+
+    #region Private Helper Methods
+
+    private SavedSearchDto MapToDto(SavedSearch savedSearch)
+    {
+        var dto = ObjectMapper.Map<SavedSearch, SavedSearchDto>(savedSearch);
+        dto.IsOwner = savedSearch.CreatorId == CurrentUser.Id;
+        return dto;
+    }
+
+    private void CheckOwner(SavedSearch savedSearch)
+    {
+        if (savedSearch.CreatorId != CurrentUser.Id)
+        {
+            throw new AbpAuthorizationException("Only the user who saved this search can change or delete it.");
+        }
+    }
+
+    private async Task CheckNameIsAvailableAsync(string name, string searchType)
+    {
+        var trimmedName = name.Trim();
+        var queryable = await _savedSearchRepository.GetQueryableAsync();
+
+        var exists = await AsyncExecuter.AnyAsync(queryable
+            .Where(x => x.SearchType == searchType && x.CreatorId == CurrentUser.Id)
+            .Where(x => x.Name.ToLower() == trimmedName.ToLower()));
+
+        if (exists)
+        {
+            throw new UserFriendlyException($"You already have a saved search named \"{trimmedName}\".");
+        }
+    }
+
+    private static string NormalizeSearchType(string? searchType)
+    {
+        var match = SavedSearchConstants.SearchTypes.All
+            .FirstOrDefault(x => string.Equals(x, searchType?.Trim(), StringComparison.OrdinalIgnoreCase));
+
+        return match ?? throw new UserFriendlyException($"Unknown search type \"{searchType}\".");
+    }
+
+    /// <summary>
+    /// Criteria are replayed into the search forms by the dashboards, so only JSON objects are accepted
+    /// </summary>
+    private static void ValidateCriteria(string? criteria)
+    {
+        try
+        {
+            using var document = JsonDocument.Parse(criteria ?? string.Empty);
+            if (document.RootElement.ValueKind == JsonValueKind.Object)
+            {
+                return;
+            }
+        }
+        catch (JsonException)
+        {
+        }
+
+        throw new UserFriendlyException("Saved search criteria must be a JSON object.");
+    }
+
+    #endregion
+}
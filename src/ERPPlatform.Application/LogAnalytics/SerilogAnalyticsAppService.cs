@@ -24,16 +24,25 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
 {
     private readonly SerilogEntryRepository _serilogRepository;
     private readonly SerilogAnalyticsHelper _analyticsHelper;
+    private readonly ErrorFingerprintHelper _fingerprintHelper;
+    private readonly TrendBucketHelper _trendBucketHelper;
     private readonly IDistributedCache<SerilogDashboardDto> _dashboardCache;
+    private readonly LogAnalyticsThresholdProvider _thresholdProvider;
 
     public SerilogAnalyticsAppService(
         SerilogEntryRepository serilogRepository,
         SerilogAnalyticsHelper analyticsHelper,
-        IDistributedCache<SerilogDashboardDto> dashboardCache)
+        ErrorFingerprintHelper fingerprintHelper,
+        TrendBucketHelper trendBucketHelper,
+        IDistributedCache<SerilogDashboardDto> dashboardCache,
+        LogAnalyticsThresholdProvider thresholdProvider)
     {
         _serilogRepository = serilogRepository;
         _analyticsHelper = analyticsHelper;
+        _fingerprintHelper = fingerprintHelper;
+        _trendBucketHelper = trendBucketHelper;
         _dashboardCache = dashboardCache;
+        _thresholdProvider = thresholdProvider;
     }
 
     #region Dashboard Operations
@@ -42,8 +51,8 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
     {
         var request = new SerilogDashboardRequestDto
         {
-            FromDate = DateTime.Now.AddDays(-7),
-            ToDate = DateTime.Now,
+            FromDate = Clock.Now.AddDays(-7),
+            ToDate = Clock.Now,
             TopErrorsCount = 10,
             TopEndpointsCount = 10,
             SlowRequestsCount = 20
@@ -58,7 +67,7 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
         
         request = _analyticsHelper.ValidateDashboardRequest(request);
 
-        Logger.LogInformation("Generating Serilog dashboard for range {FromDate} to {ToDate}",
+        Logger.LogDebug("Generating Serilog dashboard for range {FromDate} to {ToDate}",
             request.FromDate, request.ToDate);
 
         try
@@ -74,6 +83,7 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
             if (request.IncludeHourlyTrends)
             {
                 dashboard.HourlyTrends = await GetHourlyTrendsAsync(request);
+                dashboard.TrendBucket = _trendBucketHelper.Resolve(request.Bucket, request.FromDate!.Value, request.ToDate!.Value).Name;
             }
 
             if (request.IncludePerformanceMetrics)
@@ -83,7 +93,7 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
                 dashboard.TopEndpoints = await GetEndpointStatisticsAsync(request);
             }
 
-            Logger.LogInformation("Serilog dashboard generated successfully with {TotalLogs} total logs",
+            Logger.LogDebug("Serilog dashboard generated successfully with {TotalLogs} total logs",
                 dashboard.Statistics.TotalLogs);
 
             return dashboard;
@@ -100,7 +110,11 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
     {
         try
         {
-            var logs = await _serilogRepository.GetListAsync(DateTime.Now.AddHours(-24), DateTime.Now, null, null, false, 0, 10000);
+            var toDate = Clock.Now;
+            var fromDate = toDate.AddHours(-24);
+            var logs = await _serilogRepository.GetListAsync(fromDate, toDate, null, null, false, 0, 10000);
+            var thresholds = await _thresholdProvider.GetAsync();
+            var requestStats = await _serilogRepository.GetRequestDurationStatsAsync(fromDate, toDate, thresholds.SlowOperationThreshold);
 
             if (!logs.Any())
             {
@@ -114,12 +128,11 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
                 };
             }
 
-            // For now, return basic metrics. TODO: Extract performance data from LogEvent JSON
             var errorCount = logs.Count(x => x.IsError);
             var totalRequests = logs.Count;
 
-            var avgResponseTime = 0.0; // TODO: Extract from LogEvent
-            var (p95, p99) = (0.0, 0.0); // TODO: Extract from LogEvent
+            var avgResponseTime = requestStats.AvgDuration;
+            var p50 = Math.Round(requestStats.P50Duration, 2);
             var errorRate = _analyticsHelper.CalculatePercentage(errorCount, totalRequests);
             var requestsPerMinute = totalRequests / (24.0 * 60.0); // Rough calculation
             var errorsPerMinute = errorCount / (24.0 * 60.0); // Rough calculation
@@ -127,19 +140,20 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
             return new SystemPerformanceDto
             {
                 AvgResponseTime = Math.Round(avgResponseTime, 2),
-                P95ResponseTime = p95,
-                P99ResponseTime = p99,
+                P50ResponseTime = p50,
+                P95ResponseTime = Math.Round(requestStats.P95Duration, 2),
+                P99ResponseTime = Math.Round(requestStats.P99Duration, 2),
                 RequestsPerMinute = (int)Math.Round(requestsPerMinute),
                 ErrorsPerMinute = (int)Math.Round(errorsPerMinute),
                 Throughput = requestsPerMinute,
-                HealthStatus = _analyticsHelper.GetSystemHealthStatus(errorRate, avgResponseTime, totalRequests),
+                HealthStatus = _analyticsHelper.GetSystemHealthStatus(errorRate, avgResponseTime, totalRequests, thresholds),
                 AdditionalMetrics = new Dictionary<string, object>
                 {
                     ["ErrorRate"] = errorRate,
                     ["SuccessRate"] = 100 - errorRate,
                     ["TotalRequests"] = totalRequests,
                     ["TotalErrors"] = errorCount,
-                    ["MedianResponseTime"] = 0 // TODO: Extract from LogEvent
+                    ["MedianResponseTime"] = p50
                 }
             };
         }
@@ -169,15 +183,9 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
 
         try
         {
-            // Get recent logs with proper pagination - respect request parameters
-            var totalLogsToGet = request.Page * request.PageSize; // Get enough logs for pagination
-            var allLogs = await _serilogRepository.GetRecentAsync(totalLogsToGet);
+            var (entries, totalCount) = await _serilogRepository.SearchAsync(request);
             
-            // Apply pagination
-            var skip = (request.Page - 1) * request.PageSize;
-            var pagedLogs = allLogs.Skip(skip).Take(request.PageSize).ToList();
-            
-            var mappedLogs = pagedLogs.Select(x => new SerilogEntryDto
+            var mappedLogs = entries.Select(x => new SerilogEntryDto
             {
                 TimeStamp = x.Timestamp ?? DateTime.MinValue,
                 Level = x.LevelName,
@@ -186,12 +194,11 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
                 RequestPath = x.RequestPath,
                 HttpMethod = x.HttpMethod,
                 UserId = x.UserId,
+                CorrelationId = x.CorrelationId,
+                RequestId = x.RequestId,
                 Properties = x.LogEvent ?? "{}"
             }).ToList();
 
-            // Get the actual total count from database (not just the fetched logs)
-            var totalCount = await _serilogRepository.GetTotalCountAsync();
-
             return new SerilogSearchResponseDto((int)totalCount, mappedLogs, request.Page, request.PageSize);
         }
         catch (Exception ex)
@@ -205,28 +212,50 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
     {
         try
         {
-            var errorLogs = await _serilogRepository.GetRecentErrorsAsync(count, 24);
+            // Fingerprint a larger sample than requested so that the group counts are meaningful
+            var trendHours = LogAnalyticsDashboardConstants.ErrorGrouping.TrendHours;
+            var sampleSize = Math.Max(count, LogAnalyticsDashboardConstants.ErrorGrouping.MaxSampleSize);
+            var errorLogs = await _serilogRepository.GetRecentErrorsAsync(sampleSize + 1, trendHours);
 
             if (!errorLogs.Any())
             {
                 return new List<SerilogTopErrorDto>();
             }
 
+            var now = Clock.Now;
+            var isSampled = errorLogs.Count > sampleSize;
             var errorGroups = errorLogs
-                .GroupBy(x => _analyticsHelper.ExtractErrorMessage(x.Exception))
-                .Select(g => new SerilogTopErrorDto
+                .Take(sampleSize)
+                .Select(x => new
                 {
-                    ErrorMessage = g.Key ?? "Unknown Error",
-                    ExceptionType = _analyticsHelper.ExtractExceptionType(g.First().Exception),
-                    Count = g.Count(),
-                    FirstOccurrence = g.Min(x => x.Timestamp) ?? DateTime.MinValue,
-                    LastOccurrence = g.Max(x => x.Timestamp) ?? DateTime.MinValue,
-                    AffectedEndpoints = g.Where(x => !string.IsNullOrEmpty(x.RequestPath))
-                                        .Select(x => x.RequestPath!)
-                                        .Distinct()
-                                        .Take(5)
-                                        .ToList(),
-                    Level = g.First().LevelName
+                    Entry = x,
+                    Fingerprint = _fingerprintHelper.CreateFingerprint(x.Exception, x.MessageTemplate, x.Message)
+                })
+                .GroupBy(x => x.Fingerprint.Key)
+                .Select(g =>
+                {
+                    var latest = g.OrderByDescending(x => x.Entry.Timestamp).First();
+                    return new SerilogTopErrorDto
+                    {
+                        Fingerprint = g.Key,
+                        ErrorMessage = latest.Fingerprint.Message,
+                        MessageTemplate = latest.Fingerprint.MessageTemplate,
+                        ExceptionType = latest.Fingerprint.ExceptionType,
+                        TopFrame = latest.Fingerprint.TopFrame,
+                        Count = g.Count(),
+                        FirstOccurrence = g.Min(x => x.Entry.Timestamp) ?? DateTime.MinValue,
+                        LastOccurrence = g.Max(x => x.Entry.Timestamp) ?? DateTime.MinValue,
+                        AffectedEndpoints = g.Where(x => !string.IsNullOrEmpty(x.Entry.RequestPath))
+                                            .Select(x => _fingerprintHelper.FormatEndpoint(x.Entry.HttpMethod, x.Entry.RequestPath))
+                                            .Distinct()
+                                            .Take(LogAnalyticsDashboardConstants.ErrorGrouping.MaxAffectedEndpoints)
+                                            .ToList(),
+                        AffectedApplications = g.Select(x => x.Entry.Application).Distinct().ToList(),
+                        Level = latest.Entry.LevelName,
+                        HourlyCounts = _fingerprintHelper.BuildHourlyTrend(
+                            g.Where(x => x.Entry.Timestamp.HasValue).Select(x => x.Entry.Timestamp!.Value), now, trendHours),
+                        IsSampled = isSampled
+                    };
                 })
                 .OrderByDescending(x => x.Count)
                 .ThenByDescending(x => x.LastOccurrence)
@@ -264,8 +293,33 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
     {
         try
         {
-            // For now, return empty list. TODO: Extract endpoint data from LogEvent JSON
-            return new List<SerilogEndpointStatsDto>();
+            var fromDate = request.FromDate ?? Clock.Now.Date.AddDays(-1);
+            var toDate = request.ToDate ?? Clock.Now;
+            var topCount = request.TopEndpointsCount > 0 ? request.TopEndpointsCount : 10;
+
+            var thresholds = await _thresholdProvider.GetAsync();
+
+            // Routes are normalized in the database so that calls to /api/users/5 and /api/users/7 share one row,
+            // and the counts and percentiles cover every request of the range
+            var endpointStats = await _serilogRepository.GetRequestDurationStatsByEndpointAsync(
+                fromDate, toDate, thresholds.SlowOperationThreshold, topCount);
+
+            return endpointStats
+                .Select(x => new SerilogEndpointStatsDto
+                {
+                    Endpoint = x.Endpoint ?? "/",
+                    HttpMethod = x.HttpMethod ?? string.Empty,
+                    RequestCount = x.RequestCount,
+                    AvgDuration = Math.Round(x.AvgDuration, 2),
+                    P50Duration = Math.Round(x.P50Duration, 2),
+                    P95Duration = Math.Round(x.P95Duration, 2),
+                    P99Duration = Math.Round(x.P99Duration, 2),
+                    MaxDuration = (long)Math.Round(x.MaxDuration),
+                    MinDuration = (long)Math.Round(x.MinDuration),
+                    ErrorCount = x.ErrorCount,
+                    SuccessCount = x.RequestCount - x.ErrorCount
+                })
+                .ToList();
         }
         catch (Exception ex)
         {
@@ -278,21 +332,75 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
     {
         try
         {
-            var fromDate = request.FromDate ?? DateTime.Today.AddDays(-1);
-            var toDate = request.ToDate ?? DateTime.Now;
-                
-            var hourlyData = await _serilogRepository.GetHourlyTrendsAsync(fromDate, toDate);
+            var fromDate = request.FromDate ?? Clock.Now.Date.AddDays(-1);
+            var toDate = request.ToDate ?? Clock.Now;
+            var bucket = _trendBucketHelper.Resolve(request.Bucket, fromDate, toDate);
+
+            var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+            var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+
+            // The database groups by minute steps of the bucket (whole hours for hour and day buckets);
+            // the steps are then folded into buckets here
+            var minuteStep = (int)Math.Min(bucket.Size.TotalMinutes, 60);
+            var queryable = await _serilogRepository.GetQueryableAsync();
+            var steps = await AsyncExecuter.ToListAsync(queryable
+                .Where(x => x.Timestamp >= fromDateUnspecified && x.Timestamp <= toDateUnspecified)
+                .GroupBy(x => new
+                {
+                    Year = x.Timestamp!.Value.Year,
+                    Month = x.Timestamp!.Value.Month,
+                    Day = x.Timestamp!.Value.Day,
+                    Hour = x.Timestamp!.Value.Hour,
+                    Minute = x.Timestamp!.Value.Minute / minuteStep * minuteStep
+                })
+                .Select(g => new
+                {
+                    g.Key.Year,
+                    g.Key.Month,
+                    g.Key.Day,
+                    g.Key.Hour,
+                    g.Key.Minute,
+                    TotalCount = g.Count(),
+                    ErrorCount = g.Count(x => x.Level >= 4),
+                    WarningCount = g.Count(x => x.Level == 3),
+                    InfoCount = g.Count(x => x.Level == 2)
+                }));
+
+            if (!steps.Any())
+            {
+                return new List<SerilogHourlyTrendDto>();
+            }
 
-            return hourlyData.Select(x => new SerilogHourlyTrendDto
+            var stepsByBucket = steps
+                .GroupBy(x => bucket.GetStart(new DateTime(x.Year, x.Month, x.Day, x.Hour, x.Minute, 0)))
+                .ToDictionary(g => g.Key, g => g.ToList());
+
+            var thresholds = await _thresholdProvider.GetAsync();
+            var requestStatsByBucket = (await _serilogRepository.GetRequestDurationStatsByBucketAsync(
+                    fromDate, toDate, bucket.Size, thresholds.SlowOperationThreshold))
+                .Where(x => x.BucketStart.HasValue)
+                .ToDictionary(x => x.BucketStart!.Value);
+
+            return bucket.GetStarts(fromDate, toDate).Select(start =>
             {
-                Hour = x.Hour,
-                TotalCount = x.TotalCount,
-                TotalRequests = x.TotalCount, // Same as total count for now
-                ErrorCount = x.ErrorCount,
-                WarningCount = x.WarningCount,
-                InfoCount = x.InfoCount,
-                AvgResponseTime = 0, // TODO: Extract from LogEvent
-                SlowRequestCount = 0 // TODO: Extract from LogEvent
+                stepsByBucket.TryGetValue(start, out var bucketSteps);
+                var totalCount = bucketSteps?.Sum(x => x.TotalCount) ?? 0;
+                var requestStats = requestStatsByBucket.GetValueOrDefault(start) ?? new RequestDurationStats();
+
+                return new SerilogHourlyTrendDto
+                {
+                    Hour = start,
+                    TotalCount = totalCount,
+                    TotalRequests = totalCount, // Same as total count for now
+                    ErrorCount = bucketSteps?.Sum(x => x.ErrorCount) ?? 0,
+                    WarningCount = bucketSteps?.Sum(x => x.WarningCount) ?? 0,
+                    InfoCount = bucketSteps?.Sum(x => x.InfoCount) ?? 0,
+                    AvgResponseTime = Math.Round(requestStats.AvgDuration, 2),
+                    P50ResponseTime = Math.Round(requestStats.P50Duration, 2),
+                    P95ResponseTime = Math.Round(requestStats.P95Duration, 2),
+                    P99ResponseTime = Math.Round(requestStats.P99Duration, 2),
+                    SlowRequestCount = requestStats.SlowCount
+                };
             }).ToList();
         }
         catch (Exception ex)
@@ -302,12 +410,68 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
         }
     }
 
+    public async Task<SerilogLatencyHeatmapDto> GetLatencyHeatmapAsync(SerilogDashboardRequestDto request)
+    {
+        Check.NotNull(request, nameof(request));
+
+        var (fromDate, toDate) = _analyticsHelper.ValidateDateRange(request.FromDate, request.ToDate);
+        var bucket = _trendBucketHelper.Resolve(request.Bucket, fromDate, toDate);
+
+        try
+        {
+            var samples = await _serilogRepository.GetRequestDurationsAsync(
+                fromDate, toDate, LogAnalyticsDashboardConstants.Latency.MaxDurationSamples);
+
+            var boundaries = LogAnalyticsDashboardConstants.Latency.HeatmapBoundaries;
+            var latencyBuckets = boundaries
+                .Select((max, index) => new SerilogLatencyBucketDto
+                {
+                    MinDuration = index == 0 ? 0 : boundaries[index - 1],
+                    MaxDuration = max
+                })
+                .Append(new SerilogLatencyBucketDto { MinDuration = boundaries[^1] })
+                .ToList();
+            latencyBuckets.ForEach(x => x.Label = FormatLatencyBucketLabel(x.MinDuration, x.MaxDuration));
+
+            var timeBuckets = bucket.GetStarts(fromDate, toDate);
+            var timeIndexes = timeBuckets
+                .Select((start, index) => (start, index))
+                .ToDictionary(x => x.start, x => x.index);
+            var counts = timeBuckets.Select(_ => new int[latencyBuckets.Count]).ToList();
+
+            foreach (var sample in samples)
+            {
+                if (!timeIndexes.TryGetValue(bucket.GetStart(sample.Timestamp), out var timeIndex))
+                    continue;
+
+                var latencyIndex = latencyBuckets.FindIndex(x => !x.MaxDuration.HasValue || sample.Duration < x.MaxDuration.Value);
+                counts[timeIndex][latencyIndex]++;
+            }
+
+            return new SerilogLatencyHeatmapDto
+            {
+                TrendBucket = bucket.Name,
+                TimeBuckets = timeBuckets,
+                LatencyBuckets = latencyBuckets,
+                Counts = counts.Select(x => x.ToList()).ToList(),
+                MaxCount = counts.SelectMany(x => x).DefaultIfEmpty(0).Max(),
+                TotalRequests = samples.Count,
+                IsSampled = samples.Count >= LogAnalyticsDashboardConstants.Latency.MaxDurationSamples
+            };
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error calculating latency heatmap for range {FromDate} to {ToDate}", fromDate, toDate);
+            throw new UserFriendlyException("Failed to calculate latency heatmap. Please try again.");
+        }
+    }
+
     public async Task<List<SerilogLevelCountDto>> GetLogLevelDistributionAsync(SerilogDashboardRequestDto request)
     {
         try
         {
-            var fromDate = request.FromDate ?? DateTime.Today.AddDays(-7);
-            var toDate = request.ToDate ?? DateTime.Now;
+            var fromDate = request.FromDate ?? Clock.Now.Date.AddDays(-7);
+            var toDate = request.ToDate ?? Clock.Now;
 
             // Get log level counts from the repository
             var levelCounts = await _serilogRepository.GetLogLevelCountsAsync(fromDate, toDate);
@@ -390,6 +554,7 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
         report.AppendLine("SYSTEM HEALTH");
         report.AppendLine($"Status: {dashboard.Performance.HealthStatus}");
         report.AppendLine($"Requests per Minute: {dashboard.Performance.RequestsPerMinute:N0}");
+        report.AppendLine($"P50 Response Time: {dashboard.Performance.P50ResponseTime:F2}ms");
         report.AppendLine($"P95 Response Time: {dashboard.Performance.P95ResponseTime:F2}ms");
         report.AppendLine($"P99 Response Time: {dashboard.Performance.P99ResponseTime:F2}ms");
         
@@ -402,14 +567,15 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
 
     private async Task<SerilogStatisticsDto> GetSerilogStatisticsAsync(SerilogDashboardRequestDto request)
     {
-        var fromDate = request.FromDate ?? DateTime.Today.AddDays(-7);
-        var toDate = request.ToDate ?? DateTime.Now;
+        var fromDate = request.FromDate ?? Clock.Now.Date.AddDays(-7);
+        var toDate = request.ToDate ?? Clock.Now;
 
         // Get the actual total count from database without date filtering to match Recent Logs behavior
         var totalLogs = await _serilogRepository.GetTotalCountAsync();
         
         // Get today's logs count
-        var todayLogs = await _serilogRepository.GetTotalCountAsync(DateTime.Today, DateTime.Today.AddDays(1));
+        var today = Clock.Now.Date;
+        var todayLogs = await _serilogRepository.GetTotalCountAsync(today, today.AddDays(1));
 
         // Get log level counts without date filtering to match working behavior
         var levelCounts = await _serilogRepository.GetLogLevelCountsAsync();
@@ -449,7 +615,9 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
                 Application = x.Application,
                 RequestPath = x.RequestPath,
                 HttpMethod = x.HttpMethod,
-                UserId = x.UserId
+                UserId = x.UserId,
+                CorrelationId = x.CorrelationId,
+                RequestId = x.RequestId
             })
             .ToList();
     }
@@ -489,5 +657,24 @@ public class SerilogAnalyticsAppService : ApplicationService, ISerilogAnalyticsA
         return await Task.FromResult(Encoding.UTF8.GetBytes(csv.ToString()));
     }
 
+    /// <summary>
+    /// Formats a latency row as e.g. "100-250ms", "1-2.5s" or "10s+"
+    /// </summary>
+    private static string FormatLatencyBucketLabel(int minDuration, int? maxDuration)
+    {
+        static string Format(int duration, bool withUnit) => duration >= 1000
+            ? $"{duration / 1000.0:0.#}{(withUnit ? "s" : string.Empty)}"
+            : $"{duration}{(withUnit ? "ms" : string.Empty)}";
+
+        if (!maxDuration.HasValue)
+            return $"{Format(minDuration, true)}+";
+
+        // Both ends share the unit of the upper bound, e.g. "500-1000ms" rather than "500ms-1s"
+        var sameUnit = minDuration >= 1000 || maxDuration.Value < 1000;
+        return sameUnit
+            ? $"{Format(minDuration, false)}-{Format(maxDuration.Value, true)}"
+            : $"{minDuration}-{maxDuration.Value}ms";
+    }
+
     #endregion
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Constants for alert rules evaluated against the Serilog entries
+/// </summary>
+public static class AlertRuleConstants
+{
+    public const int MaxNameLength = 128;
+    public const int MaxQueryLength = 1000;
+    public const int MaxCriteriaLength = 4000;
+    public const int MaxMetricLength = 16;
+    public const int MaxOperatorLength = 8;
+    public const int MaxConditionLength = 256;
+    public const int MaxSeverityLength = 16;
+    public const int MaxEventTypeLength = 16;
+
+    /// <summary>
+    /// What a rule compares with its threshold: the number of matching entries in the window,
+    /// or the matching entries as a percentage of the entries matching the base query
+    /// </summary>
+    public static class Metrics
+    {
+        public const string Count = "Count";
+        public const string Rate = "Rate";
+
+        public static readonly string[] All = { Count, Rate };
+    }
+
+    public static class Operators
+    {
+        public const string GreaterThan = ">";
+        public const string GreaterThanOrEqual = ">=";
+        public const string LessThan = "<";
+        public const string LessThanOrEqual = "<=";
+
+        public static readonly string[] All = { GreaterThan, GreaterThanOrEqual, LessThan, LessThanOrEqual };
+    }
+
+    public static class Severities
+    {
+        public const string Info = "Info";
+        public const string Warning = "Warning";
+        public const string Critical = "Critical";
+
+        public static readonly string[] All = { Info, Warning, Critical };
+    }
+
+    public static class EventTypes
+    {
+        public const string Fired = "Fired";
+        public const string Resolved = "Resolved";
+    }
+
+    public static class DefaultValues
+    {
+        public const int EvaluationIntervalSeconds = 60;
+        public const int WindowMinutes = 5;
+        public const int MaxWindowMinutes = 1440;
+        public const int HistoryCount = 100;
+        public const int MaxHistoryCount = 1000;
+    }
+}
+
+/// <summary>
+/// Alert rule DTO; Criteria and BaseCriteria hold the parsed queries as Serilog search request JSON
+/// </summary>
+public class AlertRuleDto
+{
+    public Guid Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string Query { get; set; } = string.Empty;
+    public string Criteria { get; set; } = "{}";
+    public string? BaseQuery { get; set; }
+    public string? BaseCriteria { get; set; }
+    public string Metric { get; set; } = AlertRuleConstants.Metrics.Count;
+    public string Operator { get; set; } = AlertRuleConstants.Operators.GreaterThan;
+    public double Threshold { get; set; }
+    public int WindowMinutes { get; set; }
+    public string Severity { get; set; } = AlertRuleConstants.Severities.Warning;
+    public bool IsEnabled { get; set; }
+    public bool IsFiring { get; set; }
+    public double? LastValue { get; set; }
+    public DateTime? LastEvaluationTime { get; set; }
+    public DateTime? LastStateChangeTime { get; set; }
+    public DateTime CreationTime { get; set; }
+    public DateTime? LastModificationTime { get; set; }
+}
+
+/// <summary>
+/// Create/update alert rule DTO; the dashboard parses Query and BaseQuery into the criteria JSON
+/// </summary>
+public class CreateUpdateAlertRuleDto
+{
+    [Required]
+    [StringLength(AlertRuleConstants.MaxNameLength)]
+    public string Name { get; set; } = string.Empty;
+
+    [StringLength(AlertRuleConstants.MaxQueryLength)]
+    public string Query { get; set; } = string.Empty;
+
+    [Required]
+    [StringLength(AlertRuleConstants.MaxCriteriaLength)]
+    public string Criteria { get; set; } = "{}";
+
+    /// <summary>
+    /// Denominator of Rate rules; empty means all entries in the window
+    /// </summary>
+    [StringLength(AlertRuleConstants.MaxQueryLength)]
+    public string? BaseQuery { get; set; }
+
+    [StringLength(AlertRuleConstants.MaxCriteriaLength)]
+    public string? BaseCriteria { get; set; }
+
+    [Required]
+    public string Metric { get; set; } = AlertRuleConstants.Metrics.Count;
+
+    [Required]
+    public string Operator { get; set; } = AlertRuleConstants.Operators.GreaterThan;
+
+    public double Threshold { get; set; }
+
+    [Range(1, AlertRuleConstants.DefaultValues.MaxWindowMinutes)]
+    public int WindowMinutes { get; set; } = AlertRuleConstants.DefaultValues.WindowMinutes;
+
+    [Required]
+    public string Severity { get; set; } = AlertRuleConstants.Severities.Warning;
+
+    public bool IsEnabled { get; set; } = true;
+}
+
+/// <summary>
+/// A rule starting or stopping to fire; stored in the alert history and pushed to dashboard clients
+/// </summary>
+public class AlertEventDto
+{
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Tenant owning the rule; live alert events are only pushed to this tenant's dashboards
+    /// </summary>
+    public Guid? TenantId { get; set; }
+    public Guid AlertRuleId { get; set; }
+    public string RuleName { get; set; } = string.Empty;
+    public string EventType { get; set; } = AlertRuleConstants.EventTypes.Fired;
+    public string Severity { get; set; } = AlertRuleConstants.Severities.Warning;
+    public string Condition { get; set; } = string.Empty;
+    public double Value { get; set; }
+    public DateTime Time { get; set; }
+}
+
+/// <summary>
+/// Request DTO for the alert history, newest first
+/// </summary>
+public class GetAlertHistoryRequestDto
+{
+    /// <summary>
+    /// Only events of this rule; null for all rules
+    /// </summary>
+    public Guid? AlertRuleId { get; set; }
+
+    public int MaxCount { get; set; } = AlertRuleConstants.DefaultValues.HistoryCount;
+
+    public void ValidateAndSetDefaults()
+    {
+        if (MaxCount <= 0) MaxCount = AlertRuleConstants.DefaultValues.HistoryCount;
+        if (MaxCount > AlertRuleConstants.DefaultValues.MaxHistoryCount) MaxCount = AlertRuleConstants.DefaultValues.MaxHistoryCount;
+    }
+}
@@ -31,7 +31,34 @@ public static class AuditLogConstants
         public const int DefaultPageSize = 20;
         public const int MaxPageSize = 1000;
         public const int DefaultTopCount = 10;
-        public const int SlowExecutionThreshold = 5000; // milliseconds
+    }
+
+    public static class ExportColumns
+    {
+        public const string ExecutionTime = "ExecutionTime";
+        public const string UserId = "UserId";
+        public const string UserName = "UserName";
+        public const string ServiceName = "ServiceName";
+        public const string MethodName = "MethodName";
+        public const string ExecutionDuration = "ExecutionDuration";
+        public const string ClientIpAddress = "ClientIpAddress";
+        public const string HttpMethod = "HttpMethod";
+        public const string Url = "Url";
+        public const string HttpStatusCode = "HttpStatusCode";
+        public const string HasException = "HasException";
+        public const string Exception = "Exception";
+
+        public static readonly string[] All =
+        {
+            ExecutionTime, UserId, UserName, ServiceName, MethodName, ExecutionDuration,
+            ClientIpAddress, HttpMethod, Url, HttpStatusCode, HasException, Exception
+        };
+
+        public static readonly string[] Default =
+        {
+            ExecutionTime, UserId, UserName, ServiceName, MethodName, ExecutionDuration,
+            ClientIpAddress, HttpMethod, HttpStatusCode, HasException
+        };
     }
 }
 
@@ -142,11 +169,12 @@ public class RecentAuditLogDto
     public int? HttpStatusCode { get; set; }
     public bool HasException { get; set; }
     public string? Exception { get; set; }
+    public string? CorrelationId { get; set; }
     
     /// <summary>
-    /// Indicates if this is a slow operation
+    /// Indicates if this is slower than the tenant's slow operation threshold
     /// </summary>
-    public bool IsSlowOperation => ExecutionDuration > AuditLogConstants.DefaultValues.SlowExecutionThreshold;
+    public bool IsSlowOperation { get; set; }
     
     /// <summary>
     /// Gets the status category based on HTTP status code and exceptions
@@ -211,10 +239,9 @@ public class AuditLogMethodCountDto
     public double FailureRate => CallCount > 0 ? Math.Round((double)FailureCount / CallCount * 100, 1) : 0;
     
     /// <summary>
-    /// Indicates if this method has performance issues
+    /// Indicates if this method is slow on average or fails more often than the tenant's error rate warning threshold
     /// </summary>
-    public bool HasPerformanceIssues => AvgDuration > AuditLogConstants.DefaultValues.SlowExecutionThreshold || 
-                                       FailureRate > 10;
+    public bool HasPerformanceIssues { get; set; }
     
     /// <summary>
     /// Full method signature
@@ -239,16 +266,18 @@ public class ExportAuditLogsRequestDto
     public string? ClientIp { get; set; }
     public string Format { get; set; } = "csv";
     public int MaxRecords { get; set; } = 10000;
+    public List<string> Columns { get; set; } = new();
 
     public void ValidateAndSetDefaults()
     {
-        if (string.IsNullOrWhiteSpace(Format))
-            Format = "csv";
-            
-        Format = Format.ToLowerInvariant();
+        Format = ExportRequestHelper.NormalizeFormat(Format);
         
         if (MaxRecords <= 0 || MaxRecords > 50000)
             MaxRecords = 10000;
+
+        Columns = ExportRequestHelper.NormalizeColumns(Columns,
+            AuditLogConstants.ExportColumns.All,
+            AuditLogConstants.ExportColumns.Default);
             
         // Validate duration range
         if (MinDuration.HasValue && MinDuration < 0) MinDuration = 0;
@@ -295,6 +324,50 @@ public class TopAuditMethodsRequestDto : AuditLogBaseRequestDto
     }
 }
 
+/// <summary>
+/// API endpoint statistics request DTO
+/// </summary>
+public class ApiEndpointStatsRequestDto : AuditLogBaseRequestDto
+{
+    public int Count { get; set; } = AuditLogConstants.DefaultValues.DefaultTopCount;
+    public string? HttpMethod { get; set; }
+
+    public void ValidateAndSetDefaults()
+    {
+        if (Count <= 0) Count = AuditLogConstants.DefaultValues.DefaultTopCount;
+        if (Count > 100) Count = 100; // Reasonable maximum
+    }
+}
+
+/// <summary>
+/// Aggregated request statistics for one API route, built from audit logs
+/// </summary>
+public class ApiEndpointStatsDto
+{
+    public string HttpMethod { get; set; } = string.Empty;
+    public string Route { get; set; } = string.Empty;
+    public int CallCount { get; set; }
+    public int FailureCount { get; set; }
+    public double AvgDuration { get; set; }
+    public double MaxDuration { get; set; }
+    public DateTime LastCalled { get; set; }
+
+    /// <summary>
+    /// Number of calls per HTTP status code; calls without a recorded status are not included
+    /// </summary>
+    public Dictionary<int, int> StatusCodes { get; set; } = new();
+
+    /// <summary>
+    /// Success rate percentage
+    /// </summary>
+    public double SuccessRate => CallCount > 0 ? Math.Round((double)(CallCount - FailureCount) / CallCount * 100, 1) : 0;
+
+    /// <summary>
+    /// Health of the route from its failure rate and average duration against the tenant's thresholds
+    /// </summary>
+    public string HealthStatus { get; set; } = LogAnalyticsDashboardConstants.HealthStatus.Unknown;
+}
+
 /// <summary>
 /// Paginated response DTO for generic pagination
 /// </summary>
@@ -349,6 +422,11 @@ public class RecentLogsRequestDto
     public DateTime? ToDate { get; set; }
     public List<string> LogLevels { get; set; } = new();
     public List<string> Applications { get; set; } = new();
+    public string? SearchText { get; set; }
+    public string? UserId { get; set; }
+    public string? PathPrefix { get; set; }
+    public int? MinDuration { get; set; }
+    public int? MaxDuration { get; set; }
 
     public void ValidateAndSetDefaults()
     {
@@ -0,0 +1,35 @@
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Widget arrangement of the log analytics dashboard saved by the current user; no widgets means the default layout
+/// </summary>
+public class DashboardLayoutDto
+{
+    /// <summary>
+    /// Widgets in display order
+    /// </summary>
+    [MaxLength(LogAnalyticsDashboardConstants.Layout.MaxWidgets)]
+    public List<DashboardWidgetLayoutDto> Widgets { get; set; } = new();
+}
+
+/// <summary>
+/// Position-independent state of one dashboard widget
+/// </summary>
+public class DashboardWidgetLayoutDto
+{
+    [Required]
+    [StringLength(LogAnalyticsDashboardConstants.Layout.MaxWidgetIdLength)]
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Width in Bootstrap grid columns on large screens
+    /// </summary>
+    [Range(LogAnalyticsDashboardConstants.Layout.MinWidth, LogAnalyticsDashboardConstants.Layout.MaxWidth)]
+    public int Width { get; set; } = LogAnalyticsDashboardConstants.Layout.MaxWidth;
+
+    public bool Collapsed { get; set; }
+    public bool Hidden { get; set; }
+}
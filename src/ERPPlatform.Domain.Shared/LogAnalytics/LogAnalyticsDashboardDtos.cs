@@ -1,5 +1,6 @@
 using System;
 using System.Collections.Generic;
+using System.Linq;
 
 namespace ERPPlatform.LogAnalytics;
 
@@ -30,6 +31,31 @@ public static class LogAnalyticsDashboardConstants
         public const string Csv = "csv";
         public const string Json = "json";
         public const string Excel = "xlsx";
+
+        public static readonly string[] All = { Csv, Json, Excel };
+    }
+
+    public static class ExportColumns
+    {
+        public const string Timestamp = "Timestamp";
+        public const string Level = "Level";
+        public const string Application = "Application";
+        public const string Message = "Message";
+        public const string UserId = "UserId";
+        public const string RequestPath = "RequestPath";
+        public const string HttpStatusCode = "HttpStatusCode";
+        public const string Duration = "Duration";
+        public const string ServiceName = "ServiceName";
+        public const string MethodName = "MethodName";
+        public const string Exception = "Exception";
+
+        public static readonly string[] All =
+        {
+            Timestamp, Level, Application, Message, UserId, RequestPath,
+            HttpStatusCode, Duration, ServiceName, MethodName, Exception
+        };
+
+        public static readonly string[] Default = { Timestamp, Level, Application, Message, UserId, Exception };
     }
 
     public static class HealthStatus
@@ -46,7 +72,115 @@ public static class LogAnalyticsDashboardConstants
         public const int MaxPageSize = 1000;
         public const int DefaultDashboardDays = 7;
         public const int DefaultTopCount = 10;
-        public const int SlowOperationThreshold = 5000; // milliseconds
+    }
+
+    /// <summary>
+    /// Defaults of the ERPPlatform.LogAnalytics.* threshold settings; tenants can override them
+    /// </summary>
+    public static class HealthThresholds
+    {
+        // Upper bounds in milliseconds of the Excellent, Good and Fair response time levels
+        public const int ExcellentResponseTime = 100;
+        public const int GoodResponseTime = 500;
+        public const int FairResponseTime = 1000;
+        public const int SlowOperationThreshold = 5000; // milliseconds; slower operations are counted as slow and rated Critical
+
+        // Health is Warning/Critical when a metric is above its threshold
+        public const double ErrorRateWarning = 5; // percent
+        public const double ErrorRateCritical = 10;
+        public const int ErrorCountWarning = 0;
+        public const int ErrorCountCritical = 5;
+        public const int SlowOperationsWarning = 0;
+        public const int SlowOperationsCritical = 10;
+        public const int AvgResponseTimeWarning = 1000; // milliseconds
+        public const int AvgResponseTimeCritical = 5000;
+    }
+
+    public static class PerformanceLevels
+    {
+        public const string Excellent = "Excellent";
+        public const string Good = "Good";
+        public const string Fair = "Fair";
+        public const string Slow = "Slow";
+        public const string Critical = "Critical";
+    }
+
+    public static class ComparisonModes
+    {
+        public const string PreviousPeriod = "previous"; // the window of the same length just before
+        public const string PreviousWeek = "week"; // the same window one week earlier
+
+        public static readonly string[] All = { PreviousPeriod, PreviousWeek };
+    }
+
+    public static class ComparisonMetrics
+    {
+        public const string TotalLogs = "TotalLogs";
+        public const string ErrorCount = "ErrorCount";
+        public const string AvgResponseTime = "AvgResponseTime";
+        public const string SecurityEvents = "SecurityEvents";
+        public const string TotalAuditLogs = "TotalAuditLogs";
+        public const string FailedOperations = "FailedOperations";
+    }
+
+    public static class TrendBuckets
+    {
+        public const string OneMinute = "1m";
+        public const string FiveMinutes = "5m";
+        public const string FifteenMinutes = "15m";
+        public const string OneHour = "1h";
+        public const string OneDay = "1d";
+
+        public const int AutoMaxPoints = 200; // automatic selection takes the finest bucket within this many points
+        public const int MaxBuckets = 1440; // a requested bucket finer than this for the range is chosen automatically
+
+        public static readonly string[] All = { OneMinute, FiveMinutes, FifteenMinutes, OneHour, OneDay };
+    }
+
+    public static class Latency
+    {
+        public const int MaxDurationSamples = 50000; // most recent request durations used for percentiles
+
+        /// <summary>
+        /// Upper bounds in milliseconds of the latency heatmap rows; a last row collects everything slower
+        /// </summary>
+        public static readonly int[] HeatmapBoundaries = { 50, 100, 250, 500, 1000, 2500, 5000, 10000 };
+    }
+
+    /// <summary>
+    /// Hourly log volume per application and level compared with the same hour of day and day of week in previous weeks
+    /// </summary>
+    public static class Anomalies
+    {
+        public const int BaselineWeeks = 4;
+        public const int MinBaselineWeeks = 2; // weeks an application must have been logging before its hours are rated
+        public const double MinScore = 3; // standard deviations from the baseline mean
+        public const int MinDeviation = 10; // entries; smaller differences are never flagged
+        public const int MaxRangeDays = 31;
+        public const int MaxAnomalies = 20; // highest scores first; each one loads its top contributors
+        public const int TopContributors = 5;
+
+        public const string Spike = "Spike";
+        public const string Drop = "Drop";
+    }
+
+    /// <summary>
+    /// Widget arrangement of the log analytics dashboard, stored per user as the DashboardLayout setting
+    /// </summary>
+    public static class Layout
+    {
+        public const int MaxWidgets = 20;
+        public const int MaxWidgetIdLength = 32;
+        public const int MinWidth = 3; // Bootstrap grid columns
+        public const int MaxWidth = 12;
+        public const int MaxSerializedLength = 2048; // length of a setting value in the settings table
+    }
+
+    public static class ErrorGrouping
+    {
+        public const int MaxSampleSize = 2000; // most recent errors fingerprinted per request; groups are flagged as sampled beyond it
+        public const int TrendHours = 24;
+        public const int MaxAffectedEndpoints = 5;
     }
 }
 
@@ -57,6 +191,11 @@ public abstract class LogAnalyticsDashboardBaseDto
 {
     public DateTime? FromDate { get; set; }
     public DateTime? ToDate { get; set; }
+
+    /// <summary>
+    /// Trend bucket size (1m, 5m, 15m, 1h or 1d); chosen from the range length when empty
+    /// </summary>
+    public string? Bucket { get; set; }
 }
 
 /// <summary>
@@ -69,6 +208,7 @@ public class LogAnalyticsDashboardDto
     public List<LogLevelCountDto> LogLevelCounts { get; set; } = new();
     public List<ApplicationLogCountDto> ApplicationCounts { get; set; } = new();
     public List<HourlyLogCountDto> HourlyCounts { get; set; } = new();
+    public string TrendBucket { get; set; } = LogAnalyticsDashboardConstants.TrendBuckets.OneHour;
     public List<RecentLogEntryDto> RecentLogs { get; set; } = new();
     public List<TopErrorDto> TopErrors { get; set; } = new();
     public List<PerformanceMetricDto> PerformanceMetrics { get; set; } = new();
@@ -88,6 +228,60 @@ public class DashboardRangeRequestDto : LogAnalyticsDashboardBaseDto
     public bool IncludeHourlyTrends { get; set; } = true;
 }
 
+/// <summary>
+/// Request for comparing a dashboard range with an earlier window of the same length
+/// </summary>
+public class DashboardComparisonRequestDto : LogAnalyticsDashboardBaseDto
+{
+    public string Mode { get; set; } = LogAnalyticsDashboardConstants.ComparisonModes.PreviousPeriod;
+
+    public void ValidateAndSetDefaults()
+    {
+        Mode = Mode?.Trim().ToLowerInvariant() ?? string.Empty;
+        if (!LogAnalyticsDashboardConstants.ComparisonModes.All.Contains(Mode))
+            Mode = LogAnalyticsDashboardConstants.ComparisonModes.PreviousPeriod;
+    }
+}
+
+/// <summary>
+/// Summary metrics and trends of a dashboard range next to those of the comparison window
+/// </summary>
+public class DashboardComparisonDto
+{
+    public string Mode { get; set; } = LogAnalyticsDashboardConstants.ComparisonModes.PreviousPeriod;
+    public string TrendBucket { get; set; } = LogAnalyticsDashboardConstants.TrendBuckets.OneHour;
+    public DateTime FromDate { get; set; }
+    public DateTime ToDate { get; set; }
+    public DateTime PreviousFromDate { get; set; }
+    public DateTime PreviousToDate { get; set; }
+    public List<MetricComparisonDto> Metrics { get; set; } = new();
+    public List<HourlyComparisonDto> HourlyCounts { get; set; } = new();
+}
+
+/// <summary>
+/// One summary metric in both windows; ChangePercent is null when the previous value is zero
+/// </summary>
+public class MetricComparisonDto
+{
+    public string Metric { get; set; } = string.Empty;
+    public double Current { get; set; }
+    public double Previous { get; set; }
+    public double? ChangePercent { get; set; }
+}
+
+/// <summary>
+/// Counts of one trend bucket of the current window and the matching bucket of the comparison window
+/// </summary>
+public class HourlyComparisonDto
+{
+    public DateTime Hour { get; set; }
+    public DateTime PreviousHour { get; set; }
+    public int TotalCount { get; set; }
+    public int ErrorCount { get; set; }
+    public int PreviousTotalCount { get; set; }
+    public int PreviousErrorCount { get; set; }
+}
+
 /// <summary>
 /// Log statistics DTO
 /// </summary>
@@ -128,7 +322,7 @@ public class ApplicationLogCountDto
 }
 
 /// <summary>
-/// Hourly log count DTO
+/// Log counts of one trend bucket; Hour is the start of the bucket, which is an hour unless another bucket was requested
 /// </summary>
 public class HourlyLogCountDto
 {
@@ -144,11 +338,17 @@ public class HourlyLogCountDto
 /// </summary>
 public class RecentLogEntryDto
 {
+    /// <summary>
+    /// Identifies the entry across pushes and backfills: the audit log action id, or for Serilog entries,
+    /// which have no key, a hash of the timestamp, level and message
+    /// </summary>
+    public string? Id { get; set; }
     public DateTime Timestamp { get; set; }
     public string Level { get; set; } = string.Empty;
     public string Application { get; set; } = string.Empty;
     public string Message { get; set; } = string.Empty;
     public string? UserId { get; set; }
+    public string? UserName { get; set; }
     public Dictionary<string, object> Properties { get; set; } = new();
     public string? Exception { get; set; }
     public bool HasException { get; set; }
@@ -156,18 +356,40 @@ public class RecentLogEntryDto
     public int ExecutionDuration { get; set; }
     public string? ServiceName { get; set; }
     public string? MethodName { get; set; }
+    public string? CorrelationId { get; set; }
+    public string? RequestId { get; set; }
+
+    /// <summary>
+    /// Tenant of an audit log entry; null for host audit logs and for Serilog entries, which have no tenant
+    /// </summary>
+    public Guid? TenantId { get; set; }
 }
 
 /// <summary>
-/// Top error DTO
+/// Top error DTO - one group of errors sharing a fingerprint
 /// </summary>
 public class TopErrorDto
 {
+    public string Fingerprint { get; set; } = string.Empty;
     public string ErrorMessage { get; set; } = string.Empty;
     public string? ExceptionType { get; set; }
+    public string? TopFrame { get; set; }
     public int Count { get; set; }
+    public DateTime FirstOccurrence { get; set; }
     public DateTime LastOccurrence { get; set; }
     public List<string> AffectedApplications { get; set; } = new();
+    public List<string> AffectedEndpoints { get; set; } = new();
+
+    /// <summary>
+    /// Occurrences per hour over the last ErrorGrouping.TrendHours hours of the range, oldest first
+    /// </summary>
+    public List<int> HourlyCounts { get; set; } = new();
+
+    /// <summary>
+    /// True when the range had more failures than ErrorGrouping.MaxSampleSize; only the most recent ones are grouped,
+    /// so Count and FirstOccurrence are lower bounds
+    /// </summary>
+    public bool IsSampled { get; set; }
 }
 
 /// <summary>
@@ -195,6 +417,9 @@ public class LogSearchRequestDto
     public string? SearchText { get; set; }
     public string? UserId { get; set; }
     public string? Category { get; set; }
+    public string? PathPrefix { get; set; }
+    public int? MinDuration { get; set; }
+    public int? MaxDuration { get; set; }
     public int Page { get; set; } = 1;
     public int PageSize { get; set; } = LogAnalyticsDashboardConstants.DefaultValues.DefaultPageSize;
 
@@ -258,19 +483,87 @@ public class ExportLogsRequestDto
     public string? SearchText { get; set; }
     public string? UserId { get; set; }
     public string? Category { get; set; }
+    public string? PathPrefix { get; set; }
+    public int? MinDuration { get; set; }
+    public int? MaxDuration { get; set; }
     public string Format { get; set; } = LogAnalyticsDashboardConstants.ExportFormats.Csv;
     public int MaxRecords { get; set; } = 10000;
+    public List<string> Columns { get; set; } = new();
 
     public void ValidateAndSetDefaults()
     {
-        if (string.IsNullOrWhiteSpace(Format))
-            Format = LogAnalyticsDashboardConstants.ExportFormats.Csv;
-            
-        Format = Format.ToLowerInvariant();
+        Format = ExportRequestHelper.NormalizeFormat(Format);
         
         if (MaxRecords <= 0 || MaxRecords > 50000)
             MaxRecords = 10000;
+
+        Columns = ExportRequestHelper.NormalizeColumns(Columns,
+            LogAnalyticsDashboardConstants.ExportColumns.All,
+            LogAnalyticsDashboardConstants.ExportColumns.Default);
+    }
+}
+
+/// <summary>
+/// Shared format and column handling for export requests
+/// </summary>
+public static class ExportRequestHelper
+{
+    /// <summary>
+    /// Gets the HTTP content type for an export format
+    /// </summary>
+    public static string GetContentType(string format)
+    {
+        return format switch
+        {
+            LogAnalyticsDashboardConstants.ExportFormats.Json => "application/json",
+            LogAnalyticsDashboardConstants.ExportFormats.Excel => "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            _ => "text/csv"
+        };
+    }
+
+    /// <summary>
+    /// Lower-cases the format and falls back to CSV for unknown values
+    /// </summary>
+    public static string NormalizeFormat(string? format)
+    {
+        var normalized = format?.Trim().ToLowerInvariant();
+        return normalized != null && LogAnalyticsDashboardConstants.ExportFormats.All.Contains(normalized)
+            ? normalized
+            : LogAnalyticsDashboardConstants.ExportFormats.Csv;
     }
+
+    /// <summary>
+    /// Keeps known columns in the order they were requested, matched case-insensitively;
+    /// returns the default columns when nothing valid was requested
+    /// </summary>
+    public static List<string> NormalizeColumns(IEnumerable<string>? columns, string[] allColumns, string[] defaultColumns)
+    {
+        var normalized = (columns ?? Enumerable.Empty<string>())
+            .Select(column => allColumns.FirstOrDefault(known => known.Equals(column?.Trim(), StringComparison.OrdinalIgnoreCase)))
+            .Where(column => column != null)
+            .Select(column => column!)
+            .Distinct()
+            .ToList();
+
+        return normalized.Any() ? normalized : defaultColumns.ToList();
+    }
+}
+
+/// <summary>
+/// Row count and settings of an export, shown to the user before downloading
+/// </summary>
+public class ExportPreviewDto
+{
+    public int TotalCount { get; set; }
+    public int ExportCount { get; set; }
+    public int MaxRecords { get; set; }
+    public string Format { get; set; } = LogAnalyticsDashboardConstants.ExportFormats.Csv;
+    public List<string> Columns { get; set; } = new();
+
+    /// <summary>
+    /// Indicates that more rows match than will be exported
+    /// </summary>
+    public bool IsTruncated => TotalCount > ExportCount;
 }
 
 /// <summary>
@@ -0,0 +1,155 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Constants for real-time log analytics updates pushed through LogAnalyticsHub
+/// </summary>
+public static class LogAnalyticsLiveConstants
+{
+    public const string DashboardGroup = "Dashboard";
+    public const string RedisChannel = "ERPPlatform:LogAnalytics:Live";
+
+    public static class Events
+    {
+        public const string NewLogEntry = "NewLogEntry";
+        public const string DashboardUpdated = "DashboardUpdated";
+        public const string AlertFired = "AlertFired";
+        public const string AlertResolved = "AlertResolved";
+    }
+
+    public static class Sources
+    {
+        public const string Serilog = "Serilog";
+        public const string AuditLog = "AuditLog";
+    }
+
+    public static class DefaultValues
+    {
+        public const int PollIntervalMilliseconds = 5000;
+        public const int MaxBatchSize = 100;
+        // The batching Serilog sink can write entries after newer ones, so each poll re-reads this far back
+        public const int LateEntryWindowSeconds = 30;
+        public const int MaxPendingAuditEntries = 1000;
+        public const int DashboardUpdateIntervalSeconds = 30;
+        public const int MaxBackfillCount = 500;
+        // Rows a backfill reads from each source at most while looking for entries that match the filter
+        public const int MaxBackfillScanCount = 10000;
+    }
+}
+
+/// <summary>
+/// Batch of live log entries and alert events published by the API host and relayed to dashboard clients
+/// </summary>
+public class LogAnalyticsLiveBatchEto
+{
+    public List<RecentLogEntryDto> Entries { get; set; } = new();
+
+    /// <summary>
+    /// One notice per tenant with new entries
+    /// </summary>
+    public List<DashboardUpdateNoticeDto> DashboardUpdates { get; set; } = new();
+    public List<AlertEventDto> AlertEvents { get; set; } = new();
+}
+
+/// <summary>
+/// Lightweight notice telling dashboard clients that aggregated data has changed
+/// </summary>
+public class DashboardUpdateNoticeDto
+{
+    /// <summary>
+    /// Tenant whose entries changed; null for the host, which also owns the Serilog entries
+    /// </summary>
+    public Guid? TenantId { get; set; }
+    public DateTime GeneratedAt { get; set; } = DateTime.Now;
+    public int NewEntryCount { get; set; }
+    public int NewErrorCount { get; set; }
+    public DateTime? LastEntryTimestamp { get; set; }
+}
+
+/// <summary>
+/// Filter a dashboard client subscribes with; empty lists and a missing path prefix match everything
+/// </summary>
+public class LiveLogFilterDto
+{
+    /// <summary>
+    /// Tenant of the subscriber; set by the server from the caller, never taken from the client
+    /// </summary>
+    public Guid? TenantId { get; set; }
+
+    public List<string> Levels { get; set; } = new();
+    public List<string> Applications { get; set; } = new();
+    public string? PathPrefix { get; set; }
+
+    /// <summary>
+    /// Determines whether a log entry belongs to the filter's tenant and passes this filter
+    /// </summary>
+    public bool IsMatch(RecentLogEntryDto entry)
+    {
+        if (entry.TenantId != TenantId)
+        {
+            return false;
+        }
+
+        if (Levels.Any() &&
+            !Levels.Any(level => NormalizeLevel(level).Equals(NormalizeLevel(entry.Level), StringComparison.OrdinalIgnoreCase)))
+        {
+            return false;
+        }
+
+        if (Applications.Any() &&
+            !Applications.Any(app => app.Equals(entry.Application, StringComparison.OrdinalIgnoreCase)))
+        {
+            return false;
+        }
+
+        if (!string.IsNullOrWhiteSpace(PathPrefix))
+        {
+            var requestPath = entry.Properties.TryGetValue("RequestPath", out var path) ? path?.ToString() : null;
+            if (string.IsNullOrEmpty(requestPath) ||
+                !requestPath.StartsWith(PathPrefix, StringComparison.OrdinalIgnoreCase))
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Serilog reports "Fatal" where the audit-based dashboard uses "Critical"
+    /// </summary>
+    private static string NormalizeLevel(string? level)
+    {
+        return string.Equals(level, SerilogAnalyticsConstants.LogLevels.Fatal, StringComparison.OrdinalIgnoreCase)
+            ? LogAnalyticsDashboardConstants.LogLevels.Critical
+            : level ?? string.Empty;
+    }
+}
+
+/// <summary>
+/// Request for live entries written after the last timestamp a dashboard client has seen
+/// </summary>
+public class LiveLogBackfillRequestDto : LiveLogFilterDto
+{
+    /// <summary>
+    /// Timestamp of the newest entry the client has; entries at this timestamp are included
+    /// </summary>
+    public DateTime Since { get; set; }
+
+    /// <summary>
+    /// Ids of the entries at Since the client already has, so they are not returned again
+    /// </summary>
+    public List<string> SeenIds { get; set; } = new();
+    public int MaxCount { get; set; } = LogAnalyticsLiveConstants.DefaultValues.MaxBackfillCount;
+
+    public void ValidateAndSetDefaults()
+    {
+        if (MaxCount <= 0 || MaxCount > LogAnalyticsLiveConstants.DefaultValues.MaxBackfillCount)
+            MaxCount = LogAnalyticsLiveConstants.DefaultValues.MaxBackfillCount;
+        if (SeenIds.Count > LogAnalyticsLiveConstants.DefaultValues.MaxBackfillCount)
+            SeenIds = SeenIds.Take(LogAnalyticsLiveConstants.DefaultValues.MaxBackfillCount).ToList();
+    }
+}
@@ -0,0 +1,83 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Response time levels and health thresholds of the current tenant, shared by the server and both dashboards.
+/// Defaults are in LogAnalyticsDashboardConstants.HealthThresholds; values are stored as ERPPlatform.LogAnalytics.* settings
+/// </summary>
+public class LogAnalyticsThresholdsDto
+{
+    [Range(0, int.MaxValue)]
+    public int ExcellentResponseTime { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.ExcellentResponseTime;
+
+    [Range(0, int.MaxValue)]
+    public int GoodResponseTime { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.GoodResponseTime;
+
+    [Range(0, int.MaxValue)]
+    public int FairResponseTime { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.FairResponseTime;
+
+    /// <summary>
+    /// Operations and requests slower than this many milliseconds are counted as slow
+    /// </summary>
+    [Range(0, int.MaxValue)]
+    public int SlowOperationThreshold { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.SlowOperationThreshold;
+
+    [Range(0, 100)]
+    public double ErrorRateWarning { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.ErrorRateWarning;
+
+    [Range(0, 100)]
+    public double ErrorRateCritical { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.ErrorRateCritical;
+
+    [Range(0, int.MaxValue)]
+    public int ErrorCountWarning { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.ErrorCountWarning;
+
+    [Range(0, int.MaxValue)]
+    public int ErrorCountCritical { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.ErrorCountCritical;
+
+    [Range(0, int.MaxValue)]
+    public int SlowOperationsWarning { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.SlowOperationsWarning;
+
+    [Range(0, int.MaxValue)]
+    public int SlowOperationsCritical { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.SlowOperationsCritical;
+
+    [Range(0, int.MaxValue)]
+    public int AvgResponseTimeWarning { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.AvgResponseTimeWarning;
+
+    [Range(0, int.MaxValue)]
+    public int AvgResponseTimeCritical { get; set; } = LogAnalyticsDashboardConstants.HealthThresholds.AvgResponseTimeCritical;
+
+    public bool IsSlowOperation(double durationMs)
+    {
+        return durationMs > SlowOperationThreshold;
+    }
+
+    /// <summary>
+    /// Gets the response time level; mirrored by LogAnalyticsThresholds.getPerformanceLevel on the dashboards
+    /// </summary>
+    public string GetPerformanceLevel(double durationMs)
+    {
+        if (durationMs <= ExcellentResponseTime) return LogAnalyticsDashboardConstants.PerformanceLevels.Excellent;
+        if (durationMs <= GoodResponseTime) return LogAnalyticsDashboardConstants.PerformanceLevels.Good;
+        if (durationMs <= FairResponseTime) return LogAnalyticsDashboardConstants.PerformanceLevels.Fair;
+        if (durationMs <= SlowOperationThreshold) return LogAnalyticsDashboardConstants.PerformanceLevels.Slow;
+        return LogAnalyticsDashboardConstants.PerformanceLevels.Critical;
+    }
+
+    /// <summary>
+    /// Gets the health status from the metrics a caller has; a null metric is not considered.
+    /// Mirrored by LogAnalyticsThresholds.getHealthStatus on the dashboards
+    /// </summary>
+    public string GetHealthStatus(int? errorCount, double? errorRate, int? slowOperations, double avgResponseTime)
+    {
+        if (errorCount > ErrorCountCritical || errorRate > ErrorRateCritical ||
+            slowOperations > SlowOperationsCritical || avgResponseTime > AvgResponseTimeCritical)
+            return LogAnalyticsDashboardConstants.HealthStatus.Critical;
+
+        if (errorCount > ErrorCountWarning || errorRate > ErrorRateWarning ||
+            slowOperations > SlowOperationsWarning || avgResponseTime > AvgResponseTimeWarning)
+            return LogAnalyticsDashboardConstants.HealthStatus.Warning;
+
+        return LogAnalyticsDashboardConstants.HealthStatus.Healthy;
+    }
+}
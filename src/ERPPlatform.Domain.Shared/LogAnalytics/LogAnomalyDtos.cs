@@ -0,0 +1,78 @@
+using System;
+using System.Collections.Generic;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Request DTO for the log volume anomalies within a date range
+/// </summary>
+public class LogAnomalyRequestDto
+{
+    public DateTime? FromDate { get; set; }
+    public DateTime? ToDate { get; set; }
+
+    public void ValidateAndSetDefaults()
+    {
+        ToDate ??= DateTime.Now;
+        FromDate ??= ToDate.Value.AddDays(-LogAnalyticsDashboardConstants.DefaultValues.DefaultDashboardDays);
+
+        if (FromDate > ToDate) FromDate = ToDate;
+        if (ToDate.Value - FromDate.Value > TimeSpan.FromDays(LogAnalyticsDashboardConstants.Anomalies.MaxRangeDays))
+            FromDate = ToDate.Value.AddDays(-LogAnalyticsDashboardConstants.Anomalies.MaxRangeDays);
+    }
+}
+
+/// <summary>
+/// Log volume anomalies within a date range, highest scores first
+/// </summary>
+public class LogAnomaliesDto
+{
+    public DateTime FromDate { get; set; }
+    public DateTime ToDate { get; set; }
+    public int BaselineWeeks { get; set; } = LogAnalyticsDashboardConstants.Anomalies.BaselineWeeks;
+    public List<LogAnomalyDto> Anomalies { get; set; } = new();
+}
+
+/// <summary>
+/// An hour in which an application logged significantly more or fewer entries of a level than usual
+/// </summary>
+public class LogAnomalyDto
+{
+    public DateTime Hour { get; set; }
+    public string Application { get; set; } = string.Empty;
+    public string Level { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Spike or Drop
+    /// </summary>
+    public string Direction { get; set; } = LogAnalyticsDashboardConstants.Anomalies.Spike;
+
+    public int Count { get; set; }
+
+    /// <summary>
+    /// Mean count of the same hour of day and day of week in the baseline weeks
+    /// </summary>
+    public double ExpectedCount { get; set; }
+
+    /// <summary>
+    /// Deviation from the expected count in standard deviations; negative for drops
+    /// </summary>
+    public double Score { get; set; }
+
+    /// <summary>
+    /// Number of previous weeks the expected count is based on
+    /// </summary>
+    public int BaselineWeeks { get; set; }
+
+    public List<LogAnomalyContributorDto> TopMessageTemplates { get; set; } = new();
+    public List<LogAnomalyContributorDto> TopEndpoints { get; set; } = new();
+}
+
+/// <summary>
+/// A message template or endpoint and the number of entries it logged in an anomalous hour
+/// </summary>
+public class LogAnomalyContributorDto
+{
+    public string Value { get; set; } = string.Empty;
+    public int Count { get; set; }
+}
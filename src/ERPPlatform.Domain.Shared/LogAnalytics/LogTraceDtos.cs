@@ -0,0 +1,74 @@
+using System;
+using System.Collections.Generic;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Constants for request traces assembled from Serilog entries and audit log actions
+/// </summary>
+public static class LogTraceConstants
+{
+    public static class DefaultValues
+    {
+        public const int MaxEntries = 500;
+        public const int MaxEntriesLimit = 2000;
+    }
+}
+
+/// <summary>
+/// Request for a trace; at least one of CorrelationId and RequestId is required
+/// </summary>
+public class LogTraceRequestDto
+{
+    public string? CorrelationId { get; set; }
+    public string? RequestId { get; set; }
+    public int MaxEntries { get; set; } = LogTraceConstants.DefaultValues.MaxEntries;
+
+    public void ValidateAndSetDefaults()
+    {
+        CorrelationId = string.IsNullOrWhiteSpace(CorrelationId) ? null : CorrelationId.Trim();
+        RequestId = string.IsNullOrWhiteSpace(RequestId) ? null : RequestId.Trim();
+
+        if (MaxEntries <= 0 || MaxEntries > LogTraceConstants.DefaultValues.MaxEntriesLimit)
+            MaxEntries = LogTraceConstants.DefaultValues.MaxEntries;
+    }
+}
+
+/// <summary>
+/// Timeline of everything logged for one request across HttpApi.Host, Web and AuthServer
+/// </summary>
+public class LogTraceDto
+{
+    public List<string> CorrelationIds { get; set; } = new();
+    public List<string> RequestIds { get; set; } = new();
+    public DateTime? StartTime { get; set; }
+    public DateTime? EndTime { get; set; }
+    public double TotalDurationMs { get; set; }
+    public List<string> Applications { get; set; } = new();
+    public int ErrorCount { get; set; }
+    public bool IsTruncated { get; set; }
+    public List<LogTraceEntryDto> Entries { get; set; } = new();
+}
+
+/// <summary>
+/// One Serilog entry or audit log action in a trace; OffsetMs is relative to the first entry
+/// </summary>
+public class LogTraceEntryDto
+{
+    public string Source { get; set; } = LogAnalyticsLiveConstants.Sources.Serilog;
+    public DateTime Timestamp { get; set; }
+    public double OffsetMs { get; set; }
+    public string Level { get; set; } = string.Empty;
+    public string Application { get; set; } = "Unknown";
+    public string Message { get; set; } = string.Empty;
+    public string? CorrelationId { get; set; }
+    public string? RequestId { get; set; }
+    public string? HttpMethod { get; set; }
+    public string? RequestPath { get; set; }
+    public int? HttpStatusCode { get; set; }
+    public int? Duration { get; set; }
+    public string? UserId { get; set; }
+    public string? ServiceName { get; set; }
+    public string? MethodName { get; set; }
+    public string? Exception { get; set; }
+}
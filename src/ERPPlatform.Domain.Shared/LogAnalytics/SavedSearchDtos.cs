@@ -0,0 +1,72 @@
+using System;
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Constants for searches saved from the log analytics dashboards
+/// </summary>
+public static class SavedSearchConstants
+{
+    public const int MaxNameLength = 128;
+    public const int MaxSearchTypeLength = 32;
+    public const int MaxCriteriaLength = 8000;
+
+    /// <summary>
+    /// The search form a saved search belongs to
+    /// </summary>
+    public static class SearchTypes
+    {
+        public const string Logs = "Logs";
+        public const string AuditLogs = "AuditLogs";
+        public const string Serilog = "Serilog";
+
+        public static readonly string[] All = { Logs, AuditLogs, Serilog };
+    }
+}
+
+/// <summary>
+/// Saved search DTO; Criteria holds the search form values as a JSON object
+/// </summary>
+public class SavedSearchDto
+{
+    public Guid Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string SearchType { get; set; } = string.Empty;
+    public string Criteria { get; set; } = "{}";
+    public bool IsShared { get; set; }
+    public bool IsOwner { get; set; }
+    public Guid? CreatorId { get; set; }
+    public DateTime CreationTime { get; set; }
+    public DateTime? LastModificationTime { get; set; }
+}
+
+/// <summary>
+/// Request DTO for listing saved searches of one search type
+/// </summary>
+public class GetSavedSearchesRequestDto
+{
+    [Required]
+    public string SearchType { get; set; } = SavedSearchConstants.SearchTypes.Logs;
+}
+
+/// <summary>
+/// Create/update saved search DTO
+/// </summary>
+public class CreateUpdateSavedSearchDto
+{
+    [Required]
+    [StringLength(SavedSearchConstants.MaxNameLength)]
+    public string Name { get; set; } = string.Empty;
+
+    [Required]
+    [StringLength(SavedSearchConstants.MaxSearchTypeLength)]
+    public string SearchType { get; set; } = SavedSearchConstants.SearchTypes.Logs;
+
+    [Required]
+    [StringLength(SavedSearchConstants.MaxCriteriaLength)]
+    public string Criteria { get; set; } = "{}";
+
+    public bool IsShared { get; set; }
+}
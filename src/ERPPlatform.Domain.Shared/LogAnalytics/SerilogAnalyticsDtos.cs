@@ -99,6 +99,7 @@ public class SerilogDashboardDto
     public SerilogStatisticsDto Statistics { get; set; } = new();
     public List<SerilogLevelCountDto> LogLevelDistribution { get; set; } = new();
     public List<SerilogHourlyTrendDto> HourlyTrends { get; set; } = new();
+    public string TrendBucket { get; set; } = LogAnalyticsDashboardConstants.TrendBuckets.OneHour;
     public List<SerilogTopErrorDto> TopErrors { get; set; } = new();
     public List<SerilogSlowRequestDto> SlowRequests { get; set; } = new();
     public List<SerilogEndpointStatsDto> TopEndpoints { get; set; } = new();
@@ -137,7 +138,7 @@ public class SerilogLevelCountDto
 }
 
 /// <summary>
-/// Hourly trends for Serilog data
+/// Trends for Serilog data; Hour is the start of the trend bucket, which is an hour unless another bucket was requested
 /// </summary>
 public class SerilogHourlyTrendDto
 {
@@ -148,21 +149,70 @@ public class SerilogHourlyTrendDto
     public int WarningCount { get; set; }
     public int InfoCount { get; set; }
     public double AvgResponseTime { get; set; }
+    public double P50ResponseTime { get; set; }
+    public double P95ResponseTime { get; set; }
+    public double P99ResponseTime { get; set; }
     public int SlowRequestCount { get; set; }
 }
 
 /// <summary>
-/// Top error details from Serilog
+/// Request counts per time bucket and latency bucket, for spotting bimodal latency and slow tails
+/// </summary>
+public class SerilogLatencyHeatmapDto
+{
+    public string TrendBucket { get; set; } = LogAnalyticsDashboardConstants.TrendBuckets.OneHour;
+    public List<DateTime> TimeBuckets { get; set; } = new();
+    public List<SerilogLatencyBucketDto> LatencyBuckets { get; set; } = new();
+
+    /// <summary>
+    /// Request counts indexed by time bucket, then latency bucket
+    /// </summary>
+    public List<List<int>> Counts { get; set; } = new();
+    public int MaxCount { get; set; }
+    public int TotalRequests { get; set; }
+
+    /// <summary>
+    /// True when only the most recent requests of the range were counted
+    /// </summary>
+    public bool IsSampled { get; set; }
+}
+
+/// <summary>
+/// One latency row of the heatmap; MinDuration is inclusive, MaxDuration exclusive and null for the slowest row
+/// </summary>
+public class SerilogLatencyBucketDto
+{
+    public string Label { get; set; } = string.Empty;
+    public int MinDuration { get; set; }
+    public int? MaxDuration { get; set; }
+}
+
+/// <summary>
+/// Top error details from Serilog - one group of entries sharing a fingerprint
 /// </summary>
 public class SerilogTopErrorDto
 {
+    public string Fingerprint { get; set; } = string.Empty;
     public string ErrorMessage { get; set; } = string.Empty;
+    public string? MessageTemplate { get; set; }
     public string? ExceptionType { get; set; }
+    public string? TopFrame { get; set; }
     public int Count { get; set; }
     public DateTime FirstOccurrence { get; set; }
     public DateTime LastOccurrence { get; set; }
     public List<string> AffectedEndpoints { get; set; } = new();
+    public List<string> AffectedApplications { get; set; } = new();
     public string Level { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Occurrences per hour over the last 24 hours, oldest first
+    /// </summary>
+    public List<int> HourlyCounts { get; set; } = new();
+
+    /// <summary>
+    /// True when the last 24 hours had more errors than ErrorGrouping.MaxSampleSize, so Count and FirstOccurrence are lower bounds
+    /// </summary>
+    public bool IsSampled { get; set; }
 }
 
 /// <summary>
@@ -188,6 +238,9 @@ public class SerilogEndpointStatsDto
     public string HttpMethod { get; set; } = string.Empty;
     public int RequestCount { get; set; }
     public double AvgDuration { get; set; }
+    public double P50Duration { get; set; }
+    public double P95Duration { get; set; }
+    public double P99Duration { get; set; }
     public long MaxDuration { get; set; }
     public long MinDuration { get; set; }
     public int ErrorCount { get; set; }
@@ -212,6 +265,8 @@ public class SerilogRecentEntryDto
     public bool HasException { get; set; }
     public string? Exception { get; set; }
     public string Application { get; set; } = "Unknown";
+    public string? CorrelationId { get; set; }
+    public string? RequestId { get; set; }
 }
 
 /// <summary>
@@ -220,6 +275,7 @@ public class SerilogRecentEntryDto
 public class SystemPerformanceDto
 {
     public double AvgResponseTime { get; set; }
+    public double P50ResponseTime { get; set; }
     public double P95ResponseTime { get; set; }
     public double P99ResponseTime { get; set; }
     public int RequestsPerMinute { get; set; }
@@ -240,7 +296,11 @@ public class SerilogSearchRequestDto
     public string? SearchText { get; set; }
     public string? UserId { get; set; }
     public string? RequestPath { get; set; }
+    public string? PathPrefix { get; set; }
     public string? HttpMethod { get; set; }
+    public string? Application { get; set; }
+    public int? MinStatusCode { get; set; }
+    public int? MaxStatusCode { get; set; }
     public int? MinDuration { get; set; }
     public int? MaxDuration { get; set; }
     public bool? HasException { get; set; }
@@ -302,4 +362,9 @@ public class SerilogDashboardRequestDto
     public int SlowRequestsCount { get; set; } = 20;
     public bool IncludeHourlyTrends { get; set; } = true;
     public bool IncludePerformanceMetrics { get; set; } = true;
+
+    /// <summary>
+    /// Trend bucket size (1m, 5m, 15m, 1h or 1d); chosen from the range length when empty
+    /// </summary>
+    public string? Bucket { get; set; }
 }
\ No newline at end of file
@@ -0,0 +1,60 @@
+using System;
+using Volo.Abp.Auditing;
+using Volo.Abp.Domain.Entities;
+using Volo.Abp.MultiTenancy;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// An alert rule starting (Fired) or stopping (Resolved) to fire
+/// The rule name and condition are copied so the history stays readable after the rule is changed or deleted
+/// </summary>
+public class AlertHistoryEntry : Entity<Guid>, IMultiTenant, IHasCreationTime
+{
+    public Guid? TenantId { get; protected set; }
+
+    public Guid AlertRuleId { get; protected set; }
+
+    public string RuleName { get; protected set; } = string.Empty;
+
+    /// <summary>
+    /// See AlertRuleConstants.EventTypes
+    /// </summary>
+    public string EventType { get; protected set; } = string.Empty;
+
+    public string Severity { get; protected set; } = string.Empty;
+
+    public string Condition { get; protected set; } = string.Empty;
+
+    /// <summary>
+    /// Value of the rule's metric at the evaluation that changed its state
+    /// </summary>
+    public double Value { get; protected set; }
+
+    public DateTime CreationTime { get; protected set; }
+
+    /// <summary>
+    /// Protected constructor for Entity Framework
+    /// </summary>
+    protected AlertHistoryEntry()
+    {
+    }
+
+    public AlertHistoryEntry(
+        Guid id,
+        AlertRule rule,
+        string eventType,
+        double value,
+        DateTime time)
+        : base(id)
+    {
+        TenantId = rule.TenantId;
+        AlertRuleId = rule.Id;
+        RuleName = rule.Name;
+        EventType = eventType;
+        Severity = rule.Severity;
+        Condition = rule.DescribeCondition();
+        Value = value;
+        CreationTime = time;
+    }
+}
@@ -0,0 +1,184 @@
+using System;
+using System.Globalization;
+using System.Linq;
+using Volo.Abp;
+using Volo.Abp.Domain.Entities.Auditing;
+using Volo.Abp.MultiTenancy;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// A condition over the Serilog entries matching a query within a sliding window, e.g. "5xx rate > 2% over 5 min"
+/// Evaluated periodically; each transition between firing and resolved is recorded as an AlertHistoryEntry
+/// </summary>
+public class AlertRule : AuditedAggregateRoot<Guid>, IMultiTenant
+{
+    public Guid? TenantId { get; protected set; }
+
+    public string Name { get; protected set; } = string.Empty;
+
+    /// <summary>
+    /// Query text as typed in the dashboard query language, kept for display and editing
+    /// </summary>
+    public string Query { get; protected set; } = string.Empty;
+
+    /// <summary>
+    /// The parsed query as Serilog search request JSON; this is what the evaluation runs
+    /// </summary>
+    public string Criteria { get; protected set; } = "{}";
+
+    /// <summary>
+    /// Denominator query of Rate rules; null means all entries in the window
+    /// </summary>
+    public string? BaseQuery { get; protected set; }
+
+    public string? BaseCriteria { get; protected set; }
+
+    /// <summary>
+    /// See AlertRuleConstants.Metrics
+    /// </summary>
+    public string Metric { get; protected set; } = AlertRuleConstants.Metrics.Count;
+
+    /// <summary>
+    /// See AlertRuleConstants.Operators
+    /// </summary>
+    public string Operator { get; protected set; } = AlertRuleConstants.Operators.GreaterThan;
+
+    /// <summary>
+    /// Entry count, or percentage for Rate rules
+    /// </summary>
+    public double Threshold { get; protected set; }
+
+    public int WindowMinutes { get; protected set; } = AlertRuleConstants.DefaultValues.WindowMinutes;
+
+    public string Severity { get; protected set; } = AlertRuleConstants.Severities.Warning;
+
+    public bool IsEnabled { get; set; } = true;
+
+    public bool IsFiring { get; protected set; }
+
+    public double? LastValue { get; protected set; }
+
+    public DateTime? LastEvaluationTime { get; protected set; }
+
+    public DateTime? LastStateChangeTime { get; protected set; }
+
+    /// <summary>
+    /// Protected constructor for Entity Framework
+    /// </summary>
+    protected AlertRule()
+    {
+    }
+
+    public AlertRule(
+        Guid id,
+        Guid? tenantId,
+        string name,
+        string query,
+        string criteria)
+        : base(id)
+    {
+        TenantId = tenantId;
+        SetName(name);
+        SetQuery(query, criteria);
+    }
+
+    public void SetName(string name)
+    {
+        Name = Check.NotNullOrWhiteSpace(name, nameof(name), AlertRuleConstants.MaxNameLength).Trim();
+    }
+
+    public void SetQuery(string? query, string criteria)
+    {
+        Query = Check.Length(query?.Trim() ?? string.Empty, nameof(query), AlertRuleConstants.MaxQueryLength)!;
+        Criteria = Check.NotNullOrWhiteSpace(criteria, nameof(criteria), AlertRuleConstants.MaxCriteriaLength);
+    }
+
+    public void SetBaseQuery(string? baseQuery, string? baseCriteria)
+    {
+        BaseQuery = string.IsNullOrWhiteSpace(baseQuery)
+            ? null
+            : Check.Length(baseQuery.Trim(), nameof(baseQuery), AlertRuleConstants.MaxQueryLength);
+        BaseCriteria = BaseQuery == null
+            ? null
+            : Check.NotNullOrWhiteSpace(baseCriteria, nameof(baseCriteria), AlertRuleConstants.MaxCriteriaLength);
+    }
+
+    /// <summary>
+    /// Changing the condition does not reset the firing state; the next evaluation resolves the rule if needed
+    /// </summary>
+    public void SetCondition(string metric, string @operator, double threshold, int windowMinutes)
+    {
+        if (!AlertRuleConstants.Metrics.All.Contains(metric))
+            throw new ArgumentException($"Unknown alert metric \"{metric}\".", nameof(metric));
+
+        if (!AlertRuleConstants.Operators.All.Contains(@operator))
+            throw new ArgumentException($"Unknown alert operator \"{@operator}\".", nameof(@operator));
+
+        Metric = metric;
+        Operator = @operator;
+        Threshold = threshold;
+        WindowMinutes = Check.Range(windowMinutes, nameof(windowMinutes), 1, AlertRuleConstants.DefaultValues.MaxWindowMinutes);
+    }
+
+    public void SetSeverity(string severity)
+    {
+        if (!AlertRuleConstants.Severities.All.Contains(severity))
+            throw new ArgumentException($"Unknown alert severity \"{severity}\".", nameof(severity));
+
+        Severity = severity;
+    }
+
+    public bool IsConditionMet(double value)
+    {
+        return Operator switch
+        {
+            AlertRuleConstants.Operators.GreaterThan => value > Threshold,
+            AlertRuleConstants.Operators.GreaterThanOrEqual => value >= Threshold,
+            AlertRuleConstants.Operators.LessThan => value < Threshold,
+            AlertRuleConstants.Operators.LessThanOrEqual => value <= Threshold,
+            _ => false
+        };
+    }
+
+    /// <summary>
+    /// Records an evaluation result and returns the event type when the rule starts or stops firing
+    /// </summary>
+    /// <returns>AlertRuleConstants.EventTypes.Fired or Resolved; null when the state did not change</returns>
+    public string? ApplyEvaluation(double value, DateTime evaluationTime)
+    {
+        LastValue = value;
+        LastEvaluationTime = evaluationTime;
+
+        var isConditionMet = IsConditionMet(value);
+        if (isConditionMet == IsFiring)
+        {
+            return null;
+        }
+
+        IsFiring = isConditionMet;
+        LastStateChangeTime = evaluationTime;
+        return IsFiring ? AlertRuleConstants.EventTypes.Fired : AlertRuleConstants.EventTypes.Resolved;
+    }
+
+    /// <summary>
+    /// Disabling a firing rule resolves it without an event, so it starts from a clean state when enabled again
+    /// </summary>
+    public void ResetState()
+    {
+        IsFiring = false;
+        LastValue = null;
+        LastEvaluationTime = null;
+        LastStateChangeTime = null;
+    }
+
+    /// <summary>
+    /// Human readable condition, e.g. "Rate > 2% over 5 min"
+    /// </summary>
+    public string DescribeCondition()
+    {
+        var threshold = Threshold.ToString("0.##", CultureInfo.InvariantCulture);
+        var unit = Metric == AlertRuleConstants.Metrics.Rate ? "%" : string.Empty;
+        return $"{Metric} {Operator} {threshold}{unit} over {WindowMinutes} min";
+    }
+}
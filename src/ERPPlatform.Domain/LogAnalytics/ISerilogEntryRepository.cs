@@ -54,6 +54,119 @@ public interface ISerilogEntryRepository
     /// <returns>Count of log entries in date range</returns>
     Task<long> GetCountByDateRangeAsync(DateTime fromDate, DateTime toDate, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Gets log entries written at or after the specified timestamp
+    /// </summary>
+    /// <param name="fromTimestamp">Inclusive lower bound for the entry timestamp</param>
+    /// <param name="count">Maximum number of entries to return</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>List of log entries ordered by timestamp ascending</returns>
+    Task<List<SerilogEntry>> GetSinceAsync(DateTime fromTimestamp, int count = 100, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Searches log entries matching the request filters, newest first
+    /// </summary>
+    /// <param name="request">Search filters; paging is taken from Page and PageSize</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>One page of matching entries and the total number of matches</returns>
+    Task<(List<SerilogEntry> Items, long TotalCount)> SearchAsync(SerilogSearchRequestDto request, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Counts log entries matching the request filters; paging is ignored
+    /// </summary>
+    /// <param name="request">Search filters</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Number of matching entries</returns>
+    Task<long> CountAsync(SerilogSearchRequestDto request, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the entries logged under any of the correlation IDs or the request ID, oldest first
+    /// </summary>
+    /// <param name="correlationIds">Correlation IDs to match; may be empty</param>
+    /// <param name="requestId">Request ID to match (optional)</param>
+    /// <param name="maxCount">Maximum number of entries to return</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>List of matching entries ordered by timestamp ascending</returns>
+    Task<List<SerilogEntry>> GetByTraceIdsAsync(IReadOnlyCollection<string> correlationIds, string? requestId, int maxCount, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the durations of the requests logged within the date range, newest first;
+    /// entries without a numeric Duration property are skipped
+    /// </summary>
+    /// <param name="fromDate">Start date</param>
+    /// <param name="toDate">End date</param>
+    /// <param name="maxCount">Maximum number of samples to return</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>List of duration samples ordered by timestamp descending</returns>
+    Task<List<RequestDurationSample>> GetRequestDurationsAsync(DateTime fromDate, DateTime toDate, int maxCount, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Computes request counts and duration percentiles of all requests logged within the date range
+    /// </summary>
+    /// <param name="fromDate">Start date</param>
+    /// <param name="toDate">End date</param>
+    /// <param name="slowThreshold">Duration in milliseconds above which a request counts as slow</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Statistics of the whole range, with zero counts when there are no requests</returns>
+    Task<RequestDurationStats> GetRequestDurationStatsAsync(DateTime fromDate, DateTime toDate, double slowThreshold, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Computes request counts and duration percentiles for each time bucket within the date range;
+    /// buckets start at multiples of their size since midnight
+    /// </summary>
+    /// <param name="fromDate">Start date</param>
+    /// <param name="toDate">End date</param>
+    /// <param name="bucketSize">Bucket size; a whole number of seconds that divides a day</param>
+    /// <param name="slowThreshold">Duration in milliseconds above which a request counts as slow</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>One entry per bucket that has requests</returns>
+    Task<List<RequestDurationStats>> GetRequestDurationStatsByBucketAsync(DateTime fromDate, DateTime toDate, TimeSpan bucketSize, double slowThreshold, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Computes request counts and duration percentiles for each endpoint route and HTTP method within the
+    /// date range; routes drop the query string and replace numeric and GUID segments with {id}
+    /// </summary>
+    /// <param name="fromDate">Start date</param>
+    /// <param name="toDate">End date</param>
+    /// <param name="slowThreshold">Duration in milliseconds above which a request counts as slow</param>
+    /// <param name="maxCount">Maximum number of endpoints to return</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Endpoints ordered by request count descending</returns>
+    Task<List<RequestDurationStats>> GetRequestDurationStatsByEndpointAsync(DateTime fromDate, DateTime toDate, double slowThreshold, int maxCount, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Counts the entries of each hour, application and level group within the date range
+    /// </summary>
+    /// <param name="fromDate">Start date, inclusive</param>
+    /// <param name="toDate">End date, exclusive</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>One count per hour, application and level group that has entries</returns>
+    Task<List<LogVolumeCount>> GetHourlyVolumeAsync(DateTime fromDate, DateTime toDate, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the message templates accounting for most entries of an application and level group
+    /// </summary>
+    /// <param name="fromDate">Start date, inclusive</param>
+    /// <param name="toDate">End date, exclusive</param>
+    /// <param name="application">Application property; empty for entries without one</param>
+    /// <param name="levelGroup">Level group as in LogVolumeCount</param>
+    /// <param name="maxCount">Maximum number of templates to return</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Message templates ordered by entry count descending</returns>
+    Task<List<LogVolumeContributor>> GetTopMessageTemplatesAsync(DateTime fromDate, DateTime toDate, string application, int levelGroup, int maxCount, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the request paths accounting for most entries of an application and level group
+    /// </summary>
+    /// <param name="fromDate">Start date, inclusive</param>
+    /// <param name="toDate">End date, exclusive</param>
+    /// <param name="application">Application property; empty for entries without one</param>
+    /// <param name="levelGroup">Level group as in LogVolumeCount</param>
+    /// <param name="maxCount">Maximum number of paths to return</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Request paths ordered by entry count descending</returns>
+    Task<List<LogVolumeContributor>> GetTopRequestPathsAsync(DateTime fromDate, DateTime toDate, string application, int levelGroup, int maxCount, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Gets queryable access to log entries for complex queries
     /// </summary>
@@ -0,0 +1,10 @@
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// A message template or request path and the number of Serilog entries it accounts for
+/// </summary>
+public class LogVolumeContributor
+{
+    public string Value { get; set; } = string.Empty;
+    public int Count { get; set; }
+}
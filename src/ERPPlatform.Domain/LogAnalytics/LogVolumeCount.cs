@@ -0,0 +1,15 @@
+using System;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Number of Serilog entries of one application and level group within one hour;
+/// the level group is 2 for Information and below, 3 for Warning and 4 for Error and Fatal
+/// </summary>
+public class LogVolumeCount
+{
+    public DateTime Hour { get; set; }
+    public string Application { get; set; } = string.Empty;
+    public int Level { get; set; }
+    public int Count { get; set; }
+}
@@ -0,0 +1,20 @@
+using System;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Duration of one request read from the Duration property of a Serilog entry,
+/// with the request properties needed to group it by endpoint and time bucket
+/// </summary>
+public class RequestDurationSample
+{
+    public DateTime Timestamp { get; set; }
+    public int? Level { get; set; }
+    public string? RequestPath { get; set; }
+    public string? HttpMethod { get; set; }
+
+    /// <summary>
+    /// Request duration in milliseconds
+    /// </summary>
+    public double Duration { get; set; }
+}
@@ -0,0 +1,31 @@
+using System;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Request counts and nearest-rank duration percentiles of all requests in one group, computed in the database;
+/// the group is a time bucket, an endpoint route and HTTP method, or the whole range, and the other keys are null
+/// </summary>
+public class RequestDurationStats
+{
+    public DateTime? BucketStart { get; set; }
+    public string? Endpoint { get; set; }
+    public string? HttpMethod { get; set; }
+    public int RequestCount { get; set; }
+    public int ErrorCount { get; set; }
+
+    /// <summary>
+    /// Requests slower than the slow operation threshold the statistics were requested with
+    /// </summary>
+    public int SlowCount { get; set; }
+
+    /// <summary>
+    /// Durations in milliseconds; zero when the group has no requests
+    /// </summary>
+    public double AvgDuration { get; set; }
+    public double MinDuration { get; set; }
+    public double MaxDuration { get; set; }
+    public double P50Duration { get; set; }
+    public double P95Duration { get; set; }
+    public double P99Duration { get; set; }
+}
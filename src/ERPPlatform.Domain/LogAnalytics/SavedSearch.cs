@@ -0,0 +1,68 @@
+using System;
+using Volo.Abp;
+using Volo.Abp.Domain.Entities.Auditing;
+using Volo.Abp.MultiTenancy;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// A named log or audit log search saved by a user
+/// Owned by its creator; shared searches are visible to every user of the tenant
+/// </summary>
+public class SavedSearch : AuditedAggregateRoot<Guid>, IMultiTenant
+{
+    public Guid? TenantId { get; protected set; }
+
+    /// <summary>
+    /// Display name shown in the saved search dropdown
+    /// </summary>
+    public string Name { get; protected set; } = string.Empty;
+
+    /// <summary>
+    /// Search form the criteria belong to, see SavedSearchConstants.SearchTypes
+    /// </summary>
+    public string SearchType { get; protected set; } = string.Empty;
+
+    /// <summary>
+    /// Search form values as a JSON object
+    /// </summary>
+    public string Criteria { get; protected set; } = "{}";
+
+    /// <summary>
+    /// Whether other users of the tenant can see and run this search
+    /// </summary>
+    public bool IsShared { get; set; }
+
+    /// <summary>
+    /// Protected constructor for Entity Framework
+    /// </summary>
+    protected SavedSearch()
+    {
+    }
+
+    public SavedSearch(
+        Guid id,
+        Guid? tenantId,
+        string name,
+        string searchType,
+        string criteria,
+        bool isShared = false)
+        : base(id)
+    {
+        TenantId = tenantId;
+        SearchType = Check.NotNullOrWhiteSpace(searchType, nameof(searchType), SavedSearchConstants.MaxSearchTypeLength);
+        SetName(name);
+        SetCriteria(criteria);
+        IsShared = isShared;
+    }
+
+    public void SetName(string name)
+    {
+        Name = Check.NotNullOrWhiteSpace(name, nameof(name), SavedSearchConstants.MaxNameLength).Trim();
+    }
+
+    public void SetCriteria(string criteria)
+    {
+        Criteria = Check.NotNullOrWhiteSpace(criteria, nameof(criteria), SavedSearchConstants.MaxCriteriaLength);
+    }
+}
@@ -216,5 +216,80 @@ public class SerilogEntry
         }
     }
 
+    /// <summary>
+    /// Gets the user name from log event properties
+    /// </summary>
+    [NotMapped]
+    public string? UserName
+    {
+        get
+        {
+            try
+            {
+                var logEventDoc = LogEventProperties;
+                if (logEventDoc?.RootElement.TryGetProperty("Properties", out var properties) == true &&
+                    properties.TryGetProperty("UserName", out var userName) == true)
+                {
+                    return userName.GetString();
+                }
+            }
+            catch
+            {
+                // Ignore parsing errors
+            }
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Gets the ABP correlation ID, shared across applications handling one request, from log event properties
+    /// </summary>
+    [NotMapped]
+    public string? CorrelationId
+    {
+        get
+        {
+            try
+            {
+                var logEventDoc = LogEventProperties;
+                if (logEventDoc?.RootElement.TryGetProperty("Properties", out var properties) == true &&
+                    properties.TryGetProperty("CorrelationId", out var correlationId) == true)
+                {
+                    return correlationId.GetString();
+                }
+            }
+            catch
+            {
+                // Ignore parsing errors
+            }
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Gets the ASP.NET Core request ID from log event properties
+    /// </summary>
+    [NotMapped]
+    public string? RequestId
+    {
+        get
+        {
+            try
+            {
+                var logEventDoc = LogEventProperties;
+                if (logEventDoc?.RootElement.TryGetProperty("Properties", out var properties) == true &&
+                    properties.TryGetProperty("RequestId", out var requestId) == true)
+                {
+                    return requestId.GetString();
+                }
+            }
+            catch
+            {
+                // Ignore parsing errors
+            }
+            return null;
+        }
+    }
+
     #endregion
 }
\ No newline at end of file
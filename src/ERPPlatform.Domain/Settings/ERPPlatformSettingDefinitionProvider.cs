@@ -1,4 +1,6 @@
-﻿using Volo.Abp.Settings;
+﻿using System.Globalization;
+using ERPPlatform.LogAnalytics;
+using Volo.Abp.Settings;
 
 namespace ERPPlatform.Settings;
 
@@ -6,7 +8,42 @@ public class ERPPlatformSettingDefinitionProvider : SettingDefinitionProvider
 {
     public override void Define(ISettingDefinitionContext context)
     {
-        //Define your own settings here. Example:
-        //context.Add(new SettingDefinition(ERPPlatformSettings.MySetting1));
+        DefineLogAnalyticsThresholds(context);
+        DefineLogAnalyticsDashboardLayout(context);
+    }
+
+    private static void DefineLogAnalyticsThresholds(ISettingDefinitionContext context)
+    {
+        context.Add(
+            Threshold(ERPPlatformSettings.LogAnalytics.ExcellentResponseTime, LogAnalyticsDashboardConstants.HealthThresholds.ExcellentResponseTime),
+            Threshold(ERPPlatformSettings.LogAnalytics.GoodResponseTime, LogAnalyticsDashboardConstants.HealthThresholds.GoodResponseTime),
+            Threshold(ERPPlatformSettings.LogAnalytics.FairResponseTime, LogAnalyticsDashboardConstants.HealthThresholds.FairResponseTime),
+            Threshold(ERPPlatformSettings.LogAnalytics.SlowOperationThreshold, LogAnalyticsDashboardConstants.HealthThresholds.SlowOperationThreshold),
+            Threshold(ERPPlatformSettings.LogAnalytics.ErrorRateWarning, LogAnalyticsDashboardConstants.HealthThresholds.ErrorRateWarning),
+            Threshold(ERPPlatformSettings.LogAnalytics.ErrorRateCritical, LogAnalyticsDashboardConstants.HealthThresholds.ErrorRateCritical),
+            Threshold(ERPPlatformSettings.LogAnalytics.ErrorCountWarning, LogAnalyticsDashboardConstants.HealthThresholds.ErrorCountWarning),
+            Threshold(ERPPlatformSettings.LogAnalytics.ErrorCountCritical, LogAnalyticsDashboardConstants.HealthThresholds.ErrorCountCritical),
+            Threshold(ERPPlatformSettings.LogAnalytics.SlowOperationsWarning, LogAnalyticsDashboardConstants.HealthThresholds.SlowOperationsWarning),
+            Threshold(ERPPlatformSettings.LogAnalytics.SlowOperationsCritical, LogAnalyticsDashboardConstants.HealthThresholds.SlowOperationsCritical),
+            Threshold(ERPPlatformSettings.LogAnalytics.AvgResponseTimeWarning, LogAnalyticsDashboardConstants.HealthThresholds.AvgResponseTimeWarning),
+            Threshold(ERPPlatformSettings.LogAnalytics.AvgResponseTimeCritical, LogAnalyticsDashboardConstants.HealthThresholds.AvgResponseTimeCritical)
+        );
+    }
+
+    private static void DefineLogAnalyticsDashboardLayout(ISettingDefinitionContext context)
+    {
+        // No value means the default layout of the dashboard page
+        context.Add(
+            new SettingDefinition(ERPPlatformSettings.LogAnalytics.DashboardLayout)
+                .WithProviders(UserSettingValueProvider.ProviderName)
+        );
+    }
+
+    /// <summary>
+    /// Thresholds are stored invariantly so the server and the dashboards parse them the same way
+    /// </summary>
+    private static SettingDefinition Threshold(string name, double defaultValue)
+    {
+        return new SettingDefinition(name, defaultValue.ToString(CultureInfo.InvariantCulture));
     }
 }
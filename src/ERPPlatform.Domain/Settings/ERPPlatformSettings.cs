@@ -4,6 +4,30 @@ public static class ERPPlatformSettings
 {
     private const string Prefix = "ERPPlatform";
 
-    //Add your own setting names here. Example:
-    //public const string MySetting1 = Prefix + ".MySetting1";
+    /// <summary>
+    /// Response time levels and health thresholds of the log analytics dashboards, editable per tenant,
+    /// and the dashboard layout of each user
+    /// </summary>
+    public static class LogAnalytics
+    {
+        private const string GroupPrefix = Prefix + ".LogAnalytics";
+
+        public const string ExcellentResponseTime = GroupPrefix + ".ExcellentResponseTime";
+        public const string GoodResponseTime = GroupPrefix + ".GoodResponseTime";
+        public const string FairResponseTime = GroupPrefix + ".FairResponseTime";
+        public const string SlowOperationThreshold = GroupPrefix + ".SlowOperationThreshold";
+        public const string ErrorRateWarning = GroupPrefix + ".ErrorRateWarning";
+        public const string ErrorRateCritical = GroupPrefix + ".ErrorRateCritical";
+        public const string ErrorCountWarning = GroupPrefix + ".ErrorCountWarning";
+        public const string ErrorCountCritical = GroupPrefix + ".ErrorCountCritical";
+        public const string SlowOperationsWarning = GroupPrefix + ".SlowOperationsWarning";
+        public const string SlowOperationsCritical = GroupPrefix + ".SlowOperationsCritical";
+        public const string AvgResponseTimeWarning = GroupPrefix + ".AvgResponseTimeWarning";
+        public const string AvgResponseTimeCritical = GroupPrefix + ".AvgResponseTimeCritical";
+
+        /// <summary>
+        /// Widget arrangement of the log analytics dashboard as JSON, stored per user
+        /// </summary>
+        public const string DashboardLayout = GroupPrefix + ".DashboardLayout";
+    }
 }
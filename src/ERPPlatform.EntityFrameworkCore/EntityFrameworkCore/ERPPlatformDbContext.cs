@@ -65,6 +65,13 @@ public class ERPPlatformDbContext :
     // Actual seriloglogs table (created by Serilog.Sinks.PostgreSQL)
     public DbSet<SerilogEntry> SerilogEntries { get; set; }
 
+    // Searches saved from the log analytics dashboards
+    public DbSet<SavedSearch> SavedSearches { get; set; }
+
+    // Alert rules evaluated against the Serilog entries and their firing/resolved history
+    public DbSet<AlertRule> AlertRules { get; set; }
+    public DbSet<AlertHistoryEntry> AlertHistory { get; set; }
+
     #endregion
 
     public ERPPlatformDbContext(DbContextOptions<ERPPlatformDbContext> options)
@@ -140,6 +147,47 @@ public class ERPPlatformDbContext :
             b.HasIndex(x => x.Level).HasDatabaseName("IX_seriloglogs_level");
         });
 
+        builder.Entity<SavedSearch>(b =>
+        {
+            b.ToTable(ERPPlatformConsts.DbTablePrefix + "SavedSearches", ERPPlatformConsts.DbSchema);
+            b.ConfigureByConvention();
+
+            b.Property(x => x.Name).IsRequired().HasMaxLength(SavedSearchConstants.MaxNameLength);
+            b.Property(x => x.SearchType).IsRequired().HasMaxLength(SavedSearchConstants.MaxSearchTypeLength);
+            b.Property(x => x.Criteria).IsRequired();
+
+            b.HasIndex(x => new { x.TenantId, x.SearchType, x.CreatorId });
+        });
+
+        builder.Entity<AlertRule>(b =>
+        {
+            b.ToTable(ERPPlatformConsts.DbTablePrefix + "AlertRules", ERPPlatformConsts.DbSchema);
+            b.ConfigureByConvention();
+
+            b.Property(x => x.Name).IsRequired().HasMaxLength(AlertRuleConstants.MaxNameLength);
+            b.Property(x => x.Query).IsRequired().HasMaxLength(AlertRuleConstants.MaxQueryLength);
+            b.Property(x => x.Criteria).IsRequired();
+            b.Property(x => x.BaseQuery).HasMaxLength(AlertRuleConstants.MaxQueryLength);
+            b.Property(x => x.Metric).IsRequired().HasMaxLength(AlertRuleConstants.MaxMetricLength);
+            b.Property(x => x.Operator).IsRequired().HasMaxLength(AlertRuleConstants.MaxOperatorLength);
+            b.Property(x => x.Severity).IsRequired().HasMaxLength(AlertRuleConstants.MaxSeverityLength);
+
+            b.HasIndex(x => new { x.TenantId, x.IsEnabled });
+        });
+
+        builder.Entity<AlertHistoryEntry>(b =>
+        {
+            b.ToTable(ERPPlatformConsts.DbTablePrefix + "AlertHistory", ERPPlatformConsts.DbSchema);
+            b.ConfigureByConvention();
+
+            b.Property(x => x.RuleName).IsRequired().HasMaxLength(AlertRuleConstants.MaxNameLength);
+            b.Property(x => x.EventType).IsRequired().HasMaxLength(AlertRuleConstants.MaxEventTypeLength);
+            b.Property(x => x.Severity).IsRequired().HasMaxLength(AlertRuleConstants.MaxSeverityLength);
+            b.Property(x => x.Condition).IsRequired().HasMaxLength(AlertRuleConstants.MaxConditionLength);
+
+            b.HasIndex(x => new { x.TenantId, x.AlertRuleId, x.CreationTime });
+        });
+
         //builder.Entity<YourEntity>(b =>
         //{
         //    b.ToTable(ERPPlatformConsts.DbTablePrefix + "YourEntities", ERPPlatformConsts.DbSchema);
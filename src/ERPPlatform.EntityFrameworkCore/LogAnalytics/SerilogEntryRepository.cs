@@ -16,6 +16,16 @@ namespace ERPPlatform.LogAnalytics;
 /// </summary>
 public class SerilogEntryRepository : ISerilogEntryRepository, ITransientDependency
 {
+    // Volume counts group entries by the Application property and by level group (Information and below, Warning, Error and Fatal)
+    private const string VolumeApplicationSql = "COALESCE(log_event::jsonb -> 'Properties' ->> 'Application', '')";
+    private const string VolumeLevelGroupSql = "(CASE WHEN level >= 4 THEN 4 WHEN level = 3 THEN 3 ELSE 2 END)";
+
+    // Endpoint routes match LogAnalyticsDashboardHelper.NormalizeEndpointRoute: no scheme, host, query string,
+    // repeated or trailing slashes, and numeric or GUID segments replaced with {id}
+    private const string EndpointRouteIdPattern =
+        "/([0-9]+|\\{?[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\\}?|[0-9a-fA-F]{32})(?=/|$)";
+    private const string EndpointRouteIdReplacement = "/{id}";
+
     private readonly IDbContextProvider<ERPPlatformDbContext> _dbContextProvider;
 
     public SerilogEntryRepository(IDbContextProvider<ERPPlatformDbContext> dbContextProvider)
@@ -44,6 +54,399 @@ public class SerilogEntryRepository : ISerilogEntryRepository, ITransientDepende
             .ToListAsync(cancellationToken);
     }
 
+    /// <summary>
+    /// Gets entries written at or after the specified timestamp, oldest first
+    /// </summary>
+    public async Task<List<SerilogEntry>> GetSinceAsync(DateTime fromTimestamp, int count = 100, CancellationToken cancellationToken = default)
+    {
+        var fromTimestampUnspecified = DateTime.SpecifyKind(fromTimestamp, DateTimeKind.Unspecified);
+        var queryable = await GetQueryableAsync();
+
+        return await queryable
+            .Where(x => x.Timestamp >= fromTimestampUnspecified)
+            .OrderBy(x => x.Timestamp)
+            .Take(count)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Searches entries matching the request filters, newest first
+    /// </summary>
+    public async Task<(List<SerilogEntry> Items, long TotalCount)> SearchAsync(SerilogSearchRequestDto request, CancellationToken cancellationToken = default)
+    {
+        var queryable = await GetSearchQueryableAsync(request);
+
+        var totalCount = await queryable.LongCountAsync(cancellationToken);
+        var items = await queryable
+            .OrderByDescending(x => x.Timestamp)
+            .Skip((request.Page - 1) * request.PageSize)
+            .Take(request.PageSize)
+            .ToListAsync(cancellationToken);
+
+        return (items, totalCount);
+    }
+
+    /// <summary>
+    /// Counts entries matching the request filters
+    /// </summary>
+    public async Task<long> CountAsync(SerilogSearchRequestDto request, CancellationToken cancellationToken = default)
+    {
+        var queryable = await GetSearchQueryableAsync(request);
+        return await queryable.LongCountAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Gets the entries logged under any of the correlation IDs or the request ID, oldest first
+    /// </summary>
+    public async Task<List<SerilogEntry>> GetByTraceIdsAsync(IReadOnlyCollection<string> correlationIds, string? requestId, int maxCount, CancellationToken cancellationToken = default)
+    {
+        const string propertiesSql = "(log_event::jsonb -> 'Properties')";
+
+        var conditions = new List<string>();
+        var parameters = new List<object>();
+
+        if (correlationIds.Any())
+        {
+            conditions.Add(propertiesSql + " ->> 'CorrelationId' = ANY({" + parameters.Count + "})");
+            parameters.Add(correlationIds.ToArray());
+        }
+
+        if (!string.IsNullOrWhiteSpace(requestId))
+        {
+            conditions.Add(propertiesSql + " ->> 'RequestId' = {" + parameters.Count + "}");
+            parameters.Add(requestId.Trim());
+        }
+
+        if (!conditions.Any())
+        {
+            return new List<SerilogEntry>();
+        }
+
+        var dbContext = await _dbContextProvider.GetDbContextAsync();
+
+        return await dbContext.SerilogEntries
+            .FromSqlRaw("SELECT * FROM seriloglogs WHERE " + string.Join(" OR ", conditions), parameters.ToArray())
+            .OrderBy(x => x.Timestamp)
+            .Take(maxCount)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Gets request durations within the date range, newest first. Duration and the request properties
+    /// live inside the log_event JSON, so they are extracted in SQL and only those columns are loaded.
+    /// </summary>
+    public async Task<List<RequestDurationSample>> GetRequestDurationsAsync(DateTime fromDate, DateTime toDate, int maxCount, CancellationToken cancellationToken = default)
+    {
+        const string propertiesSql = "(log_event::jsonb -> 'Properties')";
+        const string durationSql = "(CASE WHEN " + propertiesSql + " ->> 'Duration' ~ '^[0-9]+(\\.[0-9]+)?$' " +
+                                   "THEN (" + propertiesSql + " ->> 'Duration')::double precision END)";
+
+        var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+        var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+        var dbContext = await _dbContextProvider.GetDbContextAsync();
+
+        return await dbContext.Database
+            .SqlQueryRaw<RequestDurationSample>(
+                "SELECT timestamp AS \"Timestamp\", level AS \"Level\", " +
+                propertiesSql + " ->> 'RequestPath' AS \"RequestPath\", " +
+                propertiesSql + " ->> 'HttpMethod' AS \"HttpMethod\", " +
+                durationSql + " AS \"Duration\" " +
+                "FROM seriloglogs " +
+                "WHERE timestamp >= {0} AND timestamp <= {1} AND " + durationSql + " IS NOT NULL " +
+                "ORDER BY timestamp DESC LIMIT {2}",
+                fromDateUnspecified, toDateUnspecified, maxCount)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Computes request statistics of the whole date range in SQL
+    /// </summary>
+    public async Task<RequestDurationStats> GetRequestDurationStatsAsync(DateTime fromDate, DateTime toDate, double slowThreshold, CancellationToken cancellationToken = default)
+    {
+        var stats = await GetRequestDurationStatsAsync(
+            "NULL::timestamp AS \"BucketStart\", NULL AS \"Endpoint\", NULL AS \"HttpMethod\"",
+            string.Empty,
+            fromDate, toDate, slowThreshold, Array.Empty<object>(), cancellationToken);
+
+        return stats.Single();
+    }
+
+    /// <summary>
+    /// Computes request statistics per time bucket in SQL, so every bucket of a long range is based on all of its requests
+    /// </summary>
+    public Task<List<RequestDurationStats>> GetRequestDurationStatsByBucketAsync(DateTime fromDate, DateTime toDate, TimeSpan bucketSize, double slowThreshold, CancellationToken cancellationToken = default)
+    {
+        var bucketSeconds = (int)bucketSize.TotalSeconds;
+        var bucketStartSql = "date_trunc('day', timestamp) + " +
+                             "floor(extract(epoch FROM timestamp - date_trunc('day', timestamp)) / " + bucketSeconds + ")::integer * " +
+                             "interval '" + bucketSeconds + " seconds'";
+
+        return GetRequestDurationStatsAsync(
+            bucketStartSql + " AS \"BucketStart\", NULL AS \"Endpoint\", NULL AS \"HttpMethod\"",
+            "GROUP BY 1",
+            fromDate, toDate, slowThreshold, Array.Empty<object>(), cancellationToken);
+    }
+
+    /// <summary>
+    /// Computes request statistics per endpoint route and HTTP method in SQL
+    /// </summary>
+    public Task<List<RequestDurationStats>> GetRequestDurationStatsByEndpointAsync(DateTime fromDate, DateTime toDate, double slowThreshold, int maxCount, CancellationToken cancellationToken = default)
+    {
+        // The id pattern and replacement contain braces, so they are passed as parameters {3} and {4}
+        const string endpointSql = "'/' || trim(BOTH '/' FROM regexp_replace(" +
+                                   "regexp_replace('/' || regexp_replace(split_part(split_part(request_path, '?', 1), '#', 1), " +
+                                   "'^[a-zA-Z][a-zA-Z0-9+.-]*://[^/]*', ''), '/+', '/', 'g'), " +
+                                   "{3}, {4}, 'g'))";
+
+        return GetRequestDurationStatsAsync(
+            "NULL::timestamp AS \"BucketStart\", " + endpointSql + " AS \"Endpoint\", " +
+            "UPPER(COALESCE(http_method, '')) AS \"HttpMethod\"",
+            "AND btrim(request_path) <> '' GROUP BY 2, 3 ORDER BY \"RequestCount\" DESC LIMIT {5}",
+            fromDate, toDate, slowThreshold,
+            new object[] { EndpointRouteIdPattern, EndpointRouteIdReplacement, maxCount },
+            cancellationToken);
+    }
+
+    /// <summary>
+    /// Counts entries per hour, application and level group. The application lives inside the log_event JSON,
+    /// so the grouping is done in SQL and only the counts are loaded.
+    /// </summary>
+    public async Task<List<LogVolumeCount>> GetHourlyVolumeAsync(DateTime fromDate, DateTime toDate, CancellationToken cancellationToken = default)
+    {
+        var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+        var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+        var dbContext = await _dbContextProvider.GetDbContextAsync();
+
+        return await dbContext.Database
+            .SqlQueryRaw<LogVolumeCount>(
+                "SELECT date_trunc('hour', timestamp) AS \"Hour\", " +
+                VolumeApplicationSql + " AS \"Application\", " +
+                VolumeLevelGroupSql + " AS \"Level\", " +
+                "COUNT(*)::integer AS \"Count\" " +
+                "FROM seriloglogs " +
+                "WHERE timestamp >= {0} AND timestamp < {1} " +
+                "GROUP BY 1, 2, 3",
+                fromDateUnspecified, toDateUnspecified)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Gets the message templates with most entries of an application and level group
+    /// </summary>
+    public Task<List<LogVolumeContributor>> GetTopMessageTemplatesAsync(DateTime fromDate, DateTime toDate, string application, int levelGroup, int maxCount, CancellationToken cancellationToken = default)
+    {
+        return GetTopContributorsAsync("message_template", fromDate, toDate, application, levelGroup, maxCount, cancellationToken);
+    }
+
+    /// <summary>
+    /// Gets the request paths with most entries of an application and level group
+    /// </summary>
+    public Task<List<LogVolumeContributor>> GetTopRequestPathsAsync(DateTime fromDate, DateTime toDate, string application, int levelGroup, int maxCount, CancellationToken cancellationToken = default)
+    {
+        return GetTopContributorsAsync("(log_event::jsonb -> 'Properties' ->> 'RequestPath')", fromDate, toDate, application, levelGroup, maxCount, cancellationToken);
+    }
+
+    private async Task<List<LogVolumeContributor>> GetTopContributorsAsync(
+        string valueSql,
+        DateTime fromDate,
+        DateTime toDate,
+        string application,
+        int levelGroup,
+        int maxCount,
+        CancellationToken cancellationToken)
+    {
+        var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+        var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+        var dbContext = await _dbContextProvider.GetDbContextAsync();
+
+        return await dbContext.Database
+            .SqlQueryRaw<LogVolumeContributor>(
+                "SELECT " + valueSql + " AS \"Value\", COUNT(*)::integer AS \"Count\" " +
+                "FROM seriloglogs " +
+                "WHERE timestamp >= {0} AND timestamp < {1} AND " +
+                VolumeApplicationSql + " = {2} AND " + VolumeLevelGroupSql + " = {3} AND " +
+                valueSql + " IS NOT NULL AND " + valueSql + " <> '' " +
+                "GROUP BY 1 ORDER BY 2 DESC LIMIT {4}",
+                fromDateUnspecified, toDateUnspecified, application, levelGroup, maxCount)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Aggregates the requests with a numeric Duration property within the date range. The group keys and the
+    /// clauses after the WHERE condition come from the caller; parameters {0} to {2} are the range and the slow
+    /// threshold and the extra parameters follow from {3}.
+    /// </summary>
+    private async Task<List<RequestDurationStats>> GetRequestDurationStatsAsync(
+        string groupKeysSql,
+        string groupClausesSql,
+        DateTime fromDate,
+        DateTime toDate,
+        double slowThreshold,
+        object[] extraParameters,
+        CancellationToken cancellationToken)
+    {
+        const string propertiesSql = "(log_event::jsonb -> 'Properties')";
+        const string durationSql = "(CASE WHEN " + propertiesSql + " ->> 'Duration' ~ '^[0-9]+(\\.[0-9]+)?$' " +
+                                   "THEN (" + propertiesSql + " ->> 'Duration')::double precision END)";
+
+        var fromDateUnspecified = DateTime.SpecifyKind(fromDate, DateTimeKind.Unspecified);
+        var toDateUnspecified = DateTime.SpecifyKind(toDate, DateTimeKind.Unspecified);
+        var dbContext = await _dbContextProvider.GetDbContextAsync();
+
+        return await dbContext.Database
+            .SqlQueryRaw<RequestDurationStats>(
+                "SELECT " + groupKeysSql + ", " +
+                "COUNT(*)::integer AS \"RequestCount\", " +
+                "(COUNT(*) FILTER (WHERE level >= 4))::integer AS \"ErrorCount\", " +
+                "(COUNT(*) FILTER (WHERE duration > {2}))::integer AS \"SlowCount\", " +
+                "COALESCE(AVG(duration), 0) AS \"AvgDuration\", " +
+                "COALESCE(MIN(duration), 0) AS \"MinDuration\", " +
+                "COALESCE(MAX(duration), 0) AS \"MaxDuration\", " +
+                "COALESCE(percentile_disc(0.50) WITHIN GROUP (ORDER BY duration), 0) AS \"P50Duration\", " +
+                "COALESCE(percentile_disc(0.95) WITHIN GROUP (ORDER BY duration), 0) AS \"P95Duration\", " +
+                "COALESCE(percentile_disc(0.99) WITHIN GROUP (ORDER BY duration), 0) AS \"P99Duration\" " +
+                "FROM (SELECT timestamp, level, " +
+                propertiesSql + " ->> 'RequestPath' AS request_path, " +
+                propertiesSql + " ->> 'HttpMethod' AS http_method, " +
+                durationSql + " AS duration " +
+                "FROM seriloglogs WHERE timestamp >= {0} AND timestamp <= {1}) AS requests " +
+                "WHERE duration IS NOT NULL " + groupClausesSql,
+                new object[] { fromDateUnspecified, toDateUnspecified, slowThreshold }.Concat(extraParameters).ToArray())
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Builds the search query. Request properties live inside the log_event JSON,
+    /// so those filters are expressed in SQL and the column filters are composed with LINQ.
+    /// </summary>
+    private async Task<IQueryable<SerilogEntry>> GetSearchQueryableAsync(SerilogSearchRequestDto request)
+    {
+        var dbContext = await _dbContextProvider.GetDbContextAsync();
+
+        const string propertiesSql = "(log_event::jsonb -> 'Properties')";
+        const string durationSql = "(CASE WHEN " + propertiesSql + " ->> 'Duration' ~ '^[0-9]+(\\.[0-9]+)?$' " +
+                                   "THEN (" + propertiesSql + " ->> 'Duration')::numeric END)";
+        // Request logging writes ResponseStatusCode; the StatusCode message property is the fallback
+        const string statusCodeSql = "(CASE WHEN COALESCE(" + propertiesSql + " ->> 'ResponseStatusCode', " + propertiesSql + " ->> 'StatusCode') ~ '^[0-9]+$' " +
+                                     "THEN COALESCE(" + propertiesSql + " ->> 'ResponseStatusCode', " + propertiesSql + " ->> 'StatusCode')::integer END)";
+
+        var conditions = new List<string>();
+        var parameters = new List<object>();
+
+        void AddCondition(string sql, object value)
+        {
+            conditions.Add(string.Format(sql, "{" + parameters.Count + "}"));
+            parameters.Add(value);
+        }
+
+        // The user filter accepts the user id or the user name, both ignoring case
+        if (!string.IsNullOrWhiteSpace(request.UserId))
+            AddCondition("(LOWER(" + propertiesSql + " ->> 'UserId') = LOWER({0}) OR LOWER(" + propertiesSql + " ->> 'UserName') = LOWER({0}))", request.UserId.Trim());
+
+        if (!string.IsNullOrWhiteSpace(request.RequestPath))
+            AddCondition(propertiesSql + " ->> 'RequestPath' ILIKE {0}", ToContainsPattern(request.RequestPath));
+
+        if (!string.IsNullOrWhiteSpace(request.PathPrefix))
+            AddCondition(propertiesSql + " ->> 'RequestPath' ILIKE {0}", ToStartsWithPattern(request.PathPrefix));
+
+        if (!string.IsNullOrWhiteSpace(request.HttpMethod))
+            AddCondition("UPPER(" + propertiesSql + " ->> 'HttpMethod') = {0}", request.HttpMethod.Trim().ToUpperInvariant());
+
+        if (!string.IsNullOrWhiteSpace(request.Application))
+            AddCondition(propertiesSql + " ->> 'Application' ILIKE {0}", EscapeLikePattern(request.Application.Trim()));
+
+        if (request.MinStatusCode.HasValue)
+            AddCondition(statusCodeSql + " >= {0}", request.MinStatusCode.Value);
+
+        if (request.MaxStatusCode.HasValue)
+            AddCondition(statusCodeSql + " <= {0}", request.MaxStatusCode.Value);
+
+        if (request.MinDuration.HasValue)
+            AddCondition(durationSql + " >= {0}", (decimal)request.MinDuration.Value);
+
+        if (request.MaxDuration.HasValue)
+            AddCondition(durationSql + " <= {0}", (decimal)request.MaxDuration.Value);
+
+        var queryable = conditions.Any()
+            ? dbContext.SerilogEntries.FromSqlRaw(
+                "SELECT * FROM seriloglogs WHERE " + string.Join(" AND ", conditions),
+                parameters.ToArray())
+            : dbContext.SerilogEntries.AsQueryable();
+
+        if (request.FromDate.HasValue)
+        {
+            var fromDateUnspecified = DateTime.SpecifyKind(request.FromDate.Value, DateTimeKind.Unspecified);
+            queryable = queryable.Where(x => x.Timestamp >= fromDateUnspecified);
+        }
+
+        if (request.ToDate.HasValue)
+        {
+            var toDateUnspecified = DateTime.SpecifyKind(request.ToDate.Value, DateTimeKind.Unspecified);
+            queryable = queryable.Where(x => x.Timestamp <= toDateUnspecified);
+        }
+
+        var levels = request.LogLevels
+            .Select(ToLevelValue)
+            .Where(x => x.HasValue)
+            .Select(x => x!.Value)
+            .Distinct()
+            .ToList();
+        if (levels.Any())
+            queryable = queryable.Where(x => x.Level.HasValue && levels.Contains(x.Level.Value));
+
+        if (!string.IsNullOrWhiteSpace(request.SearchText))
+        {
+            var pattern = ToContainsPattern(request.SearchText);
+            queryable = queryable.Where(x =>
+                EF.Functions.ILike(x.Message ?? string.Empty, pattern) ||
+                EF.Functions.ILike(x.Exception ?? string.Empty, pattern));
+        }
+
+        if (request.HasException.HasValue)
+        {
+            queryable = request.HasException.Value
+                ? queryable.Where(x => x.Exception != null && x.Exception != string.Empty)
+                : queryable.Where(x => x.Exception == null || x.Exception == string.Empty);
+        }
+
+        return queryable;
+    }
+
+    private static string ToContainsPattern(string value)
+    {
+        return $"%{EscapeLikePattern(value.Trim())}%";
+    }
+
+    private static string ToStartsWithPattern(string value)
+    {
+        return $"{EscapeLikePattern(value.Trim())}%";
+    }
+
+    private static string EscapeLikePattern(string value)
+    {
+        return value
+            .Replace("\\", "\\\\")
+            .Replace("%", "\\%")
+            .Replace("_", "\\_");
+    }
+
+    /// <summary>
+    /// Maps a level name to the integer stored by the Serilog sink; "Critical" is treated as Fatal
+    /// </summary>
+    private static int? ToLevelValue(string? levelName)
+    {
+        return levelName?.Trim().ToLowerInvariant() switch
+        {
+            "verbose" => 0,
+            "debug" => 1,
+            "information" => 2,
+            "warning" => 3,
+            "error" => 4,
+            "fatal" or "critical" => 5,
+            _ => null
+        };
+    }
+
     /// <summary>
     /// Gets error entries from the last specified period
     /// </summary>
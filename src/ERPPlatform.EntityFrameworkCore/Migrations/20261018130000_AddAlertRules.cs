@@ -0,0 +1,87 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace ERPPlatform.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAlertRules : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "AppAlertHistory",
+                columns: table => new
+                {
+                    Id = table.Column<Guid>(type: "uuid", nullable: false),
+                    TenantId = table.Column<Guid>(type: "uuid", nullable: true),
+                    AlertRuleId = table.Column<Guid>(type: "uuid", nullable: false),
+                    RuleName = table.Column<string>(type: "character varying(128)", maxLength: 128, nullable: false),
+                    EventType = table.Column<string>(type: "character varying(16)", maxLength: 16, nullable: false),
+                    Severity = table.Column<string>(type: "character varying(16)", maxLength: 16, nullable: false),
+                    Condition = table.Column<string>(type: "character varying(256)", maxLength: 256, nullable: false),
+                    Value = table.Column<double>(type: "double precision", nullable: false),
+                    CreationTime = table.Column<DateTime>(type: "timestamp without time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AppAlertHistory", x => x.Id);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "AppAlertRules",
+                columns: table => new
+                {
+                    Id = table.Column<Guid>(type: "uuid", nullable: false),
+                    TenantId = table.Column<Guid>(type: "uuid", nullable: true),
+                    Name = table.Column<string>(type: "character varying(128)", maxLength: 128, nullable: false),
+                    Query = table.Column<string>(type: "character varying(1000)", maxLength: 1000, nullable: false),
+                    Criteria = table.Column<string>(type: "text", nullable: false),
+                    BaseQuery = table.Column<string>(type: "character varying(1000)", maxLength: 1000, nullable: true),
+                    BaseCriteria = table.Column<string>(type: "text", nullable: true),
+                    Metric = table.Column<string>(type: "character varying(16)", maxLength: 16, nullable: false),
+                    Operator = table.Column<string>(type: "character varying(8)", maxLength: 8, nullable: false),
+                    Threshold = table.Column<double>(type: "double precision", nullable: false),
+                    WindowMinutes = table.Column<int>(type: "integer", nullable: false),
+                    Severity = table.Column<string>(type: "character varying(16)", maxLength: 16, nullable: false),
+                    IsEnabled = table.Column<bool>(type: "boolean", nullable: false),
+                    IsFiring = table.Column<bool>(type: "boolean", nullable: false),
+                    LastValue = table.Column<double>(type: "double precision", nullable: true),
+                    LastEvaluationTime = table.Column<DateTime>(type: "timestamp without time zone", nullable: true),
+                    LastStateChangeTime = table.Column<DateTime>(type: "timestamp without time zone", nullable: true),
+                    ExtraProperties = table.Column<string>(type: "text", nullable: false),
+                    ConcurrencyStamp = table.Column<string>(type: "character varying(40)", maxLength: 40, nullable: false),
+                    CreationTime = table.Column<DateTime>(type: "timestamp without time zone", nullable: false),
+                    CreatorId = table.Column<Guid>(type: "uuid", nullable: true),
+                    LastModificationTime = table.Column<DateTime>(type: "timestamp without time zone", nullable: true),
+                    LastModifierId = table.Column<Guid>(type: "uuid", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AppAlertRules", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AppAlertHistory_TenantId_AlertRuleId_CreationTime",
+                table: "AppAlertHistory",
+                columns: new[] { "TenantId", "AlertRuleId", "CreationTime" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AppAlertRules_TenantId_IsEnabled",
+                table: "AppAlertRules",
+                columns: new[] { "TenantId", "IsEnabled" });
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "AppAlertHistory");
+
+            migrationBuilder.DropTable(
+                name: "AppAlertRules");
+        }
+    }
+}
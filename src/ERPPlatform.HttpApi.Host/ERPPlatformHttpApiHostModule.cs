@@ -63,8 +63,9 @@ public class ERPPlatformHttpApiHostModule : AbpModule
         ConfigureAuthentication(context, configuration);
         ConfigureCache(configuration);
         ConfigureVirtualFileSystem(context);
-        ConfigureDataProtection(context, configuration, hostingEnvironment);
-        ConfigureDistributedLocking(context, configuration);
+        var redis = ConfigureRedis(context, configuration);
+        ConfigureDataProtection(context, redis, hostingEnvironment);
+        ConfigureDistributedLocking(context);
         ConfigureCors(context, configuration);
         ConfigureSwaggerServices(context, configuration);
     }
@@ -138,28 +139,35 @@ public class ERPPlatformHttpApiHostModule : AbpModule
             });
     }
 
+    /// <summary>
+    /// Registers the Redis connection shared by data protection, distributed locks and the live log feed;
+    /// it is opened on first use
+    /// </summary>
+    private Lazy<IConnectionMultiplexer> ConfigureRedis(
+        ServiceConfigurationContext context,
+        IConfiguration configuration)
+    {
+        var redis = new Lazy<IConnectionMultiplexer>(() => ConnectionMultiplexer.Connect(configuration["Redis:Configuration"]!));
+        context.Services.AddSingleton(_ => redis.Value);
+        return redis;
+    }
+
     private void ConfigureDataProtection(
         ServiceConfigurationContext context,
-        IConfiguration configuration,
+        Lazy<IConnectionMultiplexer> redis,
         IWebHostEnvironment hostingEnvironment)
     {
         var dataProtectionBuilder = context.Services.AddDataProtection().SetApplicationName("ERPPlatform");
         if (!hostingEnvironment.IsDevelopment())
         {
-            var redis = ConnectionMultiplexer.Connect(configuration["Redis:Configuration"]!);
-            dataProtectionBuilder.PersistKeysToStackExchangeRedis(redis, "ERPPlatform-Protection-Keys");
+            dataProtectionBuilder.PersistKeysToStackExchangeRedis(() => redis.Value.GetDatabase(), "ERPPlatform-Protection-Keys");
         }
     }
 
-    private void ConfigureDistributedLocking(
-        ServiceConfigurationContext context,
-        IConfiguration configuration)
+    private void ConfigureDistributedLocking(ServiceConfigurationContext context)
     {
         context.Services.AddSingleton<IDistributedLockProvider>(sp =>
-        {
-            var connection = ConnectionMultiplexer.Connect(configuration["Redis:Configuration"]!);
-            return new RedisDistributedSynchronizationProvider(connection.GetDatabase());
-        });
+            new RedisDistributedSynchronizationProvider(sp.GetRequiredService<IConnectionMultiplexer>().GetDatabase()));
     }
 
     private void ConfigureCors(ServiceConfigurationContext context, IConfiguration configuration)
@@ -0,0 +1,33 @@
+using System.Threading.Tasks;
+using ERPPlatform.LogAnalytics.Live;
+using StackExchange.Redis;
+using Volo.Abp.DependencyInjection;
+using Volo.Abp.Json;
+
+namespace ERPPlatform.LogAnalytics;
+
+/// <summary>
+/// Publishes live log batches on a Redis channel so the Web application can relay them through LogAnalyticsHub
+/// </summary>
+[Dependency(ReplaceServices = true)]
+[ExposeServices(typeof(ILogAnalyticsLivePublisher))]
+public class RedisLogAnalyticsLivePublisher : ILogAnalyticsLivePublisher, ISingletonDependency
+{
+    private readonly IConnectionMultiplexer _redis;
+    private readonly IJsonSerializer _jsonSerializer;
+
+    public RedisLogAnalyticsLivePublisher(
+        IConnectionMultiplexer redis,
+        IJsonSerializer jsonSerializer)
+    {
+        _redis = redis;
+        _jsonSerializer = jsonSerializer;
+    }
+
+    public async Task PublishAsync(LogAnalyticsLiveBatchEto batch)
+    {
+        await _redis.GetSubscriber().PublishAsync(
+            RedisChannel.Literal(LogAnalyticsLiveConstants.RedisChannel),
+            _jsonSerializer.Serialize(batch));
+    }
+}
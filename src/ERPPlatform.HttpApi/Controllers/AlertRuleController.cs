@@ -0,0 +1,85 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Volo.Abp.AspNetCore.Mvc;
+using ERPPlatform.LogAnalytics;
+
+namespace ERPPlatform.Controllers;
+
+/// <summary>
+/// REST API controller for alert rules over the Serilog entries and their fired/resolved history
+/// </summary>
+[ApiController]
+[Route("api/log-analytics/alert-rules")]
+[Authorize]
+public class AlertRuleController : AbpControllerBase
+{
+    private readonly IAlertRuleAppService _alertRuleAppService;
+
+    public AlertRuleController(IAlertRuleAppService alertRuleAppService)
+    {
+        _alertRuleAppService = alertRuleAppService;
+    }
+
+    /// <summary>
+    /// Gets the alert rules of the current tenant with their current state
+    /// </summary>
+    [HttpGet]
+    public async Task<List<AlertRuleDto>> GetListAsync()
+    {
+        return await _alertRuleAppService.GetListAsync();
+    }
+
+    /// <summary>
+    /// Gets an alert rule
+    /// </summary>
+    [HttpGet("{id:guid}")]
+    public async Task<AlertRuleDto> GetAsync(Guid id)
+    {
+        return await _alertRuleAppService.GetAsync(id);
+    }
+
+    /// <summary>
+    /// Creates an alert rule
+    /// </summary>
+    [HttpPost]
+    public async Task<AlertRuleDto> CreateAsync([FromBody] CreateUpdateAlertRuleDto input)
+    {
+        return await _alertRuleAppService.CreateAsync(input);
+    }
+
+    /// <summary>
+    /// Updates an alert rule
+    /// </summary>
+    [HttpPut("{id:guid}")]
+    public async Task<AlertRuleDto> UpdateAsync(Guid id, [FromBody] CreateUpdateAlertRuleDto input)
+    {
+        return await _alertRuleAppService.UpdateAsync(id, input);
+    }
+
+    /// <summary>
+    /// Deletes an alert rule; its history is kept
+    /// </summary>
+    [HttpDelete("{id:guid}")]
+    public async Task DeleteAsync(Guid id)
+    {
+        await _alertRuleAppService.DeleteAsync(id);
+    }
+
+    /// <summary>
+    /// Gets fired and resolved events, newest first
+    /// </summary>
+    /// <param name="alertRuleId">Only events of this rule (optional)</param>
+    /// <param name="maxCount">Maximum number of events</param>
+    [HttpGet("history")]
+    public async Task<List<AlertEventDto>> GetHistoryAsync([FromQuery] Guid? alertRuleId = null, [FromQuery] int maxCount = AlertRuleConstants.DefaultValues.HistoryCount)
+    {
+        return await _alertRuleAppService.GetHistoryAsync(new GetAlertHistoryRequestDto
+        {
+            AlertRuleId = alertRuleId,
+            MaxCount = maxCount
+        });
+    }
+}
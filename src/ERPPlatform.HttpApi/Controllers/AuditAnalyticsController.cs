@@ -34,13 +34,25 @@ public class AuditAnalyticsController : AbpControllerBase
     [HttpGet("dashboard/range")]
     public async Task<ActionResult<LogAnalyticsDashboardDto>> GetDashboardByRangeAsync(
         [FromQuery] DateTime fromDate,
-        [FromQuery] DateTime toDate)
+        [FromQuery] DateTime toDate,
+        [FromQuery] string? bucket = null)
     {
-        var request = new DashboardRangeRequestDto { FromDate = fromDate, ToDate = toDate };
+        var request = new DashboardRangeRequestDto { FromDate = fromDate, ToDate = toDate, Bucket = bucket };
         var dashboard = await _auditAnalyticsService.GetDashboardDataByRangeAsync(request);
         return Ok(dashboard);
     }
 
+    /// <summary>
+    /// Compare dashboard metrics and trends with the previous period or the same time last week
+    /// </summary>
+    [HttpGet("dashboard/comparison")]
+    public async Task<ActionResult<DashboardComparisonDto>> GetDashboardComparisonAsync(
+        [FromQuery] DashboardComparisonRequestDto request)
+    {
+        var comparison = await _auditAnalyticsService.GetDashboardComparisonAsync(request);
+        return Ok(comparison);
+    }
+
     /// <summary>
     /// Search logs with filters
     /// </summary>
@@ -79,39 +91,44 @@ public class AuditAnalyticsController : AbpControllerBase
     [HttpGet("recent-logs/paginated")]
     public async Task<ActionResult<PaginatedResponse<RecentLogEntryDto>>> GetRecentLogsPaginatedAsync(
         [FromQuery] int skip = 0,
-        [FromQuery] int take = 20)
+        [FromQuery] int take = 20,
+        [FromQuery] DateTime? toDate = null)
     {
-        var request = new RecentLogsRequestDto { Skip = skip, Take = take };
+        var request = new RecentLogsRequestDto { Skip = skip, Take = take, ToDate = toDate };
         var result = await _auditAnalyticsService.GetRecentLogsAsync(request);
         return Ok(result);
     }
 
     /// <summary>
-    /// Export logs to CSV or JSON
+    /// Export logs to CSV, JSON or XLSX
     /// </summary>
     [HttpPost("export")]
     [Microsoft.AspNetCore.Mvc.IgnoreAntiforgeryToken]
     public async Task<ActionResult> ExportLogsAsync(
-        [FromBody] LogSearchRequestDto request,
-        [FromQuery] string format = "csv")
-    {
-        var exportRequest = new ExportLogsRequestDto 
-        { 
-            FromDate = request.FromDate,
-            ToDate = request.ToDate,
-            LogLevels = request.LogLevels,
-            Applications = request.Applications,
-            SearchText = request.SearchText,
-            UserId = request.UserId,
-            Category = request.Category,
-            Format = format 
-        };
-        var data = await _auditAnalyticsService.ExportLogsAsync(exportRequest);
-        
-        var fileName = $"logs_export_{DateTime.UtcNow:yyyyMMdd_HHmmss}.{format.ToLower()}";
-        var contentType = format.ToLower() == "json" ? "application/json" : "text/csv";
+        [FromBody] ExportLogsRequestDto request,
+        [FromQuery] string? format = null)
+    {
+        if (!string.IsNullOrWhiteSpace(format))
+        {
+            request.Format = format;
+        }
+        request.Format = ExportRequestHelper.NormalizeFormat(request.Format);
+
+        var data = await _auditAnalyticsService.ExportLogsAsync(request);
         
-        return File(data, contentType, fileName);
+        var fileName = $"logs_export_{DateTime.UtcNow:yyyyMMdd_HHmmss}.{request.Format}";
+        return File(data, ExportRequestHelper.GetContentType(request.Format), fileName);
+    }
+
+    /// <summary>
+    /// Get the number of rows a log export would contain
+    /// </summary>
+    [HttpPost("export/preview")]
+    [Microsoft.AspNetCore.Mvc.IgnoreAntiforgeryToken]
+    public async Task<ActionResult<ExportPreviewDto>> GetExportPreviewAsync([FromBody] ExportLogsRequestDto request)
+    {
+        var preview = await _auditAnalyticsService.GetExportPreviewAsync(request);
+        return Ok(preview);
     }
 
     #region ABP Audit Log Endpoints
@@ -186,33 +203,54 @@ public class AuditAnalyticsController : AbpControllerBase
     }
 
     /// <summary>
-    /// Export audit logs to CSV or JSON
+    /// Get per-route API statistics aggregated from audit logs
+    /// </summary>
+    [HttpGet("endpoints")]
+    public async Task<ActionResult<List<ApiEndpointStatsDto>>> GetApiEndpointStatsAsync(
+        [FromQuery] DateTime? fromDate = null,
+        [FromQuery] DateTime? toDate = null,
+        [FromQuery] int count = 10,
+        [FromQuery] string? httpMethod = null)
+    {
+        var request = new ApiEndpointStatsRequestDto
+        {
+            FromDate = fromDate,
+            ToDate = toDate,
+            Count = count,
+            HttpMethod = httpMethod
+        };
+        var endpoints = await _auditAnalyticsService.GetApiEndpointStatsAsync(request);
+        return Ok(endpoints);
+    }
+
+    /// <summary>
+    /// Export audit logs to CSV, JSON or XLSX
     /// </summary>
     [HttpPost("audit-logs/export")]
     public async Task<ActionResult> ExportAuditLogsAsync(
-        [FromBody] AuditLogSearchRequestDto request,
-        [FromQuery] string format = "csv")
-    {
-        var exportRequest = new ExportAuditLogsRequestDto 
-        { 
-            FromDate = request.FromDate,
-            ToDate = request.ToDate,
-            UserId = request.UserId,
-            ServiceName = request.ServiceName,
-            MethodName = request.MethodName,
-            HttpMethod = request.HttpMethod,
-            MinDuration = request.MinDuration,
-            MaxDuration = request.MaxDuration,
-            HasException = request.HasException,
-            ClientIp = request.ClientIp,
-            Format = format 
-        };
-        var data = await _auditAnalyticsService.ExportAuditLogsAsync(exportRequest);
-        
-        var fileName = $"audit_logs_export_{DateTime.UtcNow:yyyyMMdd_HHmmss}.{format.ToLower()}";
-        var contentType = format.ToLower() == "json" ? "application/json" : "text/csv";
+        [FromBody] ExportAuditLogsRequestDto request,
+        [FromQuery] string? format = null)
+    {
+        if (!string.IsNullOrWhiteSpace(format))
+        {
+            request.Format = format;
+        }
+        request.Format = ExportRequestHelper.NormalizeFormat(request.Format);
+
+        var data = await _auditAnalyticsService.ExportAuditLogsAsync(request);
         
-        return File(data, contentType, fileName);
+        var fileName = $"audit_logs_export_{DateTime.UtcNow:yyyyMMdd_HHmmss}.{request.Format}";
+        return File(data, ExportRequestHelper.GetContentType(request.Format), fileName);
+    }
+
+    /// <summary>
+    /// Get the number of rows an audit log export would contain
+    /// </summary>
+    [HttpPost("audit-logs/export/preview")]
+    public async Task<ActionResult<ExportPreviewDto>> GetAuditLogExportPreviewAsync([FromBody] ExportAuditLogsRequestDto request)
+    {
+        var preview = await _auditAnalyticsService.GetAuditLogExportPreviewAsync(request);
+        return Ok(preview);
     }
 
     #endregion
@@ -0,0 +1,34 @@
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Volo.Abp.AspNetCore.Mvc;
+using ERPPlatform.LogAnalytics;
+
+namespace ERPPlatform.Controllers;
+
+/// <summary>
+/// REST API controller supporting the real-time log stream of the analytics dashboard
+/// </summary>
+[ApiController]
+[Route("api/log-analytics/live")]
+[Authorize]
+public class LogAnalyticsLiveController : AbpControllerBase
+{
+    private readonly ILogAnalyticsLiveAppService _liveAppService;
+
+    public LogAnalyticsLiveController(ILogAnalyticsLiveAppService liveAppService)
+    {
+        _liveAppService = liveAppService;
+    }
+
+    /// <summary>
+    /// Gets log entries written after the client's last seen timestamp, used to fill gaps after a reconnect
+    /// </summary>
+    /// <param name="request">Last seen timestamp and live filter</param>
+    /// <returns>Matching entries ordered oldest first</returns>
+    [HttpPost("backfill")]
+    public async Task<PaginatedResponse<RecentLogEntryDto>> GetBackfillAsync([FromBody] LiveLogBackfillRequestDto request)
+    {
+        return await _liveAppService.GetBackfillAsync(request);
+    }
+}
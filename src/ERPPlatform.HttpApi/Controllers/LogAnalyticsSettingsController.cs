@@ -0,0 +1,78 @@
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Volo.Abp.AspNetCore.Mvc;
+using ERPPlatform.LogAnalytics;
+
+namespace ERPPlatform.Controllers;
+
+/// <summary>
+/// REST API controller for the response time levels and health thresholds shared by the server and both dashboards,
+/// and for the dashboard layout of the current user
+/// </summary>
+[ApiController]
+[Route("api/log-analytics/settings")]
+[Authorize]
+public class LogAnalyticsSettingsController : AbpControllerBase
+{
+    private readonly ILogAnalyticsSettingsAppService _settingsAppService;
+
+    public LogAnalyticsSettingsController(ILogAnalyticsSettingsAppService settingsAppService)
+    {
+        _settingsAppService = settingsAppService;
+    }
+
+    /// <summary>
+    /// Gets the thresholds in effect for the current tenant
+    /// </summary>
+    [HttpGet("thresholds")]
+    public async Task<LogAnalyticsThresholdsDto> GetThresholdsAsync()
+    {
+        return await _settingsAppService.GetThresholdsAsync();
+    }
+
+    /// <summary>
+    /// Stores thresholds for the current tenant
+    /// </summary>
+    [HttpPut("thresholds")]
+    public async Task<LogAnalyticsThresholdsDto> UpdateThresholdsAsync([FromBody] LogAnalyticsThresholdsDto input)
+    {
+        return await _settingsAppService.UpdateThresholdsAsync(input);
+    }
+
+    /// <summary>
+    /// Removes the thresholds stored for the current tenant so the defaults apply again
+    /// </summary>
+    [HttpDelete("thresholds")]
+    public async Task<LogAnalyticsThresholdsDto> ResetThresholdsAsync()
+    {
+        return await _settingsAppService.ResetThresholdsAsync();
+    }
+
+    /// <summary>
+    /// Gets the dashboard layout of the current user; no widgets means the default layout
+    /// </summary>
+    [HttpGet("dashboard-layout")]
+    public async Task<DashboardLayoutDto> GetDashboardLayoutAsync()
+    {
+        return await _settingsAppService.GetDashboardLayoutAsync();
+    }
+
+    /// <summary>
+    /// Saves the dashboard layout of the current user
+    /// </summary>
+    [HttpPut("dashboard-layout")]
+    public async Task<DashboardLayoutDto> UpdateDashboardLayoutAsync([FromBody] DashboardLayoutDto input)
+    {
+        return await _settingsAppService.UpdateDashboardLayoutAsync(input);
+    }
+
+    /// <summary>
+    /// Removes the dashboard layout of the current user so the default layout applies again
+    /// </summary>
+    [HttpDelete("dashboard-layout")]
+    public async Task ResetDashboardLayoutAsync()
+    {
+        await _settingsAppService.ResetDashboardLayoutAsync();
+    }
+}
@@ -0,0 +1,39 @@
+using System;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Volo.Abp.AspNetCore.Mvc;
+using ERPPlatform.LogAnalytics;
+
+namespace ERPPlatform.Controllers;
+
+/// <summary>
+/// REST API controller for log and error volume anomalies against the weekly baseline
+/// </summary>
+[ApiController]
+[Route("api/log-analytics/anomalies")]
+[Authorize]
+public class LogAnomalyController : AbpControllerBase
+{
+    private readonly ILogAnomalyAppService _anomalyAppService;
+
+    public LogAnomalyController(ILogAnomalyAppService anomalyAppService)
+    {
+        _anomalyAppService = anomalyAppService;
+    }
+
+    /// <summary>
+    /// Gets the anomalous hours per application and level, highest scores first
+    /// </summary>
+    /// <param name="fromDate">Start date (optional, defaults to 7 days ago)</param>
+    /// <param name="toDate">End date (optional, defaults to now)</param>
+    [HttpGet]
+    public async Task<LogAnomaliesDto> GetAnomaliesAsync([FromQuery] DateTime? fromDate = null, [FromQuery] DateTime? toDate = null)
+    {
+        return await _anomalyAppService.GetAnomaliesAsync(new LogAnomalyRequestDto
+        {
+            FromDate = fromDate,
+            ToDate = toDate
+        });
+    }
+}
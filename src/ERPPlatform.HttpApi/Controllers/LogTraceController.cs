@@ -0,0 +1,34 @@
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Volo.Abp.AspNetCore.Mvc;
+using ERPPlatform.LogAnalytics;
+
+namespace ERPPlatform.Controllers;
+
+/// <summary>
+/// REST API controller for request traces across Serilog entries and audit logs
+/// </summary>
+[ApiController]
+[Route("api/log-analytics/trace")]
+[Authorize]
+public class LogTraceController : AbpControllerBase
+{
+    private readonly ILogTraceAppService _logTraceAppService;
+
+    public LogTraceController(ILogTraceAppService logTraceAppService)
+    {
+        _logTraceAppService = logTraceAppService;
+    }
+
+    /// <summary>
+    /// Gets the timeline of all Serilog entries and audit log actions sharing a correlation or request ID
+    /// </summary>
+    /// <param name="request">Correlation ID and/or request ID</param>
+    /// <returns>Trace entries ordered oldest first</returns>
+    [HttpGet]
+    public async Task<LogTraceDto> GetAsync([FromQuery] LogTraceRequestDto request)
+    {
+        return await _logTraceAppService.GetTraceAsync(request);
+    }
+}
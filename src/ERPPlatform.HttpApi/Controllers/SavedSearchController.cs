@@ -0,0 +1,62 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Volo.Abp.AspNetCore.Mvc;
+using ERPPlatform.LogAnalytics;
+
+namespace ERPPlatform.Controllers;
+
+/// <summary>
+/// REST API controller for searches saved from the log analytics dashboards
+/// </summary>
+[ApiController]
+[Route("api/log-analytics/saved-searches")]
+[Authorize]
+public class SavedSearchController : AbpControllerBase
+{
+    private readonly ISavedSearchAppService _savedSearchAppService;
+
+    public SavedSearchController(ISavedSearchAppService savedSearchAppService)
+    {
+        _savedSearchAppService = savedSearchAppService;
+    }
+
+    /// <summary>
+    /// Gets the current user's saved searches and the searches shared within the tenant
+    /// </summary>
+    /// <param name="searchType">Logs, AuditLogs or Serilog</param>
+    [HttpGet]
+    public async Task<List<SavedSearchDto>> GetListAsync([FromQuery] string searchType)
+    {
+        return await _savedSearchAppService.GetListAsync(new GetSavedSearchesRequestDto { SearchType = searchType });
+    }
+
+    /// <summary>
+    /// Saves a search for the current user
+    /// </summary>
+    [HttpPost]
+    public async Task<SavedSearchDto> CreateAsync([FromBody] CreateUpdateSavedSearchDto input)
+    {
+        return await _savedSearchAppService.CreateAsync(input);
+    }
+
+    /// <summary>
+    /// Updates a saved search owned by the current user
+    /// </summary>
+    [HttpPut("{id:guid}")]
+    public async Task<SavedSearchDto> UpdateAsync(Guid id, [FromBody] CreateUpdateSavedSearchDto input)
+    {
+        return await _savedSearchAppService.UpdateAsync(id, input);
+    }
+
+    /// <summary>
+    /// Deletes a saved search owned by the current user
+    /// </summary>
+    [HttpDelete("{id:guid}")]
+    public async Task DeleteAsync(Guid id)
+    {
+        await _savedSearchAppService.DeleteAsync(id);
+    }
+}
@@ -134,25 +134,51 @@ public class SerilogAnalyticsController : AbpControllerBase
     }
 
     /// <summary>
-    /// Gets hourly trends for performance monitoring
+    /// Gets trends for performance monitoring
     /// </summary>
     /// <param name="fromDate">Start date for trends (optional)</param>
     /// <param name="toDate">End date for trends (optional)</param>
-    /// <returns>Hourly trend data</returns>
+    /// <param name="bucket">Bucket size: 1m, 5m, 15m, 1h or 1d (optional, chosen from the range length)</param>
+    /// <returns>Trend data per bucket</returns>
     [HttpGet("analytics/trends/hourly")]
     public async Task<List<SerilogHourlyTrendDto>> GetHourlyTrendsAsync(
         [FromQuery] DateTime? fromDate = null,
-        [FromQuery] DateTime? toDate = null)
+        [FromQuery] DateTime? toDate = null,
+        [FromQuery] string? bucket = null)
     {
         var request = new SerilogDashboardRequestDto
         {
             FromDate = fromDate,
-            ToDate = toDate
+            ToDate = toDate,
+            Bucket = bucket
         };
         
         return await _serilogAnalyticsAppService.GetHourlyTrendsAsync(request);
     }
 
+    /// <summary>
+    /// Gets request counts per time bucket and latency bucket for the latency heatmap
+    /// </summary>
+    /// <param name="fromDate">Start date (optional)</param>
+    /// <param name="toDate">End date (optional)</param>
+    /// <param name="bucket">Time bucket size: 1m, 5m, 15m, 1h or 1d (optional, chosen from the range length)</param>
+    /// <returns>Latency heatmap data</returns>
+    [HttpGet("analytics/latency-heatmap")]
+    public async Task<SerilogLatencyHeatmapDto> GetLatencyHeatmapAsync(
+        [FromQuery] DateTime? fromDate = null,
+        [FromQuery] DateTime? toDate = null,
+        [FromQuery] string? bucket = null)
+    {
+        var request = new SerilogDashboardRequestDto
+        {
+            FromDate = fromDate,
+            ToDate = toDate,
+            Bucket = bucket
+        };
+        
+        return await _serilogAnalyticsAppService.GetLatencyHeatmapAsync(request);
+    }
+
     /// <summary>
     /// Gets log level distribution for the specified period
     /// </summary>
@@ -306,6 +332,7 @@ public class SerilogAnalyticsController : AbpControllerBase
                 ["serilog_requests_per_minute"] = performance.RequestsPerMinute,
                 ["serilog_errors_per_minute"] = performance.ErrorsPerMinute,
                 ["serilog_avg_response_time_ms"] = performance.AvgResponseTime,
+                ["serilog_p50_response_time_ms"] = performance.P50ResponseTime,
                 ["serilog_p95_response_time_ms"] = performance.P95ResponseTime,
                 ["serilog_p99_response_time_ms"] = performance.P99ResponseTime,
                 ["serilog_health_status"] = performance.HealthStatus == "Healthy" ? 1 : 0,
@@ -1,19 +1,54 @@
+using System;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.SignalR;
 using Microsoft.AspNetCore.Authorization;
+using ERPPlatform.LogAnalytics;
+using ERPPlatform.Permissions;
+using Volo.Abp.Security.Claims;
 
 namespace ERPPlatform.Web.Hubs;
 
-[Authorize]
+/// <summary>
+/// Pushes live log entries, dashboard updates and alert events to the dashboards of the caller's tenant
+/// </summary>
+[Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
 public class LogAnalyticsHub : Hub
 {
+    private readonly LogAnalyticsSubscriptionManager _subscriptionManager;
+
+    public LogAnalyticsHub(LogAnalyticsSubscriptionManager subscriptionManager)
+    {
+        _subscriptionManager = subscriptionManager;
+    }
+
     public async Task JoinDashboardGroup()
     {
-        await Groups.AddToGroupAsync(Context.ConnectionId, "Dashboard");
+        await SubscribeToDashboard(new LiveLogFilterDto());
+    }
+
+    /// <summary>
+    /// Joins the dashboard group and receives only log entries matching the filter; call again to change it.
+    /// The permission is checked on every call, not only when the connection opens.
+    /// </summary>
+    [Authorize(ERPPlatformPermissions.LogAnalytics.ViewLogs)]
+    public async Task SubscribeToDashboard(LiveLogFilterDto? filter)
+    {
+        filter ??= new LiveLogFilterDto();
+        filter.TenantId = Context.User?.FindTenantId();
+
+        await Groups.AddToGroupAsync(Context.ConnectionId, LogAnalyticsLiveConstants.DashboardGroup);
+        _subscriptionManager.Subscribe(Context.ConnectionId, filter);
     }
 
     public async Task LeaveDashboardGroup()
     {
-        await Groups.RemoveFromGroupAsync(Context.ConnectionId, "Dashboard");
+        _subscriptionManager.Unsubscribe(Context.ConnectionId);
+        await Groups.RemoveFromGroupAsync(Context.ConnectionId, LogAnalyticsLiveConstants.DashboardGroup);
+    }
+
+    public override async Task OnDisconnectedAsync(Exception? exception)
+    {
+        _subscriptionManager.Unsubscribe(Context.ConnectionId);
+        await base.OnDisconnectedAsync(exception);
     }
-}
\ No newline at end of file
+}
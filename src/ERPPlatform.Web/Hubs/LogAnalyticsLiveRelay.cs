@@ -0,0 +1,94 @@
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using ERPPlatform.LogAnalytics;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using StackExchange.Redis;
+using Volo.Abp.Json;
+
+namespace ERPPlatform.Web.Hubs;
+
+/// <summary>
+/// Subscribes to live log batches published by the API host and forwards them to subscribed dashboard clients
+/// Entries, dashboard updates and alert events only go to the connections of the tenant they belong to;
+/// alert events ignore the log filter
+/// </summary>
+public class LogAnalyticsLiveRelay : IHostedService
+{
+    private readonly IConnectionMultiplexer _redis;
+    private readonly IHubContext<LogAnalyticsHub> _hubContext;
+    private readonly IJsonSerializer _jsonSerializer;
+    private readonly LogAnalyticsSubscriptionManager _subscriptionManager;
+    private readonly ILogger<LogAnalyticsLiveRelay> _logger;
+
+    public LogAnalyticsLiveRelay(
+        IConnectionMultiplexer redis,
+        IHubContext<LogAnalyticsHub> hubContext,
+        IJsonSerializer jsonSerializer,
+        LogAnalyticsSubscriptionManager subscriptionManager,
+        ILogger<LogAnalyticsLiveRelay> logger)
+    {
+        _redis = redis;
+        _hubContext = hubContext;
+        _jsonSerializer = jsonSerializer;
+        _subscriptionManager = subscriptionManager;
+        _logger = logger;
+    }
+
+    public async Task StartAsync(CancellationToken cancellationToken)
+    {
+        var channel = await _redis.GetSubscriber().SubscribeAsync(
+            RedisChannel.Literal(LogAnalyticsLiveConstants.RedisChannel));
+
+        channel.OnMessage(async message => await RelayAsync(message.Message));
+    }
+
+    public async Task StopAsync(CancellationToken cancellationToken)
+    {
+        await _redis.GetSubscriber().UnsubscribeAsync(
+            RedisChannel.Literal(LogAnalyticsLiveConstants.RedisChannel));
+    }
+
+    private async Task RelayAsync(RedisValue message)
+    {
+        try
+        {
+            var batch = _jsonSerializer.Deserialize<LogAnalyticsLiveBatchEto>(message.ToString());
+
+            foreach (var (connectionId, filter) in _subscriptionManager.GetSubscriptions())
+            {
+                // Each connection only receives its tenant's entries matching its own subscription filter
+                var matchingEntries = batch.Entries.Where(filter.IsMatch).ToList();
+                if (matchingEntries.Any())
+                {
+                    await _hubContext.Clients.Client(connectionId)
+                        .SendAsync(LogAnalyticsLiveConstants.Events.NewLogEntry, matchingEntries);
+                }
+
+                var dashboardUpdate = batch.DashboardUpdates.FirstOrDefault(x => x.TenantId == filter.TenantId);
+                if (dashboardUpdate != null)
+                {
+                    await _hubContext.Clients.Client(connectionId)
+                        .SendAsync(LogAnalyticsLiveConstants.Events.DashboardUpdated, dashboardUpdate);
+                }
+
+                foreach (var alertEvent in batch.AlertEvents.Where(x => x.TenantId == filter.TenantId))
+                {
+                    var eventName = alertEvent.EventType == AlertRuleConstants.EventTypes.Fired
+                        ? LogAnalyticsLiveConstants.Events.AlertFired
+                        : LogAnalyticsLiveConstants.Events.AlertResolved;
+
+                    await _hubContext.Clients.Client(connectionId)
+                        .SendAsync(eventName, alertEvent);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to relay live log batch to dashboard clients");
+        }
+    }
+}
@@ -0,0 +1,39 @@
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using ERPPlatform.LogAnalytics;
+using Volo.Abp.DependencyInjection;
+
+namespace ERPPlatform.Web.Hubs;
+
+/// <summary>
+/// Tracks the live log filter of each LogAnalyticsHub connection; filters carry the connection's tenant
+/// </summary>
+public class LogAnalyticsSubscriptionManager : ISingletonDependency
+{
+    private readonly ConcurrentDictionary<string, LiveLogFilterDto> _subscriptions = new();
+
+    /// <summary>
+    /// Adds or replaces the filter for a connection
+    /// </summary>
+    public void Subscribe(string connectionId, LiveLogFilterDto filter)
+    {
+        _subscriptions[connectionId] = filter;
+    }
+
+    /// <summary>
+    /// Removes the filter for a connection
+    /// </summary>
+    public void Unsubscribe(string connectionId)
+    {
+        _subscriptions.TryRemove(connectionId, out _);
+    }
+
+    /// <summary>
+    /// Gets a snapshot of all active subscriptions
+    /// </summary>
+    public IReadOnlyList<KeyValuePair<string, LiveLogFilterDto>> GetSubscriptions()
+    {
+        return _subscriptions.ToList();
+    }
+}
@@ -4,6 +4,7 @@ using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.DependencyInjection;
 using ERPPlatform.Localization;
 using ERPPlatform.MultiTenancy;
+using ERPPlatform.Permissions;
 using Volo.Abp.Account.Localization;
 using Volo.Abp.Authorization.Permissions;
 using Volo.Abp.Identity.Web.Navigation;
@@ -80,6 +81,26 @@ public class ERPPlatformMenuContributor : IMenuContributor
             )
         );
 
+        logAnalyticsMenu.AddItem(
+            new ApplicationMenuItem(
+                "LogAnalytics.AlertRules",
+                l["Menu:AlertRules"],
+                "~/log-analytics/alert-rules",
+                icon: "fas fa-bell",
+                order: 3
+            ).RequirePermissions(ERPPlatformPermissions.LogAnalytics.ManageConfiguration)
+        );
+
+        logAnalyticsMenu.AddItem(
+            new ApplicationMenuItem(
+                "LogAnalytics.HealthThresholds",
+                l["Menu:HealthThresholds"],
+                "~/log-analytics/health-thresholds",
+                icon: "fas fa-sliders-h",
+                order: 4
+            ).RequirePermissions(ERPPlatformPermissions.LogAnalytics.ManageConfiguration)
+        );
+
         context.Menu.AddItem(logAnalyticsMenu);
 
         if (MultiTenancyConsts.IsEnabled)
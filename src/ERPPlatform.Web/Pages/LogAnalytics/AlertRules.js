@@ -0,0 +1,343 @@
+/**
+ * Alert Rules - management page for alert rules over the Serilog entries and their fired/resolved history.
+ * Queries are written in the dashboard query language and stored with their parsed search criteria.
+ */
+
+class AlertRulesPage {
+    constructor() {
+        this.apiBaseUrl = '/api/log-analytics/alert-rules';
+        this.api = new LogAnalyticsClient();
+        this.rules = [];
+        this.editingRuleId = null;
+        this.applications = [];
+
+        this.queryBars = {
+            query: this.createQueryBar('alertRuleQuery'),
+            baseQuery: this.createQueryBar('alertRuleBaseQuery')
+        };
+
+        this.setupEventHandlers();
+        this.loadApplications();
+        this.loadRules();
+        this.loadHistory();
+    }
+
+    createQueryBar(prefix) {
+        return new LogQueryBar({
+            input: document.getElementById(`${prefix}Input`),
+            suggestions: document.getElementById(`${prefix}Suggestions`),
+            error: document.getElementById(`${prefix}Error`),
+            scope: 'alerts',
+            getOptions: () => ({ applications: this.applications }),
+            // Enter only checks the query; the rule is saved with the form
+            onSubmit: () => {}
+        });
+    }
+
+    setupEventHandlers() {
+        $('#newAlertRuleBtn').on('click', () => this.openEditor(null));
+
+        $('#alertRuleMetric').on('change', () => this.updateMetricControls());
+
+        $('#alertRuleForm').on('submit', (e) => {
+            e.preventDefault();
+            this.saveRule();
+        });
+
+        $('#alertHistoryRuleSelect').on('change', () => this.loadHistory());
+
+        $(document).on('click', '#alertRulesTableBody [data-action]', (e) => {
+            e.preventDefault();
+            const $button = $(e.currentTarget);
+            const rule = this.rules.find(x => x.id === $button.data('id'));
+            if (!rule) return;
+
+            switch ($button.data('action')) {
+                case 'edit':
+                    this.openEditor(rule);
+                    break;
+                case 'toggle':
+                    this.toggleRule(rule);
+                    break;
+                case 'history':
+                    $('#alertHistoryRuleSelect').val(rule.id);
+                    this.loadHistory();
+                    break;
+                case 'delete':
+                    this.deleteRule(rule);
+                    break;
+            }
+        });
+    }
+
+    async loadApplications() {
+        try {
+            const result = await this.api.get('/api/audit-analytics/applications');
+            this.applications = Array.isArray(result.applications) ? result.applications : [];
+        } catch (error) {
+            console.warn('Applications for query autocomplete could not be loaded:', error);
+        }
+    }
+
+    async loadRules() {
+        try {
+            this.rules = await this.api.get(this.apiBaseUrl, { key: 'rules' });
+            this.renderRules();
+            this.renderHistoryRuleOptions();
+        } catch (error) {
+            if (error.isAborted) return;
+
+            console.error('Error loading alert rules:', error);
+            $('#alertRulesTableBody').html(`<tr><td colspan="6" class="text-center text-danger p-4">${this.escapeHtml(error.message)}</td></tr>`);
+        }
+    }
+
+    renderRules() {
+        if (this.rules.length === 0) {
+            $('#alertRulesTableBody').html('<tr><td colspan="6" class="text-center text-muted p-4">No alert rules yet</td></tr>');
+            return;
+        }
+
+        const rows = this.rules.map(rule => `
+            <tr>
+                <td class="fw-semibold">${this.escapeHtml(rule.name)}</td>
+                <td><code>${this.escapeHtml(rule.query || '(all entries)')}</code></td>
+                <td>${this.escapeHtml(this.describeCondition(rule))}</td>
+                <td><span class="badge ${this.getSeverityClass(rule.severity)}">${this.escapeHtml(rule.severity)}</span></td>
+                <td>${this.renderStatus(rule)}</td>
+                <td class="text-end text-nowrap">
+                    <button class="btn btn-sm btn-outline-secondary" data-action="toggle" data-id="${rule.id}" title="${rule.isEnabled ? 'Disable' : 'Enable'}">
+                        <i class="fas ${rule.isEnabled ? 'fa-pause' : 'fa-play'}"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="history" data-id="${rule.id}" title="History">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-primary" data-action="edit" data-id="${rule.id}" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${rule.id}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `);
+
+        $('#alertRulesTableBody').html(rows.join(''));
+    }
+
+    renderStatus(rule) {
+        if (!rule.isEnabled) {
+            return '<span class="badge bg-secondary">Disabled</span>';
+        }
+
+        if (!rule.lastEvaluationTime) {
+            return '<span class="badge bg-light text-dark">Pending</span>';
+        }
+
+        const badge = rule.isFiring
+            ? '<span class="badge bg-danger">Firing</span>'
+            : '<span class="badge bg-success">OK</span>';
+        const detail = `${this.formatValue(rule.lastValue, rule.metric)} at ${new Date(rule.lastEvaluationTime).toLocaleTimeString()}`;
+        return `${badge} <small class="text-muted ms-1">${this.escapeHtml(detail)}</small>`;
+    }
+
+    renderHistoryRuleOptions() {
+        const $select = $('#alertHistoryRuleSelect');
+        const selected = $select.val();
+        const options = this.rules.map(rule => `<option value="${rule.id}">${this.escapeHtml(rule.name)}</option>`);
+
+        $select.html(`<option value="">All rules</option>${options.join('')}`);
+        $select.val(this.rules.some(rule => rule.id === selected) ? selected : '');
+    }
+
+    async loadHistory() {
+        try {
+            // Switching rules while the history loads cancels the previous rule's request
+            const events = await this.api.get(`${this.apiBaseUrl}/history`, {
+                key: 'history',
+                params: { alertRuleId: $('#alertHistoryRuleSelect').val() }
+            });
+            if (events.length === 0) {
+                $('#alertHistoryTableBody').html('<tr><td colspan="6" class="text-center text-muted p-4">No alerts have fired yet</td></tr>');
+                return;
+            }
+
+            const rows = events.map(alertEvent => `
+                <tr>
+                    <td class="text-nowrap">${new Date(alertEvent.time).toLocaleString()}</td>
+                    <td>${this.escapeHtml(alertEvent.ruleName)}</td>
+                    <td>
+                        <span class="badge ${alertEvent.eventType === 'Fired' ? 'bg-danger' : 'bg-success'}">${this.escapeHtml(alertEvent.eventType)}</span>
+                    </td>
+                    <td><span class="badge ${this.getSeverityClass(alertEvent.severity)}">${this.escapeHtml(alertEvent.severity)}</span></td>
+                    <td>${this.escapeHtml(alertEvent.condition)}</td>
+                    <td class="text-end">${this.escapeHtml(String(alertEvent.value))}</td>
+                </tr>
+            `);
+            $('#alertHistoryTableBody').html(rows.join(''));
+        } catch (error) {
+            if (error.isAborted) return;
+
+            console.error('Error loading alert history:', error);
+            $('#alertHistoryTableBody').html(`<tr><td colspan="6" class="text-center text-danger p-4">${this.escapeHtml(error.message)}</td></tr>`);
+        }
+    }
+
+    openEditor(rule) {
+        this.editingRuleId = rule?.id || null;
+
+        $('#alertRuleModalLabel').html(`<i class="fas fa-bell"></i> ${rule ? 'Edit Alert Rule' : 'New Alert Rule'}`);
+        $('#alertRuleName').val(rule?.name || '').removeClass('is-invalid');
+        this.queryBars.query.setQuery(rule?.query || '');
+        this.queryBars.baseQuery.setQuery(rule?.baseQuery || '');
+        $('#alertRuleMetric').val(rule?.metric || 'Count');
+        $('#alertRuleOperator').val(rule?.operator || '>');
+        $('#alertRuleThreshold').val(rule?.threshold ?? 0).removeClass('is-invalid');
+        $('#alertRuleWindow').val(rule?.windowMinutes ?? 5).removeClass('is-invalid');
+        $('#alertRuleSeverity').val(rule?.severity || 'Warning');
+        $('#alertRuleEnabled').prop('checked', rule ? rule.isEnabled : true);
+        this.updateMetricControls();
+
+        $('#alertRuleModal').modal('show');
+    }
+
+    updateMetricControls() {
+        const isRate = $('#alertRuleMetric').val() === 'Rate';
+        $('#alertRuleBaseQueryGroup').toggleClass('d-none', !isRate);
+        $('#alertRuleThreshold').attr('max', isRate ? 100 : null);
+    }
+
+    // Parses both queries and validates the form; returns the request body or null when something is invalid
+    buildRuleInput() {
+        const name = ($('#alertRuleName').val() || '').trim();
+        const threshold = parseFloat($('#alertRuleThreshold').val());
+        const windowMinutes = parseInt($('#alertRuleWindow').val(), 10);
+        const metric = $('#alertRuleMetric').val();
+        const isRate = metric === 'Rate';
+
+        const invalidThreshold = Number.isNaN(threshold) || threshold < 0 || (isRate && threshold > 100);
+        const invalidWindow = Number.isNaN(windowMinutes) || windowMinutes < 1 || windowMinutes > parseInt($('#alertRuleWindow').attr('max'), 10);
+        $('#alertRuleName').toggleClass('is-invalid', !name);
+        $('#alertRuleThreshold').toggleClass('is-invalid', invalidThreshold);
+        $('#alertRuleWindow').toggleClass('is-invalid', invalidWindow);
+
+        const query = this.parseQuery(this.queryBars.query);
+        const baseQuery = isRate ? this.parseQuery(this.queryBars.baseQuery) : { text: '', request: {} };
+
+        if (!name || invalidThreshold || invalidWindow || !query || !baseQuery) {
+            return null;
+        }
+
+        return {
+            name: name,
+            query: query.text,
+            criteria: JSON.stringify(query.request),
+            baseQuery: baseQuery.text || null,
+            baseCriteria: baseQuery.text ? JSON.stringify(baseQuery.request) : null,
+            metric: metric,
+            operator: $('#alertRuleOperator').val(),
+            threshold: threshold,
+            windowMinutes: windowMinutes,
+            severity: $('#alertRuleSeverity').val(),
+            isEnabled: $('#alertRuleEnabled').is(':checked')
+        };
+    }
+
+    parseQuery(queryBar) {
+        const text = queryBar.input.value.trim();
+        const { request, errors } = LogQueryLanguage.parse(text, 'alerts', { applications: this.applications });
+        if (errors.length > 0) {
+            queryBar.showErrors(errors);
+            return null;
+        }
+
+        queryBar.clearError();
+        return { text, request };
+    }
+
+    async saveRule() {
+        const input = this.buildRuleInput();
+        if (!input) return;
+
+        const $saveButton = $('#saveAlertRuleBtn').prop('disabled', true);
+        try {
+            const url = this.editingRuleId ? `${this.apiBaseUrl}/${this.editingRuleId}` : this.apiBaseUrl;
+            await (this.editingRuleId ? this.api.put(url, input) : this.api.post(url, input));
+
+            $('#alertRuleModal').modal('hide');
+            abp.notify.success(`Alert rule "${input.name}" saved`);
+            await this.loadRules();
+        } catch (error) {
+            console.error('Error saving alert rule:', error);
+            abp.message.error(error.message);
+        } finally {
+            $saveButton.prop('disabled', false);
+        }
+    }
+
+    async toggleRule(rule) {
+        try {
+            await this.api.put(`${this.apiBaseUrl}/${rule.id}`, { ...this.toInput(rule), isEnabled: !rule.isEnabled });
+            await this.loadRules();
+        } catch (error) {
+            console.error('Error updating alert rule:', error);
+            abp.message.error(error.message);
+        }
+    }
+
+    async deleteRule(rule) {
+        const confirmed = await abp.message.confirm(`Delete the alert rule "${rule.name}"? Its history is kept.`);
+        if (!confirmed) return;
+
+        try {
+            await this.api.delete(`${this.apiBaseUrl}/${rule.id}`);
+            abp.notify.info(`Alert rule "${rule.name}" deleted`);
+            await this.loadRules();
+        } catch (error) {
+            console.error('Error deleting alert rule:', error);
+            abp.message.error(error.message);
+        }
+    }
+
+    toInput(rule) {
+        return {
+            name: rule.name,
+            query: rule.query,
+            criteria: rule.criteria,
+            baseQuery: rule.baseQuery,
+            baseCriteria: rule.baseCriteria,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            windowMinutes: rule.windowMinutes,
+            severity: rule.severity,
+            isEnabled: rule.isEnabled
+        };
+    }
+
+    describeCondition(rule) {
+        const base = rule.metric === 'Rate' ? ` of ${rule.baseQuery || 'all entries'}` : '';
+        return `${rule.metric} ${rule.operator} ${this.formatValue(rule.threshold, rule.metric)}${base} over ${rule.windowMinutes} min`;
+    }
+
+    formatValue(value, metric) {
+        if (value === null || value === undefined) return '-';
+        return metric === 'Rate' ? `${value}%` : String(value);
+    }
+
+    getSeverityClass(severity) {
+        switch (severity) {
+            case 'Critical': return 'bg-danger';
+            case 'Warning': return 'bg-warning text-dark';
+            default: return 'bg-info text-dark';
+        }
+    }
+
+    escapeHtml(value) {
+        return LogQueryBar.escapeHtml(value ?? '');
+    }
+}
+
+$(document).ready(() => {
+    window.alertRulesPage = new AlertRulesPage();
+});
@@ -0,0 +1,113 @@
+/**
+ * Log Analytics Chart Brush - lets the user drag across a Chart.js chart with a category x axis
+ * to select a run of points, e.g. to zoom a dashboard into a spike. Shared by both dashboards.
+ * The chart is looked up on every drag because the dashboards recreate their charts on refresh.
+ */
+
+class ChartBrush {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.getChart = options.getChart;
+        this.onSelect = options.onSelect;
+        this.minDragPixels = options.minDragPixels || 5;
+        this.dragStartX = null;
+        this.dragCurrentX = null;
+        this.suppressClick = false;
+
+        this.host = canvas.parentElement;
+        this.host.classList.add('chart-brush-host');
+        this.selection = document.createElement('div');
+        this.selection.className = 'chart-brush-selection';
+        this.host.appendChild(this.selection);
+
+        canvas.addEventListener('mousedown', (event) => this.onMouseDown(event));
+        window.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        window.addEventListener('mouseup', (event) => this.onMouseUp(event));
+
+        // Capturing, so it runs before Chart.js and swallows the click that ends a drag instead of a point click
+        canvas.addEventListener('click', (event) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                event.stopImmediatePropagation();
+            }
+        }, true);
+    }
+
+    getCanvasX(event, chartArea) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        return Math.min(Math.max(x, chartArea.left), chartArea.right);
+    }
+
+    onMouseDown(event) {
+        const chart = this.getChart();
+        if (!chart || event.button !== 0) {
+            return;
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        if (x < chart.chartArea.left || x > chart.chartArea.right) {
+            return;
+        }
+
+        this.dragStartX = x;
+        this.dragCurrentX = x;
+    }
+
+    onMouseMove(event) {
+        const chart = this.getChart();
+        if (this.dragStartX === null || !chart) {
+            return;
+        }
+
+        const area = chart.chartArea;
+        this.dragCurrentX = this.getCanvasX(event, area);
+
+        if (Math.abs(this.dragCurrentX - this.dragStartX) < this.minDragPixels) {
+            this.selection.style.display = 'none';
+            return;
+        }
+
+        event.preventDefault();
+        Object.assign(this.selection.style, {
+            display: 'block',
+            left: `${this.canvas.offsetLeft + Math.min(this.dragStartX, this.dragCurrentX)}px`,
+            top: `${this.canvas.offsetTop + area.top}px`,
+            width: `${Math.abs(this.dragCurrentX - this.dragStartX)}px`,
+            height: `${area.bottom - area.top}px`
+        });
+    }
+
+    onMouseUp(event) {
+        if (this.dragStartX === null) {
+            return;
+        }
+
+        const chart = this.getChart();
+        const startX = this.dragStartX;
+        const endX = chart ? this.getCanvasX(event, chart.chartArea) : startX;
+        this.dragStartX = null;
+        this.selection.style.display = 'none';
+
+        if (!chart || Math.abs(endX - startX) < this.minDragPixels) {
+            return;
+        }
+
+        // The click event follows mouseup in the same task; reset in case the drag ended outside the canvas
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+
+        const scale = chart.scales.x;
+        const lastIndex = chart.data.labels.length - 1;
+        const toIndex = (pixel) => Math.min(Math.max(Math.round(scale.getValueForPixel(pixel)), 0), lastIndex);
+        const startIndex = toIndex(Math.min(startX, endX));
+        const endIndex = toIndex(Math.max(startX, endX));
+
+        if (lastIndex >= 0) {
+            this.onSelect(startIndex, endIndex);
+        }
+    }
+}
+
+window.ChartBrush = ChartBrush;
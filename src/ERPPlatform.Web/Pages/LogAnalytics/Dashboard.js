@@ -5,11 +5,36 @@ class LogAnalyticsDashboard {
         this.autoRefreshInterval = null;
         this.isAutoRefreshing = false;
         this.refreshIntervalMs = 30000; // 30 seconds
+        this.dashboardDays = 7; // window of the dashboard charts, mirrors DefaultDashboardDays on the server
+        
+        // Date range picked by dragging across the hourly trends chart; null is the default window.
+        // Earlier ranges are kept so the dashboard can zoom back out step by step.
+        this.dashboardRange = null;
+        this.zoomHistory = [];
+        this.hourlyCounts = [];
+        
+        // Period-over-period comparison: '' is off, otherwise a ComparisonModes value ('previous' or 'week')
+        this.comparisonMode = '';
+        this.comparison = null;
+        
+        // Requested trend bucket ('' lets the server choose from the range length) and the bucket the server used
+        this.trendBucket = '';
+        this.trendBucketInUse = '1h';
+        
+        // Log volume anomalies of the dashboard range, marked on the trends chart and listed in their panel
+        this.anomalies = [];
+        
+        // Widget arrangement saved per user; null until the grid is set up
+        this.dashboardLayout = null;
         this.connection = null;
         
-        // Pagination data storage (server-side pagination for logs)
+        // Recent Logs scroll through every matching log, loaded a page at a time; created with its container
+        this.recentLogsList = null;
+        this.recentLogsRow = 0;
+        this.recentLogsRowTimer = null;
+        
+        // Pagination data storage (server-side pagination for audit logs)
         this.paginationData = {
-            recentLogs: { data: [], currentSkip: 0, take: 10, totalCount: 0, hasMore: false },
             recentAuditLogs: { data: [], currentSkip: 0, take: 10, totalCount: 0, hasMore: false },
             // Client-side pagination for smaller datasets
             topErrors: { data: [], currentPage: 1, itemsPerPage: 5 },
@@ -24,7 +49,8 @@ class LogAnalyticsDashboard {
             pageSize: 20,
             totalCount: 0,
             totalPages: 0,
-            searchRequest: null
+            searchRequest: null,
+            resultsVisible: false
         };
         
         // Search locks to prevent concurrent execution
@@ -32,12 +58,85 @@ class LogAnalyticsDashboard {
         this.logSearchInProgress = false;
         this.paginationInProgress = false;
         
+        // Export dialog state; column lists mirror the server-side export column constants
+        this.exportState = {
+            initialized: false,
+            previewTimer: null
+        };
+        this.exportColumns = {
+            logs: {
+                all: ['Timestamp', 'Level', 'Application', 'Message', 'UserId', 'RequestPath', 'HttpStatusCode', 'Duration', 'ServiceName', 'MethodName', 'Exception'],
+                defaults: ['Timestamp', 'Level', 'Application', 'Message', 'UserId', 'Exception']
+            },
+            auditLogs: {
+                all: ['ExecutionTime', 'UserId', 'UserName', 'ServiceName', 'MethodName', 'ExecutionDuration', 'ClientIpAddress', 'HttpMethod', 'Url', 'HttpStatusCode', 'HasException', 'Exception'],
+                defaults: ['ExecutionTime', 'UserId', 'UserName', 'ServiceName', 'MethodName', 'ExecutionDuration', 'ClientIpAddress', 'HttpMethod', 'HttpStatusCode', 'HasException']
+            }
+        };
+        
         // Recent Logs search context for pagination
         this.recentLogsSearchContext = {
             searchRequest: null,
             isActive: false
         };
         
+        // Saved searches per search form, loaded from the server
+        this.savedSearches = {
+            Logs: [],
+            AuditLogs: []
+        };
+        
+        // Query bars above Recent Logs and Recent Audit Logs; applications feed their autocomplete
+        this.queryBars = {};
+        this.applications = [];
+        
+        // Timeline of all entries sharing a correlation or request ID
+        this.traceView = new LogTraceView();
+        
+        // Health and response time thresholds of the tenant, shared with the server; defaults until loaded
+        this.thresholds = new LogAnalyticsThresholds();
+        
+        // Breadcrumbs of chart drill-downs into Recent Logs; each step keeps the search it ran
+        this.drillDown = {
+            trail: [],
+            pending: null
+        };
+        
+        // Requests of this dashboard; a newer request with the same key cancels the one still loading
+        this.api = new LogAnalyticsClient();
+        
+        // Last successful dashboard payload per range, shown while loading and while the API is unavailable
+        this.snapshotCache = new DashboardSnapshotCache('audit');
+        this.snapshotSavedAt = null;
+        this.recoveryTimer = null;
+        this.recoveryDelay = 30000;
+        
+        // Set while the view is rebuilt from the query string so it is not pushed back as new history
+        this.urlStateRestoring = false;
+        
+        // Real-time connection state used for the status badge and gap backfill
+        this.liveLastSeenTimestamp = null;
+        this.liveLastSeenIds = [];
+        this.liveDisconnectedAt = null;
+        // Backfill start taken when the gap opens, so entries pushed while a backfill is retried do not move it
+        this.liveGapCursor = null;
+        this.liveRestartTimer = null;
+        this.liveRecoveryTimer = null;
+        
+        // Update notices reach every client at once; the reload is delayed by a random 2-10s and notices arriving meanwhile are folded into it
+        this.dashboardReloadTimer = null;
+        
+        // Live tail mode for Recent Logs: rows are kept oldest first, newest at the bottom
+        this.liveTail = {
+            enabled: false,
+            paused: false,
+            autoScroll: true,
+            maxRows: 200,
+            rows: [],
+            pendingEntries: [],
+            pendingCount: 0
+        };
+        
         this.init();
     }
 
@@ -56,10 +155,29 @@ class LogAnalyticsDashboard {
                 console.warn('SignalR connection failed, continuing without real-time updates:', error);
             });
             
+            this.setupDashboardLayout();
+            const urlState = this.readUrlState();
+            this.dashboardRange = urlState.range;
+            this.comparisonMode = urlState.compare;
+            this.trendBucket = urlState.bucket;
+            this.recentLogsRow = urlState.row;
+            this.updateZoomControls();
+            this.updateComparisonControls();
+            this.updateTrendBucketControls();
+            this.setupAnomalyPanel();
+            
+            // Shown before anything is requested, since the API may be slow to answer during an incident
+            await this.showCachedSnapshot();
+            this.thresholds = await LogAnalyticsThresholds.load();
             await this.loadApplications();
+            this.loadSavedSearches('Logs');
+            this.loadSavedSearches('AuditLogs');
             await this.loadDashboardData();
             this.setupEventHandlers();
+            this.setupQueryBars();
+            this.setupChartBrush();
             this.setupDateDefaults();
+            await this.applyUrlState(true);
             
             console.log('=== Dashboard Initialization Complete ===');
         } catch (error) {
@@ -69,82 +187,1020 @@ class LogAnalyticsDashboard {
     }
 
     async setupSignalRConnection() {
+        this.connection = new signalR.HubConnectionBuilder()
+            .withUrl("/log-analytics-hub")
+            .withAutomaticReconnect({
+                // Exponential backoff with jitter capped at 30s; after 5 minutes fall back to periodic restarts
+                nextRetryDelayInMilliseconds: (retryContext) => {
+                    if (retryContext.elapsedMilliseconds > 5 * 60 * 1000) {
+                        return null;
+                    }
+                    const delay = Math.min(30000, 1000 * Math.pow(2, retryContext.previousRetryCount));
+                    return delay + Math.floor(Math.random() * 1000);
+                }
+            })
+            .build();
+
+        // The server throttles this notice; reload the aggregated data through the regular API
+        this.connection.on("DashboardUpdated", (notice) => {
+            console.log('Dashboard update notice received:', notice);
+            this.scheduleDashboardReload();
+        });
+
+        // New entries arrive in batches, oldest first
+        this.connection.on("NewLogEntry", (logEntries) => {
+            this.prependLogEntry(logEntries);
+        });
+
+        // Alert rules are evaluated on the server; every dashboard client is told when one fires or resolves
+        this.connection.on("AlertFired", (alertEvent) => this.showAlertEvent(alertEvent));
+        this.connection.on("AlertResolved", (alertEvent) => this.showAlertEvent(alertEvent));
+
+        this.connection.onreconnecting((error) => {
+            console.warn('SignalR connection lost, reconnecting:', error);
+            this.markLiveDisconnected();
+            this.setLiveConnectionStatus('reconnecting');
+        });
+
+        this.connection.onreconnected(async () => {
+            console.log('SignalR reconnected');
+            this.setLiveConnectionStatus('connected');
+            await this.onLiveConnectionRestored();
+        });
+
+        this.connection.onclose((error) => {
+            console.warn('SignalR connection closed:', error);
+            this.markLiveDisconnected();
+            this.setLiveConnectionStatus('offline');
+            this.scheduleLiveRestart();
+        });
+
+        await this.startLiveConnection();
+    }
+
+    async startLiveConnection() {
         try {
-            this.connection = new signalR.HubConnectionBuilder()
-                .withUrl("/log-analytics-hub")
-                .build();
-
-            this.connection.on("DashboardUpdated", (data) => {
-                this.updateMetrics(data.statistics);
-                this.updateCharts(data);
-                this.updateRecentLogs(data.recentLogs);
-                this.updateTopErrors(data.topErrors);
-                this.updatePerformanceMetrics(data.performanceMetrics);
-                this.updateAuditMetrics(data.auditStatistics);
-                this.updateRecentAuditLogs(data.recentAuditLogs);
-                this.updateSystemHealth(data.statistics);
-                this.updateApiEndpoints(data.auditStatistics);
-                this.updateApiEndpointPerformance(data.auditStatistics);
+            this.setLiveConnectionStatus(this.liveDisconnectedAt ? 'reconnecting' : 'connecting');
+            await this.connection.start();
+        } catch (error) {
+            console.error('SignalR connection failed:', error);
+            this.markLiveDisconnected();
+            this.setLiveConnectionStatus('offline');
+            this.scheduleLiveRestart();
+            return;
+        }
+        
+        console.log('SignalR connected successfully');
+        this.setLiveConnectionStatus('connected');
+        await this.onLiveConnectionRestored();
+    }
+
+    scheduleDashboardReload() {
+        if (this.dashboardReloadTimer) {
+            return;
+        }
+        
+        const delay = 2000 + Math.floor(Math.random() * 8000);
+        this.dashboardReloadTimer = setTimeout(() => {
+            this.dashboardReloadTimer = null;
+            this.loadDashboardData();
+        }, delay);
+    }
+
+    scheduleLiveRestart() {
+        if (this.liveRestartTimer) {
+            return;
+        }
+        
+        this.liveRestartTimer = setTimeout(() => {
+            this.liveRestartTimer = null;
+            this.startLiveConnection();
+        }, 60000);
+    }
+
+    // Runs once the connection is open; a failed subscribe or backfill is retried on the open connection
+    // instead of restarting it, and the gap stays marked until the backfill succeeds
+    async onLiveConnectionRestored() {
+        try {
+            // A reconnect gets a new connection id, so the subscription has to be registered again
+            await this.connection.invoke("SubscribeToDashboard", this.getLiveFilter());
+        } catch (error) {
+            console.error('Failed to subscribe to live updates:', error);
+            this.markLiveDisconnected();
+            this.setLiveConnectionStatus('unsubscribed');
+            this.scheduleLiveRecovery();
+            return;
+        }
+        
+        if (!this.liveDisconnectedAt) {
+            this.setLiveConnectionStatus('connected');
+            return;
+        }
+        
+        if (await this.backfillMissedEntries()) {
+            this.liveDisconnectedAt = null;
+            this.liveGapCursor = null;
+            this.setLiveConnectionStatus('connected');
+        } else {
+            this.setLiveConnectionStatus('gap');
+            this.scheduleLiveRecovery();
+        }
+    }
+
+    scheduleLiveRecovery() {
+        if (this.liveRecoveryTimer) {
+            return;
+        }
+        
+        this.liveRecoveryTimer = setTimeout(() => {
+            this.liveRecoveryTimer = null;
+            // A connection lost in the meantime is recovered by the reconnect or restart instead
+            if (this.connection.state === signalR.HubConnectionState.Connected) {
+                this.onLiveConnectionRestored();
+            }
+        }, 15000);
+    }
+
+    markLiveDisconnected() {
+        if (!this.liveDisconnectedAt) {
+            this.liveDisconnectedAt = this.formatLocalTimestamp(new Date());
+            this.liveGapCursor = {
+                since: this.liveLastSeenTimestamp || this.liveDisconnectedAt,
+                seenIds: this.liveLastSeenTimestamp ? [...this.liveLastSeenIds] : []
+            };
+        }
+    }
+
+    // Resolves to whether the missed entries were loaded, so the caller keeps the gap marked otherwise
+    async backfillMissedEntries() {
+        const { since, seenIds } = this.liveGapCursor;
+        console.log('Backfilling live entries since', since);
+        
+        try {
+            const result = await this.api.post('/api/log-analytics/live/backfill', { ...this.getLiveFilter(), since: since, seenIds: seenIds }, {
+                key: 'live-backfill'
             });
+            
+            // The outage was too long to replay entry by entry, reload everything instead
+            if (result.hasMore) {
+                console.log('Too many missed entries, reloading dashboard data');
+                await this.loadDashboardData();
+                return true;
+            }
+            
+            this.prependLogEntry(result.items || []);
+            return true;
+        } catch (error) {
+            if (!error.isAborted) {
+                console.error('Failed to backfill missed log entries:', error);
+            }
+            return false;
+        }
+    }
+
+    setLiveConnectionStatus(state) {
+        const badge = document.getElementById('liveConnectionStatus');
+        const text = document.getElementById('liveConnectionStatusText');
+        if (!badge || !text) {
+            return;
+        }
+        
+        const statusMap = {
+            connecting: { css: 'bg-secondary', text: 'Connecting' },
+            connected: { css: 'bg-success', text: 'Live' },
+            reconnecting: { css: 'bg-warning text-dark', text: 'Reconnecting' },
+            unsubscribed: { css: 'bg-warning text-dark', text: 'Not subscribed' },
+            gap: { css: 'bg-warning text-dark', text: 'Live, gap not filled' },
+            offline: { css: 'bg-danger', text: 'Offline' }
+        };
+        
+        const status = statusMap[state] || statusMap.offline;
+        badge.className = `badge ${status.css} me-2`;
+        if (state === 'gap') {
+            badge.title = `Entries since ${this.formatDateTime(this.liveDisconnectedAt)} could not be loaded; retrying`;
+        } else if ((state === 'offline' || state === 'unsubscribed') && this.liveDisconnectedAt) {
+            badge.title = `Real-time updates unavailable since ${this.formatDateTime(this.liveDisconnectedAt)}`;
+        } else {
+            badge.title = 'Real-time updates';
+        }
+        text.textContent = status.text;
+    }
+
+    // Server timestamps are local and unzoned, so the backfill cursor uses the same format
+    formatLocalTimestamp(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+    }
+
+    prependLogEntry(logEntry) {
+        // Accept a single entry or a batch ordered oldest first, so the newest ends up on top
+        const receivedEntries = Array.isArray(logEntry) ? logEntry : [logEntry];
+        this.trackLiveLastSeen(receivedEntries);
+        
+        if (this.liveTail.enabled) {
+            this.appendToLiveTail(receivedEntries);
+            return;
+        }
+        
+        if (!this.recentLogsList) {
+            return;
+        }
+        
+        // Skip entries already shown, e.g. when a backfill overlaps with pushed entries
+        const existingKeys = new Set(this.recentLogsList.getPageItems(0).map(this.liveEntryKey));
+        const entries = receivedEntries
+            .filter(entry => this.matchesLiveFilter(entry))
+            .filter(entry => !existingKeys.has(this.liveEntryKey(entry)));
+        
+        // The list reloads its top rows, or counts the entries while older rows are being read
+        this.recentLogsList.notifyNewEntries(entries.length);
+    }
+
+    liveEntryKey(entry) {
+        return `${entry.timestamp}|${entry.level}|${entry.message}`;
+    }
+
+    // Live tail: streams new entries into Recent Logs instead of the paged view
+    toggleLiveTail() {
+        if (this.liveTail.enabled) {
+            this.stopLiveTail();
+        } else {
+            this.startLiveTail();
+        }
+    }
+
+    startLiveTail() {
+        const container = document.getElementById('recentLogsContainer');
+        if (!container) return;
+        
+        this.liveTail.enabled = true;
+        this.liveTail.paused = false;
+        this.liveTail.autoScroll = true;
+        this.liveTail.pendingEntries = [];
+        this.liveTail.pendingCount = 0;
+        
+        // Seed the stream with the newest entries already loaded
+        this.liveTail.rows = (this.recentLogsList?.getPageItems(0) || [])
+            .filter(entry => this.matchesLiveFilter(entry))
+            .slice(0, this.liveTail.maxRows)
+            .reverse();
+        
+        const footer = document.getElementById('recentLogsFooter');
+        if (footer) footer.style.display = 'none';
+        
+        container.innerHTML = '<div class="live-tail-container" id="liveTailContainer"></div>';
+        const tailContainer = document.getElementById('liveTailContainer');
+        tailContainer.addEventListener('scroll', () => this.onLiveTailScroll(tailContainer));
+        
+        this.renderLiveTail();
+        this.updateLiveTailToolbar();
+        console.log('Live tail started');
+    }
+
+    stopLiveTail() {
+        this.liveTail.enabled = false;
+        this.liveTail.rows = [];
+        this.liveTail.pendingEntries = [];
+        this.liveTail.pendingCount = 0;
+        this.updateLiveTailToolbar();
+        console.log('Live tail stopped');
+        
+        // Back to the scrolling list, keeping an active search
+        this.resetRecentLogs();
+    }
+
+    toggleLiveTailPause() {
+        this.liveTail.paused = !this.liveTail.paused;
+        
+        if (!this.liveTail.paused) {
+            const pendingEntries = this.liveTail.pendingEntries;
+            this.liveTail.pendingEntries = [];
+            this.liveTail.pendingCount = 0;
+            this.appendLiveTailRows(pendingEntries);
+        }
+        
+        this.updateLiveTailToolbar();
+    }
+
+    setLiveTailAutoScroll(enabled) {
+        this.liveTail.autoScroll = !!enabled;
+        if (this.liveTail.autoScroll) {
+            this.scrollLiveTailToBottom();
+        }
+        this.updateLiveTailToolbar();
+    }
+
+    setLiveTailMaxRows(value) {
+        const maxRows = parseInt(value, 10);
+        if (!maxRows || maxRows <= 0) return;
+        
+        this.liveTail.maxRows = maxRows;
+        if (this.liveTail.enabled && this.liveTail.rows.length > maxRows) {
+            this.liveTail.rows = this.liveTail.rows.slice(-maxRows);
+            this.renderLiveTail();
+        }
+    }
+
+    appendToLiveTail(receivedEntries) {
+        const knownKeys = new Set([...this.liveTail.rows, ...this.liveTail.pendingEntries].map(this.liveEntryKey));
+        const entries = receivedEntries
+            .filter(entry => this.matchesLiveFilter(entry))
+            .filter(entry => !knownKeys.has(this.liveEntryKey(entry)));
+        if (entries.length === 0) {
+            return;
+        }
+        
+        if (this.liveTail.paused) {
+            // Count everything that arrived, but only hold on to what fits in the view
+            this.liveTail.pendingCount += entries.length;
+            this.liveTail.pendingEntries = [...this.liveTail.pendingEntries, ...entries].slice(-this.liveTail.maxRows);
+            this.updateLiveTailToolbar();
+            return;
+        }
+        
+        this.appendLiveTailRows(entries);
+    }
+
+    appendLiveTailRows(entries) {
+        const tailContainer = document.getElementById('liveTailContainer');
+        if (!tailContainer || entries.length === 0) return;
+        
+        if (this.liveTail.rows.length === 0) {
+            tailContainer.innerHTML = '';
+        }
+        
+        this.liveTail.rows.push(...entries);
+        tailContainer.insertAdjacentHTML('beforeend', this.renderRecentLogsHtml(entries));
+        
+        const newElements = Array.from(tailContainer.children).slice(-entries.length);
+        newElements.forEach(element => element.classList.add('live-tail-new'));
+        
+        // Drop the oldest rows from the top once the cap is reached
+        while (this.liveTail.rows.length > this.liveTail.maxRows) {
+            this.liveTail.rows.shift();
+            tailContainer.firstElementChild?.remove();
+        }
+        
+        if (this.liveTail.autoScroll) {
+            this.scrollLiveTailToBottom();
+        }
+    }
+
+    renderLiveTail() {
+        const tailContainer = document.getElementById('liveTailContainer');
+        if (!tailContainer) return;
+        
+        if (this.liveTail.rows.length === 0) {
+            tailContainer.innerHTML = '<div class="text-center text-muted p-4"><i class="fas fa-satellite-dish me-2"></i>Waiting for new log entries...</div>';
+            return;
+        }
+        
+        tailContainer.innerHTML = this.renderRecentLogsHtml(this.liveTail.rows);
+        if (this.liveTail.autoScroll) {
+            this.scrollLiveTailToBottom();
+        }
+    }
+
+    scrollLiveTailToBottom() {
+        const tailContainer = document.getElementById('liveTailContainer');
+        if (tailContainer) {
+            tailContainer.scrollTop = tailContainer.scrollHeight;
+        }
+    }
+
+    // Scrolling away from the bottom locks the view; scrolling back down releases it
+    onLiveTailScroll(tailContainer) {
+        const atBottom = tailContainer.scrollHeight - tailContainer.scrollTop - tailContainer.clientHeight < 20;
+        if (atBottom !== this.liveTail.autoScroll) {
+            this.liveTail.autoScroll = atBottom;
+            this.updateLiveTailToolbar();
+        }
+    }
+
+    // Re-applies the current search filter to rows already in the stream
+    refreshLiveTailFilter() {
+        if (!this.liveTail.enabled) return;
+        
+        this.liveTail.rows = this.liveTail.rows.filter(entry => this.matchesLiveFilter(entry));
+        this.liveTail.pendingEntries = this.liveTail.pendingEntries.filter(entry => this.matchesLiveFilter(entry));
+        this.liveTail.pendingCount = Math.min(this.liveTail.pendingCount, this.liveTail.pendingEntries.length);
+        this.renderLiveTail();
+        this.updateLiveTailToolbar();
+    }
+
+    updateLiveTailToolbar() {
+        const toolbar = document.getElementById('liveTailToolbar');
+        const toggleBtn = document.getElementById('liveTailToggleBtn');
+        if (!toolbar || !toggleBtn) return;
+        
+        toolbar.style.display = this.liveTail.enabled ? 'flex' : 'none';
+        toggleBtn.className = this.liveTail.enabled ? 'btn btn-sm btn-success' : 'btn btn-sm btn-outline-success';
+        toggleBtn.innerHTML = this.liveTail.enabled
+            ? '<i class="fas fa-stop"></i> Stop tail'
+            : '<i class="fas fa-play"></i> Live tail';
+        
+        const pauseBtn = document.getElementById('liveTailPauseBtn');
+        if (pauseBtn) {
+            pauseBtn.innerHTML = this.liveTail.paused
+                ? '<i class="fas fa-play"></i> Resume'
+                : '<i class="fas fa-pause"></i> Pause';
+        }
+        
+        const pendingBadge = document.getElementById('liveTailPendingBadge');
+        if (pendingBadge) {
+            const count = this.liveTail.pendingCount;
+            pendingBadge.style.display = this.liveTail.paused && count > 0 ? 'inline-block' : 'none';
+            pendingBadge.textContent = `${count} new ${count === 1 ? 'entry' : 'entries'}`;
+        }
+        
+        const autoScrollCheckbox = document.getElementById('liveTailAutoScroll');
+        if (autoScrollCheckbox) {
+            autoScrollCheckbox.checked = this.liveTail.autoScroll;
+        }
+        
+        const filterInfo = document.getElementById('liveTailFilterInfo');
+        if (filterInfo) {
+            const filter = this.getLiveFilter();
+            const parts = [
+                filter.levels.length ? filter.levels.join(', ') : 'All levels',
+                filter.applications.length ? filter.applications.join(', ') : 'all applications'
+            ];
+            if (filter.pathPrefix) {
+                parts.push(`path ${filter.pathPrefix}*`);
+            }
+            filterInfo.innerHTML = `<i class="fas fa-filter me-1"></i>${this.escapeHtml(parts.join(' · '))}`;
+        }
+    }
+
+    // The backfill includes entries at the last seen timestamp, so the ids already received at it are kept to skip them
+    trackLiveLastSeen(entries) {
+        entries.forEach(entry => {
+            if (!entry.timestamp) {
+                return;
+            }
+            
+            if (!this.liveLastSeenTimestamp || new Date(entry.timestamp) > new Date(this.liveLastSeenTimestamp)) {
+                this.liveLastSeenTimestamp = entry.timestamp;
+                this.liveLastSeenIds = [];
+            }
+            if (entry.id && new Date(entry.timestamp).getTime() === new Date(this.liveLastSeenTimestamp).getTime() &&
+                !this.liveLastSeenIds.includes(entry.id)) {
+                this.liveLastSeenIds.push(entry.id);
+            }
+        });
+    }
+
+    // Filter sent to the hub so the server only pushes entries matching the current log search
+    getLiveFilter() {
+        const searchRequest = this.recentLogsSearchContext.isActive ? this.recentLogsSearchContext.searchRequest : null;
+        
+        return {
+            levels: searchRequest?.logLevels || [],
+            applications: searchRequest?.applications || [],
+            pathPrefix: searchRequest?.pathPrefix || null
+        };
+    }
 
-            this.connection.on("NewLogEntry", (logEntry) => {
-                this.prependLogEntry(logEntry);
+    async updateLiveSubscription() {
+        this.refreshLiveTailFilter();
+        
+        if (!this.connection || this.connection.state !== signalR.HubConnectionState.Connected) {
+            return;
+        }
+        
+        try {
+            await this.connection.invoke("SubscribeToDashboard", this.getLiveFilter());
+            console.log('Live subscription updated:', this.getLiveFilter());
+        } catch (error) {
+            console.error('Failed to update live subscription:', error);
+        }
+    }
+
+    // Mirrors the server-side filter and also applies the search criteria the hub does not know about
+    matchesLiveFilter(entry) {
+        const searchRequest = this.recentLogsSearchContext.isActive ? this.recentLogsSearchContext.searchRequest : null;
+        if (!searchRequest) {
+            return true;
+        }
+        
+        const normalizeLevel = (level) => (level === 'Fatal' ? 'Critical' : level || '').toLowerCase();
+        if (searchRequest.logLevels?.length &&
+            !searchRequest.logLevels.some(level => normalizeLevel(level) === normalizeLevel(entry.level))) {
+            return false;
+        }
+        
+        if (searchRequest.applications?.length &&
+            !searchRequest.applications.some(app => app.toLowerCase() === (entry.application || '').toLowerCase())) {
+            return false;
+        }
+        
+        const requestPath = entry.properties?.RequestPath || entry.properties?.requestPath || '';
+        if (searchRequest.pathPrefix &&
+            !requestPath.toLowerCase().startsWith(searchRequest.pathPrefix.toLowerCase())) {
+            return false;
+        }
+        
+        if (searchRequest.searchText &&
+            !(entry.message || '').toLowerCase().includes(searchRequest.searchText.toLowerCase())) {
+            return false;
+        }
+        
+        // The user criterion is a user id or a user name; both are compared ignoring case, as the server does
+        const user = (searchRequest.userId || '').trim().toLowerCase();
+        if (user && (entry.userId || '').toLowerCase() !== user && (entry.userName || '').toLowerCase() !== user) {
+            return false;
+        }
+        
+        const duration = entry.executionDuration || 0;
+        if ((searchRequest.minDuration != null && duration < searchRequest.minDuration) ||
+            (searchRequest.maxDuration != null && duration > searchRequest.maxDuration)) {
+            return false;
+        }
+        
+        if (searchRequest.toDate && new Date(entry.timestamp) > new Date(searchRequest.toDate)) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    setupEventHandlers() {
+        // Auto-refresh toggle
+        window.toggleAutoRefresh = () => this.toggleAutoRefresh();
+        window.refreshDashboard = () => this.loadDashboardData();
+        window.addEventListener('online', () => {
+            if (this.snapshotSavedAt) this.loadDashboardData();
+        });
+        window.exportLogs = () => this.showExportDialog();
+        window.exportAuditSearchResults = () => this.exportAuditSearchResults();
+        window.downloadExport = () => this.downloadExport();
+        window.saveSearch = (searchType) => this.saveSearch(searchType);
+        window.runSavedSearch = (searchType, id) => this.runSavedSearch(searchType, id);
+        window.deleteSavedSearch = (searchType) => this.deleteSavedSearch(searchType);
+        window.runLogQuery = () => this.queryBars.logs?.submit();
+        window.runAuditQuery = () => this.queryBars.audit?.submit();
+        window.goToDrillDownStep = (index) => this.goToDrillDownStep(index);
+        window.zoomOutDashboard = () => this.zoomOutDashboard();
+        window.setComparisonMode = (mode) => this.setComparisonMode(mode);
+        window.setTrendBucket = (bucket) => this.setTrendBucket(bucket);
+        window.resetDashboardZoom = () => this.resetDashboardZoom();
+        window.toggleLayoutEditing = () => this.toggleLayoutEditing();
+        window.resetDashboardLayout = () => this.dashboardLayout?.reset();
+        window.showTrace = (element) => this.traceView.show({
+            correlationId: element.dataset.correlationId,
+            requestId: element.dataset.requestId
+        });
+        window.showLogSearch = () => this.showLogSearch();
+        window.searchLogs = () => this.searchLogs();
+        window.showAuditLogSearch = () => this.showAuditLogSearch();
+        window.searchAuditLogs = () => this.searchAuditLogs();
+        window.previousAuditSearchPage = () => this.previousAuditSearchPage();
+        window.nextAuditSearchPage = () => this.nextAuditSearchPage();
+        window.validateAuditDateRange = () => this.validateAuditDateRange();
+        window.resetAuditLogSearchForm = () => this.resetAuditLogSearchForm();
+        
+        // Log Search form controls
+        window.resetLogSearchForm = () => this.resetLogSearchForm();
+        window.validateDateRange = () => this.validateDateRange();
+        
+        // Pagination handlers
+        window.toggleLiveTail = () => this.toggleLiveTail();
+        window.toggleLiveTailPause = () => this.toggleLiveTailPause();
+        window.setLiveTailAutoScroll = (enabled) => this.setLiveTailAutoScroll(enabled);
+        window.setLiveTailMaxRows = (value) => this.setLiveTailMaxRows(value);
+        window.previousRecentAuditLogs = () => this.previousPage('recentAuditLogs');
+        window.nextRecentAuditLogs = () => this.nextPage('recentAuditLogs');
+        window.previousTopErrors = () => this.previousPage('topErrors');
+        window.nextTopErrors = () => this.nextPage('topErrors');
+        window.previousPerformance = () => this.previousPage('performance');
+        window.nextPerformance = () => this.nextPage('performance');
+        window.previousTopUserActivities = () => this.previousPage('topUserActivities');
+        window.nextTopUserActivities = () => this.nextPage('topUserActivities');
+        window.previousApiEndpoints = () => this.previousPage('apiEndpointPerformance');
+        window.nextApiEndpoints = () => this.nextPage('apiEndpointPerformance');
+        
+        // Keep the shareable URL in step with the audit search results modal and browser history
+        const auditResultsModal = document.getElementById('auditLogSearchResultsModal');
+        if (auditResultsModal) {
+            auditResultsModal.addEventListener('hidden.bs.modal', () => {
+                this.auditSearchState.resultsVisible = false;
+                this.syncUrlState();
             });
+        }
+        window.addEventListener('popstate', () => this.applyUrlState());
+    }
 
-            await this.connection.start();
-            await this.connection.invoke("JoinDashboardGroup");
+    setupQueryBars() {
+        const createQueryBar = (prefix, scope, onSubmit) => new LogQueryBar({
+            input: document.getElementById(`${prefix}QueryInput`),
+            suggestions: document.getElementById(`${prefix}QuerySuggestions`),
+            error: document.getElementById(`${prefix}QueryError`),
+            scope: scope,
+            getOptions: () => ({ applications: this.applications }),
+            onSubmit: onSubmit
+        });
+        
+        this.queryBars.logs = createQueryBar('log', 'logs', (request) => this.runLogQuery(request));
+        this.queryBars.audit = createQueryBar('audit', 'audit', (request) => this.runAuditQuery(request));
+    }
+
+    // Runs a parsed query bar search through the log search form so the modal, saved searches and URL stay in step
+    async runLogQuery(request) {
+        console.log('Running log query:', request);
+        
+        if (Object.keys(request).length === 0) {
+            this.resetLogSearchForm();
+            return;
+        }
+        
+        this.fillLogSearchForm(request);
+        if (!this.validateDateRange()) {
+            this.queryBars.logs.showErrors([{
+                message: [document.getElementById('fromDateError').textContent, document.getElementById('toDateError').textContent]
+                    .filter(message => message)
+                    .join(' '),
+                start: 0,
+                end: 0
+            }]);
+            return;
+        }
+        
+        await this.searchLogs();
+    }
+
+    async runAuditQuery(request) {
+        console.log('Running audit query:', request);
+        
+        if (Object.keys(request).length === 0) {
+            this.resetAuditLogSearchForm();
+            return;
+        }
+        
+        this.fillAuditLogSearchForm(request);
+        if ((request.fromDate || request.toDate) && !this.validateAuditDateRange()) {
+            this.queryBars.audit.showErrors([{
+                message: [document.getElementById('auditFromDateError').textContent, document.getElementById('auditToDateError').textContent]
+                    .filter(message => message)
+                    .join(' '),
+                start: 0,
+                end: 0
+            }]);
+            return;
+        }
+        
+        await this.searchAuditLogs(1);
+    }
+
+    // Shows the active searches as query text, whichever way they were started
+    updateQueryBars() {
+        const logSearch = this.recentLogsSearchContext.isActive ? this.recentLogsSearchContext.searchRequest : null;
+        this.queryBars.logs?.setQuery(LogQueryLanguage.format(logSearch, 'logs'));
+        
+        if (this.auditSearchState.searchRequest) {
+            this.queryBars.audit?.setQuery(LogQueryLanguage.format(this.auditSearchState.searchRequest, 'audit'));
+        }
+        
+        this.updateDrillDownTrail();
+    }
+
+    // Chart click-through: the clicked level, application or hour is added to the Recent Logs search
+    async drillDownLogs(filter, label) {
+        const base = this.recentLogsSearchContext.isActive
+            ? { ...this.recentLogsSearchContext.searchRequest }
+            : this.getDashboardRangeSearch();
+        delete base.page;
+        delete base.pageSize;
+        
+        console.log('Drilling down into Recent Logs:', label, filter);
+        this.drillDown.pending = { label: label, base: this.recentLogsSearchContext.isActive ? base : null };
+        try {
+            await this.runLogQuery({ ...base, ...filter });
+        } finally {
+            this.drillDown.pending = null;
+        }
+        
+        document.getElementById('recentLogsContainer')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    async goToDrillDownStep(index) {
+        const step = this.drillDown.trail[index];
+        if (!step) {
+            return;
+        }
+        
+        if (!step.request) {
+            this.resetLogSearchForm();
+            return;
+        }
+        
+        await this.runLogQuery({ ...step.request });
+    }
+
+    // Keeps the breadcrumbs in step with the Recent Logs search, however it was changed
+    updateDrillDownTrail() {
+        const trail = this.drillDown.trail;
+        const current = this.recentLogsSearchContext.isActive
+            ? LogQueryLanguage.format(this.recentLogsSearchContext.searchRequest, 'logs')
+            : '';
+        
+        const pending = this.drillDown.pending;
+        if (pending && this.recentLogsSearchContext.isActive) {
+            this.drillDown.pending = null;
             
-            console.log('SignalR connected successfully');
+            if (trail.length === 0) {
+                trail.push(pending.base
+                    ? { label: 'Search', query: LogQueryLanguage.format(pending.base, 'logs'), request: pending.base }
+                    : { label: 'All logs', query: '', request: null });
+            }
+            
+            if (trail[trail.length - 1].query !== current) {
+                const request = { ...this.recentLogsSearchContext.searchRequest };
+                delete request.page;
+                delete request.pageSize;
+                trail.push({ label: pending.label, query: current, request: request });
+            }
+        } else {
+            const index = trail.findIndex(step => step.query === current);
+            trail.length = index === -1 ? 0 : index + 1;
+        }
+        
+        // Back at the starting point there is nothing left to step out of
+        if (trail.length === 1) {
+            trail.length = 0;
+        }
+        
+        this.renderDrillDownBreadcrumbs();
+    }
+
+    renderDrillDownBreadcrumbs() {
+        const container = document.getElementById('logDrillDownBreadcrumbs');
+        const list = document.getElementById('logDrillDownTrail');
+        if (!container || !list) {
+            return;
+        }
+        
+        const trail = this.drillDown.trail;
+        container.style.display = trail.length > 0 ? '' : 'none';
+        list.innerHTML = trail.map((step, index) => index === trail.length - 1
+            ? `<li class="breadcrumb-item active" aria-current="page">${this.escapeHtml(step.label)}</li>`
+            : `<li class="breadcrumb-item"><a href="#" title="${this.escapeHtml(step.query || 'All logs')}" onclick="goToDrillDownStep(${index}); return false;">${this.escapeHtml(step.label)}</a></li>`
+        ).join('');
+    }
+
+    // Log search dates covering what the dashboard charts show
+    getDashboardRangeSearch() {
+        if (this.dashboardRange) {
+            return {
+                fromDate: this.formatDateTimeLocal(new Date(this.dashboardRange.fromDate)),
+                toDate: this.formatDateTimeLocal(new Date(this.dashboardRange.toDate))
+            };
+        }
+        
+        return { fromDate: this.formatDateTimeLocal(new Date(Date.now() - this.dashboardDays * 24 * 60 * 60 * 1000)) };
+    }
+
+    // The saved layout is applied while the data loads, so the widgets are in place when they fill
+    setupDashboardLayout() {
+        const grid = document.getElementById('dashboardGrid');
+        if (!grid) {
+            return;
+        }
+        
+        this.dashboardLayout = new DashboardLayout(grid);
+        this.dashboardLayout.load();
+    }
+    
+    toggleLayoutEditing() {
+        if (!this.dashboardLayout) {
+            return;
+        }
+        
+        const isEditing = this.dashboardLayout.setEditing(!this.dashboardLayout.isEditing);
+        document.getElementById('layoutEditBar')?.classList.toggle('d-none', !isEditing);
+        document.getElementById('customizeLayoutBtn')?.classList.toggle('active', isEditing);
+    }
+    
+    // Clicking an anomaly lists the logs of its application and level in its hour
+    setupAnomalyPanel() {
+        const container = document.getElementById('anomaliesContainer');
+        if (!container) {
+            return;
+        }
+        
+        this.anomalyPanel = new LogAnomalyPanel(container, {
+            onSelect: (anomaly) => {
+                const { from, to } = TrendBucket.getRange(anomaly.hour, '1h');
+                this.drillDownLogs({
+                    applications: [anomaly.application],
+                    logLevels: anomaly.level === 'Error' ? ['Error', 'Critical'] : [anomaly.level],
+                    fromDate: this.formatDateTimeLocal(from),
+                    toDate: this.formatDateTimeLocal(to)
+                }, `${anomaly.direction}: ${anomaly.application} ${anomaly.level} at ${TrendBucket.formatLabel(from, '1h', true)}`);
+            }
+        });
+    }
+    
+    async loadAnomalies() {
+        if (!this.anomalyPanel) {
+            return;
+        }
+        
+        const range = this.getDashboardRangeSearch();
+        try {
+            const result = await LogAnomalies.load(range.fromDate, range.toDate, this.api);
+            this.anomalies = result.anomalies;
+            this.anomalyPanel.render(result);
         } catch (error) {
-            console.error('SignalR connection failed:', error);
+            if (error.isAborted) return;
+            
+            console.error('Failed to load anomalies:', error);
+            this.anomalies = [];
+            this.anomalyPanel.renderError(error.status === 403
+                ? 'You are not allowed to view log anomalies'
+                : 'Failed to load anomalies');
+        }
+        
+        LogAnomalies.replaceMarkers(this.charts.hourlyTrends, this.getAnomalyMarkers(this.hourlyCounts));
+    }
+    
+    getAnomalyMarkers(hourlyCounts) {
+        return LogAnomalies.getMarkerDataset(this.anomalies, hourlyCounts.map(item => item.hour), this.trendBucketInUse, {
+            totals: hourlyCounts.map(item => item.totalCount),
+            errors: hourlyCounts.map(item => item.errorCount)
+        });
+    }
+
+    // Dragging across the trends chart zooms the whole dashboard into the selected buckets
+    setupChartBrush() {
+        const canvas = document.getElementById('hourlyTrendsChart');
+        if (!canvas) {
+            return;
         }
+        
+        this.chartBrush = new ChartBrush(canvas, {
+            getChart: () => this.charts.hourlyTrends,
+            onSelect: (startIndex, endIndex) => {
+                const from = TrendBucket.getRange(this.hourlyCounts[startIndex].hour, this.trendBucketInUse).from;
+                const to = TrendBucket.getRange(this.hourlyCounts[endIndex].hour, this.trendBucketInUse).to;
+                // Bucket labels are local server time, so the range is sent unzoned like every other server timestamp
+                this.zoomDashboard({ fromDate: this.formatLocalTimestamp(from), toDate: this.formatLocalTimestamp(to) });
+            }
+        });
     }
 
-    prependLogEntry(logEntry) {
-        // Add new log entry to the beginning of the pagination data
-        this.paginationData.recentLogs.data.unshift(logEntry);
+    async zoomDashboard(range) {
+        console.log('Zooming dashboard to:', range);
+        this.zoomHistory.push(this.dashboardRange);
+        this.dashboardRange = range;
+        await this.onDashboardRangeChanged();
+    }
+
+    async zoomOutDashboard() {
+        this.dashboardRange = this.zoomHistory.pop() ?? null;
+        await this.onDashboardRangeChanged();
+    }
+
+    async resetDashboardZoom() {
+        this.zoomHistory = [];
+        this.dashboardRange = null;
+        await this.onDashboardRangeChanged();
+    }
+
+    async onDashboardRangeChanged() {
+        this.updateZoomControls();
+        this.syncUrlState();
+        await this.loadDashboardData();
+    }
+
+    updateZoomControls() {
+        const controls = document.getElementById('dashboardZoomControls');
+        if (!controls) {
+            return;
+        }
         
-        // Keep only the most recent entries (limit to reasonable number for performance)
-        if (this.paginationData.recentLogs.data.length > 100) {
-            this.paginationData.recentLogs.data = this.paginationData.recentLogs.data.slice(0, 100);
+        controls.classList.toggle('d-none', !this.dashboardRange);
+        controls.classList.toggle('d-flex', !!this.dashboardRange);
+        if (this.dashboardRange) {
+            const options = { dateStyle: 'short', timeStyle: 'short' };
+            document.getElementById('dashboardRangeLabel').textContent =
+                `${new Date(this.dashboardRange.fromDate).toLocaleString([], options)} – ${new Date(this.dashboardRange.toDate).toLocaleString([], options)}`;
+        }
+    }
+
+    async setComparisonMode(mode) {
+        this.comparisonMode = ['previous', 'week'].includes(mode) ? mode : '';
+        this.updateComparisonControls();
+        this.syncUrlState();
+        await this.loadDashboardData();
+    }
+
+    updateComparisonControls() {
+        const select = document.getElementById('comparisonMode');
+        if (select) {
+            select.value = this.comparisonMode;
+        }
+    }
+
+    async setTrendBucket(bucket) {
+        this.trendBucket = TrendBucket.isValid(bucket) ? bucket : '';
+        this.updateTrendBucketControls();
+        this.syncUrlState();
+        await this.loadDashboardData();
+    }
+
+    updateTrendBucketControls() {
+        const select = document.getElementById('trendBucket');
+        if (select) {
+            select.value = this.trendBucket;
+        }
+    }
+
+    // Range and bucket query parameters shared by the dashboard and comparison requests
+    getTrendRequestParams() {
+        const params = new URLSearchParams();
+        if (this.dashboardRange) {
+            params.set('fromDate', this.dashboardRange.fromDate);
+            params.set('toDate', this.dashboardRange.toDate);
+        }
+        
+        if (this.trendBucket) {
+            params.set('bucket', this.trendBucket);
+        }
+        
+        return params;
+    }
+
+    getComparisonLabel() {
+        return this.comparisonMode === 'week' ? 'same time last week' : 'previous period';
+    }
+
+    // Both windows are computed on the server; a failed comparison leaves the dashboard without deltas
+    async loadComparison() {
+        const params = this.getTrendRequestParams();
+        params.set('mode', this.comparisonMode);
+        
+        try {
+            return await this.api.get('/api/audit-analytics/dashboard/comparison', { key: 'comparison', params });
+        } catch (error) {
+            if (!error.isAborted) {
+                console.warn('Failed to load period comparison:', error);
+            }
+            return null;
+        }
+    }
+
+    // Shows the change against the comparison window under each summary card value
+    updateMetricDeltas() {
+        document.querySelectorAll('.metric-delta').forEach(element => element.remove());
+        if (!this.comparison) {
+            return;
         }
         
-        // Reset to first page to show the newest entry
-        this.paginationData.recentLogs.currentPage = 1;
+        // Metrics where a rise is bad are colored red when they go up; volume metrics stay neutral
+        const increaseIsBad = ['ErrorCount', 'AvgResponseTime', 'FailedOperations'];
+        const neutral = ['TotalLogs', 'TotalAuditLogs', 'SecurityEvents'];
+        const previousRange = `${new Date(this.comparison.previousFromDate).toLocaleString()} – ${new Date(this.comparison.previousToDate).toLocaleString()}`;
         
-        // Re-render the paginated content
-        this.renderPaginatedContent('recentLogs');
+        this.comparison.metrics.forEach(metric => {
+            const id = metric.metric.charAt(0).toLowerCase() + metric.metric.slice(1);
+            const valueElement = document.querySelector(`.metric-info #${id}`);
+            if (!valueElement) {
+                return;
+            }
+            
+            const change = metric.changePercent;
+            const direction = change === null ? 'up' : change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+            let colorClass = 'text-muted';
+            if (direction !== 'flat' && !neutral.includes(metric.metric)) {
+                const isWorse = (direction === 'up') === increaseIsBad.includes(metric.metric);
+                colorClass = isWorse ? 'text-danger' : 'text-success';
+            }
+            
+            const icon = { up: 'fa-arrow-up', down: 'fa-arrow-down', flat: 'fa-equals' }[direction];
+            const text = change === null ? 'new' : `${Math.abs(change).toFixed(1)}%`;
+            const previousValue = metric.metric === 'AvgResponseTime'
+                ? `${Math.round(metric.previous)}ms`
+                : this.formatNumber(metric.previous);
+            
+            const delta = document.createElement('div');
+            delta.className = `metric-delta small ${colorClass}`;
+            delta.title = `${previousValue} in the ${this.getComparisonLabel()} (${previousRange})`;
+            delta.innerHTML = `<i class="fas ${icon}"></i> ${text} <span class="text-muted">vs ${this.getComparisonLabel()}</span>`;
+            valueElement.insertAdjacentElement('afterend', delta);
+        });
     }
 
-    setupEventHandlers() {
-        // Auto-refresh toggle
-        window.toggleAutoRefresh = () => this.toggleAutoRefresh();
-        window.refreshDashboard = () => this.loadDashboardData();
-        window.exportLogs = () => this.showExportDialog();
-        window.showLogSearch = () => this.showLogSearch();
-        window.searchLogs = () => this.searchLogs();
-        window.showAuditLogSearch = () => this.showAuditLogSearch();
-        window.searchAuditLogs = () => this.searchAuditLogs();
-        window.previousAuditSearchPage = () => this.previousAuditSearchPage();
-        window.nextAuditSearchPage = () => this.nextAuditSearchPage();
-        window.validateAuditDateRange = () => this.validateAuditDateRange();
-        window.resetAuditLogSearchForm = () => this.resetAuditLogSearchForm();
-        
-        // Log Search form controls
-        window.resetLogSearchForm = () => this.resetLogSearchForm();
-        window.validateDateRange = () => this.validateDateRange();
-        
-        // Pagination handlers
-        window.previousRecentLogs = () => this.previousPage('recentLogs');
-        window.nextRecentLogs = () => this.nextPage('recentLogs');
-        window.previousRecentAuditLogs = () => this.previousPage('recentAuditLogs');
-        window.nextRecentAuditLogs = () => this.nextPage('recentAuditLogs');
-        window.previousTopErrors = () => this.previousPage('topErrors');
-        window.nextTopErrors = () => this.nextPage('topErrors');
-        window.previousPerformance = () => this.previousPage('performance');
-        window.nextPerformance = () => this.nextPage('performance');
-        window.previousTopUserActivities = () => this.previousPage('topUserActivities');
-        window.nextTopUserActivities = () => this.nextPage('topUserActivities');
+    // Chart.js options that report the clicked data point and show a pointer over clickable points
+    getChartDrillDownOptions(onSelect) {
+        return {
+            onClick: (event, elements) => {
+                if (elements.length > 0) {
+                    onSelect(elements[0].index, elements[0].datasetIndex);
+                }
+            },
+            onHover: (event, elements) => {
+                event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            }
+        };
     }
 
     setupDateDefaults() {
@@ -198,10 +1254,269 @@ class LogAnalyticsDashboard {
         return `${year}-${month}-${day}T${hours}:${minutes}`;
     }
 
+    // Query string keys for the shareable view state; values mirror the search request fields
+    getUrlStateKeys() {
+        return {
+            logSearch: {
+                fromDate: 'from',
+                toDate: 'to',
+                logLevels: 'level',
+                applications: 'app',
+                searchText: 'q',
+                userId: 'user',
+                category: 'category',
+                pathPrefix: 'path',
+                minDuration: 'minDuration',
+                maxDuration: 'maxDuration'
+            },
+            auditSearch: {
+                fromDate: 'auditFrom',
+                toDate: 'auditTo',
+                userId: 'auditUser',
+                serviceName: 'auditService',
+                methodName: 'auditMethod',
+                httpMethod: 'auditHttpMethod',
+                clientIp: 'auditIp',
+                hasException: 'auditException',
+                minDuration: 'auditMinDuration',
+                maxDuration: 'auditMaxDuration'
+            }
+        };
+    }
+
+    buildUrlState() {
+        const params = new URLSearchParams();
+        const keys = this.getUrlStateKeys();
+        
+        const writeRequest = (request, requestKeys) => {
+            Object.entries(requestKeys).forEach(([field, key]) => {
+                const value = request[field];
+                if (Array.isArray(value)) {
+                    value.forEach(item => params.append(key, item));
+                } else if (value !== null && value !== undefined && value !== '') {
+                    params.set(key, String(value));
+                }
+            });
+        };
+        
+        if (this.dashboardRange) {
+            params.set('rangeFrom', this.dashboardRange.fromDate);
+            params.set('rangeTo', this.dashboardRange.toDate);
+        }
+        
+        if (this.comparisonMode) {
+            params.set('compare', this.comparisonMode);
+        }
+        
+        if (this.trendBucket) {
+            params.set('bucket', this.trendBucket);
+        }
+        
+        if (this.recentLogsSearchContext.isActive) {
+            params.set('search', '1');
+            writeRequest(this.recentLogsSearchContext.searchRequest, keys.logSearch);
+        }
+        
+        if (this.recentLogsRow > 0) {
+            params.set('row', String(this.recentLogsRow));
+        }
+        
+        if (this.auditSearchState.resultsVisible && this.auditSearchState.searchRequest) {
+            params.set('audit', '1');
+            writeRequest(this.auditSearchState.searchRequest, keys.auditSearch);
+            if (this.auditSearchState.currentPage > 1) {
+                params.set('auditPage', String(this.auditSearchState.currentPage));
+            }
+        }
+        
+        return params;
+    }
+
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const keys = this.getUrlStateKeys();
+        
+        const readRequest = (requestKeys) => {
+            const request = {};
+            Object.entries(requestKeys).forEach(([field, key]) => {
+                if (field === 'logLevels' || field === 'applications') {
+                    request[field] = params.getAll(key).filter(value => value !== '');
+                    return;
+                }
+                
+                const value = params.get(key);
+                if (value === null || value === '') {
+                    return;
+                }
+                
+                if (field === 'hasException') {
+                    request[field] = value === 'true';
+                } else if (field === 'minDuration' || field === 'maxDuration') {
+                    const number = parseInt(value, 10);
+                    if (!Number.isNaN(number)) {
+                        request[field] = number;
+                    }
+                } else {
+                    request[field] = value;
+                }
+            });
+            return request;
+        };
+        
+        const readPage = (key) => Math.max(1, parseInt(params.get(key), 10) || 1);
+        
+        const rangeFrom = new Date(params.get('rangeFrom') || '');
+        const rangeTo = new Date(params.get('rangeTo') || '');
+        const hasRange = !Number.isNaN(rangeFrom.getTime()) && !Number.isNaN(rangeTo.getTime()) && rangeFrom < rangeTo;
+        
+        return {
+            range: hasRange ? { fromDate: this.formatLocalTimestamp(rangeFrom), toDate: this.formatLocalTimestamp(rangeTo) } : null,
+            compare: ['previous', 'week'].includes(params.get('compare')) ? params.get('compare') : '',
+            bucket: TrendBucket.isValid(params.get('bucket')) ? params.get('bucket') : '',
+            logSearch: params.get('search') === '1' ? readRequest(keys.logSearch) : null,
+            row: Math.max(0, parseInt(params.get('row'), 10) || 0),
+            auditSearch: params.get('audit') === '1' ? readRequest(keys.auditSearch) : null,
+            auditPage: readPage('auditPage')
+        };
+    }
+
+    // Writes the current view state to the address bar; a new history entry is added only when it changed
+    syncUrlState(replace = false) {
+        if (this.urlStateRestoring) {
+            return;
+        }
+        
+        const query = this.buildUrlState().toString();
+        const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+        if (url === window.location.pathname + window.location.search + window.location.hash) {
+            return;
+        }
+        
+        if (replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    // Restores the view from the query string on load and on browser back/forward
+    async applyUrlState(isInitialLoad = false) {
+        const state = this.readUrlState();
+        console.log('Applying URL state:', state);
+        
+        this.urlStateRestoring = true;
+        try {
+            const rangeChanged = JSON.stringify(state.range) !== JSON.stringify(this.dashboardRange);
+            const viewChanged = rangeChanged || state.compare !== this.comparisonMode || state.bucket !== this.trendBucket;
+            if (!isInitialLoad && viewChanged) {
+                if (rangeChanged) {
+                    // Going back to the previous zoom level is the same as zooming out
+                    const previous = this.zoomHistory[this.zoomHistory.length - 1];
+                    if (this.zoomHistory.length > 0 && JSON.stringify(previous) === JSON.stringify(state.range)) {
+                        this.zoomHistory.pop();
+                    } else if (!state.range) {
+                        this.zoomHistory = [];
+                    }
+                }
+                
+                this.dashboardRange = state.range;
+                this.comparisonMode = state.compare;
+                this.trendBucket = state.bucket;
+                this.updateZoomControls();
+                this.updateComparisonControls();
+                this.updateTrendBucketControls();
+                await this.loadDashboardData();
+            }
+            
+            if (state.logSearch) {
+                this.fillLogSearchForm(state.logSearch);
+                this.recentLogsSearchContext = {
+                    searchRequest: { ...state.logSearch },
+                    isActive: true
+                };
+                this.updateLiveSubscription();
+                await this.resetRecentLogs(state.row);
+            } else {
+                const wasSearchActive = this.recentLogsSearchContext.isActive;
+                if (wasSearchActive) {
+                    document.getElementById('logSearchForm').reset();
+                    this.recentLogsSearchContext = {
+                        searchRequest: null,
+                        isActive: false
+                    };
+                    this.updateLiveSubscription();
+                }
+                
+                if (!isInitialLoad || wasSearchActive || this.recentLogsRow !== state.row) {
+                    await this.resetRecentLogs(state.row);
+                }
+            }
+            
+            if (state.auditSearch) {
+                this.fillAuditLogSearchForm(state.auditSearch);
+                this.auditSearchState.searchRequest = {
+                    ...state.auditSearch,
+                    page: state.auditPage,
+                    pageSize: this.auditSearchState.pageSize
+                };
+                await this.searchAuditLogs(state.auditPage);
+            } else if (this.auditSearchState.resultsVisible) {
+                this.auditSearchState.resultsVisible = false;
+                this.safeHideModal('auditLogSearchResultsModal');
+            }
+        } catch (error) {
+            console.error('Failed to restore dashboard state from URL:', error);
+        } finally {
+            this.urlStateRestoring = false;
+            this.syncUrlState(true);
+            this.updateQueryBars();
+        }
+    }
+
+    fillLogSearchForm(request) {
+        const selectValues = (selectId, values) => {
+            const select = document.getElementById(selectId);
+            Array.from(select.options).forEach(option => {
+                option.selected = (values || []).includes(option.value);
+            });
+        };
+        
+        // Applications typed into the query bar may not be in the list yet
+        const applicationSelect = document.getElementById('applications');
+        (request.applications || []).forEach(app => {
+            if (!Array.from(applicationSelect.options).some(option => option.value === app)) {
+                applicationSelect.appendChild(new Option(app, app));
+            }
+        });
+        
+        document.getElementById('fromDate').value = request.fromDate || '';
+        document.getElementById('toDate').value = request.toDate || '';
+        selectValues('logLevels', request.logLevels);
+        selectValues('applications', request.applications);
+        document.getElementById('searchText').value = request.searchText || '';
+        document.getElementById('userId').value = request.userId || '';
+        document.getElementById('category').value = request.category || '';
+        document.getElementById('pathPrefix').value = request.pathPrefix || '';
+        document.getElementById('minDuration').value = request.minDuration ?? '';
+        document.getElementById('maxDuration').value = request.maxDuration ?? '';
+    }
+
+    fillAuditLogSearchForm(request) {
+        document.getElementById('auditFromDate').value = (request.fromDate || '').slice(0, 10);
+        document.getElementById('auditToDate').value = (request.toDate || '').slice(0, 10);
+        document.getElementById('auditUserId').value = request.userId || '';
+        document.getElementById('auditServiceName').value = request.serviceName || '';
+        document.getElementById('auditMethodName').value = request.methodName || '';
+        document.getElementById('auditHttpMethod').value = request.httpMethod || '';
+        document.getElementById('auditClientIp').value = request.clientIp || '';
+        document.getElementById('auditHasException').value = request.hasException === undefined ? '' : String(request.hasException);
+        document.getElementById('auditMinDuration').value = request.minDuration ?? '';
+        document.getElementById('auditMaxDuration').value = request.maxDuration ?? '';
+    }
+
     async loadApplications() {
         try {
-            const response = await fetch('/api/audit-analytics/applications');
-            const result = await response.json();
+            const result = await this.api.get('/api/audit-analytics/applications');
             
             console.log('Applications data:', result);
             
@@ -210,6 +1525,7 @@ class LogAnalyticsDashboard {
             
             // The API returns {applications: [...], lastUpdated: "..."}
             if (result.applications && Array.isArray(result.applications)) {
+                this.applications = result.applications;
                 result.applications.forEach(app => {
                     const option = document.createElement('option');
                     option.value = app;
@@ -226,45 +1542,117 @@ class LogAnalyticsDashboard {
     }
 
     async loadDashboardData() {
+        const snapshotRange = this.getSnapshotRange();
+        clearTimeout(this.recoveryTimer);
+        
         try {
             console.log('Loading dashboard data...');
-            this.showLoadingState();
+            if (!this.snapshotSavedAt) {
+                this.showLoadingState();
+            }
             
             // Disabled container test - using real pagination now
             // console.log('Testing direct container update...');
             // this.testContainerUpdates();
             
-            const response = await fetch('/api/audit-analytics/dashboard');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // A requested bucket needs the range endpoint, which is given the default window when not zoomed in
+            const rangeParams = this.getTrendRequestParams();
+            if (this.trendBucket && !this.dashboardRange) {
+                rangeParams.set('fromDate', new Date(Date.now() - this.dashboardDays * 24 * 60 * 60 * 1000).toISOString());
+                rangeParams.set('toDate', new Date().toISOString());
             }
-            
-            const data = await response.json();
+            const url = rangeParams.has('fromDate')
+                ? '/api/audit-analytics/dashboard/range'
+                : '/api/audit-analytics/dashboard';
+            const comparisonPromise = this.comparisonMode ? this.loadComparison() : Promise.resolve(null);
+            const data = await this.api.get(url, { key: 'dashboard', params: rangeParams });
             console.log('Dashboard data loaded:', data);
+            this.comparison = await comparisonPromise;
+            this.trendBucketInUse = this.comparison?.trendBucket || data.trendBucket || '1h';
             
-            // Clear all loading states before updating with real data
-            this.clearLoadingState();
-            
-            this.updateMetrics(data.statistics);
-            this.updateCharts(data);
-            this.updateRecentLogs(data.recentLogs);
-            this.updateTopErrors(data.topErrors);
-            this.updatePerformanceMetrics(data.performanceMetrics);
-            this.updateTopUserActivities(data.topUserActivities);
-            this.updateAuditMetrics(data.auditStatistics);
-            this.updateRecentAuditLogs(data.recentAuditLogs);
-            this.updateSystemHealth(data.statistics);
-            this.updateApiEndpoints(data.auditStatistics);
-            this.updateApiEndpointPerformance(data.auditStatistics);
+            this.renderDashboardData(data);
+            this.hideStaleBanner();
+            this.snapshotCache.put(snapshotRange, data);
+            this.loadAnomalies();
+            await this.loadApiEndpointStats();
             
             await this.checkSystemHealth();
             console.log('Dashboard updated successfully');
             
         } catch (error) {
+            // Replaced by a newer load, which updates the dashboard instead
+            if (error.isAborted) return;
+            
             console.error('Failed to load dashboard data:', error);
+            this.scheduleRecovery();
+            
+            // The panels keep the last snapshot of this range and the banner says how old it is
+            if (await this.showCachedSnapshot(snapshotRange, true)) {
+                return;
+            }
+            
+            this.hideStaleBanner();
+            this.showLoadFailedState(error);
             this.showError('Failed to load dashboard data: ' + error.message);
         }
     }
+    
+    // Renders a dashboard payload, fresh from the API or from the snapshot cache
+    renderDashboardData(data) {
+        // Clear all loading states before updating with real data
+        this.clearLoadingState();
+        
+        this.updateMetrics(data.statistics);
+        this.updateCharts(data);
+        this.updateRecentLogs(data.recentLogs);
+        this.updateTopErrors(data.topErrors);
+        this.updatePerformanceMetrics(data.performanceMetrics);
+        this.updateTopUserActivities(data.topUserActivities);
+        this.updateAuditMetrics(data.auditStatistics);
+        this.updateRecentAuditLogs(data.recentAuditLogs);
+        this.updateSystemHealth(data.statistics);
+    }
+    
+    // Rolling windows are cached under their trend bucket alone, since their dates move with every load
+    getSnapshotRange() {
+        return this.getTrendRequestParams().toString() || 'default';
+    }
+    
+    async showCachedSnapshot(range = this.getSnapshotRange(), isOffline = false) {
+        const snapshot = await this.snapshotCache.get(range);
+        if (!snapshot) {
+            return false;
+        }
+        
+        // A snapshot has no comparison window, so the deltas are left out until the API answers
+        this.comparison = null;
+        this.trendBucketInUse = snapshot.data.trendBucket || '1h';
+        this.renderDashboardData(snapshot.data);
+        this.showStaleBanner(snapshot.savedAt, isOffline);
+        return true;
+    }
+    
+    showStaleBanner(savedAt, isOffline) {
+        this.snapshotSavedAt = savedAt;
+        const reason = isOffline
+            ? `The dashboard API is not responding; retrying every ${this.recoveryDelay / 1000} seconds.`
+            : 'Refreshing...';
+        
+        document.getElementById('staleDataBannerTime').textContent = DashboardSnapshotCache.formatSavedAt(savedAt);
+        document.getElementById('staleDataBannerReason').textContent = reason;
+        document.getElementById('staleDataBanner').classList.remove('d-none');
+    }
+    
+    hideStaleBanner() {
+        this.snapshotSavedAt = null;
+        document.getElementById('staleDataBanner').classList.add('d-none');
+    }
+    
+    // Retries until the API answers; a manual refresh or coming back online retries sooner
+    scheduleRecovery() {
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = setTimeout(() => this.loadDashboardData(), this.recoveryDelay);
+    }
 
     testContainerUpdates() {
         console.log('Running container update test...');
@@ -310,8 +1698,8 @@ class LogAnalyticsDashboard {
     }
 
     showLoadingState() {
-        // Show loading spinners for main sections
-        const containers = ['recentLogsContainer', 'topErrorsContainer', 'performanceContainer', 'recentAuditLogsContainer', 'topUserActivitiesContainer'];
+        // Show loading spinners for main sections; Recent Logs shows its own while loading
+        const containers = ['topErrorsContainer', 'performanceContainer', 'recentAuditLogsContainer', 'topUserActivitiesContainer'];
         console.log('Showing loading state for containers:', containers);
         
         containers.forEach(containerId => {
@@ -331,6 +1719,21 @@ class LogAnalyticsDashboard {
         });
     }
 
+    // Replaces the spinners when there is neither fresh data nor a snapshot to show
+    showLoadFailedState(error) {
+        const containers = ['topErrorsContainer', 'performanceContainer', 'recentAuditLogsContainer', 'topUserActivitiesContainer'];
+        containers.forEach(containerId => {
+            const container = document.getElementById(containerId);
+            if (container) {
+                container.innerHTML = `
+                    <div class="text-center text-danger p-4">
+                        <i class="fas fa-exclamation-triangle me-2"></i>${this.escapeHtml(error.message)}
+                    </div>
+                `;
+            }
+        });
+    }
+
     clearLoadingState() {
         // Remove all loading states
         console.log('Clearing all loading states...');
@@ -370,6 +1773,7 @@ class LogAnalyticsDashboard {
         if (todayAuditLogsEl) todayAuditLogsEl.textContent = this.formatNumber(statistics.todayAuditLogs || 0);
         if (failedOperationsEl) failedOperationsEl.textContent = this.formatNumber(statistics.failedOperations || 0);
         
+        this.updateMetricDeltas();
         console.log('Metrics updated successfully');
     }
 
@@ -475,7 +1879,11 @@ class LogAnalyticsDashboard {
                         legend: {
                             position: 'bottom'
                         }
-                    }
+                    },
+                    ...this.getChartDrillDownOptions((index) => {
+                        const level = logLevelCounts[index].level;
+                        this.drillDownLogs({ logLevels: [level] }, `Level: ${level}`);
+                    })
                 }
             });
             
@@ -536,7 +1944,18 @@ class LogAnalyticsDashboard {
                     legend: {
                         position: 'top'
                     }
-                }
+                },
+                ...this.getChartDrillDownOptions((index, datasetIndex) => {
+                    const application = applicationCounts[index].application;
+                    const label = `App: ${application.replace('ERPPlatform.', '')}`;
+                    
+                    // The second dataset counts errors, so its bars only show failures
+                    if (datasetIndex === 1) {
+                        this.drillDownLogs({ applications: [application], logLevels: ['Error', 'Critical'] }, `${label} (errors)`);
+                    } else {
+                        this.drillDownLogs({ applications: [application] }, label);
+                    }
+                })
             }
         });
         
@@ -547,6 +1966,13 @@ class LogAnalyticsDashboard {
     }
 
     updateHourlyTrendsChart(hourlyCounts) {
+        // With a comparison the server's aligned hours are used, which also cover hours only the earlier window had
+        const comparisonCounts = this.comparison?.hourlyCounts;
+        if (comparisonCounts && comparisonCounts.length > 0) {
+            hourlyCounts = comparisonCounts;
+        }
+        this.hourlyCounts = hourlyCounts;
+        
         try {
             const canvas = document.getElementById('hourlyTrendsChart');
             if (!canvas) {
@@ -567,7 +1993,7 @@ class LogAnalyticsDashboard {
             this.charts.hourlyTrends = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: hourlyCounts.map(item => this.formatHour(item.hour)),
+                labels: TrendBucket.formatLabels(hourlyCounts.map(item => item.hour), this.trendBucketInUse),
                 datasets: [
                     {
                         label: 'Total',
@@ -582,13 +2008,46 @@ class LogAnalyticsDashboard {
                         borderColor: '#dc3545',
                         backgroundColor: 'rgba(220, 53, 69, 0.1)',
                         tension: 0.4
-                    }
+                    },
+                    ...(hourlyCounts === comparisonCounts ? [
+                        {
+                            label: `Total (${this.getComparisonLabel()})`,
+                            data: hourlyCounts.map(item => item.previousTotalCount),
+                            borderColor: '#007bff',
+                            borderDash: [6, 4],
+                            borderWidth: 1.5,
+                            pointRadius: 0,
+                            fill: false,
+                            tension: 0.4
+                        },
+                        {
+                            label: `Errors (${this.getComparisonLabel()})`,
+                            data: hourlyCounts.map(item => item.previousErrorCount),
+                            borderColor: '#dc3545',
+                            borderDash: [6, 4],
+                            borderWidth: 1.5,
+                            pointRadius: 0,
+                            fill: false,
+                            tension: 0.4
+                        }
+                    ] : []),
+                    this.getAnomalyMarkers(hourlyCounts)
                 ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
                 scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: `Time (${TrendBucket.describe(this.trendBucketInUse)} buckets)`
+                        }
+                    },
                     y: {
                         beginAtZero: true
                     }
@@ -596,8 +2055,20 @@ class LogAnalyticsDashboard {
                 plugins: {
                     legend: {
                         position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: LogAnomalies.tooltipLabel
+                        }
                     }
-                }
+                },
+                ...this.getChartDrillDownOptions((index) => {
+                    const { from, to } = TrendBucket.getRange(hourlyCounts[index].hour, this.trendBucketInUse);
+                    this.drillDownLogs({
+                        fromDate: this.formatDateTimeLocal(from),
+                        toDate: this.formatDateTimeLocal(to)
+                    }, TrendBucket.formatLabel(from, this.trendBucketInUse, true));
+                })
             }
         });
         
@@ -607,83 +2078,82 @@ class LogAnalyticsDashboard {
         }
     }
 
-    updateRecentLogs(recentLogs, isSearchResult = false) {
-        console.log('updateRecentLogs called with:', recentLogs, 'isSearchResult:', isSearchResult);
+    // A dashboard refresh reloads the rows around the scroll position; the first load shows the dashboard's
+    // recent logs, e.g. from a cached snapshot, until the list has its first page
+    updateRecentLogs(recentLogs) {
+        if (this.liveTail.enabled) return;
         
-        if (isSearchResult) {
-            // For search results, just display the data without calling server pagination
-            console.log('Displaying search results');
-            this.paginationData.recentLogs.data = recentLogs || [];
-            this.paginationData.recentLogs.currentSkip = 0;
-            this.paginationData.recentLogs.totalCount = recentLogs ? recentLogs.length : 0;
-            this.paginationData.recentLogs.hasMore = false; // Search results are usually complete
-            this.renderRecentLogsContent();
-            this.updateRecentLogsPagination();
-        } else if (recentLogs && recentLogs.length > 0) {
-            // Regular dashboard load - show data immediately then get correct totals
-            console.log('Using provided dashboard data for immediate display, then loading server pagination for correct totals');
-            this.paginationData.recentLogs.data = recentLogs;
-            this.renderRecentLogsContent();
-            
-            // Immediately load server-side pagination to get correct totals (no delay)
-            this.loadRecentLogsPaginated(0, this.paginationData.recentLogs.take);
+        const list = this.getRecentLogsList();
+        if (list && list.totalCount !== null) {
+            list.refresh();
         } else {
-            // No initial data, load directly from server
-            console.log('No initial data provided, loading from server');
-            this.loadRecentLogsPaginated(0, this.paginationData.recentLogs.take);
+            this.resetRecentLogs(this.recentLogsRow, recentLogs);
         }
     }
 
-    updateRecentLogsFromSearch(result) {
-        console.log('updateRecentLogsFromSearch called with:', result);
+    // Loads Recent Logs from the top or the given row, e.g. after the search changed
+    async resetRecentLogs(firstRow = 0, previewItems = null) {
+        const list = this.getRecentLogsList();
+        if (!list || this.liveTail.enabled) return false;
+        
+        this.recentLogsRow = firstRow;
+        return list.reset(firstRow, previewItems);
+    }
+
+    // Creates the list, again after the live tail replaced the container's content
+    getRecentLogsList() {
+        const container = document.getElementById('recentLogsContainer');
+        if (!container) return null;
+        
+        if (this.recentLogsList && container.contains(this.recentLogsList.viewport)) {
+            return this.recentLogsList;
+        }
         
-        // Update pagination data with search results
-        // Note: API returns 'page' not 'currentPage'
-        const currentPage = result.page || result.currentPage || 1;
-        this.paginationData.recentLogs.data = result.items || [];
-        this.paginationData.recentLogs.currentSkip = (currentPage - 1) * result.pageSize;
-        this.paginationData.recentLogs.totalCount = result.totalCount || 0;
-        this.paginationData.recentLogs.hasMore = currentPage < result.totalPages;
-        this.paginationData.recentLogs.take = result.pageSize || 10;
+        container.innerHTML = '<div class="virtual-log-viewport"></div>';
+        this.recentLogsList = new VirtualLogList(container.firstElementChild, {
+            fetchPage: (pageIndex, pageSize, anchor) => this.fetchRecentLogsPage(pageIndex, pageSize, anchor),
+            renderRows: (logs) => this.renderRecentLogsHtml(logs),
+            emptyHtml: 'No recent logs found',
+            onChange: (state) => this.onRecentLogsScroll(state),
+            onError: (error) => this.showError('Failed to load recent logs: ' + error.message)
+        });
         
-        // Render content and update pagination display
-        this.renderRecentLogsContent();
-        this.updateRecentLogsPagination();
+        return this.recentLogsList;
     }
-    
-    async searchRecentLogs(pageNumber = 1) {
-        if (!this.recentLogsSearchContext || !this.recentLogsSearchContext.isActive) {
-            console.log('No active search context');
-            return;
+
+    // Pages of the active search, or of all recent logs, up to the list's anchor time
+    fetchRecentLogsPage(pageIndex, pageSize, anchor) {
+        const key = `recent-logs-${pageIndex}`;
+        if (this.recentLogsSearchContext.isActive) {
+            const searchRequest = this.recentLogsSearchContext.searchRequest;
+            return this.api.post('/api/audit-analytics/search', {
+                ...searchRequest,
+                toDate: this.formatLocalTimestamp(VirtualLogList.getAnchoredToDate(searchRequest.toDate, anchor)),
+                page: pageIndex + 1,
+                pageSize: pageSize
+            }, { key: key });
         }
         
-        try {
-            // Update page number in search request
-            const searchRequest = { ...this.recentLogsSearchContext.searchRequest };
-            searchRequest.page = pageNumber;
-            
-            // Get antiforgery token
-            const token = this.getAntiforgeryToken();
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-            
-            if (token) {
-                headers['RequestVerificationToken'] = token;
-            }
-            
-            const response = await fetch('/api/audit-analytics/search', {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(searchRequest)
-            });
+        return this.api.get('/api/audit-analytics/recent-logs/paginated', {
+            key: key,
+            params: { skip: pageIndex * pageSize, take: pageSize, toDate: this.formatLocalTimestamp(anchor) }
+        });
+    }
 
-            const result = await response.json();
-            this.updateRecentLogsFromSearch(result);
-            
-        } catch (error) {
-            console.error('Search pagination failed:', error);
+    onRecentLogsScroll({ totalCount, firstVisibleRow }) {
+        const footer = document.getElementById('recentLogsFooter');
+        const info = document.getElementById('recentLogsInfo');
+        if (footer) {
+            footer.style.display = totalCount > 0 && !this.liveTail.enabled ? 'flex' : 'none';
+        }
+        if (info) {
+            info.textContent = `Row ${(firstVisibleRow + 1).toLocaleString()} of ${totalCount.toLocaleString()} logs`;
         }
+        
+        // The row is kept in the address bar without adding history for every scroll
+        this.recentLogsRow = firstVisibleRow;
+        clearTimeout(this.recentLogsRowTimer);
+        this.recentLogsRowTimer = setTimeout(() => this.syncUrlState(true), 300);
     }
     
     clearRecentLogsSearch() {
@@ -692,37 +2162,20 @@ class LogAnalyticsDashboard {
             searchRequest: null,
             isActive: false
         };
+        this.updateLiveSubscription();
+        this.updateQueryBars();
         
         // Reload regular recent logs
-        this.loadRecentLogsPaginated(0, this.paginationData.recentLogs.take);
-    }
-
-    async loadRecentLogsPaginated(skip, take) {
-        try {
-            console.log(`Loading recent logs with skip=${skip}, take=${take}`);
-            const response = await fetch(`/api/audit-analytics/recent-logs/paginated?skip=${skip}&take=${take}`);
-            const result = await response.json();
-            
-            console.log('Server-side pagination result:', result);
-            
-            // Update pagination data
-            this.paginationData.recentLogs.data = result.items || [];
-            this.paginationData.recentLogs.currentSkip = skip;
-            this.paginationData.recentLogs.totalCount = result.totalCount || 0;
-            this.paginationData.recentLogs.hasMore = result.hasMore || false;
-            
-            this.renderRecentLogsContent();
-            this.updateRecentLogsPagination();
-        } catch (error) {
-            console.error('Error loading recent logs:', error);
-        }
+        this.resetRecentLogs();
     }
 
     async loadRecentAuditLogsPaginated(skip, take) {
         try {
             console.log(`Loading recent audit logs with skip=${skip}, take=${take}`);
-            const response = await fetch(`/api/audit-analytics/audit-logs/recent/paginated?skip=${skip}&take=${take}`);
-            const result = await response.json();
+            const result = await this.api.get('/api/audit-analytics/audit-logs/recent/paginated', {
+                key: 'recent-audit-logs',
+                params: { skip, take }
+            });
             
             console.log('Server-side audit pagination result:', result);
             
@@ -735,24 +2188,13 @@ class LogAnalyticsDashboard {
             this.renderRecentAuditLogsContent();
             this.updateRecentAuditLogsPagination();
         } catch (error) {
+            if (error.isAborted) return;
+            
             console.error('Error loading recent audit logs:', error);
+            this.showError('Failed to load recent audit logs: ' + error.message);
         }
     }
 
-    renderRecentLogsContent() {
-        const container = document.getElementById('recentLogsContainer');
-        if (!container) return;
-        
-        const data = this.paginationData.recentLogs.data;
-        if (!data || data.length === 0) {
-            container.innerHTML = '<div class="text-center text-muted p-4">No recent logs found</div>';
-            return;
-        }
-        
-        const html = this.renderRecentLogsHtml(data);
-        container.innerHTML = html;
-    }
-
     renderRecentAuditLogsContent() {
         const container = document.getElementById('recentAuditLogsContainer');
         if (!container) return;
@@ -760,45 +2202,11 @@ class LogAnalyticsDashboard {
         const data = this.paginationData.recentAuditLogs.data;
         if (!data || data.length === 0) {
             container.innerHTML = '<div class="text-center text-muted p-4">No recent audit logs found</div>';
-            return;
-        }
-        
-        const html = this.renderRecentAuditLogsHtml(data);
-        container.innerHTML = html;
-    }
-
-    updateRecentLogsPagination() {
-        const pagination = document.getElementById('recentLogsPagination');
-        if (!pagination) return;
-        
-        const pagData = this.paginationData.recentLogs;
-        const currentPage = Math.floor(pagData.currentSkip / pagData.take) + 1;
-        
-        // Always show pagination if we have data and potential for more pages
-        if (pagData.data && pagData.data.length > 0) {
-            pagination.style.display = 'flex';
-            const prevBtn = pagination.querySelector('.btn:first-child');
-            const nextBtn = pagination.querySelector('.btn:last-child');
-            const info = document.getElementById('recentLogsInfo'); // Use correct ID
-            
-            prevBtn.disabled = pagData.currentSkip === 0;
-            nextBtn.disabled = !pagData.hasMore;
-            
-            if (info) {
-                if (pagData.totalCount > 0) {
-                    const startItem = pagData.currentSkip + 1;
-                    const endItem = Math.min(pagData.currentSkip + pagData.take, pagData.totalCount);
-                    info.textContent = `Showing ${startItem}-${endItem} of ${pagData.totalCount} items`;
-                } else {
-                    // Initial state - show basic info with current data
-                    const startItem = pagData.currentSkip + 1;
-                    const endItem = pagData.currentSkip + pagData.data.length;
-                    info.textContent = `Showing ${startItem}-${endItem} of ${pagData.data.length}+ items`;
-                }
-            }
-        } else {
-            pagination.style.display = 'none';
+            return;
         }
+        
+        const html = this.renderRecentAuditLogsHtml(data);
+        container.innerHTML = html;
     }
 
     updateRecentAuditLogsPagination() {
@@ -885,8 +2293,7 @@ class LogAnalyticsDashboard {
 
     async checkSystemHealth() {
         try {
-            const response = await fetch('/api/audit-analytics/system-health');
-            const health = await response.json();
+            const health = await this.api.get('/api/audit-analytics/system-health', { key: 'system-health' });
             
             const alert = document.getElementById('systemHealthAlert');
             const title = document.getElementById('healthAlertTitle');
@@ -911,6 +2318,8 @@ class LogAnalyticsDashboard {
                 alert.classList.remove('d-none');
             }
         } catch (error) {
+            if (error.isAborted) return;
+            
             console.error('Failed to check system health:', error);
         }
     }
@@ -960,10 +2369,36 @@ class LogAnalyticsDashboard {
         
         this.logSearchInProgress = true;
         
-        const form = document.getElementById('logSearchForm');
-        const formData = new FormData(form);
+        const searchRequest = this.getLogSearchCriteria();
+
+        try {
+            console.log('Searching recent logs:', searchRequest);
+            
+            // Store search context; Recent Logs load their pages with it
+            this.recentLogsSearchContext = {
+                searchRequest: searchRequest,
+                isActive: true
+            };
+            this.updateLiveSubscription();
+            
+            // The live tail applies the search to its stream instead
+            const loaded = this.liveTail.enabled || await this.resetRecentLogs();
+            this.syncUrlState();
+            this.updateQueryBars();
+            
+            // Close modal; a failed search keeps it open next to the error
+            if (loaded) {
+                this.safeHideModal('logSearchModal');
+            }
+        } finally {
+            this.logSearchInProgress = false;
+        }
+    }
+
+    getLogSearchCriteria() {
+        const formData = new FormData(document.getElementById('logSearchForm'));
         
-        const searchRequest = {
+        return {
             fromDate: formData.get('fromDate') || null,
             toDate: formData.get('toDate') || null,
             logLevels: formData.getAll('logLevels'),
@@ -971,152 +2406,364 @@ class LogAnalyticsDashboard {
             searchText: formData.get('searchText') || null,
             userId: formData.get('userId') || null,
             category: formData.get('category') || null,
-            page: 1,
-            pageSize: 10
+            pathPrefix: formData.get('pathPrefix') || null,
+            minDuration: formData.get('minDuration') ? parseInt(formData.get('minDuration'), 10) : null,
+            maxDuration: formData.get('maxDuration') ? parseInt(formData.get('maxDuration'), 10) : null
         };
+    }
 
-        try {
-            // Get antiforgery token
-            const token = this.getAntiforgeryToken();
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-            
-            if (token) {
-                headers['RequestVerificationToken'] = token;
-            }
+    // Saved search dropdowns live in the log search and audit search modals
+    getSavedSearchElements(searchType) {
+        const prefix = searchType === 'AuditLogs' ? 'audit' : 'log';
+        return {
+            select: document.getElementById(`${prefix}SavedSearchSelect`),
+            deleteBtn: document.getElementById(`${prefix}SavedSearchDeleteBtn`),
+            name: document.getElementById(`${prefix}SavedSearchName`),
+            shared: document.getElementById(`${prefix}SavedSearchShared`)
+        };
+    }
 
-            console.log('Sending search request:', searchRequest);
-            console.log('Request headers:', headers);
-            
-            const response = await fetch('/api/audit-analytics/search', {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(searchRequest)
+    async loadSavedSearches(searchType) {
+        try {
+            this.savedSearches[searchType] = await this.api.get('/api/log-analytics/saved-searches', {
+                key: `saved-searches-${searchType}`,
+                params: { searchType }
             });
+            this.renderSavedSearchOptions(searchType);
+        } catch (error) {
+            console.error(`Failed to load saved searches (${searchType}):`, error);
+        }
+    }
 
-            console.log('Search response status:', response.status);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Search API error:', response.status, errorText);
-                throw new Error(`Search failed: ${response.status} - ${errorText}`);
-            }
+    renderSavedSearchOptions(searchType, selectedId = '') {
+        const elements = this.getSavedSearchElements(searchType);
+        if (!elements.select) {
+            return;
+        }
+        
+        const searches = this.savedSearches[searchType] || [];
+        const toOption = search => `<option value="${search.id}">${this.escapeHtml(search.name)}${search.isOwner && search.isShared ? ' (shared)' : ''}</option>`;
+        const ownSearches = searches.filter(search => search.isOwner);
+        const sharedSearches = searches.filter(search => !search.isOwner);
+        
+        let html = `<option value="">${searches.length > 0 ? 'Saved searches...' : 'No saved searches'}</option>`;
+        if (ownSearches.length > 0) {
+            html += `<optgroup label="My searches">${ownSearches.map(toOption).join('')}</optgroup>`;
+        }
+        if (sharedSearches.length > 0) {
+            html += `<optgroup label="Shared with me">${sharedSearches.map(toOption).join('')}</optgroup>`;
+        }
+        
+        elements.select.innerHTML = html;
+        elements.select.value = selectedId;
+        this.updateSavedSearchDeleteButton(searchType);
+    }
 
-            const result = await response.json();
-            console.log('Search result:', result);
-            
-            // Store search context for pagination
-            this.recentLogsSearchContext = {
-                searchRequest: searchRequest,
-                isActive: true
-            };
-            
-            this.updateRecentLogsFromSearch(result);
-            
-            // Close modal
-            this.safeHideModal('logSearchModal');
+    updateSavedSearchDeleteButton(searchType) {
+        const elements = this.getSavedSearchElements(searchType);
+        const search = (this.savedSearches[searchType] || []).find(item => item.id === elements.select.value);
+        elements.deleteBtn.disabled = !search || !search.isOwner;
+    }
+
+    async saveSearch(searchType) {
+        const elements = this.getSavedSearchElements(searchType);
+        const name = elements.name.value.trim();
+        if (!name) {
+            this.showError('Enter a name for the saved search');
+            elements.name.focus();
+            return;
+        }
+        
+        const criteria = searchType === 'AuditLogs' ? this.getAuditLogSearchCriteria() : this.getLogSearchCriteria();
+        
+        try {
+            const saved = await this.api.post('/api/log-analytics/saved-searches', {
+                name: name,
+                searchType: searchType,
+                criteria: JSON.stringify(criteria),
+                isShared: elements.shared.checked
+            });
+            elements.name.value = '';
+            elements.shared.checked = false;
             
+            await this.loadSavedSearches(searchType);
+            this.renderSavedSearchOptions(searchType, saved.id);
         } catch (error) {
-            console.error('Search failed:', error);
-            this.showError('Search failed');
-        } finally {
-            this.logSearchInProgress = false;
+            console.error('Failed to save search:', error);
+            this.showError('Failed to save search: ' + error.message);
         }
     }
 
-    showExportDialog() {
-        // Simple export implementation
-        const fromDate = prompt('Export from date (YYYY-MM-DD):');
-        const toDate = prompt('Export to date (YYYY-MM-DD):');
+    // Fills the search form from a saved search and runs it
+    async runSavedSearch(searchType, id) {
+        this.updateSavedSearchDeleteButton(searchType);
         
-        if (fromDate && toDate) {
-            // Ensure fromDate starts at beginning of day and toDate ends at end of day
-            const fromDateTime = fromDate.includes('T') ? fromDate : fromDate + 'T00:00:00';
-            const toDateTime = toDate.includes('T') ? toDate : toDate + 'T23:59:59';
-            
-            const exportRequest = {
-                fromDate: fromDateTime,
-                toDate: toDateTime,
-                logLevels: [],
-                applications: [],
-                page: 1,
-                pageSize: 10000
-            };
+        const search = (this.savedSearches[searchType] || []).find(item => item.id === id);
+        if (!search) {
+            return;
+        }
+        
+        let criteria;
+        try {
+            criteria = JSON.parse(search.criteria);
+        } catch (error) {
+            console.error('Saved search has invalid criteria:', search, error);
+            this.showError('This saved search could not be read');
+            return;
+        }
+        
+        if (searchType === 'AuditLogs') {
+            this.fillAuditLogSearchForm(criteria);
+            await this.searchAuditLogs(1);
+        } else {
+            this.fillLogSearchForm(criteria);
+            await this.searchLogs();
+        }
+    }
 
-            const queryString = new URLSearchParams({
-                format: 'csv'
-            }).toString();
+    async deleteSavedSearch(searchType) {
+        const elements = this.getSavedSearchElements(searchType);
+        const search = (this.savedSearches[searchType] || []).find(item => item.id === elements.select.value);
+        if (!search || !confirm(`Delete saved search "${search.name}"?`)) {
+            return;
+        }
+        
+        try {
+            await this.api.delete(`/api/log-analytics/saved-searches/${search.id}`);
+            await this.loadSavedSearches(searchType);
+        } catch (error) {
+            console.error('Failed to delete saved search:', error);
+            this.showError('Failed to delete saved search: ' + error.message);
+        }
+    }
 
-            // Get antiforgery token
-            const token = this.getAntiforgeryToken();
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-            
-            if (token) {
-                headers['RequestVerificationToken'] = token;
+    showExportDialog(dataset = 'logs') {
+        this.initializeExportDialog();
+        
+        const datasetSelect = document.getElementById('exportDataset');
+        datasetSelect.value = dataset;
+        
+        // Default the date range to the last 7 days the first time the dialog opens
+        const fromInput = document.getElementById('exportFromDate');
+        const toInput = document.getElementById('exportToDate');
+        if (!fromInput.value || !toInput.value) {
+            const today = new Date();
+            const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+            fromInput.value = this.formatDateInputValue(weekAgo);
+            toInput.value = this.formatDateInputValue(today);
+        }
+        
+        this.onExportDatasetChanged();
+        this.safeShowModal('exportModal');
+    }
+
+    initializeExportDialog() {
+        if (this.exportState.initialized) {
+            return;
+        }
+        
+        const form = document.getElementById('exportForm');
+        if (!form) {
+            return;
+        }
+        
+        document.getElementById('exportDataset').addEventListener('change', () => this.onExportDatasetChanged());
+        document.getElementById('exportSelectAllColumns').addEventListener('click', () => {
+            this.renderExportColumns(this.exportColumns[this.getExportDataset()].all);
+            this.scheduleExportPreview();
+        });
+        document.getElementById('exportSelectDefaultColumns').addEventListener('click', () => {
+            this.renderExportColumns(this.exportColumns[this.getExportDataset()].defaults);
+            this.scheduleExportPreview();
+        });
+        
+        form.addEventListener('change', (event) => {
+            if (event.target.name === 'exportScope') {
+                this.updateExportScope();
             }
+            if (event.target.id !== 'exportDataset') {
+                this.scheduleExportPreview();
+            }
+        });
+        
+        this.exportState.initialized = true;
+    }
 
-            fetch(`/api/audit-analytics/export?${queryString}`, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(exportRequest)
-            })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                return response.blob();
-            })
-            .then(blob => {
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `logs_export_${new Date().toISOString().split('T')[0]}.csv`;
-                a.click();
-                window.URL.revokeObjectURL(url);
-            })
-            .catch(error => {
-                console.error('Export failed:', error);
-                this.showError('Export failed: ' + error.message);
-            });
+    getExportDataset() {
+        return document.getElementById('exportDataset').value === 'auditLogs' ? 'auditLogs' : 'logs';
+    }
+
+    // The active search for the dataset, or null when nothing has been searched
+    getExportSearchRequest(dataset) {
+        if (dataset === 'auditLogs') {
+            return this.auditSearchState.searchRequest;
+        }
+        
+        return this.recentLogsSearchContext.isActive ? this.recentLogsSearchContext.searchRequest : null;
+    }
+
+    onExportDatasetChanged() {
+        const dataset = this.getExportDataset();
+        const searchRequest = this.getExportSearchRequest(dataset);
+        
+        const searchScope = document.getElementById('exportScopeSearch');
+        const searchInfo = document.getElementById('exportScopeSearchInfo');
+        searchScope.disabled = !searchRequest;
+        searchInfo.textContent = searchRequest ? '' : '(no active search)';
+        
+        // Prefer the current search result whenever there is one
+        document.getElementById(searchRequest ? 'exportScopeSearch' : 'exportScopeRange').checked = true;
+        
+        this.renderExportColumns(this.exportColumns[dataset].defaults);
+        this.updateExportScope();
+        this.scheduleExportPreview();
+    }
+
+    updateExportScope() {
+        const useSearch = document.getElementById('exportScopeSearch').checked;
+        document.getElementById('exportDateRange').style.display = useSearch ? 'none' : '';
+    }
+
+    renderExportColumns(selectedColumns) {
+        const container = document.getElementById('exportColumns');
+        const columns = this.exportColumns[this.getExportDataset()].all;
+        
+        container.innerHTML = columns.map(column => `
+            <div class="col-md-4">
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" name="exportColumns" id="exportColumn_${column}" value="${column}" ${selectedColumns.includes(column) ? 'checked' : ''}>
+                    <label class="form-check-label" for="exportColumn_${column}">${column.replace(/([a-z])([A-Z])/g, '$1 $2')}</label>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    buildExportRequest() {
+        const dataset = this.getExportDataset();
+        const formData = new FormData(document.getElementById('exportForm'));
+        let request;
+        
+        if (formData.get('exportScope') === 'search' && this.getExportSearchRequest(dataset)) {
+            request = { ...this.getExportSearchRequest(dataset) };
+            delete request.page;
+            delete request.pageSize;
+        } else {
+            const fromDate = formData.get('exportFromDate');
+            const toDate = formData.get('exportToDate');
+            request = {
+                fromDate: fromDate ? fromDate + 'T00:00:00' : null,
+                toDate: toDate ? toDate + 'T23:59:59' : null
+            };
         }
+        
+        request.format = formData.get('exportFormat') || 'csv';
+        request.maxRecords = parseInt(formData.get('exportMaxRecords')) || 10000;
+        request.columns = formData.getAll('exportColumns');
+        
+        return request;
+    }
+
+    getExportUrl(dataset) {
+        return dataset === 'auditLogs' ? '/api/audit-analytics/audit-logs/export' : '/api/audit-analytics/export';
+    }
+
+    scheduleExportPreview() {
+        clearTimeout(this.exportState.previewTimer);
+        this.exportState.previewTimer = setTimeout(() => this.refreshExportPreview(), 300);
     }
 
-    getAntiforgeryToken() {
-        // Try to get the antiforgery token from various possible sources
-        const tokenInput = document.querySelector('input[name="__RequestVerificationToken"]');
-        if (tokenInput) {
-            console.log('Found antiforgery token in input:', tokenInput.value);
-            return tokenInput.value;
+    async refreshExportPreview() {
+        const previewText = document.getElementById('exportPreviewText');
+        const preview = document.getElementById('exportPreview');
+        const downloadBtn = document.getElementById('exportDownloadBtn');
+        const dataset = this.getExportDataset();
+        const request = this.buildExportRequest();
+        
+        if (request.columns.length === 0) {
+            preview.className = 'alert alert-warning mb-0';
+            previewText.textContent = 'Select at least one column to export.';
+            downloadBtn.disabled = true;
+            return;
         }
         
-        const tokenMeta = document.querySelector('meta[name="__RequestVerificationToken"]');
-        if (tokenMeta) {
-            console.log('Found antiforgery token in meta:', tokenMeta.content);
-            return tokenMeta.content;
+        if (request.fromDate && request.toDate && new Date(request.fromDate) > new Date(request.toDate)) {
+            preview.className = 'alert alert-warning mb-0';
+            previewText.textContent = 'From date cannot be after to date.';
+            downloadBtn.disabled = true;
+            return;
         }
         
-        // Try to get from ABP's token container
-        const abpToken = document.querySelector('input[name="RequestVerificationToken"]');
-        if (abpToken) {
-            console.log('Found ABP antiforgery token:', abpToken.value);
-            return abpToken.value;
+        preview.className = 'alert alert-secondary mb-0';
+        previewText.textContent = 'Counting rows...';
+        
+        try {
+            // Changing the export options again cancels the count still running
+            const result = await this.api.post(`${this.getExportUrl(dataset)}/preview`, request, { key: 'export-preview' });
+            
+            if (result.exportCount === 0) {
+                preview.className = 'alert alert-warning mb-0';
+                previewText.textContent = 'No rows match this export.';
+                downloadBtn.disabled = true;
+                return;
+            }
+            
+            preview.className = result.isTruncated ? 'alert alert-warning mb-0' : 'alert alert-info mb-0';
+            previewText.textContent = result.isTruncated
+                ? `${result.exportCount.toLocaleString()} of ${result.totalCount.toLocaleString()} rows will be exported (limited by Max Rows).`
+                : `${result.exportCount.toLocaleString()} rows will be exported.`;
+            downloadBtn.disabled = false;
+        } catch (error) {
+            if (error.isAborted) {
+                return;
+            }
+            console.error('Export preview failed:', error);
+            preview.className = 'alert alert-danger mb-0';
+            previewText.textContent = 'Could not count rows for this export.';
+            downloadBtn.disabled = false;
         }
+    }
+
+    async downloadExport() {
+        const dataset = this.getExportDataset();
+        const request = this.buildExportRequest();
+        const downloadBtn = document.getElementById('exportDownloadBtn');
         
-        // Try to get from cookie
-        const tokenCookie = document.cookie
-            .split('; ')
-            .find(row => row.startsWith('__RequestVerificationToken=') || row.startsWith('.AspNetCore.Antiforgery.'));
-        if (tokenCookie) {
-            const tokenValue = tokenCookie.split('=')[1];
-            console.log('Found antiforgery token in cookie:', tokenValue);
-            return tokenValue;
+        if (request.columns.length === 0) {
+            this.showError('Select at least one column to export');
+            return;
         }
         
-        console.warn('No antiforgery token found');
-        return null;
+        downloadBtn.disabled = true;
+        
+        try {
+            // Large exports take a while to build, so they get more time than the other requests
+            const blob = await this.api.post(this.getExportUrl(dataset), request, { responseType: 'blob', timeout: 120000 });
+            const prefix = dataset === 'auditLogs' ? 'audit_logs_export' : 'logs_export';
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${prefix}_${new Date().toISOString().split('T')[0]}.${request.format}`;
+            a.click();
+            window.URL.revokeObjectURL(url);
+            
+            this.safeHideModal('exportModal');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Export failed: ' + error.message);
+        } finally {
+            downloadBtn.disabled = false;
+        }
+    }
+
+    exportAuditSearchResults() {
+        this.safeHideModal('auditLogSearchResultsModal');
+        this.showExportDialog('auditLogs');
+    }
+
+    formatDateInputValue(date) {
+        return date.getFullYear() + '-' +
+            String(date.getMonth() + 1).padStart(2, '0') + '-' +
+            String(date.getDate()).padStart(2, '0');
     }
 
     // Utility methods
@@ -1129,11 +2776,6 @@ class LogAnalyticsDashboard {
         return date.toLocaleString();
     }
 
-    formatHour(dateStr) {
-        const date = new Date(dateStr);
-        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    }
-
     escapeHtml(unsafe) {
         return unsafe
             .replace(/&/g, "&amp;")
@@ -1144,8 +2786,8 @@ class LogAnalyticsDashboard {
     }
 
     getPerformanceClass(duration) {
-        if (duration > 5000) return 'slow';
-        if (duration > 1000) return 'normal';
+        if (this.thresholds.isSlowOperation(duration)) return 'slow';
+        if (duration > this.thresholds.fairResponseTime) return 'normal';
         return 'fast';
     }
 
@@ -1299,40 +2941,11 @@ class LogAnalyticsDashboard {
             
             if (pageNumber === 1) {
                 // First search - get form values
-                const fromDate = document.getElementById('auditFromDate').value;
-                const toDate = document.getElementById('auditToDate').value;
-                const userId = document.getElementById('auditUserId').value;
-                const serviceName = document.getElementById('auditServiceName').value;
-                const methodName = document.getElementById('auditMethodName').value;
-                const httpMethod = document.getElementById('auditHttpMethod').value;
-                const clientIp = document.getElementById('auditClientIp').value;
-                const hasException = document.getElementById('auditHasException').value;
-                const minDuration = document.getElementById('auditMinDuration').value;
-                const maxDuration = document.getElementById('auditMaxDuration').value;
-
-                // Build search request
                 searchRequest = {
                     page: pageNumber,
-                    pageSize: this.auditSearchState.pageSize
+                    pageSize: this.auditSearchState.pageSize,
+                    ...this.getAuditLogSearchCriteria()
                 };
-
-                // Add date filters with proper time formatting (only if provided)
-                if (fromDate && fromDate.trim() !== '') {
-                    searchRequest.fromDate = fromDate + 'T00:00:00';
-                }
-                if (toDate && toDate.trim() !== '') {
-                    searchRequest.toDate = toDate + 'T23:59:59';
-                }
-
-                // Add other filters if provided
-                if (userId) searchRequest.userId = userId;
-                if (serviceName) searchRequest.serviceName = serviceName;
-                if (methodName) searchRequest.methodName = methodName;
-                if (httpMethod) searchRequest.httpMethod = httpMethod;
-                if (clientIp) searchRequest.clientIp = clientIp;
-                if (hasException !== '') searchRequest.hasException = hasException === 'true';
-                if (minDuration) searchRequest.minDuration = parseInt(minDuration);
-                if (maxDuration) searchRequest.maxDuration = parseInt(maxDuration);
                 
                 // Store the search request for pagination
                 this.auditSearchState.searchRequest = searchRequest;
@@ -1344,28 +2957,8 @@ class LogAnalyticsDashboard {
 
             this.auditSearchState.currentPage = pageNumber;
 
-            // Get antiforgery token
-            const token = this.getAntiforgeryToken();
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-            
-            if (token) {
-                headers['RequestVerificationToken'] = token;
-            }
-
             // Make API call
-            const response = await fetch('/api/audit-analytics/audit-logs/search', {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(searchRequest)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.api.post('/api/audit-analytics/audit-logs/search', searchRequest);
             
             console.log('=== AUDIT SEARCH DEBUG ===');
             console.log('Page:', pageNumber, 'PageSize:', this.auditSearchState.pageSize);
@@ -1392,10 +2985,20 @@ class LogAnalyticsDashboard {
             // Update pagination info
             this.updateAuditSearchPagination();
             
-            if (pageNumber === 1) {
+            this.auditSearchState.resultsVisible = true;
+            this.syncUrlState();
+            this.updateQueryBars();
+            
+            const searchModal = bootstrap.Modal.getInstance(document.getElementById('auditLogSearchModal'));
+            const resultsModalElement = document.getElementById('auditLogSearchResultsModal');
+            
+            if (!searchModal || !searchModal._isShown) {
+                // Opened from a shared link or browser history rather than the search modal
+                if (!resultsModalElement.classList.contains('show')) {
+                    this.safeShowModal('auditLogSearchResultsModal');
+                }
+            } else if (pageNumber === 1) {
                 // Hide search modal and show results modal only on first search
-                const searchModal = bootstrap.Modal.getInstance(document.getElementById('auditLogSearchModal'));
-                const resultsModalElement = document.getElementById('auditLogSearchResultsModal');
                 
                 // Hide search modal first
                 this.safeHideModal('auditLogSearchModal');
@@ -1420,6 +3023,42 @@ class LogAnalyticsDashboard {
         }
     }
 
+    // Audit search form values; only the filters that were filled in are included
+    getAuditLogSearchCriteria() {
+        const fromDate = document.getElementById('auditFromDate').value;
+        const toDate = document.getElementById('auditToDate').value;
+        const userId = document.getElementById('auditUserId').value;
+        const serviceName = document.getElementById('auditServiceName').value;
+        const methodName = document.getElementById('auditMethodName').value;
+        const httpMethod = document.getElementById('auditHttpMethod').value;
+        const clientIp = document.getElementById('auditClientIp').value;
+        const hasException = document.getElementById('auditHasException').value;
+        const minDuration = document.getElementById('auditMinDuration').value;
+        const maxDuration = document.getElementById('auditMaxDuration').value;
+        
+        const criteria = {};
+        
+        // Add date filters with proper time formatting (only if provided)
+        if (fromDate && fromDate.trim() !== '') {
+            criteria.fromDate = fromDate + 'T00:00:00';
+        }
+        if (toDate && toDate.trim() !== '') {
+            criteria.toDate = toDate + 'T23:59:59';
+        }
+        
+        // Add other filters if provided
+        if (userId) criteria.userId = userId;
+        if (serviceName) criteria.serviceName = serviceName;
+        if (methodName) criteria.methodName = methodName;
+        if (httpMethod) criteria.httpMethod = httpMethod;
+        if (clientIp) criteria.clientIp = clientIp;
+        if (hasException !== '') criteria.hasException = hasException === 'true';
+        if (minDuration) criteria.minDuration = parseInt(minDuration);
+        if (maxDuration) criteria.maxDuration = parseInt(maxDuration);
+        
+        return criteria;
+    }
+
     displayAuditLogSearchResults(result) {
         const container = document.getElementById('auditLogSearchResults');
         
@@ -1471,7 +3110,7 @@ class LogAnalyticsDashboard {
                         <div>${log.methodName}</div>
                         <small class="text-muted">${log.httpMethod} ${log.httpStatusCode || ''}</small>
                     </td>
-                    <td><span class="badge ${log.executionDuration > 1000 ? 'bg-warning' : 'bg-light text-dark'}">${log.executionDuration}ms</span></td>
+                    <td><span class="badge ${log.executionDuration > this.thresholds.fairResponseTime ? 'bg-warning' : 'bg-light text-dark'}">${log.executionDuration}ms</span></td>
                     <td><i class="${statusIcon} ${statusClass}"></i></td>
                     <td><small>${log.clientIpAddress || ''}</small></td>
                 </tr>
@@ -1593,7 +3232,7 @@ class LogAnalyticsDashboard {
         
         // Clear search results and restore normal pagination
         console.log('Log search form reset to default values, restoring normal pagination');
-        this.loadRecentLogsPaginated(0, this.paginationData.recentLogs.take);
+        this.clearRecentLogsSearch();
     }
 
     validateDateRange() {
@@ -1728,10 +3367,26 @@ class LogAnalyticsDashboard {
         console.log('Audit log search form reset to default values');
     }
 
+    showAlertEvent(alertEvent) {
+        console.log('Alert event received:', alertEvent);
+        const message = `${alertEvent.condition} (value ${alertEvent.value})`;
+        const title = `${alertEvent.ruleName} ${alertEvent.eventType.toLowerCase()}`;
+        
+        if (alertEvent.eventType === 'Resolved') {
+            abp.notify.success(message, title);
+        } else if (alertEvent.severity === 'Critical') {
+            abp.notify.error(message, title);
+        } else if (alertEvent.severity === 'Warning') {
+            abp.notify.warn(message, title);
+        } else {
+            abp.notify.info(message, title);
+        }
+    }
+
+    // A toast rather than a dialog, so failed background requests do not block the page
     showError(message) {
-        // Simple error display - you can enhance this
         console.error(message);
-        alert(message);
+        abp.notify.error(message);
     }
 
     // Debug function to check container positions
@@ -1783,13 +3438,7 @@ class LogAnalyticsDashboard {
     async debugLoadData() {
         console.log('=== DEBUG: Manual data load test ===');
         try {
-            const response = await fetch('/api/audit-analytics/dashboard');
-            if (!response.ok) {
-                console.error('API request failed:', response.status, response.statusText);
-                return;
-            }
-            
-            const data = await response.json();
+            const data = await this.api.get('/api/audit-analytics/dashboard');
             console.log('Raw API data:', data);
             
             // Test each update method individually
@@ -1828,22 +3477,11 @@ class LogAnalyticsDashboard {
         this.paginationInProgress = true;
         const pagData = this.paginationData[section];
         
-        // Handle server-side pagination for logs
-        if (section === 'recentLogs' || section === 'recentAuditLogs') {
+        // Handle server-side pagination for audit logs
+        if (section === 'recentAuditLogs') {
             if (pagData.currentSkip >= pagData.take) {
-                if (section === 'recentLogs') {
-                    // Check if search is active for recent logs
-                    if (this.recentLogsSearchContext && this.recentLogsSearchContext.isActive) {
-                        const currentPage = Math.floor(pagData.currentSkip / pagData.take) + 1;
-                        this.searchRecentLogs(currentPage - 1);
-                    } else {
-                        const newSkip = pagData.currentSkip - pagData.take;
-                        this.loadRecentLogsPaginated(newSkip, pagData.take);
-                    }
-                } else {
-                    const newSkip = pagData.currentSkip - pagData.take;
-                    this.loadRecentAuditLogsPaginated(newSkip, pagData.take);
-                }
+                const newSkip = pagData.currentSkip - pagData.take;
+                this.loadRecentAuditLogsPaginated(newSkip, pagData.take);
             }
         } else {
             // Client-side pagination for other sections
@@ -1869,22 +3507,11 @@ class LogAnalyticsDashboard {
         this.paginationInProgress = true;
         const pagData = this.paginationData[section];
         
-        // Handle server-side pagination for logs
-        if (section === 'recentLogs' || section === 'recentAuditLogs') {
+        // Handle server-side pagination for audit logs
+        if (section === 'recentAuditLogs') {
             if (pagData.hasMore) {
-                if (section === 'recentLogs') {
-                    // Check if search is active for recent logs
-                    if (this.recentLogsSearchContext && this.recentLogsSearchContext.isActive) {
-                        const currentPage = Math.floor(pagData.currentSkip / pagData.take) + 1;
-                        this.searchRecentLogs(currentPage + 1);
-                    } else {
-                        const newSkip = pagData.currentSkip + pagData.take;
-                        this.loadRecentLogsPaginated(newSkip, pagData.take);
-                    }
-                } else {
-                    const newSkip = pagData.currentSkip + pagData.take;
-                    this.loadRecentAuditLogsPaginated(newSkip, pagData.take);
-                }
+                const newSkip = pagData.currentSkip + pagData.take;
+                this.loadRecentAuditLogsPaginated(newSkip, pagData.take);
             }
         } else {
             // Client-side pagination for other sections
@@ -1930,7 +3557,8 @@ class LogAnalyticsDashboard {
             recentAuditLogs: 'recentAuditLogsPagination',
             topErrors: 'topErrorsPagination',
             performance: 'performancePagination',
-            topUserActivities: 'topUserActivitiesPagination'
+            topUserActivities: 'topUserActivitiesPagination',
+            apiEndpointPerformance: 'apiEndpointsPagination'
         };
 
         const infoMap = {
@@ -1938,7 +3566,8 @@ class LogAnalyticsDashboard {
             recentAuditLogs: 'recentAuditLogsInfo',
             topErrors: 'topErrorsInfo',
             performance: 'performanceInfo',
-            topUserActivities: 'topUserActivitiesInfo'
+            topUserActivities: 'topUserActivitiesInfo',
+            apiEndpointPerformance: 'apiEndpointsInfo'
         };
 
         const container = document.getElementById(containerMap[section]);
@@ -2022,7 +3651,8 @@ class LogAnalyticsDashboard {
             recentAuditLogs: 'activities',
             topErrors: 'errors',
             performance: 'operations',
-            topUserActivities: 'users'
+            topUserActivities: 'users',
+            apiEndpointPerformance: 'endpoints'
         };
         return typeNames[section] || 'items';
     }
@@ -2089,6 +3719,7 @@ class LogAnalyticsDashboard {
                         ${log.userId ? `<span>User: ${log.userId}</span>` : ''}
                         ${log.httpStatusCode ? `<span>Status: ${log.httpStatusCode}</span>` : ''}
                         ${log.executionDuration ? `<span>Duration: ${log.executionDuration}ms</span>` : ''}
+                        ${LogTraceView.renderTraceLink(log)}
                     </div>
                 </div>
             `;
@@ -2110,6 +3741,7 @@ class LogAnalyticsDashboard {
                     <span class="audit-duration ${this.getPerformanceClass(log.executionDuration || 0)}">${log.executionDuration || 0}ms</span>
                     <span class="audit-ip"><i class="fas fa-globe"></i> ${log.clientIpAddress || 'Unknown'}</span>
                     <span class="audit-http">${log.httpMethod || 'Unknown'} ${log.httpStatusCode || 0}</span>
+                    ${LogTraceView.renderTraceLink(log)}
                 </div>
                 ${log.hasException && log.exception ? `<div class="audit-exception">${this.escapeHtml(log.exception)}</div>` : ''}
             </div>
@@ -2117,23 +3749,42 @@ class LogAnalyticsDashboard {
     }
 
     renderTopErrorsHtml(errors) {
-        return errors.map((error, index) => `
-            <div class="d-flex align-items-center py-2 ${index > 0 ? 'border-top' : ''}">
-                <div class="flex-shrink-0 me-3">
-                    <div class="badge bg-danger fs-6 fw-bold">${error.count || 0}</div>
-                </div>
-                <div class="flex-grow-1 min-w-0">
-                    <div class="fw-semibold text-truncate mb-1" title="${this.escapeHtml(error.errorMessage || '')}">
-                        ${this.escapeHtml(error.errorMessage?.substring(0, 60) + (error.errorMessage?.length > 60 ? '...' : '') || 'Unknown Error')}
+        return errors.map((error, index) => {
+            const message = error.errorMessage || 'Unknown Error';
+            const endpoints = error.affectedEndpoints || [];
+            const details = [error.exceptionType, error.topFrame ? `at ${error.topFrame}` : null, message]
+                .filter(part => part)
+                .join('\n');
+            // Beyond the grouping sample the count and first seen time are lower bounds
+            const sampledTitle = error.isSampled ? 'Only the most recent errors of the range were grouped' : '';
+
+            return `
+                <div class="d-flex align-items-center py-2 ${index > 0 ? 'border-top' : ''}" data-fingerprint="${this.escapeHtml(error.fingerprint || '')}">
+                    <div class="flex-shrink-0 me-3">
+                        <div class="badge bg-danger fs-6 fw-bold" title="${sampledTitle}">${error.count || 0}${error.isSampled ? '+' : ''}</div>
                     </div>
-                    <div class="d-flex gap-3 small text-muted">
-                        ${error.exceptionType ? `<span><i class="fas fa-tag me-1"></i>${error.exceptionType}</span>` : ''}
-                        <span><i class="fas fa-clock me-1"></i>${this.formatDateTime(error.lastOccurrence)}</span>
-                        <span><i class="fas fa-server me-1"></i>${error.affectedApplications ? error.affectedApplications.join(', ') : 'Unknown'}</span>
+                    <div class="flex-grow-1 min-w-0">
+                        <div class="fw-semibold text-truncate mb-1" title="${this.escapeHtml(details)}">
+                            ${this.escapeHtml(message.length > 60 ? message.substring(0, 60) + '...' : message)}
+                        </div>
+                        <div class="d-flex flex-wrap column-gap-3 small text-muted">
+                            ${error.exceptionType ? `<span><i class="fas fa-tag me-1"></i>${this.escapeHtml(error.exceptionType)}</span>` : ''}
+                            <span title="First seen${error.isSampled ? ' among the most recent errors' : ''}"><i class="fas fa-history me-1"></i>${this.formatDateTime(error.firstOccurrence)}</span>
+                            <span title="Last seen"><i class="fas fa-clock me-1"></i>${this.formatDateTime(error.lastOccurrence)}</span>
+                            <span><i class="fas fa-server me-1"></i>${error.affectedApplications?.length ? this.escapeHtml(error.affectedApplications.join(', ')) : 'Unknown'}</span>
+                        </div>
+                        ${endpoints.length > 0 ? `
+                            <div class="small text-muted text-truncate" title="${this.escapeHtml(endpoints.join('\n'))}">
+                                <i class="fas fa-link me-1"></i>${this.escapeHtml(endpoints.join(', '))}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="flex-shrink-0 ms-3">
+                        ${Sparkline.render(error.hourlyCounts)}
                     </div>
                 </div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
     }
 
     renderPerformanceHtml(metrics) {
@@ -2186,21 +3837,17 @@ class LogAnalyticsDashboard {
         const slowOperationsCount = document.getElementById('slowOperationsCount');
         const dbConnectionsStatus = document.getElementById('dbConnectionsStatus');
 
-        // Determine system health based on metrics
+        // Determine system health with the tenant's thresholds, the same ones the server uses
         const errorCount = statistics.errorCount || 0;
         const slowOps = statistics.slowOperations || 0;
         const avgResponse = Math.round(statistics.avgResponseTime || 0);
         
-        let status = 'Healthy';
-        let statusClass = 'bg-success';
-        
-        if (errorCount > 5 || slowOps > 10 || avgResponse > 1000) {
-            status = 'Critical';
-            statusClass = 'bg-danger';
-        } else if (errorCount > 0 || slowOps > 0 || avgResponse > 500) {
-            status = 'Warning';
-            statusClass = 'bg-warning';
-        }
+        const status = this.thresholds.getHealthStatus({
+            errorCount: errorCount,
+            slowOperations: slowOps,
+            avgResponseTime: avgResponse
+        });
+        const statusClass = status === 'Critical' ? 'bg-danger' : status === 'Warning' ? 'bg-warning' : 'bg-success';
 
         if (statusIndicator) {
             statusIndicator.className = `status-indicator ${statusClass}`;
@@ -2214,7 +3861,7 @@ class LogAnalyticsDashboard {
         }
         if (avgResponseTime) {
             avgResponseTime.textContent = `${avgResponse}ms`;
-            avgResponseTime.className = `badge ${avgResponse > 500 ? 'bg-warning' : 'bg-primary'}`;
+            avgResponseTime.className = `badge ${avgResponse > this.thresholds.avgResponseTimeWarning ? 'bg-warning' : 'bg-primary'}`;
         }
         if (recentErrorsCount) {
             recentErrorsCount.textContent = errorCount;
@@ -2228,130 +3875,28 @@ class LogAnalyticsDashboard {
         }
     }
 
-    updateApiEndpoints(auditStatistics) {
-        const container = document.querySelector('#apiEndpointsContainer .api-endpoints');
-        if (!container) return;
-
-        // Create mock API endpoint data based on audit statistics
-        const endpoints = [
-            {
-                method: 'GET',
-                path: '/api/audit-analytics/dashboard',
-                calls: Math.floor(auditStatistics.totalAuditLogs * 0.3),
-                avgDuration: Math.round(auditStatistics.avgExecutionDuration * 0.8),
-                status: 200
-            },
-            {
-                method: 'POST',
-                path: '/api/audit-analytics/search',
-                calls: Math.floor(auditStatistics.totalAuditLogs * 0.2),
-                avgDuration: Math.round(auditStatistics.avgExecutionDuration * 1.2),
-                status: 200
-            },
-            {
-                method: 'POST',
-                path: '/api/audit-analytics/audit-search',
-                calls: Math.floor(auditStatistics.totalAuditLogs * 0.15),
-                avgDuration: Math.round(auditStatistics.avgExecutionDuration * 1.1),
-                status: 200
-            },
-            {
-                method: 'GET',
-                path: '/api/account/profile',
-                calls: auditStatistics.uniqueUsers * 5,
-                avgDuration: 45,
-                status: 200
-            },
-            {
-                method: 'POST',
-                path: '/connect/token',
-                calls: auditStatistics.uniqueUsers * 3,
-                avgDuration: 120,
-                status: 200
-            }
-        ];
-
-        const html = endpoints.map(endpoint => `
-            <div class="api-endpoint-item">
-                <div class="d-flex align-items-center justify-content-between mb-2">
-                    <div class="d-flex align-items-center gap-2">
-                        <span class="endpoint-method ${endpoint.method.toLowerCase()}">${endpoint.method}</span>
-                        <span class="endpoint-path">${endpoint.path}</span>
-                    </div>
-                    <span class="badge bg-secondary">${endpoint.calls}</span>
-                </div>
-                <div class="endpoint-stats">
-                    <div class="endpoint-stat">
-                        <i class="fas fa-clock"></i>
-                        <span>${endpoint.avgDuration}ms avg</span>
-                    </div>
-                    <div class="endpoint-stat">
-                        <i class="fas fa-check-circle text-success"></i>
-                        <span>${endpoint.status}</span>
-                    </div>
-                </div>
-            </div>
-        `).join('');
-
-        container.innerHTML = html;
-    }
-
-    updateApiEndpointPerformance(auditStatistics) {
-        // Create API endpoint performance data from audit statistics
-        const endpointData = [
-            {
-                method: 'GET',
-                path: '/api/audit-analytics/dashboard',
-                calls: Math.floor(auditStatistics.totalAuditLogs * 0.35),
-                avgDuration: Math.round(auditStatistics.avgExecutionDuration * 0.7),
-                successRate: 98.5,
-                status: 'Healthy'
-            },
-            {
-                method: 'POST',
-                path: '/api/audit-analytics/search',
-                calls: Math.floor(auditStatistics.totalAuditLogs * 0.25),
-                avgDuration: Math.round(auditStatistics.avgExecutionDuration * 1.3),
-                successRate: 97.2,
-                status: 'Healthy'
-            },
-            {
-                method: 'POST',
-                path: '/api/audit-analytics/audit-search',
-                calls: Math.floor(auditStatistics.totalAuditLogs * 0.20),
-                avgDuration: Math.round(auditStatistics.avgExecutionDuration * 1.1),
-                successRate: 96.8,
-                status: 'Healthy'
-            },
-            {
-                method: 'GET',
-                path: '/api/account/profile',
-                calls: auditStatistics.uniqueUsers * 12,
-                avgDuration: 45,
-                successRate: 99.1,
-                status: 'Excellent'
-            },
-            {
-                method: 'POST',
-                path: '/connect/token',
-                calls: auditStatistics.uniqueUsers * 8,
-                avgDuration: 120,
-                successRate: 94.5,
-                status: 'Warning'
-            },
-            {
-                method: 'GET',
-                path: '/api/user/permissions',
-                calls: auditStatistics.uniqueUsers * 6,
-                avgDuration: 35,
-                successRate: 99.5,
-                status: 'Excellent'
+    async loadApiEndpointStats() {
+        // Same range as the charts, so the endpoints panel follows zooming and the default window
+        const range = this.getDashboardRangeSearch();
+        try {
+            const endpoints = await this.api.get('/api/audit-analytics/endpoints', {
+                key: 'endpoints',
+                params: { count: 25, fromDate: range.fromDate, toDate: range.toDate }
+            });
+            console.log('API endpoint statistics loaded:', endpoints);
+            
+            this.paginationData.apiEndpointPerformance.data = endpoints || [];
+            this.paginationData.apiEndpointPerformance.currentPage = 1;
+            this.renderPaginatedContent('apiEndpointPerformance');
+        } catch (error) {
+            if (error.isAborted) return;
+            
+            console.error('Failed to load API endpoint statistics:', error);
+            const container = document.getElementById('apiEndpointsContainer');
+            if (container) {
+                container.innerHTML = '<div class="text-center text-danger p-4"><i class="fas fa-exclamation-triangle me-2"></i>Failed to load API endpoint statistics</div>';
             }
-        ];
-
-        this.paginationData.apiEndpointPerformance.data = endpointData;
-        this.paginationData.apiEndpointPerformance.currentPage = 1;
-        this.renderPaginatedContent('apiEndpointPerformance');
+        }
     }
     
     renderApiEndpointPerformanceHtml(endpoints) {
@@ -2360,30 +3905,39 @@ class LogAnalyticsDashboard {
         }
         
         return endpoints.map(endpoint => {
-            const statusClass = endpoint.status.toLowerCase();
-            const isHighTraffic = endpoint.calls > 50;
+            const statusBreakdown = Object.entries(endpoint.statusCodes || {})
+                .map(([code, count]) => `<span class="badge bg-${this.getHttpStatusBadgeColor(code)}" title="${count} calls returned ${code}">${code}: ${count}</span>`)
+                .join(' ');
             
             return `
                 <div class="log-entry">
                     <div class="d-flex justify-content-between align-items-start mb-2">
                         <div class="d-flex align-items-center gap-2">
-                            <span class="endpoint-method ${endpoint.method.toLowerCase()}">${endpoint.method}</span>
-                            ${isHighTraffic ? '<span class="badge bg-info">High Traffic</span>' : '<span class="badge bg-secondary">Standard</span>'}
-                            <span class="badge bg-${this.getStatusBadgeColor(endpoint.status)}">${endpoint.status}</span>
+                            <span class="endpoint-method ${endpoint.httpMethod.toLowerCase()}">${endpoint.httpMethod}</span>
+                            <span class="badge bg-${this.getStatusBadgeColor(endpoint.healthStatus)}">${endpoint.healthStatus}</span>
                         </div>
-                        <span class="log-timestamp">${endpoint.calls} calls</span>
+                        <span class="log-timestamp">${endpoint.callCount} calls</span>
                     </div>
-                    <div class="log-message">${this.escapeHtml(endpoint.path)}</div>
+                    <div class="log-message">${this.escapeHtml(endpoint.route)}</div>
                     <div class="log-meta">
-                        <span class="log-application"><i class="fas fa-clock"></i> ${endpoint.avgDuration}ms avg</span>
+                        <span class="log-application"><i class="fas fa-clock"></i> ${Math.round(endpoint.avgDuration)}ms avg</span>
+                        <span class="log-application"><i class="fas fa-arrow-up"></i> ${Math.round(endpoint.maxDuration)}ms max</span>
                         <span class="log-application"><i class="fas fa-check-circle"></i> ${endpoint.successRate}% success</span>
-                        <span class="log-timestamp">Performance: ${endpoint.status}</span>
                     </div>
+                    ${statusBreakdown ? `<div class="mt-1">${statusBreakdown}</div>` : ''}
                 </div>
             `;
         }).join('');
     }
     
+    getHttpStatusBadgeColor(statusCode) {
+        const code = parseInt(statusCode, 10);
+        if (code >= 500) return 'danger';
+        if (code >= 400) return 'warning';
+        if (code >= 300) return 'info';
+        return 'success';
+    }
+    
     getStatusBadgeColor(status) {
         switch (status.toLowerCase()) {
             case 'excellent': return 'success';
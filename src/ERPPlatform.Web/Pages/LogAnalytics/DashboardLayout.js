@@ -0,0 +1,257 @@
+/**
+ * Log Analytics Dashboard Layout - order, width, collapsed and hidden state of the dashboard widgets.
+ * Widgets are the .dashboard-widget children of the grid; the page markup is the default layout and
+ * each user's arrangement is saved on the server, so it follows them across browsers.
+ */
+
+class DashboardLayout {
+    static apiUrl = '/api/log-analytics/settings/dashboard-layout';
+
+    // Bootstrap column spans a widget can be resized through on large screens
+    static widths = [3, 4, 6, 8, 12];
+
+    constructor(grid) {
+        this.grid = grid;
+        this.isEditing = false;
+        this.saveTimer = null;
+        this.draggedWidget = null;
+
+        this.getWidgets().forEach(widget => this.addWidgetBar(widget));
+        this.defaultLayout = this.readLayout();
+
+        grid.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-layout-action]');
+            if (!button) return;
+
+            this.runAction(button.closest('.dashboard-widget'), button.dataset.layoutAction);
+        });
+        this.setupDragAndDrop();
+    }
+
+    getWidgets() {
+        return Array.from(this.grid.querySelectorAll(':scope > .dashboard-widget'));
+    }
+
+    addWidgetBar(widget) {
+        const bar = document.createElement('div');
+        bar.className = 'dashboard-widget-bar';
+        bar.innerHTML = `
+            <span class="dashboard-widget-handle layout-edit-only" title="Drag to move"><i class="fas fa-grip-vertical"></i></span>
+            <span class="dashboard-widget-title"></span>
+            <div class="btn-group btn-group-sm ms-auto">
+                <button type="button" class="btn btn-light layout-edit-only" data-layout-action="earlier" title="Move earlier"><i class="fas fa-arrow-left"></i></button>
+                <button type="button" class="btn btn-light layout-edit-only" data-layout-action="later" title="Move later"><i class="fas fa-arrow-right"></i></button>
+                <button type="button" class="btn btn-light layout-edit-only" data-layout-action="narrower" title="Narrower"><i class="fas fa-compress-alt"></i></button>
+                <button type="button" class="btn btn-light layout-edit-only" data-layout-action="wider" title="Wider"><i class="fas fa-expand-alt"></i></button>
+                <button type="button" class="btn btn-light" data-layout-action="collapse" title="Collapse"><i class="fas fa-chevron-up"></i></button>
+                <button type="button" class="btn btn-light layout-edit-only" data-layout-action="hide" title="Hide"><i class="fas fa-eye-slash"></i></button>
+            </div>
+        `;
+        bar.querySelector('.dashboard-widget-title').textContent = widget.dataset.widgetTitle || widget.dataset.widgetId;
+        widget.prepend(bar);
+    }
+
+    // Widgets in display order as saved on the server
+    readLayout() {
+        return {
+            widgets: this.getWidgets().map(widget => ({
+                id: widget.dataset.widgetId,
+                width: Number(widget.dataset.widgetWidth) || 12,
+                collapsed: widget.classList.contains('is-collapsed'),
+                hidden: widget.classList.contains('is-hidden')
+            }))
+        };
+    }
+
+    // Saved widgets no longer on the page are dropped; widgets added since keep their default order at the end
+    applyLayout(layout) {
+        const widgets = new Map(this.getWidgets().map(widget => [widget.dataset.widgetId, widget]));
+        const saved = (layout?.widgets || []).filter(item => widgets.has(item.id));
+        const savedIds = new Set(saved.map(item => item.id));
+        const items = [...saved, ...this.defaultLayout.widgets.filter(item => !savedIds.has(item.id))];
+
+        items.forEach(item => {
+            const widget = widgets.get(item.id);
+            this.grid.appendChild(widget);
+            this.setWidth(widget, item.width);
+            this.setCollapsed(widget, item.collapsed);
+            this.setHidden(widget, item.hidden);
+        });
+    }
+
+    async load() {
+        try {
+            const layout = await LogAnalyticsClient.shared.get(DashboardLayout.apiUrl, { key: 'dashboard-layout' });
+            if (layout.widgets.length > 0) {
+                this.applyLayout(layout);
+            }
+        } catch (error) {
+            console.warn('Dashboard layout could not be loaded, using the default:', error);
+        }
+    }
+
+    // Saves shortly after the last change, so resizing step by step sends one request
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(async () => {
+            try {
+                await LogAnalyticsClient.shared.put(DashboardLayout.apiUrl, this.readLayout(), { key: 'dashboard-layout' });
+            } catch (error) {
+                console.error('Error saving dashboard layout:', error);
+                abp.notify.error(error.message);
+            }
+        }, 500);
+    }
+
+    async reset() {
+        const confirmed = await abp.message.confirm('Reset the dashboard to the default layout?');
+        if (!confirmed) return;
+
+        clearTimeout(this.saveTimer);
+        try {
+            await LogAnalyticsClient.shared.delete(DashboardLayout.apiUrl, { key: 'dashboard-layout' });
+            this.applyLayout(this.defaultLayout);
+            abp.notify.info('Dashboard layout reset to the default');
+        } catch (error) {
+            console.error('Error resetting dashboard layout:', error);
+            abp.message.error(error.message);
+        }
+    }
+
+    // Hidden widgets are only shown while editing, so they can be brought back
+    setEditing(isEditing) {
+        this.isEditing = isEditing;
+        this.grid.classList.toggle('is-editing', isEditing);
+        return isEditing;
+    }
+
+    runAction(widget, action) {
+        if (!widget) return;
+
+        switch (action) {
+            case 'earlier':
+                this.move(widget, -1);
+                break;
+            case 'later':
+                this.move(widget, 1);
+                break;
+            case 'narrower':
+                this.resize(widget, -1);
+                break;
+            case 'wider':
+                this.resize(widget, 1);
+                break;
+            case 'collapse':
+                this.setCollapsed(widget, !widget.classList.contains('is-collapsed'));
+                break;
+            case 'hide':
+                this.setHidden(widget, !widget.classList.contains('is-hidden'));
+                break;
+            default:
+                return;
+        }
+
+        this.save();
+    }
+
+    move(widget, step) {
+        const widgets = this.getWidgets();
+        const target = widgets[widgets.indexOf(widget) + step];
+        if (!target) return;
+
+        this.grid.insertBefore(widget, step < 0 ? target : target.nextSibling);
+    }
+
+    resize(widget, step) {
+        const widths = DashboardLayout.widths;
+        const current = widths.findIndex(width => width >= Number(widget.dataset.widgetWidth));
+        const index = Math.min(Math.max((current === -1 ? widths.length - 1 : current) + step, 0), widths.length - 1);
+        this.setWidth(widget, widths[index]);
+    }
+
+    setWidth(widget, width) {
+        const span = Math.min(Math.max(Number(width) || 12, DashboardLayout.widths[0]), 12);
+        Array.from(widget.classList).forEach(className => {
+            if (/^col-lg-\d+$/.test(className)) widget.classList.remove(className);
+        });
+        widget.classList.add(`col-lg-${span}`);
+        widget.dataset.widgetWidth = String(span);
+    }
+
+    setCollapsed(widget, collapsed) {
+        widget.classList.toggle('is-collapsed', !!collapsed);
+
+        const button = widget.querySelector('[data-layout-action="collapse"]');
+        button.title = collapsed ? 'Expand' : 'Collapse';
+        button.querySelector('i').className = `fas ${collapsed ? 'fa-chevron-down' : 'fa-chevron-up'}`;
+    }
+
+    setHidden(widget, hidden) {
+        widget.classList.toggle('is-hidden', !!hidden);
+
+        const button = widget.querySelector('[data-layout-action="hide"]');
+        button.title = hidden ? 'Show' : 'Hide';
+        button.querySelector('i').className = `fas ${hidden ? 'fa-eye' : 'fa-eye-slash'}`;
+    }
+
+    // Widgets are only draggable by their handle, so charts and lists inside keep their own mouse handling
+    setupDragAndDrop() {
+        this.grid.addEventListener('mousedown', (event) => {
+            const handle = event.target.closest('.dashboard-widget-handle');
+            if (handle && this.isEditing) {
+                handle.closest('.dashboard-widget').draggable = true;
+            }
+        });
+
+        // A press on the handle that never became a drag leaves the widget as it was
+        this.grid.addEventListener('mouseup', () => {
+            this.getWidgets().forEach(widget => {
+                if (widget !== this.draggedWidget) widget.draggable = false;
+            });
+        });
+
+        this.grid.addEventListener('dragstart', (event) => {
+            const widget = event.target.closest('.dashboard-widget');
+            if (!widget?.draggable) return;
+
+            this.draggedWidget = widget;
+            widget.classList.add('is-dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', widget.dataset.widgetId);
+        });
+
+        this.grid.addEventListener('dragover', (event) => {
+            const dragged = this.draggedWidget;
+            const target = event.target.closest('.dashboard-widget');
+            if (!dragged || !target || target === dragged) return;
+
+            event.preventDefault();
+
+            // Full-width widgets are passed vertically, narrower ones side by side
+            const rect = target.getBoundingClientRect();
+            const isFullWidth = rect.width > this.grid.clientWidth * 0.9;
+            const before = isFullWidth
+                ? event.clientY < rect.top + rect.height / 2
+                : event.clientX < rect.left + rect.width / 2;
+            this.grid.insertBefore(dragged, before ? target : target.nextSibling);
+        });
+
+        this.grid.addEventListener('drop', (event) => {
+            if (this.draggedWidget) {
+                event.preventDefault();
+            }
+        });
+
+        this.grid.addEventListener('dragend', () => {
+            const widget = this.draggedWidget;
+            if (!widget) return;
+
+            widget.classList.remove('is-dragging');
+            widget.draggable = false;
+            this.draggedWidget = null;
+            this.save();
+        });
+    }
+}
+
+window.DashboardLayout = DashboardLayout;
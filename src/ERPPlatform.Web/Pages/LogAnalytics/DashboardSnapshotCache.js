@@ -0,0 +1,138 @@
+/**
+ * Dashboard Snapshot Cache - last successful dashboard payload per user and range, kept in IndexedDB.
+ * A dashboard renders it while its data loads and keeps showing it while the API is unavailable.
+ */
+
+class DashboardSnapshotCache {
+    static dbName = 'ERPPlatform.LogAnalytics';
+
+    static storeName = 'dashboardSnapshots';
+
+    static version = 1;
+
+    // Older snapshots are deleted rather than shown
+    static maxAge = 7 * 24 * 60 * 60 * 1000;
+
+    static database = null;
+
+    /**
+     * @param {string} dashboard - Name of the dashboard, so both dashboards can cache the same range
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+    }
+
+    // Resolves to null when the browser has no IndexedDB or blocks it, so callers only lose the cache
+    static open() {
+        if (!DashboardSnapshotCache.database) {
+            DashboardSnapshotCache.database = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DashboardSnapshotCache.dbName, DashboardSnapshotCache.version);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(DashboardSnapshotCache.storeName, { keyPath: 'key' });
+                    store.createIndex('savedAt', 'savedAt');
+                };
+                request.onsuccess = () => {
+                    resolve(request.result);
+                    DashboardSnapshotCache.prune(request.result);
+                };
+                request.onerror = () => {
+                    console.warn('Dashboard snapshot cache is unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return DashboardSnapshotCache.database;
+    }
+
+    // Snapshots are kept apart per tenant and user, so a shared browser never shows another user's data
+    getKey(range) {
+        const user = abp.currentUser;
+        return [user.tenantId || 'host', user.id, this.dashboard, range || 'default'].join('|');
+    }
+
+    /**
+     * Last snapshot of a range.
+     * @param {string} range - Describes the range, e.g. its query string; rolling windows should use a fixed name
+     * @returns {Promise<{data: object, savedAt: Date}|null>}
+     */
+    async get(range) {
+        if (!abp.currentUser.isAuthenticated) {
+            return null;
+        }
+
+        try {
+            const snapshot = await DashboardSnapshotCache.run('readonly', store => store.get(this.getKey(range)));
+            if (!snapshot || Date.now() - snapshot.savedAt > DashboardSnapshotCache.maxAge) {
+                return null;
+            }
+
+            return { data: snapshot.data, savedAt: new Date(snapshot.savedAt) };
+        } catch (error) {
+            console.warn('Dashboard snapshot could not be read:', error);
+            return null;
+        }
+    }
+
+    async put(range, data) {
+        if (!abp.currentUser.isAuthenticated) {
+            return;
+        }
+
+        try {
+            await DashboardSnapshotCache.run('readwrite', store => store.put({
+                key: this.getKey(range),
+                data: data,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            console.warn('Dashboard snapshot could not be saved:', error);
+        }
+    }
+
+    // e.g. "14:05", or "12 Oct 14:05" for snapshots of an earlier day
+    static formatSavedAt(savedAt) {
+        const time = savedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (savedAt.toDateString() === new Date().toDateString()) {
+            return time;
+        }
+
+        return `${savedAt.toLocaleDateString([], { day: 'numeric', month: 'short' })} ${time}`;
+    }
+
+    static async run(mode, action) {
+        const database = await DashboardSnapshotCache.open();
+        if (!database) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = action(database.transaction(DashboardSnapshotCache.storeName, mode).objectStore(DashboardSnapshotCache.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static prune(database) {
+        try {
+            const store = database.transaction(DashboardSnapshotCache.storeName, 'readwrite').objectStore(DashboardSnapshotCache.storeName);
+            const expired = IDBKeyRange.upperBound(Date.now() - DashboardSnapshotCache.maxAge);
+            store.index('savedAt').openCursor(expired).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        } catch (error) {
+            console.warn('Expired dashboard snapshots could not be deleted:', error);
+        }
+    }
+}
+
+window.DashboardSnapshotCache = DashboardSnapshotCache;
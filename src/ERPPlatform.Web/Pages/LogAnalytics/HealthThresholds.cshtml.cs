@@ -0,0 +1,13 @@
+using Microsoft.AspNetCore.Authorization;
+using Volo.Abp.AspNetCore.Mvc.UI.RazorPages;
+using ERPPlatform.Permissions;
+
+namespace ERPPlatform.Web.Pages.LogAnalytics;
+
+[Authorize(ERPPlatformPermissions.LogAnalytics.ManageConfiguration)]
+public class HealthThresholdsModel : AbpPageModel
+{
+    public void OnGet()
+    {
+    }
+}
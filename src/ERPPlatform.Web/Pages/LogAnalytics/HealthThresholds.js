@@ -0,0 +1,79 @@
+/**
+ * Health Thresholds - edits the tenant's response time levels and health thresholds
+ * that both dashboards and the server use to rate responses and system health.
+ */
+
+class HealthThresholdsPage {
+    constructor() {
+        this.fields = Object.keys(LogAnalyticsThresholds.defaults);
+
+        this.setupEventHandlers();
+        this.loadThresholds();
+    }
+
+    setupEventHandlers() {
+        $('#healthThresholdsForm').on('submit', (e) => {
+            e.preventDefault();
+            this.saveThresholds();
+        });
+
+        $('#resetThresholdsBtn').on('click', () => this.resetThresholds());
+    }
+
+    async loadThresholds() {
+        try {
+            this.fillForm(await LogAnalyticsClient.shared.get(LogAnalyticsThresholds.apiUrl));
+        } catch (error) {
+            console.error('Error loading thresholds:', error);
+            abp.message.error(error.message);
+        }
+    }
+
+    fillForm(thresholds) {
+        this.fields.forEach(field => $(`#${field}`).val(thresholds[field]));
+    }
+
+    readForm() {
+        const form = document.getElementById('healthThresholdsForm');
+        if (!form.checkValidity()) {
+            form.classList.add('was-validated');
+            return null;
+        }
+
+        form.classList.remove('was-validated');
+        return Object.fromEntries(this.fields.map(field => [field, Number($(`#${field}`).val())]));
+    }
+
+    async saveThresholds() {
+        const input = this.readForm();
+        if (!input) return;
+
+        const $saveButton = $('#saveThresholdsBtn').prop('disabled', true);
+        try {
+            this.fillForm(await LogAnalyticsClient.shared.put(LogAnalyticsThresholds.apiUrl, input));
+            abp.notify.success('Thresholds saved');
+        } catch (error) {
+            console.error('Error saving thresholds:', error);
+            abp.message.error(error.message);
+        } finally {
+            $saveButton.prop('disabled', false);
+        }
+    }
+
+    async resetThresholds() {
+        const confirmed = await abp.message.confirm('Reset all thresholds of this tenant to the defaults?');
+        if (!confirmed) return;
+
+        try {
+            this.fillForm(await LogAnalyticsClient.shared.delete(LogAnalyticsThresholds.apiUrl));
+            abp.notify.info('Thresholds reset to the defaults');
+        } catch (error) {
+            console.error('Error resetting thresholds:', error);
+            abp.message.error(error.message);
+        }
+    }
+}
+
+$(document).ready(() => {
+    window.healthThresholdsPage = new HealthThresholdsPage();
+});
@@ -0,0 +1,75 @@
+/**
+ * Log Analytics Latency Heatmap - request counts per time bucket (columns) and latency bucket (rows, slowest
+ * on top), shaded by count. Clicking a cell with requests calls onSelect with its time and latency indexes.
+ */
+
+class LatencyHeatmap {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect;
+        this.maxAxisLabels = options.maxAxisLabels || 12;
+        this.data = null;
+
+        container.addEventListener('click', (event) => {
+            const cell = event.target.closest('.latency-heatmap-cell');
+            if (!cell || !this.data || cell.dataset.count === '0' || !this.onSelect) {
+                return;
+            }
+
+            this.onSelect(Number(cell.dataset.time), Number(cell.dataset.latency));
+        });
+    }
+
+    render(data) {
+        this.data = data;
+        if (!data || data.timeBuckets.length === 0 || data.totalRequests === 0) {
+            this.container.innerHTML = '<div class="text-center text-muted p-4">No requests with a duration in this range</div>';
+            return;
+        }
+
+        const timeLabels = TrendBucket.formatLabels(data.timeBuckets, data.trendBucket);
+        const labelStep = Math.ceil(data.timeBuckets.length / this.maxAxisLabels);
+        const rows = data.latencyBuckets.map((_, index) => index).reverse();
+
+        const cells = rows.map(latencyIndex => {
+            const latency = data.latencyBuckets[latencyIndex];
+            const rowCells = data.timeBuckets.map((_, timeIndex) => {
+                const count = data.counts[timeIndex][latencyIndex];
+                const title = `${timeLabels[timeIndex]} · ${latency.label}: ${count.toLocaleString()} request${count === 1 ? '' : 's'}`;
+                return `<div class="latency-heatmap-cell${count > 0 ? ' has-requests' : ''}" style="background-color: ${this.getColor(count, data.maxCount)}"
+                             data-time="${timeIndex}" data-latency="${latencyIndex}" data-count="${count}" title="${title}"></div>`;
+            });
+            return `<div class="latency-heatmap-label">${latency.label}</div>${rowCells.join('')}`;
+        });
+
+        const axis = timeLabels.map((label, index) =>
+            `<div class="latency-heatmap-axis">${index % labelStep === 0 ? label : ''}</div>`);
+
+        const note = data.isSampled
+            ? `Based on the latest ${data.totalRequests.toLocaleString()} requests in this range`
+            : `${data.totalRequests.toLocaleString()} requests`;
+
+        this.container.innerHTML = `
+            <div class="latency-heatmap-grid" style="grid-template-columns: auto repeat(${data.timeBuckets.length}, minmax(0, 1fr))">
+                ${cells.join('')}
+                <div></div>${axis.join('')}
+            </div>
+            <div class="d-flex justify-content-between small text-muted mt-2">
+                <span>${note} · ${TrendBucket.describe(data.trendBucket)} columns</span>
+                <span>Click a cell to list its requests</span>
+            </div>
+        `;
+    }
+
+    // Square root scale, so a few busy buckets do not wash out the rest of the grid
+    getColor(count, maxCount) {
+        if (count === 0 || maxCount === 0) {
+            return 'transparent';
+        }
+
+        const alpha = 0.15 + 0.85 * Math.sqrt(count / maxCount);
+        return `rgba(13, 110, 253, ${alpha.toFixed(2)})`;
+    }
+}
+
+window.LatencyHeatmap = LatencyHeatmap;
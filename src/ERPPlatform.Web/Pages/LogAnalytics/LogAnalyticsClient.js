@@ -0,0 +1,294 @@
+/**
+ * Log Analytics Client - request layer of both dashboards and the log analytics pages. Sends the ABP AJAX and
+ * antiforgery headers, gives every request a timeout, retries GETs with backoff and cancels a keyed request
+ * when a newer one with the same key is sent. Every failure is thrown as a LogAnalyticsRequestError.
+ */
+
+class LogAnalyticsRequestError extends Error {
+    /**
+     * @param {string} message - Server message for HTTP errors, otherwise a description of what went wrong
+     * @param {object} info - kind ('http', 'timeout', 'network', 'aborted' or 'parse'), status, code, details, url, method
+     */
+    constructor(message, { kind = 'http', status = 0, code = null, details = null, url = '', method = 'GET' } = {}) {
+        super(message);
+        this.name = 'LogAnalyticsRequestError';
+        this.kind = kind;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.url = url;
+        this.method = method;
+    }
+
+    // A newer request with the same key replaced this one, or it was cancelled; nothing to show
+    get isAborted() {
+        return this.kind === 'aborted';
+    }
+
+    get isTimeout() {
+        return this.kind === 'timeout';
+    }
+}
+
+class LogAnalyticsClient {
+    static defaults = {
+        timeout: 30000,
+        retries: 2,
+        retryDelay: 500
+    };
+
+    // Responses worth another attempt; other errors would fail the same way again
+    static retryableStatuses = [408, 429, 502, 503, 504];
+
+    constructor(options = {}) {
+        this.options = { ...LogAnalyticsClient.defaults, ...options };
+        this.controllers = new Map();
+    }
+
+    get(url, options = {}) {
+        return this.request(url, { ...options, method: 'GET' });
+    }
+
+    post(url, body, options = {}) {
+        return this.request(url, { ...options, method: 'POST', body: body });
+    }
+
+    put(url, body, options = {}) {
+        return this.request(url, { ...options, method: 'PUT', body: body });
+    }
+
+    delete(url, options = {}) {
+        return this.request(url, { ...options, method: 'DELETE' });
+    }
+
+    /**
+     * Sends a request and reads its response.
+     * @param {string} url - Endpoint URL, optionally with a query string
+     * @param {object} options
+     * @param {string} [options.method] - HTTP method, GET by default
+     * @param {object|URLSearchParams} [options.params] - Query parameters; null, undefined and '' values are left out
+     * @param {*} [options.body] - Sent as JSON
+     * @param {string} [options.key] - Requests sharing a key supersede each other; the older one is aborted
+     * @param {number} [options.timeout] - Milliseconds per attempt; 0 waits indefinitely
+     * @param {number} [options.retries] - Extra attempts; GETs default to the client's retries, other methods to none
+     * @param {string} [options.responseType] - 'json' (null for an empty body), 'blob' or 'text'
+     */
+    async request(url, { method = 'GET', params = null, body = undefined, key = null, timeout = this.options.timeout,
+        retries = undefined, responseType = 'json' } = {}) {
+        const requestUrl = LogAnalyticsClient.buildUrl(url, params);
+        const maxRetries = retries ?? (method === 'GET' ? this.options.retries : 0);
+
+        if (key) {
+            this.cancel(key);
+        }
+        const controller = new AbortController();
+        if (key) {
+            this.controllers.set(key, controller);
+        }
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.send(requestUrl, { method, body, timeout, responseType, signal: controller.signal });
+                } catch (error) {
+                    if (attempt >= maxRetries || !this.isRetryable(error)) {
+                        throw error;
+                    }
+
+                    console.warn(`Retrying ${method} ${requestUrl} after:`, error.message);
+                    await this.wait(this.getRetryDelay(attempt), controller.signal, requestUrl, method);
+                }
+            }
+        } finally {
+            if (key && this.controllers.get(key) === controller) {
+                this.controllers.delete(key);
+            }
+        }
+    }
+
+    // One attempt; its own controller lets the timeout abort it without cancelling the retries
+    async send(url, { method, body, timeout, responseType, signal }) {
+        const attempt = new AbortController();
+        const abort = () => attempt.abort();
+        signal.addEventListener('abort', abort);
+
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                attempt.abort();
+            }, timeout)
+            : null;
+
+        let response = null;
+        try {
+            if (signal.aborted) {
+                attempt.abort();
+            }
+
+            response = await fetch(url, {
+                method: method,
+                headers: this.getHeaders(method, body),
+                credentials: 'include',
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: attempt.signal
+            });
+
+            if (!response.ok) {
+                throw await this.createHttpError(response, url, method);
+            }
+
+            return await this.readBody(response, responseType);
+        } catch (error) {
+            if (error instanceof LogAnalyticsRequestError) {
+                throw error;
+            }
+
+            const info = { url, method, status: response?.status || 0 };
+            if (timedOut) {
+                throw new LogAnalyticsRequestError(`The server did not respond within ${Math.round(timeout / 1000)} seconds`, { ...info, kind: 'timeout' });
+            }
+            if (signal.aborted) {
+                throw new LogAnalyticsRequestError('The request was cancelled', { ...info, kind: 'aborted' });
+            }
+            if (response) {
+                throw new LogAnalyticsRequestError('The server response could not be read', { ...info, kind: 'parse' });
+            }
+            throw new LogAnalyticsRequestError('The server could not be reached', { ...info, kind: 'network' });
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
+        }
+    }
+
+    getHeaders(method, body) {
+        // Makes ABP answer with JSON errors instead of redirecting to the login page
+        const headers = { 'X-Requested-With': 'XMLHttpRequest' };
+
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (method !== 'GET') {
+            const token = LogAnalyticsClient.getAntiforgeryToken();
+            if (token) {
+                headers['RequestVerificationToken'] = token;
+            }
+        }
+
+        return headers;
+    }
+
+    async readBody(response, responseType) {
+        if (responseType === 'blob') {
+            return response.blob();
+        }
+
+        const text = await response.text();
+        if (responseType === 'text') {
+            return text;
+        }
+
+        return text ? JSON.parse(text) : null;
+    }
+
+    // ABP errors are { error: { code, message, details, validationErrors } }
+    async createHttpError(response, url, method) {
+        const body = await response.json().catch(() => null);
+        const error = body?.error;
+        const validation = (error?.validationErrors || []).map(item => item.message).filter(Boolean);
+
+        return new LogAnalyticsRequestError(error?.message || `HTTP error! status: ${response.status}`, {
+            kind: 'http',
+            status: response.status,
+            code: error?.code || null,
+            details: [error?.details, ...validation].filter(Boolean).join('\n') || null,
+            url: url,
+            method: method
+        });
+    }
+
+    isRetryable(error) {
+        return error.kind === 'network' || error.kind === 'timeout' ||
+            (error.kind === 'http' && LogAnalyticsClient.retryableStatuses.includes(error.status));
+    }
+
+    // Exponential backoff with jitter, so clients that failed together do not retry together
+    getRetryDelay(attempt) {
+        const delay = this.options.retryDelay * Math.pow(2, attempt);
+        return delay + Math.floor(Math.random() * this.options.retryDelay);
+    }
+
+    wait(delay, signal, url, method) {
+        return new Promise((resolve, reject) => {
+            const cancelled = () => new LogAnalyticsRequestError('The request was cancelled', { kind: 'aborted', url, method });
+            if (signal.aborted) {
+                reject(cancelled());
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', abort);
+                resolve();
+            }, delay);
+            const abort = () => {
+                clearTimeout(timer);
+                reject(cancelled());
+            };
+            signal.addEventListener('abort', abort, { once: true });
+        });
+    }
+
+    cancel(key) {
+        const controller = this.controllers.get(key);
+        if (controller) {
+            controller.abort();
+            this.controllers.delete(key);
+        }
+    }
+
+    cancelAll() {
+        this.controllers.forEach(controller => controller.abort());
+        this.controllers.clear();
+    }
+
+    static buildUrl(url, params) {
+        if (!params) {
+            return url;
+        }
+
+        const query = new URLSearchParams();
+        const entries = params instanceof URLSearchParams ? params.entries() : Object.entries(params);
+        for (const [name, value] of entries) {
+            if (value !== null && value !== undefined && value !== '') {
+                query.append(name, value);
+            }
+        }
+
+        const queryString = query.toString();
+        return queryString ? `${url}${url.includes('?') ? '&' : '?'}${queryString}` : url;
+    }
+
+    // The pages render the token with Html.AntiForgeryToken(); ABP also keeps it in the XSRF-TOKEN cookie
+    static getAntiforgeryToken() {
+        const input = document.querySelector('input[name="__RequestVerificationToken"]');
+        if (input?.value) {
+            return input.value;
+        }
+
+        const meta = document.querySelector('meta[name="__RequestVerificationToken"]');
+        if (meta?.content) {
+            return meta.content;
+        }
+
+        const cookie = document.cookie
+            .split('; ')
+            .find(row => row.startsWith('XSRF-TOKEN='));
+        return cookie ? decodeURIComponent(cookie.substring('XSRF-TOKEN='.length)) : null;
+    }
+}
+
+// Used by the modules shared between the pages; each dashboard has its own client
+LogAnalyticsClient.shared = new LogAnalyticsClient();
+
+window.LogAnalyticsRequestError = LogAnalyticsRequestError;
+window.LogAnalyticsClient = LogAnalyticsClient;
@@ -0,0 +1,69 @@
+/**
+ * Log Analytics Thresholds - response time levels and health thresholds of the current tenant.
+ * Mirrors LogAnalyticsThresholdsDto so both dashboards rate health and response times like the server.
+ */
+
+class LogAnalyticsThresholds {
+    static apiUrl = '/api/log-analytics/settings/thresholds';
+
+    // LogAnalyticsDashboardConstants.HealthThresholds; used when the tenant's values cannot be loaded
+    static defaults = {
+        excellentResponseTime: 100,
+        goodResponseTime: 500,
+        fairResponseTime: 1000,
+        slowOperationThreshold: 5000,
+        errorRateWarning: 5,
+        errorRateCritical: 10,
+        errorCountWarning: 0,
+        errorCountCritical: 5,
+        slowOperationsWarning: 0,
+        slowOperationsCritical: 10,
+        avgResponseTimeWarning: 1000,
+        avgResponseTimeCritical: 5000
+    };
+
+    constructor(values = {}) {
+        Object.assign(this, LogAnalyticsThresholds.defaults, values);
+    }
+
+    static async load() {
+        try {
+            return new LogAnalyticsThresholds(await LogAnalyticsClient.shared.get(LogAnalyticsThresholds.apiUrl));
+        } catch (error) {
+            console.warn('Thresholds could not be loaded, using the defaults:', error);
+            return new LogAnalyticsThresholds();
+        }
+    }
+
+    isSlowOperation(duration) {
+        return duration > this.slowOperationThreshold;
+    }
+
+    // Excellent, Good, Fair, Slow or Critical
+    getPerformanceLevel(duration) {
+        if (duration <= this.excellentResponseTime) return 'Excellent';
+        if (duration <= this.goodResponseTime) return 'Good';
+        if (duration <= this.fairResponseTime) return 'Fair';
+        if (duration <= this.slowOperationThreshold) return 'Slow';
+        return 'Critical';
+    }
+
+    // Healthy, Warning or Critical; metrics left null are not considered
+    getHealthStatus({ errorCount = null, errorRate = null, slowOperations = null, avgResponseTime = 0 } = {}) {
+        const exceeds = (value, threshold) => value !== null && value !== undefined && value > threshold;
+
+        if (exceeds(errorCount, this.errorCountCritical) || exceeds(errorRate, this.errorRateCritical) ||
+            exceeds(slowOperations, this.slowOperationsCritical) || exceeds(avgResponseTime, this.avgResponseTimeCritical)) {
+            return 'Critical';
+        }
+
+        if (exceeds(errorCount, this.errorCountWarning) || exceeds(errorRate, this.errorRateWarning) ||
+            exceeds(slowOperations, this.slowOperationsWarning) || exceeds(avgResponseTime, this.avgResponseTimeWarning)) {
+            return 'Warning';
+        }
+
+        return 'Healthy';
+    }
+}
+
+window.LogAnalyticsThresholds = LogAnalyticsThresholds;
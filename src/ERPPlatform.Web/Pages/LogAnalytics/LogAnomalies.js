@@ -0,0 +1,100 @@
+/**
+ * Log Analytics Anomalies - hours in which an application logged far more or fewer entries of a level than in
+ * the same hour of the previous weeks. Loads them for a range and marks them on the trend charts of both dashboards.
+ */
+
+class LogAnomalies {
+    static apiUrl = '/api/log-analytics/anomalies';
+
+    static markerLabel = 'Anomalies';
+
+    // A newer load through the same client cancels the previous one
+    static load(fromDate, toDate, client = LogAnalyticsClient.shared) {
+        return client.get(LogAnomalies.apiUrl, {
+            key: 'anomalies',
+            params: {
+                fromDate: fromDate ? new Date(fromDate).toISOString() : null,
+                toDate: toDate ? new Date(toDate).toISOString() : null
+            }
+        });
+    }
+
+    // Index of the first trend bucket overlapping the anomaly's hour, or -1 when the chart does not show it
+    static findBucketIndex(bucketStarts, bucket, hour) {
+        const from = new Date(hour).getTime();
+        const to = from + TrendBucket.getSize('1h');
+        const size = TrendBucket.getSize(bucket);
+
+        return bucketStarts.findIndex(start => {
+            const bucketStart = new Date(start).getTime();
+            return bucketStart < to && bucketStart + size > from;
+        });
+    }
+
+    /**
+     * Chart.js dataset with a triangle on each trend bucket that has anomalies. Error anomalies sit on the
+     * errors series, the rest on the totals; the dataset's anomalyLabels feed tooltipLabel.
+     */
+    static getMarkerDataset(anomalies, bucketStarts, bucket, { totals, errors }) {
+        const data = bucketStarts.map(() => null);
+        const anomalyLabels = bucketStarts.map(() => []);
+
+        (anomalies || []).forEach(anomaly => {
+            const index = LogAnomalies.findBucketIndex(bucketStarts, bucket, anomaly.hour);
+            if (index === -1) return;
+
+            const series = anomaly.level === 'Error' ? errors : totals;
+            data[index] = Math.max(data[index] ?? 0, series[index] || 0);
+            anomalyLabels[index].push(LogAnomalies.describe(anomaly));
+        });
+
+        return {
+            label: LogAnomalies.markerLabel,
+            data: data,
+            anomalyLabels: anomalyLabels,
+            showLine: false,
+            pointStyle: 'triangle',
+            pointRadius: 8,
+            pointHoverRadius: 10,
+            borderColor: '#fd7e14',
+            backgroundColor: '#fd7e14',
+            yAxisID: 'y'
+        };
+    }
+
+    // Swaps the markers of a drawn chart once the anomalies of its range have loaded
+    static replaceMarkers(chart, dataset) {
+        if (!chart) return;
+
+        const index = chart.data.datasets.findIndex(item => item.label === LogAnomalies.markerLabel);
+        if (index === -1) {
+            chart.data.datasets.push(dataset);
+        } else {
+            chart.data.datasets[index] = dataset;
+        }
+        chart.update('none');
+    }
+
+    // Tooltip label callback that lists the anomalies of a marker instead of its value
+    static tooltipLabel(context) {
+        const labels = context.dataset.anomalyLabels;
+        if (labels) {
+            return labels[context.dataIndex];
+        }
+
+        return `${context.dataset.label}: ${context.formattedValue}`;
+    }
+
+    static isSpike(anomaly) {
+        return anomaly.direction === 'Spike';
+    }
+
+    // e.g. "Spike: ERPPlatform.Web Error 120 (expected ~8, 14.2σ)"
+    static describe(anomaly) {
+        const expected = Math.round(anomaly.expectedCount).toLocaleString();
+        return `${anomaly.direction}: ${anomaly.application} ${anomaly.level} ${anomaly.count.toLocaleString()} ` +
+            `(expected ~${expected}, ${Math.abs(anomaly.score)}σ)`;
+    }
+}
+
+window.LogAnomalies = LogAnomalies;
@@ -0,0 +1,89 @@
+/**
+ * Log Analytics Anomaly Panel - lists the anomalies of a range with their top message templates and endpoints.
+ * Clicking an anomaly calls onSelect with it, so the dashboard can list the logs of that hour.
+ */
+
+class LogAnomalyPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect;
+        this.anomalies = [];
+
+        container.addEventListener('click', (event) => {
+            const item = event.target.closest('.log-anomaly-item');
+            if (!item || !this.onSelect) {
+                return;
+            }
+
+            this.onSelect(this.anomalies[Number(item.dataset.index)]);
+        });
+    }
+
+    render(result) {
+        this.anomalies = result?.anomalies || [];
+        if (this.anomalies.length === 0) {
+            this.container.innerHTML = '<div class="text-center text-muted p-4">No unusual log volume in this range</div>';
+            return;
+        }
+
+        const items = this.anomalies.map((anomaly, index) => `
+            <div class="log-anomaly-item" data-index="${index}" title="List the ${LogAnomalyPanel.escapeHtml(anomaly.level)} logs of this hour">
+                <div class="d-flex justify-content-between align-items-start gap-2">
+                    <div>
+                        <span class="badge ${LogAnomalies.isSpike(anomaly) ? 'bg-danger' : 'bg-secondary'}">${anomaly.direction}</span>
+                        <strong>${LogAnomalyPanel.escapeHtml(anomaly.application)}</strong> · ${LogAnomalyPanel.escapeHtml(anomaly.level)}
+                    </div>
+                    <small class="text-muted text-nowrap">${TrendBucket.formatLabel(anomaly.hour, '1h', true)}</small>
+                </div>
+                <div class="small mt-1">
+                    ${anomaly.count.toLocaleString()} entries, expected ~${Math.round(anomaly.expectedCount).toLocaleString()}
+                    <span class="text-muted">(${Math.abs(anomaly.score)}σ over ${anomaly.baselineWeeks} weeks)</span>
+                </div>
+                ${this.renderContributors('Templates', anomaly.topMessageTemplates)}
+                ${this.renderContributors('Endpoints', anomaly.topEndpoints)}
+            </div>
+        `);
+
+        this.container.innerHTML = `
+            <div class="log-anomaly-list">${items.join('')}</div>
+            <div class="small text-muted mt-2">
+                Compared with the same hour of the previous ${result.baselineWeeks} weeks · Click an anomaly to list its logs
+            </div>
+        `;
+    }
+
+    renderContributors(title, contributors) {
+        if (!contributors || contributors.length === 0) {
+            return '';
+        }
+
+        const rows = contributors.map(contributor => `
+            <li class="text-truncate" title="${LogAnomalyPanel.escapeHtml(contributor.value)}">
+                <span class="badge bg-light text-dark border me-1">${contributor.count.toLocaleString()}</span>${LogAnomalyPanel.escapeHtml(contributor.value)}
+            </li>
+        `);
+
+        return `
+            <div class="log-anomaly-contributors">
+                <div class="text-muted">${title}</div>
+                <ul class="list-unstyled mb-0">${rows.join('')}</ul>
+            </div>
+        `;
+    }
+
+    renderError(message) {
+        this.anomalies = [];
+        this.container.innerHTML = `<div class="text-center text-danger p-4">${LogAnomalyPanel.escapeHtml(message)}</div>`;
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+window.LogAnomalyPanel = LogAnomalyPanel;
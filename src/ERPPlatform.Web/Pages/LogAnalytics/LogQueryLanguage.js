@@ -0,0 +1,620 @@
+/**
+ * Log Analytics Query Language - parses search bar text such as
+ *   level:Error app:HttpApi.Host path:/api/orders* duration>500 user:alice "timeout"
+ * into the log, audit and alert rule search requests used by the dashboards, and back again.
+ */
+
+class LogQueryLanguage {
+    // Field definitions per search scope; "target" is the search request property the field fills
+    static get schemas() {
+        return {
+            logs: {
+                freeText: 'searchText',
+                fields: {
+                    level: { target: 'logLevels', type: 'list', values: ['Information', 'Warning', 'Error', 'Critical'], aliases: ['lvl'], description: 'Log level, comma separated' },
+                    app: { target: 'applications', type: 'list', valuesKey: 'applications', aliases: ['application'], description: 'Application name, comma separated' },
+                    path: { target: 'pathPrefix', type: 'prefix', description: 'Request path prefix, e.g. /api/orders*' },
+                    user: { target: 'userId', type: 'string', description: 'User ID or user name' },
+                    duration: { target: ['minDuration', 'maxDuration'], type: 'number', unit: 'milliseconds', description: 'Duration in ms, e.g. duration>500' },
+                    from: { target: 'fromDate', type: 'date', dateFormat: 'datetime', description: 'Start, e.g. from:2025-01-31 or from:-1h' },
+                    to: { target: 'toDate', type: 'date', dateFormat: 'datetime', endOfDay: true, description: 'End, e.g. to:2025-01-31 or to:-15m' }
+                }
+            },
+            audit: {
+                freeText: null,
+                fields: {
+                    user: { target: 'userId', type: 'string', description: 'User ID or user name' },
+                    service: { target: 'serviceName', type: 'string', description: 'Service name contains' },
+                    method: { target: 'methodName', type: 'string', description: 'Method name contains' },
+                    http: { target: 'httpMethod', type: 'enum', values: ['GET', 'POST', 'PUT', 'DELETE'], aliases: ['verb'], description: 'HTTP method' },
+                    ip: { target: 'clientIp', type: 'string', description: 'Client IP contains' },
+                    exception: { target: 'hasException', type: 'boolean', values: ['true', 'false'], aliases: ['error'], description: 'Only requests with (true) or without (false) exceptions' },
+                    duration: { target: ['minDuration', 'maxDuration'], type: 'number', unit: 'milliseconds', description: 'Duration in ms, e.g. duration>500' },
+                    from: { target: 'fromDate', type: 'date', dateFormat: 'date', description: 'Start date, e.g. from:2025-01-31 or from:-7d' },
+                    to: { target: 'toDate', type: 'date', dateFormat: 'date', endOfDay: true, description: 'End date, e.g. to:2025-01-31' }
+                }
+            },
+            // Serilog entries matched by alert rules; the window comes from the rule, so there are no dates
+            alerts: {
+                freeText: 'searchText',
+                fields: {
+                    level: { target: 'logLevels', type: 'list', values: ['Verbose', 'Debug', 'Information', 'Warning', 'Error', 'Fatal'], aliases: ['lvl'], description: 'Log level, comma separated' },
+                    app: { target: 'application', type: 'string', valuesKey: 'applications', aliases: ['application'], description: 'Application name' },
+                    path: { target: 'pathPrefix', type: 'prefix', description: 'Request path prefix, e.g. /api/orders*' },
+                    method: { target: 'httpMethod', type: 'enum', values: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], aliases: ['http', 'verb'], description: 'HTTP method' },
+                    status: { target: ['minStatusCode', 'maxStatusCode'], type: 'number', description: 'Response status code, e.g. status>=500' },
+                    duration: { target: ['minDuration', 'maxDuration'], type: 'number', unit: 'milliseconds', description: 'Duration in ms, e.g. duration>500' },
+                    user: { target: 'userId', type: 'string', description: 'User ID or user name' },
+                    exception: { target: 'hasException', type: 'boolean', values: ['true', 'false'], aliases: ['error'], description: 'Only entries with (true) or without (false) exceptions' }
+                }
+            }
+        };
+    }
+
+    static getSchema(scope) {
+        const schema = LogQueryLanguage.schemas[scope];
+        if (!schema) {
+            throw new Error(`Unknown query scope: ${scope}`);
+        }
+        return schema;
+    }
+
+    // Resolves a field name or alias to its canonical name
+    static resolveField(scope, name) {
+        const fields = LogQueryLanguage.getSchema(scope).fields;
+        const lowerName = (name || '').toLowerCase();
+
+        return Object.keys(fields).find(field =>
+            field === lowerName || (fields[field].aliases || []).includes(lowerName)) || null;
+    }
+
+    /**
+     * Splits a query into terms: field terms ({ field, operator, value }) and free text terms ({ text }).
+     * Each term records its start/end offsets so errors and autocomplete can point at it.
+     */
+    static tokenize(query) {
+        const terms = [];
+        const errors = [];
+        const text = query || '';
+        let position = 0;
+
+        const readValue = (start) => {
+            if (text[start] === '"') {
+                let index = start + 1;
+                let value = '';
+                while (index < text.length && text[index] !== '"') {
+                    if (text[index] === '\\' && index + 1 < text.length) {
+                        index++;
+                    }
+                    value += text[index];
+                    index++;
+                }
+
+                if (index >= text.length) {
+                    errors.push({ message: `Missing closing quote for the value starting at position ${start + 1}`, start: start, end: text.length });
+                    return { value: value, end: text.length, quoted: true };
+                }
+                return { value: value, end: index + 1, quoted: true };
+            }
+
+            let index = start;
+            while (index < text.length && !/\s/.test(text[index])) {
+                index++;
+            }
+            return { value: text.slice(start, index), end: index, quoted: false };
+        };
+
+        while (position < text.length) {
+            if (/\s/.test(text[position])) {
+                position++;
+                continue;
+            }
+
+            const start = position;
+            const fieldMatch = /^([A-Za-z_]+)(>=|<=|:|=|>|<)/.exec(text.slice(position));
+
+            if (fieldMatch) {
+                const valueStart = position + fieldMatch[0].length;
+                const { value, end, quoted } = readValue(valueStart);
+                terms.push({
+                    field: fieldMatch[1],
+                    operator: fieldMatch[2],
+                    value: value,
+                    quoted: quoted,
+                    start: start,
+                    end: end
+                });
+                position = end;
+            } else {
+                const { value, end, quoted } = readValue(position);
+                terms.push({ text: value, quoted: quoted, start: start, end: end });
+                position = end;
+            }
+        }
+
+        return { terms, errors };
+    }
+
+    /**
+     * Parses a query into a search request for the scope ('logs', 'audit' or 'alerts').
+     * Returns { request, errors }; each error has a message and the offsets of the offending term.
+     */
+    static parse(query, scope, options = {}) {
+        const schema = LogQueryLanguage.getSchema(scope);
+        const { terms, errors } = LogQueryLanguage.tokenize(query);
+        const request = {};
+        const freeText = [];
+        const now = options.now || new Date();
+
+        terms.forEach(term => {
+            if (term.text !== undefined) {
+                if (!schema.freeText) {
+                    errors.push({
+                        message: `Free text "${term.text}" is not supported here. Use a field such as ${Object.keys(schema.fields).slice(0, 3).map(f => f + ':').join(', ')}`,
+                        start: term.start,
+                        end: term.end
+                    });
+                    return;
+                }
+                if (term.text !== '') {
+                    freeText.push(term.text);
+                }
+                return;
+            }
+
+            const fieldName = LogQueryLanguage.resolveField(scope, term.field);
+            if (!fieldName) {
+                errors.push({
+                    message: `Unknown field "${term.field}". Available fields: ${Object.keys(schema.fields).join(', ')}`,
+                    start: term.start,
+                    end: term.end
+                });
+                return;
+            }
+
+            const field = schema.fields[fieldName];
+            const error = LogQueryLanguage.applyTerm(request, fieldName, field, term, options, now);
+            if (error) {
+                errors.push({ message: error, start: term.start, end: term.end });
+            }
+        });
+
+        if (freeText.length > 0) {
+            request[schema.freeText] = freeText.join(' ');
+        }
+
+        if (request.fromDate && request.toDate && request.fromDate > request.toDate) {
+            errors.push({ message: 'The from date is after the to date', start: 0, end: (query || '').length });
+        }
+
+        return { request, errors };
+    }
+
+    // Applies one field term to the request; returns an error message or null
+    static applyTerm(request, fieldName, field, term, options, now) {
+        const value = term.value.trim();
+        const isComparison = term.operator !== ':' && term.operator !== '=';
+
+        if (value === '') {
+            return `Missing value for "${term.field}${term.operator}"`;
+        }
+
+        if (isComparison && field.type !== 'number') {
+            return `"${fieldName}" does not support "${term.operator}"; use ${fieldName}:value`;
+        }
+
+        switch (field.type) {
+            case 'list': {
+                const knownValues = LogQueryLanguage.getKnownValues(field, options);
+                const values = value.split(',').map(item => item.trim()).filter(item => item !== '');
+                const resolved = [];
+
+                for (const item of values) {
+                    const match = knownValues.find(known => known.toLowerCase() === item.toLowerCase());
+                    if (field.values && !match) {
+                        return `Unknown ${fieldName} "${item}". Expected one of: ${field.values.join(', ')}`;
+                    }
+                    resolved.push(match || item);
+                }
+
+                request[field.target] = [...new Set([...(request[field.target] || []), ...resolved])];
+                return null;
+            }
+
+            case 'enum': {
+                const match = field.values.find(known => known.toLowerCase() === value.toLowerCase());
+                if (!match) {
+                    return `Unknown ${fieldName} "${value}". Expected one of: ${field.values.join(', ')}`;
+                }
+                request[field.target] = match;
+                return null;
+            }
+
+            case 'boolean': {
+                const lowerValue = value.toLowerCase();
+                if (['true', 'yes', '1'].includes(lowerValue)) {
+                    request[field.target] = true;
+                } else if (['false', 'no', '0'].includes(lowerValue)) {
+                    request[field.target] = false;
+                } else {
+                    return `"${fieldName}" must be true or false, not "${value}"`;
+                }
+                return null;
+            }
+
+            case 'prefix':
+                request[field.target] = value.endsWith('*') ? value.slice(0, -1) : value;
+                return null;
+
+            case 'number': {
+                if (!/^\d+$/.test(value)) {
+                    return `"${fieldName}" must be a whole number${field.unit ? ` of ${field.unit}` : ''}, not "${value}"`;
+                }
+
+                const number = parseInt(value, 10);
+                const unit = field.unit ? ` ${field.unit}` : '';
+                if (term.operator === '<' && number === 0) {
+                    return `"${fieldName}<0" matches nothing; ${fieldName} is never below 0${unit}`;
+                }
+
+                const [minTarget, maxTarget] = field.target;
+                switch (term.operator) {
+                    case '>': request[minTarget] = number + 1; break;
+                    case '>=': request[minTarget] = number; break;
+                    case '<': request[maxTarget] = number - 1; break;
+                    case '<=': request[maxTarget] = number; break;
+                    default:
+                        request[minTarget] = number;
+                        request[maxTarget] = number;
+                }
+
+                if (request[minTarget] !== undefined && request[maxTarget] !== undefined && request[minTarget] > request[maxTarget]) {
+                    return `"${term.field}${term.operator}${value}" leaves an empty ${fieldName} range: at least ${request[minTarget]}${unit} and at most ${request[maxTarget]}${unit}`;
+                }
+                return null;
+            }
+
+            case 'date': {
+                const date = LogQueryLanguage.parseDate(value, field, now);
+                if (!date) {
+                    return `"${fieldName}" must be a date (2025-01-31), a date and time (2025-01-31T14:30) or a relative time (-15m, -1h, -7d), not "${value}"`;
+                }
+                request[field.target] = date;
+                return null;
+            }
+
+            default:
+                request[field.target] = value;
+                return null;
+        }
+    }
+
+    static getKnownValues(field, options) {
+        if (field.values) {
+            return field.values;
+        }
+        return (field.valuesKey && options[field.valuesKey]) || [];
+    }
+
+    // Returns the date in the format the search form uses for the field, or null when invalid
+    static parseDate(value, field, now) {
+        const pad = (number) => String(number).padStart(2, '0');
+        const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const formatDateTime = (date) => `${formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+        const relative = /^-(\d+)([mhdw])$/i.exec(value);
+        if (relative) {
+            const unitMs = { m: 60000, h: 3600000, d: 86400000, w: 604800000 }[relative[2].toLowerCase()];
+            const date = new Date(now.getTime() - parseInt(relative[1], 10) * unitMs);
+            return field.dateFormat === 'date'
+                ? `${formatDate(date)}${field.endOfDay ? 'T23:59:59' : 'T00:00:00'}`
+                : formatDateTime(date);
+        }
+
+        const absolute = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/.exec(value);
+        if (!absolute) {
+            return null;
+        }
+
+        const [, year, month, day, hours, minutes] = absolute;
+        const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0));
+        if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+            return null;
+        }
+
+        if (field.dateFormat === 'date') {
+            return `${formatDate(date)}${field.endOfDay ? 'T23:59:59' : 'T00:00:00'}`;
+        }
+
+        if (hours === undefined) {
+            // An end date without a time means "until the end of that day", but never later than now
+            if (field.endOfDay) {
+                const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59);
+                return formatDateTime(endOfDay > now ? now : endOfDay);
+            }
+            return `${formatDate(date)}T00:00`;
+        }
+        return formatDateTime(date);
+    }
+
+    /**
+     * Writes a search request back as query text so the search bar reflects searches made in the modal.
+     */
+    static format(request, scope) {
+        const schema = LogQueryLanguage.getSchema(scope);
+        const parts = [];
+        const quote = (value) => /[\s"]/.test(value) ? `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : value;
+
+        if (!request) {
+            return '';
+        }
+
+        Object.entries(schema.fields).forEach(([fieldName, field]) => {
+            if (field.type === 'number') {
+                const [minTarget, maxTarget] = field.target;
+                const min = request[minTarget];
+                const max = request[maxTarget];
+                if (min !== undefined && min !== null && min === max) {
+                    parts.push(`${fieldName}:${min}`);
+                    return;
+                }
+                if (min !== undefined && min !== null) parts.push(`${fieldName}>=${min}`);
+                if (max !== undefined && max !== null) parts.push(`${fieldName}<=${max}`);
+                return;
+            }
+
+            const value = request[field.target];
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return;
+            }
+
+            if (field.type === 'list') {
+                parts.push(`${fieldName}:${value.map(quote).join(',')}`);
+            } else if (field.type === 'prefix') {
+                // The wildcard goes inside the quotes so a quoted value reads back as one term
+                parts.push(`${fieldName}:${quote(`${value}*`)}`);
+            } else if (field.type === 'date' && field.dateFormat === 'date') {
+                parts.push(`${fieldName}:${String(value).slice(0, 10)}`);
+            } else {
+                parts.push(`${fieldName}:${quote(String(value))}`);
+            }
+        });
+
+        if (schema.freeText && request[schema.freeText]) {
+            parts.push(`"${String(request[schema.freeText]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Autocomplete suggestions for the term under the cursor.
+     * Returns { start, end, items: [{ label, insert, description }] } where start/end is the text range to replace.
+     */
+    static getSuggestions(query, cursor, scope, options = {}) {
+        const schema = LogQueryLanguage.getSchema(scope);
+        const text = query || '';
+
+        let start = cursor;
+        while (start > 0 && !/\s/.test(text[start - 1])) {
+            start--;
+        }
+        let end = cursor;
+        while (end < text.length && !/\s/.test(text[end])) {
+            end++;
+        }
+
+        const token = text.slice(start, cursor);
+        const fieldMatch = /^([A-Za-z_]+)(>=|<=|:|=|>|<)(.*)$/.exec(token);
+
+        if (!fieldMatch) {
+            if (token.startsWith('"')) {
+                return { start, end, items: [] };
+            }
+
+            const items = Object.entries(schema.fields)
+                .filter(([fieldName]) => fieldName.startsWith(token.toLowerCase()))
+                .map(([fieldName, field]) => ({
+                    label: `${fieldName}:`,
+                    insert: field.type === 'number' ? `${fieldName}>` : `${fieldName}:`,
+                    description: field.description,
+                    continues: true
+                }));
+            return { start, end, items: token === '' ? items : items.filter(item => item.label !== token) };
+        }
+
+        const fieldName = LogQueryLanguage.resolveField(scope, fieldMatch[1]);
+        const field = fieldName ? schema.fields[fieldName] : null;
+        if (!field) {
+            return { start, end, items: [] };
+        }
+
+        const knownValues = field.type === 'date'
+            ? ['-15m', '-1h', '-24h', '-7d']
+            : LogQueryLanguage.getKnownValues(field, options);
+
+        // For lists only the value after the last comma is completed
+        const valueText = fieldMatch[3];
+        const lastComma = field.type === 'list' ? valueText.lastIndexOf(',') : -1;
+        const completedPart = valueText.slice(0, lastComma + 1);
+        const partial = valueText.slice(lastComma + 1).replace(/^"/, '').toLowerCase();
+        const alreadyChosen = completedPart.split(',').map(item => item.toLowerCase());
+        const prefix = `${fieldMatch[1]}${fieldMatch[2]}${completedPart}`;
+
+        const items = knownValues
+            .filter(value => value.toLowerCase().startsWith(partial) && !alreadyChosen.includes(value.toLowerCase()))
+            .filter(value => value.toLowerCase() !== partial)
+            .slice(0, 20)
+            .map(value => ({
+                label: value,
+                insert: prefix + (/\s/.test(value) ? `"${value}"` : value),
+                description: field.description,
+                continues: false
+            }));
+
+        return { start, end, items };
+    }
+}
+
+/**
+ * Search bar input with autocomplete and inline error messages.
+ * onSubmit receives the parsed request; an empty query submits an empty request.
+ */
+class LogQueryBar {
+    constructor({ input, suggestions, error, scope, getOptions, onSubmit }) {
+        this.input = input;
+        this.suggestions = suggestions;
+        this.error = error;
+        this.scope = scope;
+        this.getOptions = getOptions || (() => ({}));
+        this.onSubmit = onSubmit;
+        this.activeIndex = -1;
+        this.currentSuggestions = null;
+
+        if (!this.input) {
+            return;
+        }
+
+        this.input.addEventListener('input', () => {
+            this.clearError();
+            this.updateSuggestions();
+        });
+        this.input.addEventListener('click', () => this.updateSuggestions());
+        this.input.addEventListener('keydown', (event) => this.onKeyDown(event));
+        this.input.addEventListener('blur', () => setTimeout(() => this.hideSuggestions(), 150));
+        this.suggestions.addEventListener('mousedown', (event) => {
+            const item = event.target.closest('[data-index]');
+            if (item) {
+                event.preventDefault();
+                this.acceptSuggestion(parseInt(item.dataset.index, 10));
+            }
+        });
+    }
+
+    setQuery(query) {
+        if (this.input) {
+            this.input.value = query || '';
+            this.clearError();
+        }
+    }
+
+    submit() {
+        this.hideSuggestions();
+        const { request, errors } = LogQueryLanguage.parse(this.input.value, this.scope, this.getOptions());
+
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return;
+        }
+
+        this.clearError();
+        this.onSubmit(request, this.input.value.trim());
+    }
+
+    onKeyDown(event) {
+        const items = this.currentSuggestions?.items || [];
+        const isOpen = this.suggestions.classList.contains('show') && items.length > 0;
+
+        if (event.key === 'ArrowDown' && isOpen) {
+            event.preventDefault();
+            this.setActiveIndex((this.activeIndex + 1) % items.length);
+        } else if (event.key === 'ArrowUp' && isOpen) {
+            event.preventDefault();
+            this.setActiveIndex((this.activeIndex - 1 + items.length) % items.length);
+        } else if ((event.key === 'Tab' || event.key === 'Enter') && isOpen && this.activeIndex >= 0) {
+            event.preventDefault();
+            this.acceptSuggestion(this.activeIndex);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.submit();
+        } else if (event.key === 'Escape') {
+            this.hideSuggestions();
+        }
+    }
+
+    updateSuggestions() {
+        const cursor = this.input.selectionStart ?? this.input.value.length;
+        this.currentSuggestions = LogQueryLanguage.getSuggestions(this.input.value, cursor, this.scope, this.getOptions());
+        this.activeIndex = -1;
+
+        const items = this.currentSuggestions.items;
+        if (items.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestions.innerHTML = items.map((item, index) => `
+            <li>
+                <a class="dropdown-item d-flex justify-content-between gap-3" href="#" data-index="${index}">
+                    <span class="font-monospace">${LogQueryBar.escapeHtml(item.label)}</span>
+                    <small class="text-muted text-truncate">${LogQueryBar.escapeHtml(item.description || '')}</small>
+                </a>
+            </li>
+        `).join('');
+        this.suggestions.classList.add('show');
+    }
+
+    setActiveIndex(index) {
+        this.activeIndex = index;
+        this.suggestions.querySelectorAll('[data-index]').forEach(element => {
+            element.classList.toggle('active', parseInt(element.dataset.index, 10) === index);
+        });
+    }
+
+    acceptSuggestion(index) {
+        const { start, end, items } = this.currentSuggestions;
+        const item = items[index];
+        if (!item) {
+            return;
+        }
+
+        const value = this.input.value;
+        const suffix = item.continues ? '' : ' ';
+        const rest = value.slice(end).replace(/^\s+/, '');
+        this.input.value = value.slice(0, start) + item.insert + suffix + rest;
+
+        const cursor = start + item.insert.length + suffix.length;
+        this.input.setSelectionRange(cursor, cursor);
+        this.input.focus();
+
+        if (item.continues) {
+            this.updateSuggestions();
+        } else {
+            this.hideSuggestions();
+        }
+    }
+
+    hideSuggestions() {
+        this.suggestions.classList.remove('show');
+        this.activeIndex = -1;
+    }
+
+    showErrors(errors) {
+        this.input.classList.add('is-invalid');
+        this.error.innerHTML = errors.map(error => LogQueryBar.escapeHtml(error.message)).join('<br>');
+
+        // Select the first offending term so it can be fixed directly
+        const first = errors[0];
+        if (first && first.end > first.start) {
+            this.input.focus();
+            this.input.setSelectionRange(first.start, first.end);
+        }
+    }
+
+    clearError() {
+        this.input.classList.remove('is-invalid');
+        this.error.innerHTML = '';
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+window.LogQueryLanguage = LogQueryLanguage;
+window.LogQueryBar = LogQueryBar;
@@ -0,0 +1,152 @@
+/**
+ * Log Analytics Trace View - shows every Serilog entry and audit log action that shares a
+ * correlation or request ID as one timeline, so a failing request can be followed across
+ * HttpApi.Host, Web and AuthServer. Used by both dashboards through the #logTraceModal markup.
+ */
+
+class LogTraceView {
+    constructor(options = {}) {
+        this.modalId = options.modalId || 'logTraceModal';
+        this.contentId = options.contentId || 'logTraceContent';
+        this.client = options.client || LogAnalyticsClient.shared;
+    }
+
+    static hasTrace(log) {
+        return !!(log && (log.correlationId || log.requestId));
+    }
+
+    // Markup for a "show trace" button; clicks are routed through window.showTrace(element)
+    static renderTraceLink(log, options = {}) {
+        if (!LogTraceView.hasTrace(log)) {
+            return '';
+        }
+
+        const className = options.className || 'btn btn-sm btn-link p-0 trace-link';
+        return `
+            <button type="button" class="${className}" title="Show all entries of this request"
+                    data-correlation-id="${LogTraceView.escapeHtml(log.correlationId || '')}"
+                    data-request-id="${LogTraceView.escapeHtml(log.requestId || '')}"
+                    onclick="showTrace(this); return false;">
+                <i class="fas fa-project-diagram"></i>${options.iconOnly ? '' : ' Show trace'}
+            </button>
+        `;
+    }
+
+    async show({ correlationId, requestId }) {
+        const content = document.getElementById(this.contentId);
+        const modalElement = document.getElementById(this.modalId);
+        if (!content || !modalElement) {
+            console.error('Trace modal markup not found:', this.modalId);
+            return;
+        }
+
+        content.innerHTML = `
+            <div class="text-center p-4">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">Loading...</span>
+                </div>
+            </div>
+        `;
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+
+        try {
+            console.log('Loading trace:', { correlationId, requestId });
+            // Opening another trace cancels the one still loading
+            const trace = await this.client.get('/api/log-analytics/trace', {
+                key: `trace-${this.modalId}`,
+                params: { correlationId, requestId }
+            });
+
+            content.innerHTML = this.render(trace);
+        } catch (error) {
+            if (error.isAborted) return;
+
+            console.error('Failed to load trace:', error);
+            content.innerHTML = `<div class="alert alert-danger mb-0">${LogTraceView.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    render(trace) {
+        const entries = trace.entries || [];
+        if (entries.length === 0) {
+            return '<div class="alert alert-info mb-0">No log entries or audit actions were found for this request.</div>';
+        }
+
+        const totalMs = Math.max(trace.totalDurationMs || 0, 1);
+        const ids = [
+            ...(trace.correlationIds || []).map(id => `<span class="me-3">Correlation: <code>${LogTraceView.escapeHtml(id)}</code></span>`),
+            ...(trace.requestIds || []).map(id => `<span class="me-3">Request: <code>${LogTraceView.escapeHtml(id)}</code></span>`)
+        ].join('');
+
+        return `
+            <div class="trace-summary d-flex flex-wrap gap-3 align-items-center mb-2">
+                <span><strong>${entries.length}</strong> entries</span>
+                <span><i class="fas fa-clock"></i> ${this.formatDuration(trace.totalDurationMs || 0)}</span>
+                <span><i class="fas fa-server"></i> ${(trace.applications || []).map(app => `<span class="badge bg-secondary">${LogTraceView.escapeHtml(app)}</span>`).join(' ')}</span>
+                ${trace.errorCount ? `<span class="badge bg-danger">${trace.errorCount} errors</span>` : ''}
+                <span class="text-muted small">Started ${new Date(trace.startTime).toLocaleString()}</span>
+            </div>
+            <div class="small text-muted mb-3">${ids}</div>
+            ${trace.isTruncated ? '<div class="alert alert-warning py-2">This trace has more entries than can be shown; only the first ones are listed.</div>' : ''}
+            <div class="trace-timeline">
+                ${entries.map(entry => this.renderEntry(entry, totalMs)).join('')}
+            </div>
+        `;
+    }
+
+    renderEntry(entry, totalMs) {
+        const isAudit = entry.source === 'AuditLog';
+        const level = entry.level || 'Information';
+        const left = Math.min(100, (entry.offsetMs / totalMs) * 100);
+        const width = entry.duration ? Math.max(0.5, Math.min(100 - left, (entry.duration / totalMs) * 100)) : 0;
+        const request = [entry.httpMethod, entry.requestPath].filter(part => part).join(' ');
+
+        return `
+            <div class="trace-entry trace-level-${level.toLowerCase()}">
+                <div class="trace-offset" title="${LogTraceView.escapeHtml(new Date(entry.timestamp).toLocaleString())}">+${this.formatDuration(entry.offsetMs)}</div>
+                <div class="trace-body">
+                    <div class="trace-bar-track">
+                        ${width > 0
+                            ? `<div class="trace-bar" style="left: ${left}%; width: ${width}%;"></div>`
+                            : `<div class="trace-marker" style="left: ${left}%;"></div>`}
+                    </div>
+                    <div class="d-flex flex-wrap align-items-center gap-2">
+                        <i class="fas ${isAudit ? 'fa-clipboard-check' : 'fa-file-alt'} text-muted" title="${isAudit ? 'Audit log action' : 'Serilog entry'}"></i>
+                        <span class="log-level ${level.toLowerCase()}">${LogTraceView.escapeHtml(level)}</span>
+                        <span class="badge bg-light text-dark border">${LogTraceView.escapeHtml(entry.application || 'Unknown')}</span>
+                        <span class="trace-message">${LogTraceView.escapeHtml(entry.message || '')}</span>
+                    </div>
+                    <div class="small text-muted">
+                        ${request ? `<span class="me-3">${LogTraceView.escapeHtml(request)}</span>` : ''}
+                        ${entry.httpStatusCode ? `<span class="me-3">Status: ${entry.httpStatusCode}</span>` : ''}
+                        ${entry.duration ? `<span class="me-3">Duration: ${entry.duration}ms</span>` : ''}
+                        ${entry.userId ? `<span class="me-3">User: ${LogTraceView.escapeHtml(entry.userId)}</span>` : ''}
+                    </div>
+                    ${entry.exception ? `
+                        <details class="mt-1">
+                            <summary class="text-danger small">Exception</summary>
+                            <pre class="text-danger small mb-0" style="white-space: pre-wrap;">${LogTraceView.escapeHtml(entry.exception)}</pre>
+                        </details>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    formatDuration(ms) {
+        if (ms >= 60000) return `${(ms / 60000).toFixed(1)} min`;
+        if (ms >= 1000) return `${(ms / 1000).toFixed(2)} s`;
+        return `${Math.round(ms)} ms`;
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+window.LogTraceView = LogTraceView;
@@ -6,23 +6,75 @@ class SerilogDashboard {
     constructor() {
         this.apiBaseUrl = '/api/serilog-analytics';
         this.refreshInterval = null;
+        
+        // Requests of this dashboard; a newer load cancels the one it replaces
+        this.api = new LogAnalyticsClient();
+        
+        // Last successful dashboard payload per range, shown while loading and while the API is unavailable
+        this.snapshotCache = new DashboardSnapshotCache('serilog');
+        this.snapshotSavedAt = null;
+        this.recoveryTimer = null;
+        this.recoveryDelay = 30000;
         this.charts = {};
         this.lastUpdate = null;
         
-        // Pagination state
-        this.currentPage = 1;
-        this.pageSize = 10;
-        this.totalRecords = 0;
-        this.currentFilter = '';
-        this.recentLogsData = [];
+        // Recent logs scroll through every matching log; the query of the loaded rows tells a refresh from a new search
+        this.recentLogsList = null;
+        this.recentLogsQuery = null;
+        this.recentLogsRow = 0;
+        this.recentLogsRowTimer = null;
+        
+        // Recent logs of the dashboard payload, shown until the list has its first page
+        this.recentLogsPreview = [];
+        
+        // Recent logs filters, set from the level dropdown and the advanced search modal
+        this.searchFilters = this.getEmptyFilters();
+        
+        // Saved advanced searches of the current user and the tenant
+        this.savedSearches = [];
+        
+        // Rolling date range set on load, used to keep it out of the shareable URL
+        this.defaultDateRange = { fromDate: '', toDate: '' };
+        
+        // Timeline of all entries sharing a correlation or request ID
+        this.traceView = new LogTraceView();
+        
+        // Health and response time thresholds of the tenant, shared with the server; defaults until loaded
+        this.thresholds = new LogAnalyticsThresholds();
+        this.thresholdsLoaded = LogAnalyticsThresholds.load().then(thresholds => {
+            this.thresholds = thresholds;
+        });
+        
+        // Breadcrumbs of chart drill-downs into the recent logs; each step keeps its filters
+        this.drillDownTrail = [];
+        this.pendingDrillDown = null;
+        
+        // Date ranges replaced by dragging across the performance chart, most recent last
+        this.zoomHistory = [];
+        this.hourlyTrends = [];
+        
+        // Requested trend bucket ('' lets the server choose from the range length) and the bucket the server used
+        this.trendBucket = '';
+        this.trendBucketInUse = '1h';
+        
+        // Response time series drawn on the performance chart
+        this.latencySeries = ['avg'];
+        
+        // Log volume anomalies of the dashboard range, marked on the performance chart and listed in their panel
+        this.anomalies = [];
         
         this.init();
     }
 
     init() {
         this.setupEventHandlers();
-        this.initializeDateInputs();
-        this.loadDashboard();
+        this.setupChartBrush();
+        this.setupLatencyHeatmap();
+        this.setupAnomalyPanel();
+        this.setupRecentLogsList();
+        this.applyUrlState();
+        this.loadDashboard(true);
+        this.loadSavedSearches();
         this.setupAutoRefresh();
     }
 
@@ -31,6 +83,12 @@ class SerilogDashboard {
         $('#refreshBtn').on('click', () => {
             this.loadDashboard();
         });
+        $('#staleDataRetryBtn').on('click', () => {
+            this.loadDashboard();
+        });
+        window.addEventListener('online', () => {
+            if (this.snapshotSavedAt) this.loadDashboard();
+        });
 
         // Export button
         $('#exportBtn').on('click', () => {
@@ -54,6 +112,49 @@ class SerilogDashboard {
             this.performAdvancedSearch();
         });
 
+        $('#advancedSearchForm').on('submit', (e) => {
+            e.preventDefault();
+            this.performAdvancedSearch();
+        });
+
+        $('#resetSearchForm').on('click', () => {
+            this.fillSearchForm(this.getEmptyFilters());
+        });
+
+        // Saved searches
+        $('#savedSearchSelect').on('change', () => {
+            this.runSavedSearch();
+        });
+
+        $('#saveSearchBtn').on('click', () => {
+            this.saveSearch();
+        });
+
+        $('#deleteSavedSearchBtn').on('click', () => {
+            this.deleteSavedSearch();
+        });
+
+        // Show the filters currently applied when the modal opens
+        $('#searchModal').on('show.bs.modal', () => {
+            this.fillSearchForm(this.searchFilters);
+        });
+
+        // Active filter chips
+        $(document).on('click', '#activeFilterChips .filter-chip-remove', (e) => {
+            e.preventDefault();
+            this.clearFilter($(e.currentTarget).data('filter-key'));
+        });
+
+        $('#clearAllFiltersBtn').on('click', () => {
+            this.clearAllFilters();
+        });
+
+        // Drill-down breadcrumbs
+        $(document).on('click', '#drillDownTrail [data-drill-step]', (e) => {
+            e.preventDefault();
+            this.goToDrillDownStep($(e.currentTarget).data('drill-step'));
+        });
+
         // Recent logs controls
         $('#refreshLogsBtn').on('click', () => {
             this.loadRecentLogs();
@@ -64,54 +165,61 @@ class SerilogDashboard {
             e.preventDefault();
             const level = $(e.currentTarget).data('level');
             console.log('Filter selected:', level);
-            this.currentFilter = level || '';
-            this.currentPage = 1;
-            
-            // Update filter button text
-            const filterText = level ? `${level} Only` : 'All Levels';
-            $('.btn:contains("Filter")').html(`<i class="fas fa-filter"></i> ${filterText}`);
-            
-            this.loadRecentLogs();
+            this.searchFilters.level = level || '';
+            this.applyFilters();
         });
 
-        // Page size dropdown - use event delegation
-        $(document).on('click', '[data-page-size]', (e) => {
-            e.preventDefault();
-            const newPageSize = parseInt($(e.currentTarget).data('page-size'));
-            console.log('Page size changed to:', newPageSize);
-            this.pageSize = newPageSize;
-            this.currentPage = 1;
-            $('#pageSizeLabel').text(newPageSize);
-            this.loadRecentLogs();
-        });
-
-        // Pagination clicks - use event delegation
-        $(document).on('click', '#logsPagination .page-link', (e) => {
-            e.preventDefault();
-            const $link = $(e.currentTarget);
-            const page = $link.data('page');
-            
-            console.log('Pagination clicked:', page, 'Current page:', this.currentPage);
-            
-            if (page === 'prev' && this.currentPage > 1) {
-                this.currentPage--;
-                this.loadRecentLogs();
-            } else if (page === 'next') {
-                const totalPages = Math.ceil(this.totalRecords / this.pageSize);
-                if (this.currentPage < totalPages) {
-                    this.currentPage++;
-                    this.loadRecentLogs();
-                }
-            } else if (typeof page === 'number' && page !== this.currentPage) {
-                this.currentPage = page;
-                this.loadRecentLogs();
-            }
+        // Log rows are rendered while scrolling, so their buttons use event delegation
+        $(document).on('click', '#recentLogsTable .view-log-btn', (e) => {
+            const index = $(e.currentTarget).data('index');
+            const log = this.recentLogsList.getItem(index) || this.recentLogsPreview[index];
+            if (log) this.showLogDetail(log);
         });
 
         // Copy log details
         $('#copyLogBtn').on('click', () => {
             this.copyLogDetails();
         });
+
+        // Request trace from a log row or the log detail modal
+        window.showTrace = (element) => this.showTrace({
+            correlationId: element.dataset.correlationId,
+            requestId: element.dataset.requestId
+        });
+        $('#showTraceBtn').on('click', () => {
+            bootstrap.Modal.getInstance(document.getElementById('logDetailModal'))?.hide();
+            this.showTrace(this.currentLogDetail);
+        });
+
+        // Zoom controls of the performance chart
+        $('#zoomOutBtn').on('click', () => {
+            this.zoomOut();
+        });
+
+        $('#latencySeriesToggles').on('change', 'input', () => {
+            this.latencySeries = $('#latencySeriesToggles input:checked').map((_, input) => input.value).get();
+            this.syncUrlState();
+            this.updatePerformanceChart(this.hourlyTrends);
+        });
+
+        $('#trendBucketSelect').on('change', (e) => {
+            this.trendBucket = TrendBucket.isValid(e.target.value) ? e.target.value : '';
+            this.loadDashboard();
+        });
+
+        // Browser back/forward
+        $(window).on('popstate', () => {
+            this.applyUrlState();
+            
+            // Going back to the previous zoom level is the same as zooming out
+            const previous = this.zoomHistory[this.zoomHistory.length - 1];
+            if (previous && previous.fromDate === $('#fromDate').val() && previous.toDate === $('#toDate').val()) {
+                this.zoomHistory.pop();
+                this.updateZoomControls();
+            }
+            
+            this.loadDashboard();
+        });
     }
 
     initializeDateInputs() {
@@ -120,6 +228,102 @@ class SerilogDashboard {
         
         $('#fromDate').val(this.formatDateForInput(yesterday));
         $('#toDate').val(this.formatDateForInput(now));
+        
+        this.defaultDateRange = {
+            fromDate: $('#fromDate').val(),
+            toDate: $('#toDate').val()
+        };
+    }
+
+    // Query string keys for the shareable view state
+    getUrlStateKeys() {
+        return {
+            level: 'level',
+            userId: 'user',
+            minDuration: 'minDuration',
+            maxDuration: 'maxDuration',
+            requestPath: 'path',
+            searchText: 'q',
+            hour: 'hour'
+        };
+    }
+
+    buildUrlState() {
+        const params = new URLSearchParams();
+        const fromDate = $('#fromDate').val();
+        const toDate = $('#toDate').val();
+        
+        // The default rolling window is left out so an untouched view keeps following "now"
+        if (fromDate !== this.defaultDateRange.fromDate || toDate !== this.defaultDateRange.toDate) {
+            if (fromDate) params.set('from', fromDate);
+            if (toDate) params.set('to', toDate);
+        }
+        
+        Object.entries(this.getUrlStateKeys()).forEach(([field, key]) => {
+            const value = this.searchFilters[field];
+            if (value !== '' && value !== null) {
+                params.set(key, String(value));
+            }
+        });
+        
+        if (this.recentLogsRow > 0) params.set('row', String(this.recentLogsRow));
+        if (this.trendBucket) params.set('bucket', this.trendBucket);
+        if (this.latencySeries.join(',') !== 'avg') params.set('latency', this.latencySeries.join(','));
+        
+        return params;
+    }
+
+    // Restores date range, filters and the recent logs scroll position from the query string
+    applyUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        
+        this.initializeDateInputs();
+        if (params.get('from')) $('#fromDate').val(params.get('from'));
+        if (params.get('to')) $('#toDate').val(params.get('to'));
+        
+        const filters = this.getEmptyFilters();
+        Object.entries(this.getUrlStateKeys()).forEach(([field, key]) => {
+            const value = (params.get(key) || '').trim();
+            if (!value) return;
+            
+            if (field === 'minDuration' || field === 'maxDuration') {
+                const duration = parseInt(value, 10);
+                filters[field] = Number.isNaN(duration) || duration < 0 ? null : duration;
+            } else {
+                filters[field] = value;
+            }
+        });
+        this.searchFilters = filters;
+        this.fillSearchForm(filters);
+        this.renderActiveFilters();
+        
+        this.trendBucket = TrendBucket.isValid(params.get('bucket')) ? params.get('bucket') : '';
+        $('#trendBucketSelect').val(this.trendBucket);
+        
+        const latencySeries = params.has('latency') ? params.get('latency').split(',') : ['avg'];
+        this.latencySeries = Object.keys(this.getLatencySeriesOptions()).filter(key => latencySeries.includes(key));
+        $('#latencySeriesToggles input').each((_, input) => {
+            input.checked = this.latencySeries.includes(input.value);
+        });
+        
+        // The next load of the recent logs starts at this row
+        this.recentLogsRow = Math.max(0, parseInt(params.get('row'), 10) || 0);
+        this.recentLogsQuery = null;
+    }
+
+    // Writes the current view state to the address bar; a new history entry is added only when it changed
+    syncUrlState(replace = false) {
+        const query = this.buildUrlState().toString();
+        const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+        if (url === window.location.pathname + window.location.search + window.location.hash) {
+            return;
+        }
+        
+        if (replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
     }
 
     formatDateForInput(date) {
@@ -132,15 +336,24 @@ class SerilogDashboard {
         return `${year}-${month}-${day}T${hours}:${minutes}`;
     }
 
-    async loadDashboard() {
+    // The first load shows the cached snapshot of the range first, since the API may be slow to answer during an incident
+    async loadDashboard(showSnapshotFirst = false) {
+        const fromDate = $('#fromDate').val();
+        const toDate = $('#toDate').val();
+        const snapshotRange = this.getSnapshotRange();
+        clearTimeout(this.recoveryTimer);
+        
         try {
             this.showLoadingIndicator();
-            
-            const fromDate = $('#fromDate').val();
-            const toDate = $('#toDate').val();
+            if (showSnapshotFirst) {
+                await this.showCachedSnapshot(snapshotRange);
+            }
             
             // Load dashboard data
-            const dashboardData = await this.fetchDashboardData(fromDate, toDate);
+            const [dashboardData] = await Promise.all([
+                this.fetchDashboardData(fromDate, toDate),
+                this.thresholdsLoaded
+            ]);
             
             // Debug logging
             console.log('Dashboard data received:', dashboardData);
@@ -149,72 +362,97 @@ class SerilogDashboard {
             console.log('TopEndpoints:', dashboardData.topEndpoints);
 
             // Update UI components
-            this.updateSummaryCards(dashboardData);
-            this.updatePerformanceChart(dashboardData.hourlyTrends);
-            this.updateLogLevelChart(dashboardData.logLevelDistribution);
-            this.updateRecentErrors(dashboardData.topErrors);
-            this.updateSlowRequests(dashboardData.slowRequests);
-            this.updateEndpointsTable(dashboardData.topEndpoints);
-            this.updateRecentLogs(dashboardData.recentLogs);
-            this.updatePerformanceMetrics(dashboardData.performance);
+            this.renderDashboardData(dashboardData);
+            this.hideStaleBanner();
+            this.snapshotCache.put(snapshotRange, dashboardData);
             
-            // Load recent logs with pagination
+            // Reload the recent logs, keeping the scroll position unless the range changed
             this.loadRecentLogs();
+            this.loadLatencyHeatmap(fromDate, toDate);
+            this.loadAnomalies(fromDate, toDate);
             
             this.lastUpdate = new Date();
             this.hideLoadingIndicator();
             this.showUpdateNotification('Dashboard updated successfully');
             
         } catch (error) {
+            // Replaced by a newer load, which updates the dashboard instead
+            if (error.isAborted) return;
+            
             console.error('Error loading dashboard:', error);
-            console.error('API URL attempted:', `${this.apiBaseUrl}/dashboard`);
-            console.error('Request details:', {
-                fromDate: fromDate,
-                toDate: toDate,
-                requestBody: JSON.stringify({
-                    fromDate: fromDate ? new Date(fromDate).toISOString() : null,
-                    toDate: toDate ? new Date(toDate).toISOString() : null
-                })
-            });
-            this.showError(`Failed to load dashboard data: ${error.message}`);
+            console.error('Request details:', { fromDate, toDate, status: error.status, details: error.details });
             this.hideLoadingIndicator();
+            this.scheduleRecovery();
+            
+            // The panels keep the last snapshot of this range and the banner says how old it is
+            if (await this.showCachedSnapshot(snapshotRange, true)) {
+                return;
+            }
+            
+            this.hideStaleBanner();
+            this.showError(`Failed to load dashboard data: ${error.message}`);
         }
     }
 
-    async fetchDashboardData(fromDate, toDate) {
-        const headers = {
-            'Content-Type': 'application/json',
-        };
+    // Renders a dashboard payload, fresh from the API or from the snapshot cache
+    renderDashboardData(dashboardData) {
+        this.trendBucketInUse = dashboardData.trendBucket || '1h';
+        this.updateSummaryCards(dashboardData);
+        this.updatePerformanceChart(dashboardData.hourlyTrends);
+        this.updateLogLevelChart(dashboardData.logLevelDistribution);
+        this.updateRecentErrors(dashboardData.topErrors);
+        this.updateSlowRequests(dashboardData.slowRequests);
+        this.updateEndpointsTable(dashboardData.topEndpoints);
+        this.updateRecentLogs(dashboardData.recentLogs);
+        this.updatePerformanceMetrics(dashboardData.performance);
+    }
+
+    // The default rolling window is cached under its bucket alone, since its dates move with every load
+    getSnapshotRange() {
+        const fromDate = $('#fromDate').val();
+        const toDate = $('#toDate').val();
+        const isDefault = fromDate === this.defaultDateRange.fromDate && toDate === this.defaultDateRange.toDate;
         
-        // Add CSRF token if available
-        const token = $('input[name="__RequestVerificationToken"]').val();
-        if (token) {
-            headers['X-CSRF-TOKEN'] = token;
-            headers['RequestVerificationToken'] = token;
+        return [isDefault ? 'default' : `${fromDate}/${toDate}`, this.trendBucket || 'auto'].join('|');
+    }
+
+    async showCachedSnapshot(range = this.getSnapshotRange(), isOffline = false) {
+        const snapshot = await this.snapshotCache.get(range);
+        if (!snapshot) {
+            return false;
         }
+        
+        this.renderDashboardData(snapshot.data);
+        this.showStaleBanner(snapshot.savedAt, isOffline);
+        return true;
+    }
 
-        const response = await fetch(`${this.apiBaseUrl}/dashboard`, {
-            method: 'POST',
-            headers: headers,
-            credentials: 'include', // Include cookies for authentication
-            body: JSON.stringify({
-                fromDate: fromDate ? new Date(fromDate).toISOString() : null,
-                toDate: toDate ? new Date(toDate).toISOString() : null
-            })
-        });
+    showStaleBanner(savedAt, isOffline) {
+        this.snapshotSavedAt = savedAt;
+        $('#staleDataBannerTime').text(DashboardSnapshotCache.formatSavedAt(savedAt));
+        $('#staleDataBannerReason').text(isOffline
+            ? `The dashboard API is not responding; retrying every ${this.recoveryDelay / 1000} seconds.`
+            : 'Refreshing...');
+        $('#staleDataBanner').removeClass('d-none');
+    }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Response error details:', {
-                status: response.status,
-                statusText: response.statusText,
-                body: errorText,
-                url: response.url
-            });
-            throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-        }
+    hideStaleBanner() {
+        this.snapshotSavedAt = null;
+        $('#staleDataBanner').addClass('d-none');
+    }
+
+    // Retries until the API answers; a manual refresh or coming back online retries sooner
+    scheduleRecovery() {
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = setTimeout(() => this.loadDashboard(), this.recoveryDelay);
+    }
 
-        return await response.json();
+    fetchDashboardData(fromDate, toDate) {
+        return this.api.post(`${this.apiBaseUrl}/dashboard`, {
+            fromDate: fromDate ? new Date(fromDate).toISOString() : null,
+            toDate: toDate ? new Date(toDate).toISOString() : null,
+            bucket: this.trendBucket || null
+        }, { key: 'dashboard' });
     }
 
     updateSummaryCards(data) {
@@ -247,21 +485,153 @@ class SerilogDashboard {
         }
     }
 
+    // Dragging across the performance chart makes the selected buckets the dashboard date range
+    setupChartBrush() {
+        const canvas = document.getElementById('performanceChart');
+        if (!canvas) return;
+        
+        this.chartBrush = new ChartBrush(canvas, {
+            getChart: () => this.charts.performance,
+            onSelect: (startIndex, endIndex) => {
+                const from = TrendBucket.getRange(this.hourlyTrends[startIndex].hour, this.trendBucketInUse).from;
+                const to = TrendBucket.getRange(this.hourlyTrends[endIndex].hour, this.trendBucketInUse).to;
+                this.zoomTo(this.formatDateForInput(from), this.formatDateForInput(to));
+            }
+        });
+    }
+
+    // Clicking a heatmap cell lists the requests of that time bucket and latency range
+    setupLatencyHeatmap() {
+        const container = document.getElementById('latencyHeatmap');
+        if (!container) return;
+        
+        this.latencyHeatmap = new LatencyHeatmap(container, {
+            onSelect: (timeIndex, latencyIndex) => {
+                const data = this.latencyHeatmap.data;
+                const start = data.timeBuckets[timeIndex];
+                const latency = data.latencyBuckets[latencyIndex];
+                this.drillDown({
+                    hour: `${this.formatDateForInput(new Date(start))}/${data.trendBucket}`,
+                    minDuration: latency.minDuration > 0 ? latency.minDuration : null,
+                    maxDuration: latency.maxDuration ?? null
+                }, `Latency: ${latency.label} at ${TrendBucket.formatLabel(start, data.trendBucket, true)}`);
+            }
+        });
+    }
+
+    async loadLatencyHeatmap(fromDate, toDate) {
+        if (!this.latencyHeatmap) return;
+        
+        try {
+            const data = await this.api.get(`${this.apiBaseUrl}/analytics/latency-heatmap`, {
+                key: 'latency-heatmap',
+                params: {
+                    fromDate: fromDate ? new Date(fromDate).toISOString() : null,
+                    toDate: toDate ? new Date(toDate).toISOString() : null,
+                    bucket: this.trendBucket
+                }
+            });
+            
+            this.latencyHeatmap.render(data);
+        } catch (error) {
+            if (error.isAborted) return;
+            
+            console.error('Error loading latency heatmap:', error);
+            $('#latencyHeatmap').html('<div class="text-center text-danger p-4">Failed to load latency heatmap</div>');
+        }
+    }
+
+    // Clicking an anomaly lists the logs of its level in its hour
+    setupAnomalyPanel() {
+        const container = document.getElementById('anomaliesContainer');
+        if (!container) return;
+        
+        this.anomalyPanel = new LogAnomalyPanel(container, {
+            onSelect: (anomaly) => {
+                this.drillDown({
+                    hour: `${this.formatDateForInput(new Date(anomaly.hour))}/1h`,
+                    level: anomaly.level
+                }, `${anomaly.direction}: ${anomaly.application} ${anomaly.level} at ${TrendBucket.formatLabel(anomaly.hour, '1h', true)}`);
+            }
+        });
+    }
+
+    async loadAnomalies(fromDate, toDate) {
+        if (!this.anomalyPanel) return;
+        
+        try {
+            const result = await LogAnomalies.load(fromDate, toDate, this.api);
+            this.anomalies = result.anomalies;
+            this.anomalyPanel.render(result);
+        } catch (error) {
+            if (error.isAborted) return;
+            
+            console.error('Error loading anomalies:', error);
+            this.anomalies = [];
+            this.anomalyPanel.renderError(error.status === 403
+                ? 'You are not allowed to view log anomalies'
+                : 'Failed to load anomalies');
+        }
+        
+        LogAnomalies.replaceMarkers(this.charts.performance, this.getAnomalyMarkers(this.hourlyTrends));
+    }
+
+    getAnomalyMarkers(hourlyData) {
+        return LogAnomalies.getMarkerDataset(this.anomalies, hourlyData.map(item => item.hour), this.trendBucketInUse, {
+            totals: hourlyData.map(item => item.totalCount || item.totalRequests || 0),
+            errors: hourlyData.map(item => item.errorCount || 0)
+        });
+    }
+
+    zoomTo(fromDate, toDate) {
+        console.log('Zooming dashboard to:', fromDate, toDate);
+        this.zoomHistory.push({ fromDate: $('#fromDate').val(), toDate: $('#toDate').val() });
+        this.setDateRange(fromDate, toDate);
+    }
+
+    zoomOut() {
+        const previous = this.zoomHistory.pop();
+        if (!previous) return;
+        
+        this.setDateRange(previous.fromDate, previous.toDate);
+    }
+
+    setDateRange(fromDate, toDate) {
+        $('#fromDate').val(fromDate);
+        $('#toDate').val(toDate);
+        this.updateZoomControls();
+        this.loadDashboard();
+    }
+
+    updateZoomControls() {
+        $('#zoomOutBtn')
+            .toggleClass('d-none', this.zoomHistory.length === 0)
+            .attr('title', `Zoom out (${this.zoomHistory.length} step${this.zoomHistory.length === 1 ? '' : 's'})`);
+    }
+
     updatePerformanceChart(hourlyData) {
+        this.hourlyTrends = hourlyData;
         const ctx = document.getElementById('performanceChart').getContext('2d');
         
         if (this.charts.performance) {
             this.charts.performance.destroy();
         }
 
-        const labels = hourlyData.map(item => {
-            const date = new Date(item.hour);
-            return date.getHours().toString().padStart(2, '0') + ':00';
-        });
+        const bucket = this.trendBucketInUse;
+        const labels = TrendBucket.formatLabels(hourlyData.map(item => item.hour), bucket);
 
         const totalCounts = hourlyData.map(item => item.totalCount || item.totalRequests || 0);
-        const avgResponseTimes = hourlyData.map(item => item.avgResponseTime || 0);
         const errorCounts = hourlyData.map(item => item.errorCount || 0);
+        const latencyOptions = this.getLatencySeriesOptions();
+        const latencyDatasets = this.latencySeries.map(key => ({
+            label: latencyOptions[key].label,
+            data: hourlyData.map(item => item[latencyOptions[key].field] || 0),
+            borderColor: latencyOptions[key].color,
+            backgroundColor: 'transparent',
+            borderDash: key === 'avg' ? [] : [4, 3],
+            tension: 0.4,
+            yAxisID: 'y1'
+        }));
 
         this.charts.performance = new Chart(ctx, {
             type: 'line',
@@ -276,14 +646,6 @@ class SerilogDashboard {
                         tension: 0.4,
                         yAxisID: 'y'
                     },
-                    {
-                        label: 'Avg Response Time (ms)',
-                        data: avgResponseTimes,
-                        borderColor: 'rgb(255, 99, 132)',
-                        backgroundColor: 'rgba(255, 99, 132, 0.1)',
-                        tension: 0.4,
-                        yAxisID: 'y1'
-                    },
                     {
                         label: 'Error Count',
                         data: errorCounts,
@@ -291,7 +653,9 @@ class SerilogDashboard {
                         backgroundColor: 'rgba(255, 205, 86, 0.1)',
                         tension: 0.4,
                         yAxisID: 'y'
-                    }
+                    },
+                    ...latencyDatasets,
+                    this.getAnomalyMarkers(hourlyData)
                 ]
             },
             options: {
@@ -301,12 +665,23 @@ class SerilogDashboard {
                     mode: 'index',
                     intersect: false,
                 },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: LogAnomalies.tooltipLabel
+                        }
+                    }
+                },
+                ...this.getChartDrillDownOptions((index) => {
+                    const start = this.formatDateForInput(new Date(hourlyData[index].hour));
+                    this.drillDown({ hour: `${start}/${bucket}` }, `Time: ${TrendBucket.formatLabel(hourlyData[index].hour, bucket, true)}`);
+                }),
                 scales: {
                     x: {
                         display: true,
                         title: {
                             display: true,
-                            text: 'Hour'
+                            text: `Time (${TrendBucket.describe(bucket)} buckets)`
                         }
                     },
                     y: {
@@ -320,7 +695,7 @@ class SerilogDashboard {
                     },
                     y1: {
                         type: 'linear',
-                        display: true,
+                        display: latencyDatasets.length > 0,
                         position: 'right',
                         title: {
                             display: true,
@@ -335,6 +710,16 @@ class SerilogDashboard {
         });
     }
 
+    // Response time series that can be toggled on the performance chart, keyed by their URL value
+    getLatencySeriesOptions() {
+        return {
+            avg: { label: 'Avg Response Time (ms)', field: 'avgResponseTime', color: 'rgb(255, 99, 132)' },
+            p50: { label: 'p50 Response Time (ms)', field: 'p50ResponseTime', color: 'rgb(54, 162, 235)' },
+            p95: { label: 'p95 Response Time (ms)', field: 'p95ResponseTime', color: 'rgb(153, 102, 255)' },
+            p99: { label: 'p99 Response Time (ms)', field: 'p99ResponseTime', color: 'rgb(201, 32, 72)' }
+        };
+    }
+
     updateLogLevelChart(logLevelData) {
         const ctx = document.getElementById('logLevelChart').getContext('2d');
         
@@ -367,11 +752,85 @@ class SerilogDashboard {
                     legend: {
                         position: 'bottom',
                     }
-                }
+                },
+                ...this.getChartDrillDownOptions((index) => {
+                    this.drillDown({ level: labels[index] }, `Level: ${labels[index]}`);
+                })
             }
         });
     }
 
+    // Chart.js options that report the clicked data point and show a pointer over clickable points
+    getChartDrillDownOptions(onSelect) {
+        return {
+            onClick: (event, elements) => {
+                if (elements.length > 0) {
+                    onSelect(elements[0].index, elements[0].datasetIndex);
+                }
+            },
+            onHover: (event, elements) => {
+                event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            }
+        };
+    }
+
+    // Chart click-through: the clicked level or hour is added to the recent logs filters
+    async drillDown(filters, label) {
+        console.log('Drilling down into recent logs:', label, filters);
+        this.pendingDrillDown = { label: label, filters: { ...this.searchFilters } };
+        this.searchFilters = { ...this.searchFilters, ...filters };
+        this.fillSearchForm(this.searchFilters);
+        
+        await this.applyFilters();
+        document.getElementById('logsContainer')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    async goToDrillDownStep(index) {
+        const step = this.drillDownTrail[index];
+        if (!step) return;
+        
+        this.searchFilters = { ...step.filters };
+        this.fillSearchForm(this.searchFilters);
+        await this.applyFilters();
+    }
+
+    // Keeps the breadcrumbs in step with the filters, however they were changed
+    updateDrillDownTrail() {
+        const trail = this.drillDownTrail;
+        const current = JSON.stringify(this.searchFilters);
+        const pending = this.pendingDrillDown;
+        this.pendingDrillDown = null;
+        
+        if (pending) {
+            if (trail.length === 0) {
+                const hasBaseFilters = Object.values(pending.filters).some(value => value !== '' && value !== null);
+                trail.push({
+                    label: hasBaseFilters ? 'Filtered logs' : 'All logs',
+                    key: JSON.stringify(pending.filters),
+                    filters: pending.filters
+                });
+            }
+            
+            if (trail[trail.length - 1].key !== current) {
+                trail.push({ label: pending.label, key: current, filters: { ...this.searchFilters } });
+            }
+        } else {
+            const index = trail.findIndex(step => step.key === current);
+            trail.length = index === -1 ? 0 : index + 1;
+        }
+        
+        // Back at the starting point there is nothing left to step out of
+        if (trail.length === 1) {
+            trail.length = 0;
+        }
+        
+        const items = trail.map((step, index) => index === trail.length - 1
+            ? `<li class="breadcrumb-item active" aria-current="page">${this.escapeHtml(step.label)}</li>`
+            : `<li class="breadcrumb-item"><a href="#" data-drill-step="${index}">${this.escapeHtml(step.label)}</a></li>`);
+        $('#drillDownTrail').html(items.join(''));
+        $('#drillDownBreadcrumbs').toggleClass('d-none', trail.length === 0);
+    }
+
     updateRecentErrors(errors) {
         const container = $('#recentErrorsContainer');
         $('#recentErrorCount').text(errors.length);
@@ -393,11 +852,11 @@ class SerilogDashboard {
             const lastOccurrence = this.timeAgo(new Date(error.lastOccurrence));
             const severity = this.getErrorSeverity(error.level);
             const affectedEndpoints = error.affectedEndpoints && error.affectedEndpoints.length > 0 
-                ? error.affectedEndpoints.slice(0, 3).join(', ') 
+                ? this.escapeHtml(error.affectedEndpoints.join(', '))
                 : 'N/A';
 
             html += `
-                <div class="error-item mb-3" style="cursor: pointer;" data-bs-toggle="collapse" data-bs-target="#errorDetails${index}">
+                <div class="error-item mb-3" style="cursor: pointer;" data-bs-toggle="collapse" data-bs-target="#errorDetails${index}" data-fingerprint="${this.escapeHtml(error.fingerprint || '')}">
                     <div class="d-flex justify-content-between align-items-start">
                         <div class="flex-grow-1">
                             <div class="error-message d-flex align-items-center">
@@ -407,14 +866,18 @@ class SerilogDashboard {
                             </div>
                             <div class="error-summary mt-1">
                                 <small class="text-muted">
-                                    <i class="fas fa-clock me-1"></i>Last occurred: ${lastOccurrence}
+                                    <i class="fas fa-history me-1"></i>First seen: ${firstOccurrence}
+                                    <span class="ms-2"><i class="fas fa-clock me-1"></i>Last seen: ${lastOccurrence}</span>
                                     ${error.exceptionType ? `<span class="ms-2"><i class="fas fa-bug me-1"></i>${this.escapeHtml(error.exceptionType)}</span>` : ''}
                                 </small>
                             </div>
                         </div>
-                        <div class="text-end">
-                            <span class="error-count">${error.count}</span>
-                            <br><small class="text-muted">occurrences</small>
+                        <div class="d-flex align-items-center gap-3">
+                            ${Sparkline.render(error.hourlyCounts)}
+                            <div class="text-end">
+                                <span class="error-count" title="${error.isSampled ? 'Only the most recent errors were grouped' : ''}">${error.count}${error.isSampled ? '+' : ''}</span>
+                                <br><small class="text-muted">occurrences</small>
+                            </div>
                         </div>
                     </div>
                     
@@ -443,6 +906,24 @@ class SerilogDashboard {
                                         <strong>Affected Endpoints:</strong><br>
                                         <small class="text-muted">${affectedEndpoints}</small>
                                     </div>
+                                    ${error.affectedApplications && error.affectedApplications.length > 0 ? `
+                                    <div class="mt-2">
+                                        <strong>Applications:</strong><br>
+                                        <small class="text-muted">${this.escapeHtml(error.affectedApplications.join(', '))}</small>
+                                    </div>
+                                    ` : ''}
+                                    ${error.messageTemplate ? `
+                                    <div class="mt-2">
+                                        <strong>Message Template:</strong><br>
+                                        <code class="small">${this.escapeHtml(error.messageTemplate)}</code>
+                                    </div>
+                                    ` : ''}
+                                    ${error.topFrame ? `
+                                    <div class="mt-2">
+                                        <strong>Top Stack Frame:</strong><br>
+                                        <code class="small text-break">${this.escapeHtml(error.topFrame)}</code>
+                                    </div>
+                                    ` : ''}
                                     ${error.exceptionType ? `
                                     <div class="mt-2">
                                         <strong>Exception Type:</strong><br>
@@ -517,7 +998,7 @@ class SerilogDashboard {
         const tbody = $('#endpointsTableBody');
 
         if (endpoints.length === 0) {
-            tbody.html('<tr><td colspan="6" class="text-center text-muted">No endpoint data available</td></tr>');
+            tbody.html('<tr><td colspan="9" class="text-center text-muted">No endpoint data available</td></tr>');
             return;
         }
 
@@ -526,14 +1007,19 @@ class SerilogDashboard {
             const errorRate = endpoint.requestCount > 0 ? 
                 ((endpoint.errorCount / endpoint.requestCount) * 100).toFixed(1) : '0.0';
             
-            const statusClass = this.getPerformanceStatusClass(endpoint.avgDuration);
-            const statusText = this.getPerformanceStatusText(endpoint.avgDuration);
+            // Rated by p95 so that a slow tail is not hidden by fast typical requests
+            const statusClass = this.getPerformanceStatusClass(endpoint.p95Duration);
+            const statusText = this.getPerformanceStatusText(endpoint.p95Duration);
+            const method = endpoint.httpMethod ? `${this.escapeHtml(endpoint.httpMethod)} ` : '';
 
             html += `
                 <tr>
-                    <td><code>${this.escapeHtml(endpoint.endpoint)}</code></td>
+                    <td><code>${method}${this.escapeHtml(endpoint.endpoint)}</code></td>
                     <td>${this.formatNumber(endpoint.requestCount)}</td>
                     <td>${Math.round(endpoint.avgDuration)}ms</td>
+                    <td>${Math.round(endpoint.p50Duration)}ms</td>
+                    <td>${Math.round(endpoint.p95Duration)}ms</td>
+                    <td>${Math.round(endpoint.p99Duration)}ms</td>
                     <td>${Math.round(endpoint.maxDuration)}ms</td>
                     <td>${errorRate}%</td>
                     <td><span class="status-badge ${statusClass}">${statusText}</span></td>
@@ -545,19 +1031,11 @@ class SerilogDashboard {
     }
 
     getPerformanceStatusClass(duration) {
-        if (duration <= 100) return 'status-excellent';
-        if (duration <= 500) return 'status-good';
-        if (duration <= 1000) return 'status-fair';
-        if (duration <= 5000) return 'status-slow';
-        return 'status-critical';
+        return `status-${this.getPerformanceStatusText(duration).toLowerCase()}`;
     }
 
     getPerformanceStatusText(duration) {
-        if (duration <= 100) return 'Excellent';
-        if (duration <= 500) return 'Good';
-        if (duration <= 1000) return 'Fair';
-        if (duration <= 5000) return 'Slow';
-        return 'Critical';
+        return this.thresholds.getPerformanceLevel(duration);
     }
 
     setupAutoRefresh(intervalInSeconds = 0) {
@@ -579,33 +1057,12 @@ class SerilogDashboard {
             const fromDate = $('#fromDate').val();
             const toDate = $('#toDate').val();
             
-            const headers = {
-                'Content-Type': 'application/json',
-            };
-            
-            // Add CSRF token if available
-            const token = $('input[name="__RequestVerificationToken"]').val();
-            if (token) {
-                headers['X-CSRF-TOKEN'] = token;
-                headers['RequestVerificationToken'] = token;
-            }
-            
-            const response = await fetch(`${this.apiBaseUrl}/export/csv`, {
-                method: 'POST',
-                headers: headers,
-                credentials: 'include',
-                body: JSON.stringify({
-                    fromDate: fromDate ? new Date(fromDate).toISOString() : null,
-                    toDate: toDate ? new Date(toDate).toISOString() : null,
-                    pageSize: 10000
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const blob = await response.blob();
+            // Large exports take a while to build, so they get more time than the other requests
+            const blob = await this.api.post(`${this.apiBaseUrl}/export/csv`, {
+                fromDate: fromDate ? new Date(fromDate).toISOString() : null,
+                toDate: toDate ? new Date(toDate).toISOString() : null,
+                pageSize: 10000
+            }, { responseType: 'blob', timeout: 120000 });
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.style.display = 'none';
@@ -619,14 +1076,260 @@ class SerilogDashboard {
             this.showSuccess('Data exported successfully');
         } catch (error) {
             console.error('Error exporting data:', error);
-            this.showError('Failed to export data');
+            this.showError(`Failed to export data: ${error.message}`);
         }
     }
 
     async performAdvancedSearch() {
-        // Implementation for advanced search functionality
+        const minDuration = parseInt($('#searchMinDuration').val(), 10);
+        
+        this.searchFilters = {
+            level: $('#searchLogLevel').val() || '',
+            userId: ($('#searchUserId').val() || '').trim(),
+            minDuration: Number.isNaN(minDuration) || minDuration < 0 ? null : minDuration,
+            maxDuration: null,
+            requestPath: ($('#searchRequestPath').val() || '').trim(),
+            searchText: ($('#searchText').val() || '').trim(),
+            hour: ''
+        };
+        
         $('#searchModal').modal('hide');
-        // Add search logic here based on form inputs
+        console.log('Advanced search filters:', this.searchFilters);
+        
+        await this.applyFilters();
+    }
+
+    getEmptyFilters() {
+        return {
+            level: '',
+            userId: '',
+            minDuration: null,
+            maxDuration: null,
+            requestPath: '',
+            searchText: '',
+            hour: ''
+        };
+    }
+
+    fillSearchForm(filters) {
+        $('#searchLogLevel').val(filters.level || '');
+        $('#searchUserId').val(filters.userId || '');
+        $('#searchMinDuration').val(filters.minDuration ?? '');
+        $('#searchRequestPath').val(filters.requestPath || '');
+        $('#searchText').val(filters.searchText || '');
+    }
+
+    async applyFilters() {
+        this.renderActiveFilters();
+        await this.loadRecentLogs();
+    }
+
+    clearFilter(key) {
+        if (!(key in this.searchFilters)) return;
+        
+        this.searchFilters[key] = this.getEmptyFilters()[key];
+        this.applyFilters();
+    }
+
+    clearAllFilters() {
+        this.searchFilters = this.getEmptyFilters();
+        this.fillSearchForm(this.searchFilters);
+        this.applyFilters();
+    }
+
+    hasActiveFilters() {
+        return Object.values(this.searchFilters).some(value => value !== '' && value !== null);
+    }
+
+    renderActiveFilters() {
+        const labels = {
+            level: 'Level',
+            userId: 'User',
+            minDuration: 'Min duration',
+            maxDuration: 'Max duration',
+            requestPath: 'Path',
+            searchText: 'Text',
+            hour: 'Time'
+        };
+        const formatValue = (key, value) => {
+            if (key === 'minDuration' || key === 'maxDuration') return `${value}ms`;
+            if (key === 'hour') {
+                const period = this.parseHourFilter(value);
+                return period
+                    ? `${period.from.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} (${TrendBucket.describe(period.bucket)})`
+                    : value;
+            }
+            return value;
+        };
+        
+        const chips = Object.entries(this.searchFilters)
+            .filter(([, value]) => value !== '' && value !== null)
+            .map(([key, value]) => {
+                const displayValue = formatValue(key, value);
+                return `
+                    <span class="filter-chip">
+                        <strong>${labels[key]}:</strong> ${this.escapeHtml(String(displayValue))}
+                        <button type="button" class="filter-chip-remove" data-filter-key="${key}" title="Remove filter">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                `;
+            });
+        
+        $('#activeFilterChips').html(chips.join(''));
+        $('#activeFiltersBar').toggleClass('d-none', chips.length === 0);
+        
+        // Keep the quick level filter button in sync
+        const level = this.searchFilters.level;
+        $('#levelFilterBtn').html(`<i class="fas fa-filter"></i> ${level ? `${level} Only` : 'Filter'}`);
+        
+        this.updateDrillDownTrail();
+    }
+
+    // The hour filter is "start/bucket"; links from before trend buckets only have the start of an hour
+    parseHourFilter(value) {
+        if (!value) return null;
+        
+        const [start, bucket] = String(value).split('/');
+        const from = new Date(start);
+        if (Number.isNaN(from.getTime())) return null;
+        
+        const validBucket = TrendBucket.isValid(bucket) ? bucket : '1h';
+        return { ...TrendBucket.getRange(from, validBucket), bucket: validBucket };
+    }
+
+    buildSearchRequest() {
+        const fromDate = $('#fromDate').val();
+        const toDate = $('#toDate').val();
+        const filters = this.searchFilters;
+        
+        // A bucket picked on the performance chart narrows the dashboard range to that bucket
+        const period = this.parseHourFilter(filters.hour);
+        const range = period
+            ? { fromDate: period.from.toISOString(), toDate: period.to.toISOString() }
+            : {
+                fromDate: fromDate ? new Date(fromDate).toISOString() : null,
+                toDate: toDate ? new Date(toDate).toISOString() : null
+            };
+        
+        return {
+            fromDate: range.fromDate,
+            toDate: range.toDate,
+            logLevels: filters.level ? [filters.level] : [],
+            userId: filters.userId || null,
+            minDuration: filters.minDuration,
+            maxDuration: filters.maxDuration,
+            requestPath: filters.requestPath || null,
+            searchText: filters.searchText || null
+        };
+    }
+
+    async loadSavedSearches() {
+        try {
+            this.savedSearches = await this.api.get('/api/log-analytics/saved-searches', {
+                key: 'saved-searches',
+                params: { searchType: 'Serilog' }
+            });
+            this.renderSavedSearchOptions();
+        } catch (error) {
+            console.error('Error loading saved searches:', error);
+        }
+    }
+
+    renderSavedSearchOptions(selectedId = '') {
+        const toOption = search => `<option value="${search.id}">${this.escapeHtml(search.name)}${search.isOwner && search.isShared ? ' (shared)' : ''}</option>`;
+        const ownSearches = this.savedSearches.filter(search => search.isOwner);
+        const sharedSearches = this.savedSearches.filter(search => !search.isOwner);
+        
+        let html = `<option value="">${this.savedSearches.length > 0 ? 'Saved searches...' : 'No saved searches'}</option>`;
+        if (ownSearches.length > 0) {
+            html += `<optgroup label="My searches">${ownSearches.map(toOption).join('')}</optgroup>`;
+        }
+        if (sharedSearches.length > 0) {
+            html += `<optgroup label="Shared with me">${sharedSearches.map(toOption).join('')}</optgroup>`;
+        }
+        
+        $('#savedSearchSelect').html(html).val(selectedId);
+        this.updateSavedSearchDeleteButton();
+    }
+
+    getSelectedSavedSearch() {
+        const id = $('#savedSearchSelect').val();
+        return this.savedSearches.find(search => search.id === id) || null;
+    }
+
+    updateSavedSearchDeleteButton() {
+        const search = this.getSelectedSavedSearch();
+        $('#deleteSavedSearchBtn').prop('disabled', !search || !search.isOwner);
+    }
+
+    async saveSearch() {
+        const $name = $('#savedSearchName');
+        const name = ($name.val() || '').trim();
+        $name.toggleClass('is-invalid', !name);
+        if (!name) {
+            $name.trigger('focus');
+            return;
+        }
+        
+        // Save what is in the form, which may not have been applied yet
+        const minDuration = parseInt($('#searchMinDuration').val(), 10);
+        const criteria = {
+            level: $('#searchLogLevel').val() || '',
+            userId: ($('#searchUserId').val() || '').trim(),
+            minDuration: Number.isNaN(minDuration) || minDuration < 0 ? null : minDuration,
+            requestPath: ($('#searchRequestPath').val() || '').trim(),
+            searchText: ($('#searchText').val() || '').trim()
+        };
+        
+        try {
+            const saved = await this.api.post('/api/log-analytics/saved-searches', {
+                name: name,
+                searchType: 'Serilog',
+                criteria: JSON.stringify(criteria),
+                isShared: $('#savedSearchShared').is(':checked')
+            });
+            $name.val('');
+            $('#savedSearchShared').prop('checked', false);
+            
+            await this.loadSavedSearches();
+            this.renderSavedSearchOptions(saved.id);
+            this.showSuccess(`Search "${saved.name}" saved`);
+        } catch (error) {
+            console.error('Error saving search:', error);
+            this.showError(`Failed to save search: ${error.message}`);
+        }
+    }
+
+    // Fills the search form from the selected saved search and runs it
+    async runSavedSearch() {
+        this.updateSavedSearchDeleteButton();
+        
+        const search = this.getSelectedSavedSearch();
+        if (!search) return;
+        
+        try {
+            this.fillSearchForm({ ...this.getEmptyFilters(), ...JSON.parse(search.criteria) });
+        } catch (error) {
+            console.error('Saved search has invalid criteria:', search, error);
+            this.showError('This saved search could not be read');
+            return;
+        }
+        
+        await this.performAdvancedSearch();
+    }
+
+    async deleteSavedSearch() {
+        const search = this.getSelectedSavedSearch();
+        if (!search || !confirm(`Delete saved search "${search.name}"?`)) return;
+        
+        try {
+            await this.api.delete(`/api/log-analytics/saved-searches/${search.id}`);
+            await this.loadSavedSearches();
+        } catch (error) {
+            console.error('Error deleting saved search:', error);
+            this.showError(`Failed to delete saved search: ${error.message}`);
+        }
     }
 
     // Utility methods
@@ -682,98 +1385,83 @@ class SerilogDashboard {
     }
 
     showError(message) {
-        // Integration with ABP notification system or custom toast
         console.error('Error:', message);
+        abp.notify.error(message);
     }
 
-    async loadRecentLogs() {
-        try {
-            // Show loading state
-            const tbody = $('#recentLogsTableBody');
-            tbody.html(`
-                <tr>
-                    <td colspan="8" class="text-center p-4">
-                        <div class="d-flex flex-column align-items-center">
-                            <i class="fas fa-spinner fa-spin fa-2x text-primary mb-2"></i>
-                            <span class="text-muted">Loading logs...</span>
-                        </div>
-                    </td>
-                </tr>
-            `);
-
-            const requestBody = {
-                page: this.currentPage,
-                pageSize: this.pageSize
-            };
-
-            // Add level filter if set
-            if (this.currentFilter) {
-                requestBody.level = this.currentFilter;
-            }
-
-            console.log('Loading recent logs with params:', requestBody);
-
-            const response = await fetch(`${this.apiBaseUrl}/search`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val(),
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            console.log('Received logs data:', data);
-            
-            this.recentLogsData = data.items || [];
-            this.totalRecords = data.totalCount || 0;
-            
-            this.updateRecentLogsTable();
-            this.updatePagination();
-            
-        } catch (error) {
-            console.error('Error loading recent logs:', error);
-            const tbody = $('#recentLogsTableBody');
-            tbody.html(`
-                <tr>
-                    <td colspan="8" class="text-center p-4">
-                        <div class="d-flex flex-column align-items-center">
-                            <i class="fas fa-exclamation-triangle fa-2x text-danger mb-2"></i>
-                            <span class="text-danger">Failed to load logs: ${error.message}</span>
-                            <button class="btn btn-sm btn-primary mt-2" onclick="window.serilogDashboard.loadRecentLogs()">
-                                <i class="fas fa-retry"></i> Retry
-                            </button>
-                        </div>
-                    </td>
-                </tr>
-            `);
-        }
+    // Shows every log of the filters and range, loaded a page at a time while scrolling
+    setupRecentLogsList() {
+        const viewport = document.getElementById('recentLogsViewport');
+        if (!viewport) return;
+        
+        this.recentLogsList = new VirtualLogList(viewport, {
+            body: document.getElementById('recentLogsTable'),
+            blockTag: 'tbody',
+            columns: 8,
+            estimatedRowHeight: 45,
+            fetchPage: (pageIndex, pageSize, anchor) => {
+                const request = this.buildSearchRequest();
+                return this.api.post(`${this.apiBaseUrl}/search`, {
+                    ...request,
+                    toDate: VirtualLogList.getAnchoredToDate(request.toDate, anchor),
+                    page: pageIndex + 1,
+                    pageSize: pageSize
+                }, { key: `recent-logs-${pageIndex}` });
+            },
+            renderRows: (logs, firstIndex) => this.renderRecentLogRows(logs, firstIndex),
+            emptyHtml: () => `
+                <div class="d-flex flex-column align-items-center">
+                    <i class="fas fa-info-circle fa-2x text-muted mb-2"></i>
+                    <span class="text-muted">No logs found for the current filter</span>
+                    ${this.hasActiveFilters() ? `
+                        <button class="btn btn-sm btn-outline-secondary mt-2" onclick="window.serilogDashboard.clearAllFilters()">
+                            <i class="fas fa-times-circle"></i> Clear filters
+                        </button>
+                    ` : ''}
+                </div>
+            `,
+            onChange: (state) => this.onRecentLogsScroll(state),
+            onError: (error) => this.showError(`Failed to load logs: ${error.message}`)
+        });
     }
 
-    updateRecentLogsTable() {
-        const tbody = $('#recentLogsTableBody');
-        tbody.empty();
-
-        if (!this.recentLogsData || this.recentLogsData.length === 0) {
-            tbody.append(`
-                <tr>
-                    <td colspan="8" class="text-center p-4">
-                        <div class="d-flex flex-column align-items-center">
-                            <i class="fas fa-info-circle fa-2x text-muted mb-2"></i>
-                            <span class="text-muted">No logs found for the current filter</span>
-                        </div>
-                    </td>
-                </tr>
-            `);
+    // Reloads the rows around the scroll position, or starts from the top when the filters or range changed
+    async loadRecentLogs() {
+        const list = this.recentLogsList;
+        if (!list) return;
+        
+        const query = JSON.stringify(this.buildSearchRequest());
+        if (query === this.recentLogsQuery && list.totalCount !== null) {
+            await list.refresh();
             return;
         }
+        
+        // A row restored from the address bar applies until the query changes
+        if (this.recentLogsQuery !== null && query !== this.recentLogsQuery) {
+            this.recentLogsRow = 0;
+        }
+        this.recentLogsQuery = query;
+        this.syncUrlState();
+        
+        console.log('Loading recent logs with params:', query);
+        await list.reset(this.recentLogsRow, this.recentLogsPreview);
+    }
+
+    onRecentLogsScroll({ totalCount, firstVisibleRow }) {
+        $('#logsCountBadge').text(this.formatNumber(totalCount));
+        $('#recordsInfo').text(totalCount > 0
+            ? `Row ${(firstVisibleRow + 1).toLocaleString()} of ${totalCount.toLocaleString()} records`
+            : '0 records');
+        
+        // The row is kept in the address bar without adding history for every scroll
+        this.recentLogsRow = firstVisibleRow;
+        clearTimeout(this.recentLogsRowTimer);
+        this.recentLogsRowTimer = setTimeout(() => this.syncUrlState(true), 300);
+    }
 
-        this.recentLogsData.forEach((log, index) => {
+    renderRecentLogRows(logs, firstIndex) {
+        return logs.map((log, offset) => {
+            const index = firstIndex + offset;
             const timestamp = new Date(log.timeStamp).toLocaleString();
             const levelBadge = this.getLevelBadge(log.level);
             const messagePreview = log.message ? (log.message.length > 80 ? 
@@ -785,7 +1473,7 @@ class SerilogDashboard {
             const requestPath = log.requestPath || '-';
             const pathDisplay = requestPath.length > 25 ? requestPath.substring(0, 25) + '...' : requestPath;
 
-            tbody.append(`
+            return `
                 <tr class="log-row" data-index="${index}">
                     <td class="text-nowrap">
                         <small>${timestamp}</small>
@@ -804,30 +1492,23 @@ class SerilogDashboard {
                         <small class="text-muted">${userId}</small>
                     </td>
                     <td class="text-center">${hasException}</td>
-                    <td class="text-center">
+                    <td class="text-center text-nowrap">
                         <button type="button" class="btn btn-sm btn-outline-primary view-log-btn" data-index="${index}" title="View Details">
                             <i class="fas fa-eye"></i>
                         </button>
+                        ${LogTraceView.renderTraceLink(log, { className: 'btn btn-sm btn-outline-secondary', iconOnly: true })}
                     </td>
                 </tr>
-            `);
-        });
-
-        // Add click handlers for view buttons
-        $('.view-log-btn').on('click', (e) => {
-            const index = $(e.currentTarget).data('index');
-            this.showLogDetail(this.recentLogsData[index]);
-        });
-
-        // Update count badge
-        $('#logsCountBadge').text(this.totalRecords);
+            `;
+        }).join('');
     }
 
+    // The dashboard payload's recent logs, e.g. from a cached snapshot, stand in until the list has loaded
     updateRecentLogs(recentLogs) {
-        // Legacy function - now redirects to new method
-        this.recentLogsData = recentLogs || [];
-        this.totalRecords = this.recentLogsData.length;
-        this.updateRecentLogsTable();
+        this.recentLogsPreview = recentLogs || [];
+        if (this.recentLogsList?.totalCount === null && this.recentLogsPreview.length > 0) {
+            this.recentLogsList.showPreview(this.recentLogsPreview);
+        }
     }
 
     updatePerformanceMetrics(performance) {
@@ -835,6 +1516,9 @@ class SerilogDashboard {
 
         $('#requestsPerMinute').text(performance.requestsPerMinute || 0);
         $('#errorsPerMinute').text(performance.errorsPerMinute || 0);
+        $('#p50ResponseTime').text(`${Math.round(performance.p50ResponseTime || 0)}ms`);
+        $('#p95ResponseTime').text(`${Math.round(performance.p95ResponseTime || 0)}ms`);
+        $('#p99ResponseTime').text(`${Math.round(performance.p99ResponseTime || 0)}ms`);
         
         const errorRate = performance.additionalMetrics?.ErrorRate || 0;
         const successRate = performance.additionalMetrics?.SuccessRate || 0;
@@ -845,105 +1529,6 @@ class SerilogDashboard {
         $('#totalRequests').text(this.formatNumber(totalRequests));
     }
 
-    updatePagination() {
-        const totalPages = Math.ceil(this.totalRecords / this.pageSize) || 1;
-        const pagination = $('#logsPagination');
-        const recordsInfo = $('#recordsInfo');
-        
-        // Update records info
-        if (this.totalRecords === 0) {
-            recordsInfo.text('0 - 0 of 0 records');
-        } else {
-            const startRecord = ((this.currentPage - 1) * this.pageSize) + 1;
-            const endRecord = Math.min(this.currentPage * this.pageSize, this.totalRecords);
-            recordsInfo.text(`${startRecord} - ${endRecord} of ${this.totalRecords} records`);
-        }
-        
-        // Clear existing pagination
-        pagination.empty();
-        
-        // If no records, don't show pagination
-        if (this.totalRecords === 0) {
-            return;
-        }
-        
-        // Previous button
-        const prevDisabled = this.currentPage <= 1;
-        pagination.append(`
-            <li class="page-item ${prevDisabled ? 'disabled' : ''}">
-                <a class="page-link" href="#" data-page="prev" ${prevDisabled ? 'tabindex="-1"' : ''}>
-                    <i class="fas fa-chevron-left"></i> Previous
-                </a>
-            </li>
-        `);
-        
-        // Show page numbers only if there are multiple pages
-        if (totalPages > 1) {
-            // Page numbers logic
-            let startPage = Math.max(1, this.currentPage - 2);
-            let endPage = Math.min(totalPages, startPage + 4);
-            
-            // Adjust start page if we're near the end
-            if (endPage - startPage < 4) {
-                startPage = Math.max(1, endPage - 4);
-            }
-            
-            // Show first page and ellipsis if needed
-            if (startPage > 1) {
-                pagination.append(`
-                    <li class="page-item">
-                        <a class="page-link" href="#" data-page="1">1</a>
-                    </li>
-                `);
-                if (startPage > 2) {
-                    pagination.append(`
-                        <li class="page-item disabled">
-                            <span class="page-link">...</span>
-                        </li>
-                    `);
-                }
-            }
-            
-            // Show page numbers in range
-            for (let i = startPage; i <= endPage; i++) {
-                const activeClass = i === this.currentPage ? 'active' : '';
-                pagination.append(`
-                    <li class="page-item ${activeClass}">
-                        <a class="page-link" href="#" data-page="${i}">${i}</a>
-                    </li>
-                `);
-            }
-            
-            // Show ellipsis and last page if needed
-            if (endPage < totalPages) {
-                if (endPage < totalPages - 1) {
-                    pagination.append(`
-                        <li class="page-item disabled">
-                            <span class="page-link">...</span>
-                        </li>
-                    `);
-                }
-                pagination.append(`
-                    <li class="page-item">
-                        <a class="page-link" href="#" data-page="${totalPages}">${totalPages}</a>
-                    </li>
-                `);
-            }
-        }
-        
-        // Next button
-        const nextDisabled = this.currentPage >= totalPages;
-        pagination.append(`
-            <li class="page-item ${nextDisabled ? 'disabled' : ''}">
-                <a class="page-link" href="#" data-page="next" ${nextDisabled ? 'tabindex="-1"' : ''}>
-                    Next <i class="fas fa-chevron-right"></i>
-                </a>
-            </li>
-        `);
-        
-        console.log(`Pagination updated: Page ${this.currentPage} of ${totalPages}, Total records: ${this.totalRecords}`);
-    }
-
     showLogDetail(log) {
         // Populate modal with log details
         $('#modalTimestamp').text(new Date(log.timeStamp).toLocaleString());
@@ -964,14 +1549,24 @@ class SerilogDashboard {
             $('#modalExceptionContainer').hide();
         }
         
-        // Store log data for copying
+        // Store log data for copying and tracing
         this.currentLogDetail = log;
+        $('#showTraceBtn').toggle(LogTraceView.hasTrace(log));
         
         // Show modal
         const modal = new bootstrap.Modal(document.getElementById('logDetailModal'));
         modal.show();
     }
 
+    showTrace(log) {
+        if (!LogTraceView.hasTrace(log)) {
+            this.showError('This log entry has no correlation or request ID');
+            return;
+        }
+        
+        this.traceView.show({ correlationId: log.correlationId, requestId: log.requestId });
+    }
+
     copyLogDetails() {
         if (!this.currentLogDetail) return;
         
@@ -0,0 +1,40 @@
+/**
+ * Log Analytics Sparkline - renders a small inline SVG trend line for a series of counts,
+ * e.g. the hourly occurrences of a Top Errors group. Shared by both dashboards.
+ */
+
+class Sparkline {
+    static render(values, options = {}) {
+        const series = (values || []).map(value => Number(value) || 0);
+        if (series.length < 2) {
+            return '';
+        }
+
+        const width = options.width || 100;
+        const height = options.height || 24;
+        const color = options.color || '#dc3545';
+        const padding = 2;
+        const peak = Math.max(...series);
+        const max = Math.max(peak, 1);
+        const step = (width - padding * 2) / (series.length - 1);
+
+        const points = series.map((value, index) => {
+            const x = padding + index * step;
+            const y = height - padding - (value / max) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        const last = points[points.length - 1].split(',');
+        const title = options.title || `${series.reduce((sum, value) => sum + value, 0)} in the last ${series.length} hours, peak ${peak}/h`;
+
+        return `
+            <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+                <title>${title}</title>
+                <polygon points="${padding},${height - padding} ${points.join(' ')} ${last[0]},${height - padding}" fill="${color}" fill-opacity="0.15"></polygon>
+                <polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"></polyline>
+                <circle cx="${last[0]}" cy="${last[1]}" r="2" fill="${color}"></circle>
+            </svg>
+        `;
+    }
+}
+
+window.Sparkline = Sparkline;
@@ -0,0 +1,60 @@
+/**
+ * Log Analytics Trend Buckets - sizes and axis labels of the time buckets the trend endpoints group by
+ * (1m, 5m, 15m, 1h, 1d). Shared by both dashboards; an empty bucket lets the server choose from the range length.
+ */
+
+class TrendBucket {
+    static sizes = {
+        '1m': 60 * 1000,
+        '5m': 5 * 60 * 1000,
+        '15m': 15 * 60 * 1000,
+        '1h': 60 * 60 * 1000,
+        '1d': 24 * 60 * 60 * 1000
+    };
+
+    static names = {
+        '1m': '1 minute',
+        '5m': '5 minutes',
+        '15m': '15 minutes',
+        '1h': '1 hour',
+        '1d': '1 day'
+    };
+
+    static isValid(bucket) {
+        return Object.prototype.hasOwnProperty.call(TrendBucket.sizes, bucket);
+    }
+
+    static getSize(bucket) {
+        return TrendBucket.sizes[bucket] || TrendBucket.sizes['1h'];
+    }
+
+    static describe(bucket) {
+        return TrendBucket.names[bucket] || TrendBucket.names['1h'];
+    }
+
+    // Start and end of the bucket starting at the given time; the end of the current bucket is now
+    static getRange(start, bucket) {
+        const from = new Date(start);
+        const to = new Date(Math.min(from.getTime() + TrendBucket.getSize(bucket), Date.now()));
+        return { from, to };
+    }
+
+    // Day buckets show the date only; shorter buckets show the time, plus the date when the series spans several days
+    static formatLabel(value, bucket, includeDate = false) {
+        const date = new Date(value);
+        const day = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        if (bucket === '1d') {
+            return day;
+        }
+
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return includeDate ? `${day} ${time}` : time;
+    }
+
+    static formatLabels(values, bucket) {
+        const days = new Set(values.map(value => new Date(value).toDateString()));
+        return values.map(value => TrendBucket.formatLabel(value, bucket, days.size > 1));
+    }
+}
+
+window.TrendBucket = TrendBucket;
@@ -0,0 +1,430 @@
+/**
+ * Virtual Log List - infinite-scrolling log rows for high volumes. Rows are fetched a page at a time as they
+ * scroll into view and only the pages near the viewport are in the DOM; every other page is an empty block of
+ * its measured (or estimated) height, so rows may differ in height and tens of thousands of them scroll smoothly.
+ * Pages are offsets into the rows logged up to an anchor time, so rows logged later do not shift them.
+ */
+
+class VirtualLogList {
+    static defaults = {
+        pageSize: 100,
+        estimatedRowHeight: 60,
+        // Viewport heights around the visible area whose pages are rendered as well
+        overscan: 1,
+        // Loaded pages kept in memory; farther ones are fetched again when scrolled back to
+        maxCachedPages: 20,
+        // 'tbody' renders each page as a table body of the table passed as body
+        blockTag: 'div',
+        columns: 1
+    };
+
+    /**
+     * @param {HTMLElement} viewport - Scrolling element
+     * @param {object} options
+     * @param {HTMLElement} [options.body] - Element the pages are added to, the viewport by default
+     * @param {function(number, number, Date): Promise<{items: Array, totalCount: number}>} options.fetchPage - Loads a page by index
+     * and size, counting only rows logged up to the anchor time
+     * @param {function(Array, number): string} options.renderRows - HTML of a page's rows; gets the items and the index of the first
+     * @param {string|function(): string} [options.emptyHtml] - Shown when there are no rows
+     * @param {function({totalCount: number, firstVisibleRow: number})} [options.onChange] - Called after scrolling and loading
+     * @param {function(Error)} [options.onError] - Called when a page failed to load
+     */
+    constructor(viewport, options = {}) {
+        this.viewport = viewport;
+        this.options = { ...VirtualLogList.defaults, ...options };
+        this.body = options.body || viewport;
+
+        this.pages = new Map();
+        this.heights = new Map();
+        this.loading = new Set();
+        // Pages that failed are not requested again on every scroll, only by the next reset or refresh
+        this.failed = new Set();
+        this.blocks = [];
+        this.totalCount = null;
+        this.anchor = new Date();
+        this.generation = 0;
+        this.newEntries = 0;
+        this.frame = null;
+        this.refreshTimer = null;
+
+        this.newEntriesBar = document.createElement('div');
+        this.newEntriesBar.className = 'virtual-log-new-entries d-none';
+        this.newEntriesBar.innerHTML = '<button type="button" class="btn btn-sm btn-primary shadow-sm"></button>';
+        this.newEntriesBar.querySelector('button').addEventListener('click', () => {
+            this.viewport.scrollTop = 0;
+            this.refresh();
+        });
+        viewport.prepend(this.newEntriesBar);
+
+        viewport.addEventListener('scroll', () => this.scheduleUpdate());
+    }
+
+    get pageCount() {
+        return Math.max(1, Math.ceil((this.totalCount || 0) / this.options.pageSize));
+    }
+
+    /**
+     * Loads new rows, e.g. after the filters changed, starting at the given row. Preview items, e.g. from a cached
+     * snapshot, are shown until the first page arrives and stay when it cannot be loaded.
+     * @returns {Promise<boolean>} Whether the rows were loaded
+     */
+    async reset(firstRow = 0, previewItems = null) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.generation++;
+        this.pages.clear();
+        this.heights.clear();
+        this.loading.clear();
+        this.failed.clear();
+        this.totalCount = null;
+        this.anchor = new Date();
+        this.setNewEntries(0);
+        this.removeBlocks();
+        this.viewport.scrollTop = 0;
+        if (previewItems?.length) {
+            this.showPreview(previewItems);
+        } else {
+            this.showMessage('<i class="fas fa-spinner fa-spin me-2"></i>Loading logs...', 'text-muted');
+        }
+
+        const pageIndex = Math.floor(Math.max(0, firstRow) / this.options.pageSize);
+        if (!await this.loadPage(pageIndex)) {
+            return false;
+        }
+
+        this.scrollToRow(firstRow);
+        this.update();
+        return true;
+    }
+
+    /**
+     * Reloads the rows around the scroll position and keeps it, e.g. on a dashboard refresh. Rows logged since the
+     * anchor are added only at the top; further down the anchor is kept, so the rows being read stay where they are.
+     * @returns {Promise<boolean>} Whether the rows were loaded
+     */
+    async refresh() {
+        if (this.totalCount === null) {
+            return this.reset();
+        }
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        const scrollTop = this.viewport.scrollTop;
+        const pageIndex = Math.min(Math.floor(this.getFirstVisibleRow() / this.options.pageSize), this.pageCount - 1);
+
+        // The pages on screen keep their rows until they are all fetched again, so none of them goes blank
+        const indexes = new Set([pageIndex, ...this.blocks
+            .filter(block => block.dataset.rendered)
+            .map(block => Number(block.dataset.page))]);
+
+        this.generation++;
+        this.pages.clear();
+        this.loading.clear();
+        this.failed.clear();
+        if (scrollTop === 0) {
+            this.anchor = new Date();
+            this.setNewEntries(0);
+        }
+
+        const loaded = await Promise.all(Array.from(indexes).map(index => this.loadPage(index)));
+        if (!loaded[0]) {
+            return false;
+        }
+
+        this.viewport.scrollTop = scrollTop;
+        this.update();
+        return true;
+    }
+
+    /**
+     * New entries arrived at the top: shown right away while the list is scrolled to the top, otherwise counted
+     * on a button that scrolls up to them, so the rows being read do not move
+     */
+    notifyNewEntries(count) {
+        if (count <= 0 || this.totalCount === null) return;
+
+        if (this.viewport.scrollTop > 0) {
+            this.setNewEntries(this.newEntries + count);
+            return;
+        }
+
+        // Batches arriving close together are shown with one request
+        if (!this.refreshTimer) {
+            this.refreshTimer = setTimeout(() => this.refresh(), 1000);
+        }
+    }
+
+    getItem(rowIndex) {
+        return this.pages.get(Math.floor(rowIndex / this.options.pageSize))?.[rowIndex % this.options.pageSize] ?? null;
+    }
+
+    getPageItems(pageIndex) {
+        return this.pages.get(pageIndex) || [];
+    }
+
+    // Index of the row at the top of the viewport, estimated within pages that are not rendered
+    getFirstVisibleRow() {
+        const index = this.findFirstVisibleBlock(0);
+        const block = this.blocks[index];
+        if (!block) return 0;
+
+        const viewportTop = this.viewport.getBoundingClientRect().top;
+        const firstRow = index * this.options.pageSize;
+        if (block.dataset.rendered) {
+            const rows = Array.from(block.children);
+            const row = rows.findIndex(element => element.getBoundingClientRect().bottom > viewportTop);
+            return firstRow + Math.max(0, row);
+        }
+
+        const rect = block.getBoundingClientRect();
+        const fraction = rect.height > 0 ? Math.max(0, viewportTop - rect.top) / rect.height : 0;
+        return firstRow + Math.floor(fraction * this.getRowCount(index));
+    }
+
+    scrollToRow(rowIndex) {
+        const index = Math.min(Math.floor(rowIndex / this.options.pageSize), this.blocks.length - 1);
+        const block = this.blocks[index];
+        if (!block) return;
+
+        this.renderPage(index);
+        const row = block.dataset.rendered ? block.children[rowIndex % this.options.pageSize] : null;
+        const target = row || block;
+        this.viewport.scrollTop += target.getBoundingClientRect().top - this.viewport.getBoundingClientRect().top;
+    }
+
+    // Fetches a page; the first page of a reset or refresh also sets up the blocks for the total count
+    async loadPage(index) {
+        if (this.loading.has(index)) return false;
+
+        const generation = this.generation;
+        this.loading.add(index);
+
+        let result;
+        try {
+            result = await this.options.fetchPage(index, this.options.pageSize, this.anchor);
+        } catch (error) {
+            if (generation !== this.generation) return false;
+
+            this.loading.delete(index);
+            if (error.isAborted) return false;
+
+            this.failed.add(index);
+            console.error('Failed to load log page:', error);
+            if (this.totalCount === null && !this.body.querySelector(':scope > .virtual-log-preview')) {
+                this.showMessage(`<i class="fas fa-exclamation-triangle me-2"></i>Failed to load logs: ${VirtualLogList.escapeHtml(error.message)}`, 'text-danger');
+            }
+            this.options.onError?.(error);
+            return false;
+        }
+
+        if (generation !== this.generation) return false;
+
+        this.loading.delete(index);
+        this.pages.set(index, result.items || []);
+        this.setTotalCount(result.totalCount || 0);
+        this.evictPages(index);
+
+        // A refreshed page replaces the rows its block still shows
+        if (this.blocks[index]) {
+            delete this.blocks[index].dataset.rendered;
+        }
+        this.renderPage(index);
+        return true;
+    }
+
+    // Adds or removes blocks at the end when the total changed; the first call replaces the loading message
+    setTotalCount(totalCount) {
+        const isFirst = this.totalCount === null;
+        this.totalCount = totalCount;
+
+        if (totalCount === 0) {
+            this.removeBlocks();
+            const emptyHtml = typeof this.options.emptyHtml === 'function' ? this.options.emptyHtml() : this.options.emptyHtml;
+            this.showMessage(emptyHtml || 'No logs found', 'text-muted');
+            return;
+        }
+
+        if (isFirst || this.blocks.length === 0) {
+            this.removeBlocks();
+            this.hideMessage();
+        }
+
+        while (this.blocks.length > this.pageCount) {
+            this.blocks.pop().remove();
+        }
+        while (this.blocks.length < this.pageCount) {
+            const block = document.createElement(this.options.blockTag);
+            block.className = 'virtual-log-page';
+            block.dataset.page = String(this.blocks.length);
+            this.blocks.push(block);
+            this.body.appendChild(block);
+        }
+
+        this.blocks.forEach((block, index) => {
+            if (!block.dataset.rendered) {
+                this.setPlaceholder(index);
+            }
+        });
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    // Renders or loads the pages around the viewport and empties the rest
+    update() {
+        if (this.blocks.length === 0) {
+            this.options.onChange?.({ totalCount: this.totalCount || 0, firstVisibleRow: 0 });
+            return;
+        }
+
+        if (this.viewport.scrollTop === 0 && this.newEntries > 0) {
+            this.refresh();
+            return;
+        }
+
+        const margin = this.viewport.clientHeight * this.options.overscan;
+        const viewportRect = this.viewport.getBoundingClientRect();
+        const first = this.findFirstVisibleBlock(margin);
+
+        let last = first;
+        while (last < this.blocks.length && this.blocks[last].getBoundingClientRect().top < viewportRect.bottom + margin) {
+            last++;
+        }
+
+        this.blocks.forEach((block, index) => {
+            const isNear = index >= first && index < last;
+            if (isNear && this.pages.has(index)) {
+                this.renderPage(index);
+            } else if (isNear && !this.failed.has(index)) {
+                this.loadPage(index).then(loaded => loaded && this.scheduleUpdate());
+            } else if (block.dataset.rendered) {
+                this.heights.set(index, block.offsetHeight);
+                this.setPlaceholder(index);
+            }
+        });
+
+        this.options.onChange?.({ totalCount: this.totalCount, firstVisibleRow: this.getFirstVisibleRow() });
+    }
+
+    renderPage(index) {
+        const block = this.blocks[index];
+        if (!block || block.dataset.rendered || !this.pages.has(index)) return;
+
+        // Pages above the viewport grow upwards, so the rows being read stay where they are
+        const viewportTop = this.viewport.getBoundingClientRect().top;
+        const isAbove = block.getBoundingClientRect().bottom <= viewportTop;
+        const previousHeight = block.offsetHeight;
+
+        block.style.height = '';
+        block.innerHTML = this.options.renderRows(this.pages.get(index), index * this.options.pageSize);
+        block.dataset.rendered = 'true';
+        this.heights.set(index, block.offsetHeight);
+
+        if (isAbove) {
+            this.viewport.scrollTop += block.offsetHeight - previousHeight;
+        }
+    }
+
+    setPlaceholder(index) {
+        const block = this.blocks[index];
+        const height = this.heights.get(index) ?? this.getRowCount(index) * this.options.estimatedRowHeight;
+        delete block.dataset.rendered;
+
+        if (this.options.blockTag === 'tbody') {
+            block.innerHTML = `<tr class="virtual-log-spacer"><td colspan="${this.options.columns}" style="height: ${height}px"></td></tr>`;
+        } else {
+            block.innerHTML = '';
+            block.style.height = `${height}px`;
+        }
+    }
+
+    getRowCount(index) {
+        return Math.max(0, Math.min(this.options.pageSize, this.totalCount - index * this.options.pageSize));
+    }
+
+    // Blocks are in document order, so the first one reaching into the viewport is found by bisection
+    findFirstVisibleBlock(margin) {
+        const top = this.viewport.getBoundingClientRect().top - margin;
+        let low = 0;
+        let high = this.blocks.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (this.blocks[middle].getBoundingClientRect().bottom <= top) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    evictPages(keepIndex) {
+        const excess = this.pages.size - this.options.maxCachedPages;
+        if (excess <= 0) return;
+
+        Array.from(this.pages.keys())
+            .filter(index => !this.blocks[index]?.dataset.rendered)
+            .sort((a, b) => Math.abs(b - keepIndex) - Math.abs(a - keepIndex))
+            .slice(0, excess)
+            .forEach(index => this.pages.delete(index));
+    }
+
+    setNewEntries(count) {
+        this.newEntries = count;
+        this.newEntriesBar.classList.toggle('d-none', count === 0);
+        this.newEntriesBar.querySelector('button').innerHTML =
+            `<i class="fas fa-arrow-up me-1"></i>${count.toLocaleString()} new ${count === 1 ? 'entry' : 'entries'}`;
+    }
+
+    removeBlocks() {
+        this.blocks.forEach(block => block.remove());
+        this.blocks = [];
+    }
+
+    showMessage(html, className) {
+        this.hideMessage();
+
+        const message = document.createElement(this.options.blockTag);
+        message.className = 'virtual-log-message';
+        const content = `<div class="text-center p-4 ${className}">${html}</div>`;
+        message.innerHTML = this.options.blockTag === 'tbody'
+            ? `<tr><td colspan="${this.options.columns}">${content}</td></tr>`
+            : content;
+        this.body.appendChild(message);
+    }
+
+    showPreview(items) {
+        this.hideMessage();
+
+        const preview = document.createElement(this.options.blockTag);
+        preview.className = 'virtual-log-message virtual-log-preview';
+        preview.innerHTML = this.options.renderRows(items, 0);
+        this.body.appendChild(preview);
+    }
+
+    hideMessage() {
+        this.body.querySelectorAll(':scope > .virtual-log-message').forEach(element => element.remove());
+    }
+
+    // The earlier of a filter's end date and the anchor, as the end date of a page request
+    static getAnchoredToDate(toDate, anchor) {
+        return toDate && new Date(toDate) < anchor ? new Date(toDate) : anchor;
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+window.VirtualLogList = VirtualLogList;
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The page script declares its class at the top level and only touches the DOM once it has loaded,
+// so the class is read back from the context it ran in
+const loadDashboardClass = () => {
+    const context = vm.createContext({ document: { addEventListener: () => {} }, window: {} });
+    const source = fs.readFileSync(path.join(__dirname, '../../Pages/LogAnalytics/Dashboard.js'), 'utf8');
+    vm.runInContext(source, context);
+    return vm.runInContext('LogAnalyticsDashboard', context);
+};
+
+const LogAnalyticsDashboard = loadDashboardClass();
+
+const matchesLiveFilter = (searchRequest, entry) =>
+    LogAnalyticsDashboard.prototype.matchesLiveFilter.call(
+        { recentLogsSearchContext: { isActive: true, searchRequest } },
+        entry);
+
+const userId = '3a1b2c3d-0000-4000-8000-00000000abcd';
+const entry = { level: 'Information', message: 'Order created', userId, userName: 'Alice' };
+
+test('a live entry matches a user name typed in any case', () => {
+    assert.strictEqual(matchesLiveFilter({ userId: 'alice' }, entry), true);
+    assert.strictEqual(matchesLiveFilter({ userId: ' ALICE ' }, entry), true);
+    assert.strictEqual(matchesLiveFilter({ userId: 'bob' }, entry), false);
+});
+
+test('a live entry matches its user id typed in another case', () => {
+    assert.strictEqual(matchesLiveFilter({ userId: userId.toUpperCase() }, entry), true);
+    assert.strictEqual(matchesLiveFilter({ userId: '3a1b2c3d-0000-4000-8000-00000000ffff' }, entry), false);
+});
+
+test('a live entry without a user does not match a user search', () => {
+    assert.strictEqual(matchesLiveFilter({ userId: 'alice' }, { level: 'Error', message: 'Timeout' }), false);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The page script registers its classes on window, so it is run in a context that provides one
+const loadLogQueryLanguage = () => {
+    const context = { window: {} };
+    const source = fs.readFileSync(path.join(__dirname, '../../Pages/LogAnalytics/LogQueryLanguage.js'), 'utf8');
+    vm.runInNewContext(source, context);
+    return context.window.LogQueryLanguage;
+};
+
+const LogQueryLanguage = loadLogQueryLanguage();
+
+test('a quoted path prefix reads back after formatting', () => {
+    const request = { pathPrefix: '/api/my orders', logLevels: ['Error'] };
+
+    const query = LogQueryLanguage.format(request, 'logs');
+    const { request: parsed, errors } = LogQueryLanguage.parse(query, 'logs');
+
+    assert.strictEqual(query, 'level:Error path:"/api/my orders*"');
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(parsed.pathPrefix, '/api/my orders');
+    assert.strictEqual(parsed.searchText, undefined);
+});
+
+test('an unquoted path prefix reads back after formatting', () => {
+    const query = LogQueryLanguage.format({ pathPrefix: '/api/orders' }, 'logs');
+    const { request: parsed, errors } = LogQueryLanguage.parse(query, 'logs');
+
+    assert.strictEqual(query, 'path:/api/orders*');
+    assert.strictEqual(errors.length, 0);
+    assert.deepStrictEqual(Object.keys(parsed), ['pathPrefix']);
+    assert.strictEqual(parsed.pathPrefix, '/api/orders');
+});
+
+test('an alert rule path is a prefix without the wildcard', () => {
+    const { request: parsed, errors } = LogQueryLanguage.parse('path:/api/orders* status>=500', 'alerts');
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(parsed.pathPrefix, '/api/orders');
+    assert.strictEqual(parsed.requestPath, undefined);
+});
+
+test('an unknown field is reported with the available ones', () => {
+    const { request: parsed, errors } = LogQueryLanguage.parse('colour:red', 'logs');
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /^Unknown field "colour"\. Available fields: level, app, path, user/);
+    assert.strictEqual(errors[0].start, 0);
+    assert.strictEqual(errors[0].end, 10);
+    assert.strictEqual(Object.keys(parsed).length, 0);
+});
+
+test('an operator the field does not support is reported', () => {
+    const { request: parsed, errors } = LogQueryLanguage.parse('level>Error', 'logs');
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, '"level" does not support ">"; use level:value');
+    assert.strictEqual(parsed.logLevels, undefined);
+});
+
+test('an unterminated quote is reported from the opening quote', () => {
+    const { errors } = LogQueryLanguage.parse('path:"/api/my orders', 'logs');
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /^Missing closing quote/);
+    assert.strictEqual(errors[0].start, 5);
+});
+
+test('a duration range that cannot match anything is reported', () => {
+    const { errors } = LogQueryLanguage.parse('duration>500 duration<100', 'logs');
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /^"duration<100" leaves an empty duration range/);
+    assert.strictEqual(errors[0].start, 13);
+});
+
+test('a date that does not exist is reported', () => {
+    const { request: parsed, errors } = LogQueryLanguage.parse('from:2025-02-30', 'logs');
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /^"from" must be a date/);
+    assert.strictEqual(parsed.fromDate, undefined);
+});
+
+test('a user name is accepted as the user criterion', () => {
+    const { request: parsed, errors } = LogQueryLanguage.parse('user:alice level:Error', 'logs');
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(parsed.userId, 'alice');
+    assert.strictEqual(parsed.logLevels[0], 'Error');
+});
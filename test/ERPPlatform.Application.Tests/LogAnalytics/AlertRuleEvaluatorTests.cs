@@ -0,0 +1,61 @@
+using System.Text.Json;
+using ERPPlatform.LogAnalytics.Alerts;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class AlertRuleEvaluatorTests
+{
+    [Fact]
+    public void ParseCriteria_Should_Read_Search_Filters()
+    {
+        //Act
+        var result = AlertRuleEvaluator.ParseCriteria("{\"logLevels\":[\"Error\"],\"requestPath\":\"/api/orders\",\"minStatusCode\":500}");
+
+        //Assert
+        result.LogLevels.ShouldBe(new[] { "Error" });
+        result.RequestPath.ShouldBe("/api/orders");
+        result.MinStatusCode.ShouldBe(500);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData(" ")]
+    public void ParseCriteria_Should_Match_Everything_When_Empty(string? criteria)
+    {
+        //Act
+        var result = AlertRuleEvaluator.ParseCriteria(criteria);
+
+        //Assert
+        AlertRuleEvaluator.HasFilters(result).ShouldBeFalse();
+    }
+
+    [Fact]
+    public void ParseCriteria_Should_Reject_Unknown_Properties()
+    {
+        //Act & Assert
+        Should.Throw<JsonException>(() => AlertRuleEvaluator.ParseCriteria("{\"levels\":[\"Error\"]}"));
+    }
+
+    [Fact]
+    public void HasFilters_Should_Ignore_Dates_And_Paging()
+    {
+        //Arrange
+        var request = AlertRuleEvaluator.ParseCriteria("{\"fromDate\":\"2025-01-01T00:00:00\",\"page\":2,\"pageSize\":10}");
+
+        //Act & Assert
+        AlertRuleEvaluator.HasFilters(request).ShouldBeFalse();
+    }
+
+    [Theory]
+    [InlineData("{\"searchText\":\"timeout\"}")]
+    [InlineData("{\"hasException\":false}")]
+    [InlineData("{\"maxDuration\":100}")]
+    [InlineData("{\"pathPrefix\":\"/api/orders\"}")]
+    public void HasFilters_Should_Detect_Any_Filter(string criteria)
+    {
+        //Act & Assert
+        AlertRuleEvaluator.HasFilters(AlertRuleEvaluator.ParseCriteria(criteria)).ShouldBeTrue();
+    }
+}
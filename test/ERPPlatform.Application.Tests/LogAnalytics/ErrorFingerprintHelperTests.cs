@@ -0,0 +1,128 @@
+using System;
+using ERPPlatform.LogAnalytics.Helpers;
+using Microsoft.Extensions.Logging.Abstractions;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class ErrorFingerprintHelperTests
+{
+    private const string OrderException =
+        "System.InvalidOperationException: Order 42 was not found\n" +
+        "   at System.Linq.ThrowHelper.ThrowNoElementsException()\n" +
+        "   at ERPPlatform.Orders.OrderAppService.<GetAsync>d__5.MoveNext() in /src/Orders/OrderAppService.cs:line 42\n" +
+        "   at ERPPlatform.Orders.OrderController.GetAsync() in /src/Orders/OrderController.cs:line 17";
+
+    private readonly ErrorFingerprintHelper _helper;
+
+    public ErrorFingerprintHelperTests()
+    {
+        _helper = new ErrorFingerprintHelper(
+            NullLogger<ErrorFingerprintHelper>.Instance,
+            new LogAnalyticsDashboardHelper(NullLogger<LogAnalyticsDashboardHelper>.Instance));
+    }
+
+    [Theory]
+    [InlineData("Order 12345 not found for user 3f2504e0-4f89-11d3-9a0c-0305e82c3301", "Order {n} not found for user {guid}")]
+    [InlineData("Timeout at 2025-01-31T10:15:30Z calling 10.0.0.5:8080", "Timeout at {timestamp} calling {ip}")]
+    [InlineData("Handle 0x1F3A   invalid", "Handle {hex} invalid")]
+    [InlineData("   ", "")]
+    [InlineData(null, "")]
+    public void NormalizeMessage_Should_Replace_Volatile_Tokens(string? message, string expected)
+    {
+        //Act
+        var result = _helper.NormalizeMessage(message);
+
+        //Assert
+        result.ShouldBe(expected);
+    }
+
+    [Fact]
+    public void GetTopApplicationFrame_Should_Return_First_Application_Frame_Without_Location()
+    {
+        //Act
+        var result = _helper.GetTopApplicationFrame(OrderException);
+
+        //Assert
+        result.ShouldBe("ERPPlatform.Orders.OrderAppService.<GetAsync>d__.MoveNext()");
+    }
+
+    [Fact]
+    public void GetTopApplicationFrame_Should_Fall_Back_To_First_Frame()
+    {
+        //Act
+        var result = _helper.GetTopApplicationFrame(
+            "System.TimeoutException: Timed out\r\n   at Npgsql.NpgsqlConnector.ReadMessage() in /_/src/NpgsqlConnector.cs:line 1300\r\n");
+
+        //Assert
+        result.ShouldBe("Npgsql.NpgsqlConnector.ReadMessage()");
+    }
+
+    [Fact]
+    public void GetTopApplicationFrame_Should_Return_Null_Without_Frames()
+    {
+        //Act
+        var result = _helper.GetTopApplicationFrame("System.TimeoutException: Timed out");
+
+        //Assert
+        result.ShouldBeNull();
+    }
+
+    [Fact]
+    public void CreateFingerprint_Should_Group_Errors_That_Differ_Only_In_Volatile_Tokens()
+    {
+        //Act
+        var first = _helper.CreateFingerprint(OrderException);
+        var second = _helper.CreateFingerprint(OrderException.Replace("Order 42", "Order 97").Replace("line 42", "line 44"));
+
+        //Assert
+        first.Key.ShouldBe(second.Key);
+        first.ExceptionType.ShouldBe("System.InvalidOperationException");
+        first.Message.ShouldBe("Order {n} was not found");
+    }
+
+    [Fact]
+    public void CreateFingerprint_Should_Separate_Different_Exception_Types()
+    {
+        //Act
+        var first = _helper.CreateFingerprint(OrderException);
+        var second = _helper.CreateFingerprint(OrderException.Replace("InvalidOperationException", "ArgumentException"));
+
+        //Assert
+        first.Key.ShouldNotBe(second.Key);
+    }
+
+    [Fact]
+    public void CreateFingerprint_Should_Prefer_Message_Template()
+    {
+        //Act
+        var first = _helper.CreateFingerprint(null, "Payment {PaymentId} failed", "Payment 17 failed");
+        var second = _helper.CreateFingerprint(null, "Payment {PaymentId} failed", "Payment 18 failed after retry");
+
+        //Assert
+        first.Key.ShouldBe(second.Key);
+        first.MessageTemplate.ShouldBe("Payment {PaymentId} failed");
+    }
+
+    [Fact]
+    public void BuildHourlyTrend_Should_Count_Per_Hour_Ending_With_The_Current_Hour()
+    {
+        //Arrange
+        var now = new DateTime(2025, 1, 31, 10, 30, 0);
+        var timestamps = new[]
+        {
+            new DateTime(2025, 1, 31, 7, 59, 0),
+            new DateTime(2025, 1, 31, 8, 10, 0),
+            new DateTime(2025, 1, 31, 9, 59, 0),
+            new DateTime(2025, 1, 31, 10, 5, 0),
+            new DateTime(2025, 1, 31, 10, 20, 0)
+        };
+
+        //Act
+        var result = _helper.BuildHourlyTrend(timestamps, now, 3);
+
+        //Assert
+        result.ShouldBe(new[] { 1, 1, 2 });
+    }
+}
@@ -0,0 +1,182 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class LogAnalyticsLiveAppServiceTests
+{
+    private static readonly DateTime Since = new(2025, 1, 1, 12, 0, 0);
+
+    [Fact]
+    public void CreateBackfillResponse_Should_Merge_Sources_Oldest_First()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto { Since = Since, MaxCount = 10 };
+        var serilogEntries = new List<RecentLogEntryDto> { CreateEntry("s1", 1), CreateEntry("s2", 3) };
+        var auditEntries = new List<RecentLogEntryDto> { CreateEntry("a1", 2) };
+
+        //Act
+        var result = LogAnalyticsLiveAppService.CreateBackfillResponse(request, false, serilogEntries, auditEntries);
+
+        //Assert
+        result.Items.Select(x => x.Id).ShouldBe(new[] { "s1", "a1", "s2" });
+        result.TotalCount.ShouldBe(3);
+        result.HasMore.ShouldBeFalse();
+    }
+
+    [Fact]
+    public void CreateBackfillResponse_Should_Return_Unseen_Entries_Sharing_The_Last_Seen_Timestamp()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto
+        {
+            Since = Since,
+            MaxCount = 10,
+            SeenIds = new List<string> { "a1" }
+        };
+        var auditEntries = new List<RecentLogEntryDto> { CreateEntry("a1", 0), CreateEntry("a2", 0), CreateEntry("a3", 1) };
+
+        //Act
+        var result = LogAnalyticsLiveAppService.CreateBackfillResponse(request, false, auditEntries);
+
+        //Assert
+        result.Items.Select(x => x.Id).ShouldBe(new[] { "a2", "a3" });
+        result.HasMore.ShouldBeFalse();
+    }
+
+    [Fact]
+    public void CreateBackfillResponse_Should_Truncate_To_Max_Count()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto { Since = Since, MaxCount = 2 };
+        var serilogEntries = new List<RecentLogEntryDto> { CreateEntry("s1", 1), CreateEntry("s2", 3) };
+        var auditEntries = new List<RecentLogEntryDto> { CreateEntry("a1", 2) };
+
+        //Act
+        var result = LogAnalyticsLiveAppService.CreateBackfillResponse(request, false, serilogEntries, auditEntries);
+
+        //Assert
+        result.Items.Select(x => x.Id).ShouldBe(new[] { "s1", "a1" });
+        result.HasMore.ShouldBeTrue();
+    }
+
+    [Fact]
+    public void CreateBackfillResponse_Should_Flag_A_Source_That_Was_Not_Read_To_Its_End()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto
+        {
+            Since = Since,
+            MaxCount = 2,
+            Levels = new List<string> { "Error" }
+        };
+        var serilogEntries = new List<RecentLogEntryDto>
+        {
+            CreateEntry("s1", 1, "Error"),
+            CreateEntry("s2", 2, "Information"),
+            CreateEntry("s3", 3, "Information")
+        };
+
+        //Act
+        var result = LogAnalyticsLiveAppService.CreateBackfillResponse(request, true, serilogEntries, new List<RecentLogEntryDto>());
+
+        //Assert
+        result.Items.Select(x => x.Id).ShouldBe(new[] { "s1" });
+        result.HasMore.ShouldBeTrue();
+    }
+
+    [Fact]
+    public void CreateBackfillResponse_Should_Not_Count_Seen_Entries_Against_The_Max_Count()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto
+        {
+            Since = Since,
+            MaxCount = 2,
+            SeenIds = new List<string> { "a1", "a2" }
+        };
+        var auditEntries = new List<RecentLogEntryDto>
+        {
+            CreateEntry("a1", 0),
+            CreateEntry("a2", 0),
+            CreateEntry("a3", 0),
+            CreateEntry("a4", 1)
+        };
+
+        //Act
+        var result = LogAnalyticsLiveAppService.CreateBackfillResponse(request, false, auditEntries);
+
+        //Assert
+        result.Items.Select(x => x.Id).ShouldBe(new[] { "a3", "a4" });
+        result.HasMore.ShouldBeFalse();
+    }
+
+    [Fact]
+    public async Task ReadMatchingEntriesAsync_Should_Read_Larger_Batches_Until_Enough_Entries_Match()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto
+        {
+            Since = Since,
+            MaxCount = 2,
+            Levels = new List<string> { "Error" }
+        };
+        var sourceEntries = Enumerable.Range(0, 50)
+            .Select(i => CreateEntry($"i{i}", i))
+            .Concat(Enumerable.Range(50, 3).Select(i => CreateEntry($"e{i}", i, "Error")))
+            .ToList();
+        var readCounts = new List<int>();
+
+        //Act
+        var result = await LogAnalyticsLiveAppService.ReadMatchingEntriesAsync(request, count =>
+        {
+            readCounts.Add(count);
+            return Task.FromResult(sourceEntries.Take(count).ToList());
+        });
+
+        //Assert
+        readCounts.ShouldBe(new[] { 3, 12, 48, 192 });
+        result.Entries.Select(x => x.Id).ShouldBe(new[] { "e50", "e51", "e52" });
+        result.IsTruncated.ShouldBeFalse();
+    }
+
+    [Fact]
+    public async Task ReadMatchingEntriesAsync_Should_Stop_At_The_Scan_Limit()
+    {
+        //Arrange
+        var request = new LiveLogBackfillRequestDto
+        {
+            Since = Since,
+            MaxCount = 10,
+            Levels = new List<string> { "Error" }
+        };
+        var readCounts = new List<int>();
+
+        //Act
+        var result = await LogAnalyticsLiveAppService.ReadMatchingEntriesAsync(request, count =>
+        {
+            readCounts.Add(count);
+            return Task.FromResult(Enumerable.Range(0, count).Select(i => CreateEntry($"i{i}", i)).ToList());
+        });
+
+        //Assert
+        readCounts.Last().ShouldBe(LogAnalyticsLiveConstants.DefaultValues.MaxBackfillScanCount);
+        result.Entries.ShouldBeEmpty();
+        result.IsTruncated.ShouldBeTrue();
+    }
+
+    private static RecentLogEntryDto CreateEntry(string id, int secondsAfterSince, string level = "Information")
+    {
+        return new RecentLogEntryDto
+        {
+            Id = id,
+            Timestamp = Since.AddSeconds(secondsAfterSince),
+            Level = level,
+            Application = "Api"
+        };
+    }
+}
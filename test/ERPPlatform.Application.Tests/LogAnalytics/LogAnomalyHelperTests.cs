@@ -0,0 +1,144 @@
+using System;
+using System.Collections.Generic;
+using ERPPlatform.LogAnalytics.Helpers;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class LogAnomalyHelperTests
+{
+    private const int ErrorLevel = 4;
+
+    private static readonly DateTime Hour = new(2025, 2, 3, 10, 0, 0);
+
+    private readonly LogAnomalyHelper _helper = new();
+
+    [Fact]
+    public void GetBaselineStart_Should_Go_Back_Baseline_Weeks_From_The_Hour()
+    {
+        //Act
+        var result = _helper.GetBaselineStart(Hour.AddMinutes(25));
+
+        //Assert
+        result.ShouldBe(Hour.AddDays(-7 * LogAnalyticsDashboardConstants.Anomalies.BaselineWeeks));
+    }
+
+    [Fact]
+    public void FindAnomalies_Should_Rate_Spikes_And_Drops_By_Score()
+    {
+        //Arrange
+        var volume = new List<LogVolumeCount>();
+        volume.AddRange(CreateBaseline("Api", 10, 12, 8, 10));
+        volume.Add(Count("Api", Hour, 60));
+        volume.AddRange(CreateBaseline("Worker", 100, 100, 100, 100));
+
+        //Act
+        var result = _helper.FindAnomalies(volume, Hour, Hour.AddHours(1));
+
+        //Assert
+        result.Count.ShouldBe(2);
+
+        result[0].Application.ShouldBe("Api");
+        result[0].Direction.ShouldBe(LogAnalyticsDashboardConstants.Anomalies.Spike);
+        result[0].Hour.ShouldBe(Hour);
+        result[0].Level.ShouldBe(SerilogAnalyticsConstants.LogLevels.Error);
+        result[0].Count.ShouldBe(60);
+        result[0].ExpectedCount.ShouldBe(10);
+        result[0].Score.ShouldBe(15.8);
+        result[0].BaselineWeeks.ShouldBe(4);
+
+        result[1].Application.ShouldBe("Worker");
+        result[1].Direction.ShouldBe(LogAnalyticsDashboardConstants.Anomalies.Drop);
+        result[1].Count.ShouldBe(0);
+        result[1].Score.ShouldBe(-10);
+    }
+
+    [Fact]
+    public void FindAnomalies_Should_Ignore_Small_Deviations()
+    {
+        //Arrange
+        var volume = new List<LogVolumeCount>(CreateBaseline("Api", 2, 2, 2, 2))
+        {
+            Count("Api", Hour, 9)
+        };
+
+        //Act
+        var result = _helper.FindAnomalies(volume, Hour, Hour.AddHours(1));
+
+        //Assert
+        result.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public void FindAnomalies_Should_Not_Report_Drops_For_The_Running_Hour()
+    {
+        //Arrange
+        var volume = CreateBaseline("Worker", 100, 100, 100, 100);
+
+        //Act
+        var result = _helper.FindAnomalies(volume, Hour, Hour.AddMinutes(30));
+
+        //Assert
+        result.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public void FindAnomalies_Should_Skip_Applications_Without_Enough_History()
+    {
+        //Arrange
+        var volume = new List<LogVolumeCount>
+        {
+            Count("Api", Hour.AddDays(-7), 1),
+            Count("Api", Hour, 500)
+        };
+
+        //Act
+        var result = _helper.FindAnomalies(volume, Hour, Hour.AddHours(1));
+
+        //Assert
+        result.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public void FindAnomalies_Should_Leave_Weeks_Before_First_Entry_Out_Of_The_Baseline()
+    {
+        //Arrange
+        var volume = new List<LogVolumeCount>
+        {
+            Count("Api", Hour.AddDays(-14), 10),
+            Count("Api", Hour.AddDays(-7), 10),
+            Count("Api", Hour, 60)
+        };
+
+        //Act
+        var result = _helper.FindAnomalies(volume, Hour, Hour.AddHours(1));
+
+        //Assert
+        result.Count.ShouldBe(1);
+        result[0].BaselineWeeks.ShouldBe(2);
+        result[0].ExpectedCount.ShouldBe(10);
+    }
+
+    private static List<LogVolumeCount> CreateBaseline(string application, params int[] weeklyCounts)
+    {
+        var volume = new List<LogVolumeCount>();
+        for (var week = 1; week <= weeklyCounts.Length; week++)
+        {
+            volume.Add(Count(application, Hour.AddDays(-7 * week), weeklyCounts[week - 1]));
+        }
+
+        return volume;
+    }
+
+    private static LogVolumeCount Count(string application, DateTime hour, int count)
+    {
+        return new LogVolumeCount
+        {
+            Hour = hour,
+            Application = application,
+            Level = ErrorLevel,
+            Count = count
+        };
+    }
+}
@@ -0,0 +1,83 @@
+using System;
+using ERPPlatform.LogAnalytics.Helpers;
+using Microsoft.Extensions.Logging.Abstractions;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class TrendBucketHelperTests
+{
+    private static readonly DateTime From = new(2025, 1, 1, 0, 0, 0);
+
+    private readonly TrendBucketHelper _helper;
+
+    public TrendBucketHelperTests()
+    {
+        _helper = new TrendBucketHelper(NullLogger<TrendBucketHelper>.Instance);
+    }
+
+    [Theory]
+    [InlineData(2, LogAnalyticsDashboardConstants.TrendBuckets.OneMinute)]
+    [InlineData(24, LogAnalyticsDashboardConstants.TrendBuckets.FifteenMinutes)]
+    [InlineData(7 * 24, LogAnalyticsDashboardConstants.TrendBuckets.OneHour)]
+    [InlineData(30 * 24, LogAnalyticsDashboardConstants.TrendBuckets.OneDay)]
+    [InlineData(365 * 24, LogAnalyticsDashboardConstants.TrendBuckets.OneDay)]
+    public void Resolve_Should_Pick_Finest_Bucket_Within_Auto_Max_Points(int rangeHours, string expected)
+    {
+        //Act
+        var result = _helper.Resolve(null, From, From.AddHours(rangeHours));
+
+        //Assert
+        result.Name.ShouldBe(expected);
+    }
+
+    [Theory]
+    [InlineData(LogAnalyticsDashboardConstants.TrendBuckets.FiveMinutes, 24, LogAnalyticsDashboardConstants.TrendBuckets.FiveMinutes)]
+    [InlineData(" 1M ", 2, LogAnalyticsDashboardConstants.TrendBuckets.OneMinute)]
+    [InlineData(LogAnalyticsDashboardConstants.TrendBuckets.OneMinute, 7 * 24, LogAnalyticsDashboardConstants.TrendBuckets.OneHour)]
+    [InlineData("2h", 2, LogAnalyticsDashboardConstants.TrendBuckets.OneMinute)]
+    public void Resolve_Should_Use_Requested_Bucket_Unless_Unknown_Or_Too_Fine(string bucket, int rangeHours, string expected)
+    {
+        //Act
+        var result = _helper.Resolve(bucket, From, From.AddHours(rangeHours));
+
+        //Assert
+        result.Name.ShouldBe(expected);
+    }
+
+    [Fact]
+    public void GetStart_Should_Align_To_Bucket_Size_And_Keep_Kind()
+    {
+        //Arrange
+        var bucket = _helper.Resolve(LogAnalyticsDashboardConstants.TrendBuckets.FifteenMinutes, From, From.AddHours(1));
+
+        //Act
+        var result = bucket.GetStart(new DateTime(2025, 1, 1, 10, 37, 42, DateTimeKind.Utc));
+
+        //Assert
+        result.ShouldBe(new DateTime(2025, 1, 1, 10, 30, 0, DateTimeKind.Utc));
+        result.Kind.ShouldBe(DateTimeKind.Utc);
+    }
+
+    [Fact]
+    public void GetStarts_Should_Cover_Every_Bucket_Overlapping_The_Range()
+    {
+        //Arrange
+        var bucket = _helper.Resolve(LogAnalyticsDashboardConstants.TrendBuckets.FifteenMinutes, From, From.AddHours(1));
+        var fromDate = new DateTime(2025, 1, 1, 10, 7, 0);
+        var toDate = new DateTime(2025, 1, 1, 10, 31, 0);
+
+        //Act
+        var result = bucket.GetStarts(fromDate, toDate);
+
+        //Assert
+        result.ShouldBe(new[]
+        {
+            new DateTime(2025, 1, 1, 10, 0, 0),
+            new DateTime(2025, 1, 1, 10, 15, 0),
+            new DateTime(2025, 1, 1, 10, 30, 0)
+        });
+        bucket.CountBuckets(fromDate, toDate).ShouldBe(result.Count);
+    }
+}
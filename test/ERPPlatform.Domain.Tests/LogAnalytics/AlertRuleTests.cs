@@ -0,0 +1,103 @@
+using System;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class AlertRuleTests
+{
+    private static readonly DateTime Now = new(2025, 1, 1, 10, 0, 0);
+
+    [Theory]
+    [InlineData(AlertRuleConstants.Operators.GreaterThan, 10, false)]
+    [InlineData(AlertRuleConstants.Operators.GreaterThan, 11, true)]
+    [InlineData(AlertRuleConstants.Operators.GreaterThanOrEqual, 10, true)]
+    [InlineData(AlertRuleConstants.Operators.LessThan, 10, false)]
+    [InlineData(AlertRuleConstants.Operators.LessThan, 9, true)]
+    [InlineData(AlertRuleConstants.Operators.LessThanOrEqual, 10, true)]
+    public void IsConditionMet_Should_Compare_Value_With_Threshold(string @operator, double value, bool expected)
+    {
+        //Arrange
+        var rule = CreateRule(@operator, 10);
+
+        //Act & Assert
+        rule.IsConditionMet(value).ShouldBe(expected);
+    }
+
+    [Fact]
+    public void ApplyEvaluation_Should_Fire_Once_And_Resolve_Once()
+    {
+        //Arrange
+        var rule = CreateRule(AlertRuleConstants.Operators.GreaterThan, 10);
+
+        //Act & Assert
+        rule.ApplyEvaluation(5, Now).ShouldBeNull();
+        rule.IsFiring.ShouldBeFalse();
+        rule.LastStateChangeTime.ShouldBeNull();
+
+        rule.ApplyEvaluation(12, Now.AddMinutes(1)).ShouldBe(AlertRuleConstants.EventTypes.Fired);
+        rule.IsFiring.ShouldBeTrue();
+        rule.LastStateChangeTime.ShouldBe(Now.AddMinutes(1));
+
+        rule.ApplyEvaluation(15, Now.AddMinutes(2)).ShouldBeNull();
+        rule.IsFiring.ShouldBeTrue();
+        rule.LastStateChangeTime.ShouldBe(Now.AddMinutes(1));
+
+        rule.ApplyEvaluation(3, Now.AddMinutes(3)).ShouldBe(AlertRuleConstants.EventTypes.Resolved);
+        rule.IsFiring.ShouldBeFalse();
+        rule.LastStateChangeTime.ShouldBe(Now.AddMinutes(3));
+        rule.LastValue.ShouldBe(3);
+        rule.LastEvaluationTime.ShouldBe(Now.AddMinutes(3));
+    }
+
+    [Fact]
+    public void ApplyEvaluation_Should_Resolve_After_Condition_Change()
+    {
+        //Arrange
+        var rule = CreateRule(AlertRuleConstants.Operators.GreaterThan, 10);
+        rule.ApplyEvaluation(12, Now);
+
+        //Act
+        rule.SetCondition(AlertRuleConstants.Metrics.Count, AlertRuleConstants.Operators.GreaterThan, 20, 5);
+
+        //Assert
+        rule.IsFiring.ShouldBeTrue();
+        rule.ApplyEvaluation(12, Now.AddMinutes(1)).ShouldBe(AlertRuleConstants.EventTypes.Resolved);
+    }
+
+    [Fact]
+    public void ResetState_Should_Clear_Firing_State_Without_Event()
+    {
+        //Arrange
+        var rule = CreateRule(AlertRuleConstants.Operators.GreaterThan, 10);
+        rule.ApplyEvaluation(12, Now);
+
+        //Act
+        rule.ResetState();
+
+        //Assert
+        rule.IsFiring.ShouldBeFalse();
+        rule.LastValue.ShouldBeNull();
+        rule.LastEvaluationTime.ShouldBeNull();
+        rule.LastStateChangeTime.ShouldBeNull();
+        rule.ApplyEvaluation(12, Now.AddMinutes(1)).ShouldBe(AlertRuleConstants.EventTypes.Fired);
+    }
+
+    [Fact]
+    public void SetCondition_Should_Reject_Unknown_Operator()
+    {
+        //Arrange
+        var rule = CreateRule(AlertRuleConstants.Operators.GreaterThan, 10);
+
+        //Act & Assert
+        Should.Throw<ArgumentException>(() =>
+            rule.SetCondition(AlertRuleConstants.Metrics.Count, "!=", 10, 5));
+    }
+
+    private static AlertRule CreateRule(string @operator, double threshold)
+    {
+        var rule = new AlertRule(Guid.NewGuid(), null, "Errors", "level:Error", "{\"logLevels\":[\"Error\"]}");
+        rule.SetCondition(AlertRuleConstants.Metrics.Count, @operator, threshold, 5);
+        return rule;
+    }
+}
@@ -0,0 +1,130 @@
+using System;
+using System.Collections.Generic;
+using Shouldly;
+using Xunit;
+
+namespace ERPPlatform.LogAnalytics;
+
+public class LiveLogFilterDtoTests
+{
+    [Fact]
+    public void IsMatch_Should_Pass_Everything_Without_Filters()
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto();
+
+        //Act & Assert
+        filter.IsMatch(CreateEntry("Debug", "Worker", null)).ShouldBeTrue();
+    }
+
+    [Fact]
+    public void IsMatch_Should_Only_Pass_Entries_Of_The_Filter_Tenant()
+    {
+        //Arrange
+        var tenantId = Guid.NewGuid();
+        var filter = new LiveLogFilterDto { TenantId = tenantId };
+        var tenantEntry = CreateEntry("Error", "Api", null);
+        tenantEntry.TenantId = tenantId;
+        var otherTenantEntry = CreateEntry("Error", "Api", null);
+        otherTenantEntry.TenantId = Guid.NewGuid();
+
+        //Act & Assert
+        filter.IsMatch(tenantEntry).ShouldBeTrue();
+        filter.IsMatch(otherTenantEntry).ShouldBeFalse();
+        filter.IsMatch(CreateEntry("Error", "Api", null)).ShouldBeFalse();
+    }
+
+    [Fact]
+    public void IsMatch_Should_Not_Pass_Tenant_Entries_To_The_Host()
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto();
+        var tenantEntry = CreateEntry("Error", "Api", null);
+        tenantEntry.TenantId = Guid.NewGuid();
+
+        //Act & Assert
+        filter.IsMatch(tenantEntry).ShouldBeFalse();
+    }
+
+    [Theory]
+    [InlineData("Error", true)]
+    [InlineData("error", true)]
+    [InlineData("Warning", false)]
+    public void IsMatch_Should_Filter_By_Level(string level, bool expected)
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto { Levels = new List<string> { "Error" } };
+
+        //Act & Assert
+        filter.IsMatch(CreateEntry(level, "Api", null)).ShouldBe(expected);
+    }
+
+    [Fact]
+    public void IsMatch_Should_Treat_Fatal_As_Critical()
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto { Levels = new List<string> { LogAnalyticsDashboardConstants.LogLevels.Critical } };
+
+        //Act & Assert
+        filter.IsMatch(CreateEntry(SerilogAnalyticsConstants.LogLevels.Fatal, "Api", null)).ShouldBeTrue();
+    }
+
+    [Theory]
+    [InlineData("Api", true)]
+    [InlineData("API", true)]
+    [InlineData("Worker", false)]
+    public void IsMatch_Should_Filter_By_Application(string application, bool expected)
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto { Applications = new List<string> { "Api" } };
+
+        //Act & Assert
+        filter.IsMatch(CreateEntry("Error", application, null)).ShouldBe(expected);
+    }
+
+    [Theory]
+    [InlineData("/api/orders/42", true)]
+    [InlineData("/API/Orders", true)]
+    [InlineData("/api/customers", false)]
+    [InlineData(null, false)]
+    public void IsMatch_Should_Filter_By_Request_Path_Prefix(string? requestPath, bool expected)
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto { PathPrefix = "/api/orders" };
+
+        //Act & Assert
+        filter.IsMatch(CreateEntry("Error", "Api", requestPath)).ShouldBe(expected);
+    }
+
+    [Fact]
+    public void IsMatch_Should_Require_Every_Filter()
+    {
+        //Arrange
+        var filter = new LiveLogFilterDto
+        {
+            Levels = new List<string> { "Error" },
+            Applications = new List<string> { "Api" },
+            PathPrefix = "/api/orders"
+        };
+
+        //Act & Assert
+        filter.IsMatch(CreateEntry("Error", "Api", "/api/orders")).ShouldBeTrue();
+        filter.IsMatch(CreateEntry("Error", "Worker", "/api/orders")).ShouldBeFalse();
+    }
+
+    private static RecentLogEntryDto CreateEntry(string level, string application, string? requestPath)
+    {
+        var entry = new RecentLogEntryDto
+        {
+            Level = level,
+            Application = application
+        };
+
+        if (requestPath != null)
+        {
+            entry.Properties["RequestPath"] = requestPath;
+        }
+
+        return entry;
+    }
+}
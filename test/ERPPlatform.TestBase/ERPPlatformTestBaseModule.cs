@@ -3,6 +3,7 @@ using Volo.Abp;
 using Volo.Abp.Authorization;
 using Volo.Abp.Autofac;
 using Volo.Abp.BackgroundJobs;
+using Volo.Abp.BackgroundWorkers;
 using Volo.Abp.Data;
 using Volo.Abp.Modularity;
 using Volo.Abp.Threading;
@@ -24,6 +25,12 @@ public class ERPPlatformTestBaseModule : AbpModule
             options.IsJobExecutionEnabled = false;
         });
 
+        // The log analytics workers poll the database and Redis on a timer, which the test hosts do not provide
+        Configure<AbpBackgroundWorkerOptions>(options =>
+        {
+            options.IsEnabled = false;
+        });
+
         context.Services.AddAlwaysAllowAuthorization();
     }
 